@@ -0,0 +1,14 @@
+module.exports = {
+  preset: 'ts-jest',
+  testEnvironment: 'node',
+  roots: ['<rootDir>/src'],
+  testMatch: ['**/__tests__/**/*.ts', '**/*.test.ts'],
+  moduleFileExtensions: ['ts', 'js', 'json'],
+  moduleNameMapper: {
+    // Test against the core sources, like the webpack build
+    '^@kaggle-lint/core$': '<rootDir>/../core/src',
+  },
+  transform: {
+    '^.+\\.ts$': 'ts-jest',
+  },
+};
@@ -0,0 +1,251 @@
+/**
+ * Tests for the kaggle-lint command line
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { parseArgs } from '../args';
+import { EXIT_ERROR, EXIT_FINDINGS, EXIT_OK, runCli } from '../cli';
+import { expandInputs, globToRegExp } from '../files';
+
+/**
+ * Builds a notebook file
+ * @param cells - Cells as [type, source] pairs
+ * @param metadata - Notebook metadata
+ * @returns .ipynb JSON
+ */
+function notebook(
+  cells: Array<[string, string]>,
+  metadata: Record<string, unknown> = {}
+): string {
+  return JSON.stringify({
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata,
+    cells: cells.map(([cellType, source]) => ({
+      cell_type: cellType,
+      metadata: {},
+      // nbformat splits sources into lines that keep their '\n'
+      source: source.split(/(?<=\n)/),
+    })),
+  });
+}
+
+describe('kaggle-lint CLI', () => {
+  let dir: string;
+
+  /**
+   * Runs the CLI in the temp directory
+   * @param argv - Arguments
+   * @returns Exit code and captured output
+   */
+  function run(argv: string[]) {
+    const stdout: string[] = [];
+    const stderr: string[] = [];
+    const code = runCli(argv, {
+      cwd: dir,
+      stdout: (line) => stdout.push(line),
+      stderr: (line) => stderr.push(line),
+    });
+    return { code, stdout, stderr };
+  }
+
+  /**
+   * Writes a file below the temp directory
+   * @param name - Relative path
+   * @param contents - File contents
+   */
+  function write(name: string, contents: string): void {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kaggle-lint-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('prints file:cell:line:col rule message and exits 1', () => {
+    write(
+      'analysis.ipynb',
+      notebook([
+        ['markdown', '# Analysis'],
+        ['code', 'from pandas import *'],
+        ['code', 'x = 1\nprint(y)'],
+      ])
+    );
+
+    const { code, stdout, stderr } = run(['analysis.ipynb']);
+
+    expect(code).toBe(EXIT_FINDINGS);
+    expect(stdout).toContain(
+      "analysis.ipynb:3:2:7 undefinedVariables Undefined variable 'y'"
+    );
+    expect(stdout.some((line) => line.includes('importIssues'))).toBe(true);
+    expect(stderr.join('\n')).toMatch(/problems? \(.*\) in 1 file/);
+  });
+
+  test('exits 0 when nothing is reported', () => {
+    write('clean.ipynb', notebook([['code', 'x = 1\nprint(x)']]));
+
+    const { code, stdout, stderr } = run(['clean.ipynb']);
+
+    expect(code).toBe(EXIT_OK);
+    expect(stdout).toEqual([]);
+    expect(stderr).toEqual([]);
+  });
+
+  test('filters by --severity', () => {
+    write(
+      'mixed.ipynb',
+      notebook([['code', 'from pandas import *\nprint(y)']])
+    );
+
+    const all = run(['mixed.ipynb']);
+    const errorsOnly = run(['--severity', 'error', 'mixed.ipynb']);
+
+    expect(all.stdout.length).toBeGreaterThan(errorsOnly.stdout.length);
+    expect(errorsOnly.stdout).toEqual([
+      "mixed.ipynb:1:2:7 undefinedVariables Undefined variable 'y'",
+    ]);
+  });
+
+  test('expands directories and globs', () => {
+    write('a.ipynb', notebook([['code', 'print(a)']]));
+    write('nested/deep/b.ipynb', notebook([['code', 'print(b)']]));
+    write('nested/notes.txt', 'not a notebook');
+    write('.ipynb_checkpoints/a-checkpoint.ipynb', notebook([]));
+
+    expect(
+      expandInputs(['.'], dir).map((file) => path.relative(dir, file))
+    ).toEqual(['a.ipynb', path.join('nested', 'deep', 'b.ipynb')]);
+
+    const { stdout } = run(['**/*.ipynb']);
+    expect(stdout.map((line) => line.split(':')[0])).toEqual([
+      'a.ipynb',
+      path.join('nested', 'deep', 'b.ipynb'),
+    ]);
+
+    expect(globToRegExp('**/*.{ipynb,json}').test('x/y/z.json')).toBe(true);
+    expect(globToRegExp('*.ipynb').test('x/z.ipynb')).toBe(false);
+  });
+
+  test('applies .kagglelintrc.json and notebook metadata', () => {
+    write(
+      '.kagglelintrc.json',
+      JSON.stringify({ rules: { undefinedVariables: false } })
+    );
+    write('quiet.ipynb', notebook([['code', 'print(y)']]));
+    write(
+      'strict.ipynb',
+      notebook([['code', 'print(y)']], {
+        'kaggle-lint': { rules: { undefinedVariables: true } },
+      })
+    );
+
+    expect(run(['quiet.ipynb']).code).toBe(EXIT_OK);
+    expect(run(['strict.ipynb']).code).toBe(EXIT_FINDINGS);
+    expect(
+      run(['--config', 'missing.json', 'quiet.ipynb']).stderr.join('\n')
+    ).toMatch(/missing\.json/);
+  });
+
+  test('configures each notebook on its own in one run', () => {
+    const code = 'def get_total(rows):\n    total = sum(rows)';
+    write(
+      'a.ipynb',
+      notebook([['code', code]], {
+        'kaggle-lint': { rules: { missingReturn: false } },
+      })
+    );
+    write(
+      'b.ipynb',
+      notebook([['code', code]], {
+        'kaggle-lint': { severityLevels: { missingReturn: 'error' } },
+      })
+    );
+
+    const { code: exitCode, stdout } = run([
+      '--format',
+      'json',
+      'a.ipynb',
+      'b.ipynb',
+    ]);
+    const report = JSON.parse(stdout.join('\n'));
+
+    expect(exitCode).toBe(EXIT_FINDINGS);
+    expect(report).toMatchObject({
+      files: [
+        { path: 'a.ipynb', errors: [] },
+        {
+          path: 'b.ipynb',
+          errors: [
+            expect.objectContaining({
+              rule: 'missingReturn',
+              severity: 'error',
+            }),
+          ],
+        },
+      ],
+    });
+  });
+
+  test('writes reports with --format', () => {
+    write('nb.ipynb', notebook([['code', 'print(y)']]));
+
+    const json = run(['--format', 'json', 'nb.ipynb']);
+    expect(json.code).toBe(EXIT_FINDINGS);
+    const report = JSON.parse(json.stdout.join('\n'));
+    expect(report.stats.byRule).toEqual({ undefinedVariables: 1 });
+    expect(report.files[0]).toMatchObject({
+      path: 'nb.ipynb',
+      errors: [{ rule: 'undefinedVariables', cellIndex: 0, cellLine: 1 }],
+    });
+
+    const junit = run(['--format=junit', 'nb.ipynb']).stdout.join('\n');
+    expect(junit).toMatch(/^<\?xml/);
+    expect(junit).toContain('<testsuite name="nb.ipynb"');
+
+    const sarif = JSON.parse(
+      run(['--format', 'sarif', 'nb.ipynb']).stdout.join('\n')
+    );
+    expect(sarif.runs[0].results[0].ruleId).toBe('undefinedVariables');
+  });
+
+  test('exits 2 on usage and file errors', () => {
+    write('broken.ipynb', '{not json');
+
+    expect(run([]).code).toBe(EXIT_ERROR);
+    expect(run(['--fix', 'x.ipynb']).stderr[0]).toMatch(
+      /Unknown option '--fix'/
+    );
+    expect(run(['missing.ipynb']).stderr[0]).toMatch(/No such file/);
+    expect(run(['*.py']).stderr[0]).toMatch(/No notebooks found/);
+
+    const broken = run(['broken.ipynb']);
+    expect(broken.code).toBe(EXIT_ERROR);
+    expect(broken.stderr[0]).toMatch(/^Invalid notebook in broken\.ipynb:/);
+  });
+
+  test('parses options', () => {
+    expect(parseArgs(['--severity=warning', 'nb.ipynb'])).toEqual({
+      patterns: ['nb.ipynb'],
+      severity: 'warning',
+      format: 'text',
+      help: false,
+      version: false,
+    });
+    expect(() => parseArgs(['--severity', 'fatal'])).toThrow(
+      /Invalid --severity 'fatal'/
+    );
+    expect(() => parseArgs(['--config'])).toThrow(/needs a value/);
+    expect(() => parseArgs(['--format', 'html'])).toThrow(
+      /Invalid --format 'html': use text, json/
+    );
+  });
+});
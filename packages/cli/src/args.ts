@@ -0,0 +1,120 @@
+/**
+ * Command-line arguments
+ * Parses the kaggle-lint command line
+ */
+
+import { REPORTERS, Severity } from '@kaggle-lint/core';
+
+export interface CliOptions {
+  /** Files, directories and glob patterns to lint */
+  patterns: string[];
+  /** Lowest severity to report */
+  severity: Severity;
+  /** 'text' (one finding per line) or a reporter name */
+  format: string;
+  /** Path of a .kagglelintrc.json (looked up from the cwd when omitted) */
+  config?: string;
+  help: boolean;
+  version: boolean;
+}
+
+const SEVERITIES: Severity[] = ['error', 'warning', 'info'];
+const FORMATS = ['text', ...REPORTERS.map((reporter) => reporter.name)];
+
+export const USAGE = `Usage: kaggle-lint [options] <file|dir|glob>...
+
+Lints the code cells of Jupyter/Kaggle notebooks (.ipynb). Directories are
+searched for notebooks; quote globs so the shell leaves them alone:
+  kaggle-lint "notebooks/**/*.ipynb"
+
+Options:
+  --severity <level>  Lowest severity to report: error, warning or info
+                      (default: info)
+  --format <name>     Output format: ${FORMATS.join(', ')}
+                      (default: text)
+  --config <path>     Config file (default: nearest .kagglelintrc.json)
+  -h, --help          Show this help
+  -v, --version       Show the version
+
+Exit codes: 0 no findings, 1 findings reported, 2 usage or file errors`;
+
+/**
+ * Parses command-line arguments
+ * @param argv - Arguments after the program name
+ * @returns Parsed options
+ * @throws Error on unknown options or missing/invalid option values
+ */
+export function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = {
+    patterns: [],
+    severity: 'info',
+    format: 'text',
+    help: false,
+    version: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      options.patterns.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      options.patterns.push(arg);
+      continue;
+    }
+
+    // --name=value or --name value
+    const [name, inlineValue] = arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const takeValue = (): string => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) {
+        throw new Error(`Option ${name} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (name) {
+      case '--severity': {
+        const value = takeValue();
+        if (!SEVERITIES.includes(value as Severity)) {
+          throw new Error(
+            `Invalid --severity '${value}': use ${SEVERITIES.join(', ')}`
+          );
+        }
+        options.severity = value as Severity;
+        break;
+      }
+      case '--format': {
+        const value = takeValue();
+        if (!FORMATS.includes(value)) {
+          throw new Error(
+            `Invalid --format '${value}': use ${FORMATS.join(', ')}`
+          );
+        }
+        options.format = value;
+        break;
+      }
+      case '--config':
+        options.config = takeValue();
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+      default:
+        throw new Error(`Unknown option '${name}'`);
+    }
+  }
+
+  return options;
+}
@@ -0,0 +1,244 @@
+/**
+ * kaggle-lint CLI
+ * Lints notebooks with LintEngine and prints one finding per line:
+ *   file:cell:line:col rule message
+ * Cells are numbered from 1 among all cells of the notebook, lines from 1
+ * within the cell. `--format` switches to one of the core reporters
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CONFIG_FILE_NAME,
+  KaggleLintConfig,
+  LintEngine,
+  NotebookError,
+  ReportedFile,
+  extractCellConfig,
+  extractMetadataConfig,
+  getLintCells,
+  getReporter,
+  parseConfigFile,
+  parseNotebook,
+  plural,
+  resolveConfig,
+  toEngineConfig,
+} from '@kaggle-lint/core';
+import { CliOptions, USAGE, parseArgs } from './args';
+import { expandInputs } from './files';
+import packageJson from '../package.json';
+
+export const EXIT_OK = 0;
+export const EXIT_FINDINGS = 1;
+export const EXIT_ERROR = 2;
+
+export interface CliIO {
+  /** Directory relative inputs and config lookup start from */
+  cwd: string;
+  /** Writes a line to standard output */
+  stdout: (line: string) => void;
+  /** Writes a line to standard error */
+  stderr: (line: string) => void;
+}
+
+/**
+ * Finds the nearest config file, searching the directory and its parents
+ * @param directory - Directory to start from
+ * @returns Path of the config file, or null
+ */
+function findConfigFile(directory: string): string | null {
+  let current = path.resolve(directory);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Loads the config file named on the command line or found from the cwd
+ * @param options - Parsed options
+ * @param cwd - Working directory
+ * @returns Config, or null when there is no config file
+ * @throws Error if the file can't be read or is invalid
+ */
+function loadConfigFile(
+  options: CliOptions,
+  cwd: string
+): KaggleLintConfig | null {
+  const file = options.config
+    ? path.resolve(cwd, options.config)
+    : findConfigFile(cwd);
+  if (!file) {
+    return null;
+  }
+  return parseConfigFile(fs.readFileSync(file, 'utf8'), displayPath(file, cwd));
+}
+
+/**
+ * Gets the path shown for a file: relative to the cwd when below it
+ * @param file - Absolute path
+ * @param cwd - Working directory
+ * @returns Path to print
+ */
+function displayPath(file: string, cwd: string): string {
+  const relative = path.relative(cwd, file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+    ? relative
+    : file;
+}
+
+/**
+ * Formats a finding
+ * @param file - Path shown for the notebook
+ * @param error - Finding
+ * @returns `file:cell:line:col rule message`
+ */
+export function formatFinding(file: string, error: NotebookError): string {
+  const column = error.column ?? 1;
+  return `${file}:${error.cellIndex + 1}:${error.cellLine}:${column} ${
+    error.rule ?? 'unknown'
+  } ${error.msg}`;
+}
+
+/**
+ * Lints one notebook
+ * @param engine - Engine to lint with
+ * @param file - Absolute path of the notebook
+ * @param shownPath - Path used in messages
+ * @param fileConfig - Config from the config file
+ * @param severity - Lowest severity to report
+ * @returns Findings in cell order, with the indexes of the linted cells
+ * @throws Error if the notebook can't be read or its config is invalid
+ */
+function lintFile(
+  engine: LintEngine,
+  file: string,
+  shownPath: string,
+  fileConfig: KaggleLintConfig | null,
+  severity: CliOptions['severity']
+): ReportedFile {
+  const notebook = parseNotebook(fs.readFileSync(file, 'utf8'), shownPath);
+  const cells = getLintCells(notebook);
+
+  // The notebook's own policy wins over the config file
+  let config: KaggleLintConfig;
+  try {
+    config = resolveConfig({
+      file: fileConfig,
+      metadata: extractMetadataConfig(notebook.metadata),
+      cell: cells.length > 0 ? extractCellConfig(cells[0].code) : null,
+    });
+  } catch (error) {
+    throw new Error(`${shownPath}: ${(error as Error).message}`);
+  }
+  // Every registered rule counts as known, including ones the previous
+  // notebook disabled
+  engine.configure(
+    toEngineConfig(
+      config,
+      engine.getRuleMetadata().map((rule) => rule.name)
+    )
+  );
+
+  return {
+    path: shownPath,
+    errors: engine.filterBySeverity(engine.lintNotebook(cells), severity),
+    cellIndexes: cells.map((cell) => cell.cellIndex),
+  };
+}
+
+/**
+ * Runs the CLI
+ * @param argv - Arguments after the program name
+ * @param io - Working directory and output streams
+ * @returns Exit code: 0 no findings, 1 findings, 2 usage or file errors
+ */
+export function runCli(argv: string[], io: CliIO): number {
+  let options: CliOptions;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    io.stderr(`kaggle-lint: ${(error as Error).message}`);
+    io.stderr('Run kaggle-lint --help for usage');
+    return EXIT_ERROR;
+  }
+
+  if (options.help) {
+    io.stdout(USAGE);
+    return EXIT_OK;
+  }
+  if (options.version) {
+    io.stdout(packageJson.version);
+    return EXIT_OK;
+  }
+  if (options.patterns.length === 0) {
+    io.stderr('kaggle-lint: no files given');
+    io.stderr(USAGE);
+    return EXIT_ERROR;
+  }
+
+  let files: string[];
+  let fileConfig: KaggleLintConfig | null;
+  try {
+    files = expandInputs(options.patterns, io.cwd);
+    fileConfig = loadConfigFile(options, io.cwd);
+  } catch (error) {
+    io.stderr(`kaggle-lint: ${(error as Error).message}`);
+    return EXIT_ERROR;
+  }
+
+  const engine = new LintEngine();
+  const counts = { error: 0, warning: 0, info: 0 };
+  const reported: ReportedFile[] = [];
+  let failedFiles = 0;
+
+  files.forEach((file) => {
+    const shownPath = displayPath(file, io.cwd);
+    let result: ReportedFile;
+    try {
+      result = lintFile(engine, file, shownPath, fileConfig, options.severity);
+    } catch (error) {
+      io.stderr((error as Error).message);
+      failedFiles++;
+      return;
+    }
+
+    reported.push(result);
+    result.errors.forEach((finding) => {
+      counts[finding.severity]++;
+      if (options.format === 'text') {
+        io.stdout(formatFinding(shownPath, finding as NotebookError));
+      }
+    });
+  });
+
+  if (options.format !== 'text') {
+    const report = getReporter(options.format).format(reported, {
+      rules: engine.getRuleMetadata(),
+      toolVersion: packageJson.version,
+    });
+    io.stdout(report.replace(/\n$/, ''));
+  }
+
+  const total = counts.error + counts.warning + counts.info;
+  if (total > 0) {
+    io.stderr(
+      `${plural(total, 'problem')} (${plural(counts.error, 'error')}, ${plural(
+        counts.warning,
+        'warning'
+      )}, ${counts.info} info) in ${plural(files.length, 'file')}`
+    );
+  }
+
+  if (failedFiles > 0) {
+    return EXIT_ERROR;
+  }
+  return total > 0 ? EXIT_FINDINGS : EXIT_OK;
+}
@@ -0,0 +1,135 @@
+/**
+ * File discovery
+ * Expands the command-line inputs (files, directories and glob patterns)
+ * into notebook paths. Globs support `*`, `?`, `**` and `{a,b}`
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+export const NOTEBOOK_EXTENSION = '.ipynb';
+
+/** Directories never searched */
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  '.ipynb_checkpoints',
+]);
+
+const GLOB_CHARS = /[*?{]/;
+
+/**
+ * Converts a glob pattern into a regular expression
+ * @param pattern - Glob with '/' separators
+ * @returns Regular expression matching whole paths
+ */
+export function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' matches any number of directories, including none
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists files below a directory
+ * @param directory - Directory to search
+ * @returns Absolute file paths, sorted
+ */
+function walkDirectory(directory: string): string[] {
+  const files: string[] = [];
+  fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((entry) => {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          files.push(...walkDirectory(fullPath));
+        }
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    });
+  return files;
+}
+
+/**
+ * Expands one glob pattern
+ * @param pattern - Glob pattern
+ * @param cwd - Directory relative patterns start from
+ * @returns Matching absolute paths
+ */
+function expandGlob(pattern: string, cwd: string): string[] {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+  const base = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+    return [];
+  }
+  return walkDirectory(base).filter((file) =>
+    matcher.test(path.relative(base, file).split(path.sep).join('/'))
+  );
+}
+
+/**
+ * Expands command-line inputs into the files to lint. Directories yield
+ * the notebooks below them; files named explicitly are always linted
+ * @param patterns - Files, directories and glob patterns
+ * @param cwd - Directory relative inputs start from
+ * @returns Absolute paths without duplicates, in input order
+ * @throws Error when an input matches nothing
+ */
+export function expandInputs(patterns: string[], cwd: string): string[] {
+  const files = new Set<string>();
+
+  patterns.forEach((pattern) => {
+    let matches: string[];
+
+    if (GLOB_CHARS.test(pattern)) {
+      matches = expandGlob(pattern, cwd);
+    } else {
+      const fullPath = path.resolve(cwd, pattern);
+      if (!fs.existsSync(fullPath)) {
+        throw new Error(`No such file or directory: ${pattern}`);
+      }
+      matches = fs.statSync(fullPath).isDirectory()
+        ? walkDirectory(fullPath).filter(
+            (file) => path.extname(file) === NOTEBOOK_EXTENSION
+          )
+        : [fullPath];
+    }
+
+    if (matches.length === 0) {
+      throw new Error(`No notebooks found for '${pattern}'`);
+    }
+    matches.forEach((file) => files.add(file));
+  });
+
+  return [...files];
+}
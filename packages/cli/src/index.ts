@@ -0,0 +1,11 @@
+/**
+ * kaggle-lint command-line entry point
+ */
+
+import { runCli } from './cli';
+
+process.exitCode = runCli(process.argv.slice(2), {
+  cwd: process.cwd(),
+  stdout: (line) => process.stdout.write(`${line}\n`),
+  stderr: (line) => process.stderr.write(`${line}\n`),
+});
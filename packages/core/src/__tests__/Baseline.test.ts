@@ -0,0 +1,101 @@
+/**
+ * Tests for finding fingerprints and baselines
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { createBaseline, parseBaseline } from '../baseline';
+
+const OLD_CELLS = [
+  {
+    code: 'from os import *\n\ndef get_total(rows):\n    total = sum(rows)',
+    cellIndex: 0,
+  },
+  { code: 'print(missing)\nprint(missing)', cellIndex: 1 },
+];
+
+describe('Baseline', () => {
+  let engine: LintEngine;
+
+  beforeEach(() => {
+    engine = new LintEngine();
+  });
+
+  test('fingerprints survive code added above and moved cells', () => {
+    const before = engine.lintNotebook(OLD_CELLS);
+    const after = engine.lintNotebook([
+      { code: 'x = 1\n\n\nprint(x)', cellIndex: 0 },
+      { ...OLD_CELLS[1], cellIndex: 1 },
+      { code: '# setup\n' + OLD_CELLS[0].code, cellIndex: 2 },
+    ]);
+
+    const fingerprints = (errors: typeof before) =>
+      errors.map((e) => e.fingerprint).sort();
+    expect(fingerprints(before).every(Boolean)).toBe(true);
+    expect(fingerprints(after)).toEqual(fingerprints(before));
+    expect(after[0].line).not.toBe(before[0].line);
+  });
+
+  test('fingerprints depend on the enclosing symbol', () => {
+    const [top] = engine.lintCode('value = missing');
+    const [nested] = engine.lintCode('def f():\n    value = missing');
+
+    expect(top.msg).toBe(nested.msg);
+    expect(top.fingerprint).not.toBe(nested.fingerprint);
+  });
+
+  test('hides baselined findings and reports only new ones', () => {
+    const baseline = createBaseline(engine.lintNotebook(OLD_CELLS));
+    engine.loadBaseline(baseline);
+
+    expect(engine.lintNotebook(OLD_CELLS)).toEqual([]);
+
+    const errors = engine.lintNotebook([
+      OLD_CELLS[0],
+      { code: OLD_CELLS[1].code + '\nprint(missing, other)', cellIndex: 1 },
+    ]);
+    // One more copy of a recorded finding is new, like the new name
+    expect(errors.map((e) => e.msg)).toEqual([
+      "Undefined variable 'missing'",
+      "Undefined variable 'other'",
+    ]);
+    expect(engine.getBaselineReport()!.fixed).toEqual([]);
+  });
+
+  test('reports baseline entries that were fixed', () => {
+    const baseline = createBaseline(engine.lintNotebook(OLD_CELLS));
+    expect(baseline.entries.find((e) => e.count === 2)).toMatchObject({
+      rule: 'undefinedVariables',
+      msg: "Undefined variable 'missing'",
+    });
+    engine.loadBaseline(baseline);
+
+    engine.lintNotebook([
+      { code: 'import os\nprint(os.sep)', cellIndex: 0 },
+      { code: 'print(missing)', cellIndex: 1 },
+    ]);
+    const report = engine.getBaselineReport()!;
+
+    expect(report.suppressed).toHaveLength(1);
+    expect(report.fixed.map((e) => [e.rule, e.count])).toEqual(
+      expect.arrayContaining([
+        ['importIssues', 1],
+        ['missingReturn', 1],
+        ['undefinedVariables', 1],
+      ])
+    );
+  });
+
+  test('round-trips through JSON and rejects malformed baselines', () => {
+    const baseline = createBaseline(engine.lintNotebook(OLD_CELLS));
+    expect(parseBaseline(JSON.parse(JSON.stringify(baseline)))).toEqual(
+      baseline
+    );
+
+    expect(() => engine.loadBaseline({ version: 2, entries: [] })).toThrow(
+      /unsupported version 2/
+    );
+    expect(() =>
+      parseBaseline({ version: 1, entries: [{ fingerprint: 'x', count: 0 }] })
+    ).toThrow(/entry 0 needs a fingerprint and a positive count/);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for diagnostic ranges (column, endLine, endColumn)
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { LintError } from '../types';
+
+/**
+ * Gets the text a finding points at
+ * @param code - Linted code
+ * @param error - Finding (lint offset 0)
+ * @returns Text between the start and end of the finding
+ */
+function rangeText(code: string, error: LintError): string {
+  const lines = code.split('\n');
+  const start =
+    lines.slice(0, error.line - 1).join('\n').length +
+    (error.line > 1 ? 1 : 0) +
+    error.column! -
+    1;
+  const end =
+    lines.slice(0, error.endLine! - 1).join('\n').length +
+    (error.endLine! > 1 ? 1 : 0) +
+    error.endColumn! -
+    1;
+  return code.slice(start, end);
+}
+
+/**
+ * Lints code with a single rule
+ * @param rule - Rule name
+ * @param code - Python code
+ * @returns Findings paired with the text they point at
+ */
+function lintRanges(rule: string, code: string): Array<[string, string]> {
+  const engine = new LintEngine({ rules: [rule] });
+  return engine
+    .lintCode(code)
+    .map((error) => [error.msg, rangeText(code, error)]);
+}
+
+describe('Diagnostic ranges', () => {
+  test('undefined names point at the name', () => {
+    expect(lintRanges('undefinedVariables', 'x = 1\nprint(x + yy)')).toEqual([
+      ["Undefined variable 'yy'", 'yy'],
+    ]);
+  });
+
+  test('brackets point at the offending bracket', () => {
+    expect(lintRanges('unclosedBrackets', 'print(x))\ny = [1, (2)')).toEqual([
+      ["Unmatched closing ')'", ')'],
+      ["Unclosed '[' (opened at column 5)", '['],
+    ]);
+  });
+
+  test('definition findings point at the name', () => {
+    expect(
+      lintRanges(
+        'duplicateFunctions',
+        'def load():\n    pass\n\ndef load():\n    pass'
+      )
+    ).toEqual([
+      ["Duplicate function name 'load' (first defined at line 1)", 'load'],
+    ]);
+    expect(
+      lintRanges('missingReturn', 'def get_total(rows):\n    total = sum(rows)')
+    ).toEqual([
+      [
+        "Function 'get_total' appears to compute a value but has no return statement",
+        'get_total',
+      ],
+    ]);
+    expect(
+      lintRanges('redefinedVariables', '  for list in rows:\n    pass')
+    ).toEqual([["Loop variable 'list' shadows built-in", 'list']]);
+    expect(
+      lintRanges(
+        'redefinedVariables',
+        'rows, max = load()\n\nclass rows(\n    Base):\n    pass'
+      )
+    ).toEqual([
+      ["Redefining built-in name 'max'", 'max'],
+      ["Class 'rows' redefines variable (previously at line 1)", 'rows'],
+    ]);
+  });
+
+  test('import findings point at the alias or statement', () => {
+    const code = 'import os\nx = 1\nfrom numpy import *\nimport os as o2, sys';
+    expect(lintRanges('importIssues', code)).toEqual(
+      expect.arrayContaining([
+        [
+          'Import statement should be at the top of the file/cell',
+          'from numpy import *',
+        ],
+        ["Wildcard import 'from X import *' is discouraged", '*'],
+        ["Imported 'o2' is unused", 'os as o2'],
+      ])
+    );
+  });
+
+  test('indentation findings point at the indentation', () => {
+    expect(lintRanges('indentationErrors', 'if x:\n\t  y = 1')).toEqual(
+      expect.arrayContaining([['Mixed tabs and spaces in indentation', '\t  ']])
+    );
+    expect(lintRanges('indentationErrors', 'if x:\ny = 1')).toEqual([
+      ['Expected indented block after colon', 'y = 1'],
+    ]);
+  });
+
+  test('cell findings span the cell content', () => {
+    expect(lintRanges('emptyCells', '\n# just notes\n# more notes\n')).toEqual([
+      ['Cell 1 contains only comments', '# just notes\n# more notes'],
+    ]);
+  });
+
+  test('custom rules without a range get the line content', () => {
+    const engine = new LintEngine([
+      {
+        name: 'noPrint',
+        run: (code, cellOffset) => [
+          { line: 2 + cellOffset, msg: 'No print', severity: 'warning' },
+        ],
+      },
+    ]);
+    const code = 'x = 1\n    print(x)  \n';
+    const [error] = engine.lintCode(code);
+
+    expect(error).toMatchObject({
+      line: 2,
+      column: 5,
+      endLine: 2,
+      endColumn: 13,
+    });
+    expect(rangeText(code, error)).toBe('print(x)');
+  });
+
+  test('unused suppressions point at the comment', () => {
+    const engine = new LintEngine({
+      rules: ['undefinedVariables'],
+      reportUnusedSuppressions: true,
+    });
+    const code = 'x = 1  # noqa';
+    const [error] = engine.lintCode(code);
+
+    expect(rangeText(code, error)).toBe('# noqa');
+  });
+
+  test('cached results keep their ranges when cells move', () => {
+    const engine = new LintEngine({
+      rules: ['undefinedVariables'],
+      incremental: true,
+    });
+    const cell = { code: 'print(\n  missing)', cellIndex: 1 };
+
+    engine.lintNotebook([{ code: 'a = 1', cellIndex: 0 }, cell]);
+    const [moved] = engine.lintNotebook([
+      { code: '# setup\na = 1', cellIndex: 0 },
+      cell,
+    ]);
+
+    expect(engine.getCacheStats().hits).toBe(1);
+    expect(moved).toMatchObject({
+      line: 4,
+      column: 3,
+      endLine: 4,
+      endColumn: 10,
+      cellLine: 2,
+    });
+  });
+});
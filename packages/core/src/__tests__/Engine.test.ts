@@ -0,0 +1,128 @@
+/**
+ * Tests for the common Engine interface
+ */
+
+import { BuiltinEngine } from '../engines/BuiltinEngine';
+import { Engine, getErrorStats } from '../engines/Engine';
+import { Flake8Engine } from '../engines/Flake8Engine';
+import { LintEngine } from '../engines/LintEngine';
+import { WorkerLintEngine, createInThreadLintWorker } from '../worker';
+
+describe.each<[string, () => Engine]>([
+  ['BuiltinEngine', () => new BuiltinEngine()],
+  ['WorkerLintEngine', () => new WorkerLintEngine(createInThreadLintWorker())],
+])('Engine interface: %s', (_name, createEngine) => {
+  const cells = [
+    { code: 'import os\nx = 1', cellIndex: 0 },
+    { code: 'print(x, y)', cellIndex: 1 },
+  ];
+  let engine: Engine;
+
+  beforeEach(async () => {
+    engine = createEngine();
+    await engine.load();
+  });
+
+  afterEach(() => {
+    engine.dispose();
+  });
+
+  test('lints notebooks and cells like LintEngine', async () => {
+    const reference = new LintEngine();
+
+    expect(engine.isReady()).toBe(true);
+    expect(await engine.lintNotebook(cells)).toEqual(
+      reference.lintNotebook(cells)
+    );
+    expect(await engine.lintCell('print(y)', 4, 2)).toEqual(
+      reference.lintCell('print(y)', 4, 2).errors
+    );
+  });
+
+  test('configures, profiles and streams progress', async () => {
+    expect(engine.capabilities).toMatchObject({
+      configurable: true,
+      profiling: true,
+      streaming: true,
+    });
+    await engine.configure!({ rules: ['undefinedVariables'], profile: true });
+
+    const onProgress = jest.fn();
+    const errors = await engine.lintNotebook(cells, { onProgress });
+    expect(errors.map((error) => error.msg)).toEqual([
+      "Undefined variable 'y'",
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(errors, {
+      lintedCells: 2,
+      totalCells: 2,
+    });
+    expect(engine.getProfile!()).toMatchObject({ lintedCells: 2 });
+    expect(engine.getStats(errors).byRule).toEqual({ undefinedVariables: 1 });
+  });
+
+  test('rejects with an AbortError when the signal fires', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      engine.lintNotebook(cells, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('rejects every call once disposed', async () => {
+    engine.dispose();
+
+    expect(engine.isReady()).toBe(false);
+    const disposed =
+      'The builtin engine was disposed; create a new one to lint';
+    await expect(engine.load()).rejects.toThrow(disposed);
+    await expect(engine.lintNotebook(cells)).rejects.toThrow(disposed);
+    await expect(engine.lintCell('print(y)')).rejects.toThrow(disposed);
+    await expect(engine.configure!({ rules: [] })).rejects.toThrow(disposed);
+  });
+});
+
+describe('BuiltinEngine', () => {
+  test('yields between cells so an abort lands mid-run', async () => {
+    const engine = new BuiltinEngine();
+    const cells = [0, 1, 2].map((cellIndex) => ({
+      code: `x${cellIndex} = 1`,
+      cellIndex,
+    }));
+    const controller = new AbortController();
+    const onProgress = jest.fn();
+
+    setTimeout(() => controller.abort(), 0);
+    await expect(
+      engine.lintNotebook(cells, { signal: controller.signal, onProgress })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    expect(onProgress).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Engine lifecycle: Flake8Engine', () => {
+  test('rejects lints once disposed instead of loading again', async () => {
+    const engine = new Flake8Engine();
+    engine.dispose();
+
+    expect(engine.isReady()).toBe(false);
+    await expect(engine.lintCell('x = 1')).rejects.toThrow(
+      'The flake8 engine was disposed; create a new one to lint'
+    );
+    await expect(
+      engine.lintNotebook([{ code: 'x = 1', cellIndex: 0 }])
+    ).rejects.toThrow('The flake8 engine was disposed');
+  });
+});
+
+describe('Engine statistics', () => {
+  test('flake8 findings are counted by code, like in reports', () => {
+    const stats = getErrorStats([
+      { line: 1, msg: 'a', severity: 'warning', rule: 'flake8', code: 'E501' },
+      { line: 2, msg: 'b', severity: 'error', rule: 'undefinedVariables' },
+    ]);
+
+    expect(stats.byRule).toEqual({ 'flake8/E501': 1, undefinedVariables: 1 });
+    expect(new Flake8Engine().getStats([])).toEqual(getErrorStats([]));
+  });
+});
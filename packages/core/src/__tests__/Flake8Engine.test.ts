@@ -0,0 +1,302 @@
+/**
+ * Tests for the Flake8 engine's options and severities (Pyodide itself
+ * doesn't run under Jest)
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { INTERNAL_RULE } from '../diagnostics';
+import {
+  FLAKE8_PLUGINS,
+  FLAKE8_WHEELS,
+  Flake8Engine,
+  assertBundledURL,
+  getFlake8Severity,
+  validateFlake8Options,
+} from '../engines/Flake8Engine';
+
+describe('Flake8Engine', () => {
+  test('maps codes to severities', () => {
+    expect(getFlake8Severity('E999')).toBe('error');
+    expect(getFlake8Severity('F821')).toBe('error');
+    expect(getFlake8Severity('F632')).toBe('error');
+    expect(getFlake8Severity('F706')).toBe('error');
+    expect(getFlake8Severity('F401')).toBe('warning');
+    expect(getFlake8Severity('C901')).toBe('warning');
+    expect(getFlake8Severity('W605')).toBe('warning');
+    expect(getFlake8Severity('E501')).toBe('info');
+    expect(getFlake8Severity('W291')).toBe('info');
+    expect(getFlake8Severity('B006')).toBe('warning');
+    expect(getFlake8Severity('B023')).toBe('warning');
+    expect(getFlake8Severity('B950')).toBe('info');
+    expect(getFlake8Severity('N802')).toBe('info');
+    expect(getFlake8Severity('C416')).toBe('info');
+    expect(getFlake8Severity('SIM102')).toBe('info');
+  });
+
+  test('validates options', () => {
+    expect(() =>
+      validateFlake8Options({
+        select: ['E', 'F', 'C90'],
+        ignore: ['E203'],
+        maxLineLength: 100,
+        maxComplexity: 10,
+      })
+    ).not.toThrow();
+    expect(() => validateFlake8Options({ maxLineLength: 0 })).toThrow(
+      'Invalid flake8 option maxLineLength: expected a positive integer, got 0'
+    );
+    expect(() => validateFlake8Options({ ignore: ['e501'] })).toThrow(
+      `Invalid flake8 option ignore: expected a list of codes like 'E501' or 'W', got ["e501"]`
+    );
+    expect(() => new Flake8Engine({ maxComplexity: 2.5 })).toThrow(
+      'maxComplexity'
+    );
+    expect(() =>
+      validateFlake8Options({ plugins: ['bugbear', 'simplify'] })
+    ).not.toThrow();
+    expect(() =>
+      validateFlake8Options({ plugins: ['bandit' as 'bugbear'] })
+    ).toThrow(
+      `Invalid flake8 option plugins: expected some of 'bugbear', 'naming', 'comprehensions', 'simplify', got ["bandit"]`
+    );
+  });
+
+  test('setOptions replaces the options', () => {
+    const engine = new Flake8Engine({ maxLineLength: 100 });
+    engine.setOptions({ select: ['F'] });
+
+    expect(engine.getOptions()).toEqual({ select: ['F'] });
+    expect(() => engine.setOptions({ select: ['E 5'] })).toThrow();
+    expect(engine.getOptions()).toEqual({ select: ['F'] });
+  });
+});
+
+describe('Flake8Engine bundle', () => {
+  const pyodideDir = path.join(__dirname, '..', 'pyodide');
+
+  test('every wheel it installs is bundled', () => {
+    FLAKE8_WHEELS.forEach((wheel) => {
+      expect(wheel.fileName.startsWith(`${wheel.name}-${wheel.version}-`)).toBe(
+        true
+      );
+      expect(fs.existsSync(path.join(pyodideDir, wheel.fileName))).toBe(true);
+    });
+  });
+
+  test('plugin wheels are bundled and named after their distribution', () => {
+    const missing: string[] = [];
+    FLAKE8_PLUGINS.forEach((plugin) => {
+      plugin.wheels.forEach((wheel) => {
+        const distribution = wheel.name.replace(/-/g, '_');
+        expect(wheel.fileName).toMatch(
+          new RegExp(`^${distribution}-${wheel.version}-.*\\.whl$`)
+        );
+        if (!fs.existsSync(path.join(pyodideDir, wheel.fileName))) {
+          missing.push(wheel.fileName);
+        }
+      });
+      expect(() =>
+        validateFlake8Options({ ignore: plugin.codes })
+      ).not.toThrow();
+    });
+    expect(missing).toEqual([]);
+  });
+
+  test('refuses URLs outside the bundle', () => {
+    const indexURL = 'chrome-extension://abcdef/pyodide/';
+
+    expect(() =>
+      assertBundledURL(`${indexURL}flake8-6.1.0-py2.py3-none-any.whl`, indexURL)
+    ).not.toThrow();
+    expect(() =>
+      assertBundledURL(
+        'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js',
+        indexURL
+      )
+    ).toThrow('only files bundled with the extension are loaded');
+    expect(() =>
+      assertBundledURL(
+        'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js',
+        'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/'
+      )
+    ).toThrow('Flake8Engine refused to load');
+  });
+
+  test('load fails without the extension bundle', async () => {
+    await expect(new Flake8Engine().load()).rejects.toThrow(
+      'chrome.runtime.getURL is unavailable'
+    );
+  });
+});
+
+describe('Flake8Engine with a stand-in Pyodide', () => {
+  const globals = globalThis as any;
+  const versions = Object.fromEntries(
+    [
+      ...FLAKE8_WHEELS,
+      ...FLAKE8_PLUGINS.flatMap((plugin) => plugin.wheels),
+    ].map((wheel) => [wheel.name, wheel.version])
+  );
+  let commands: string[];
+  let findings: unknown[];
+  /** Text of the Python commands made to throw */
+  let failOn: string | null;
+
+  beforeEach(() => {
+    commands = [];
+    findings = [];
+    failOn = null;
+    // Stands in for Pyodide: flake8 reports every finding (--disable-noqa)
+    const pyodide = {
+      loadPackage: async () => undefined,
+      runPythonAsync: async (code: string) => {
+        commands.push(code);
+        if (failOn && code.includes(failOn)) {
+          throw new Error(`PythonError: failed on '${failOn}'`);
+        }
+        if (code.includes('importlib.metadata')) {
+          return JSON.stringify(versions);
+        }
+        if (code.startsWith('lint_cell(')) {
+          return JSON.stringify(findings);
+        }
+        return '';
+      },
+    };
+    globals.chrome = {
+      runtime: { getURL: (file: string) => `chrome-extension://test/${file}` },
+    };
+    globals.window = { loadPyodide: async () => pyodide };
+  });
+
+  afterEach(() => {
+    delete globals.chrome;
+    delete globals.window;
+  });
+
+  test('noqa comments apply the same way as under LintEngine', async () => {
+    findings = [
+      { line: 1, column: 1, code: 'F401', msg: "'os' imported but unused" },
+      { line: 2, column: 5, code: 'F821', msg: "undefined name 'y'" },
+      { line: 3, column: 5, code: 'F821', msg: "undefined name 'w'" },
+    ];
+    const engine = new Flake8Engine();
+    const errors = await engine.lintCell(
+      [
+        'import os  # noqa: F4',
+        'x = y  # noqa: undefinedVariables',
+        'z = w  # kaggle-lint: disable=F821',
+      ].join('\n')
+    );
+
+    expect(commands).toContainEqual(
+      expect.stringMatching(/^configure_flake8\(.*--disable-noqa/)
+    );
+    expect(errors.map(({ line, code }) => [line, code])).toEqual([[2, 'F821']]);
+  });
+
+  test('plugin codes come out of the runner once the plugins are on', async () => {
+    findings = [
+      {
+        line: 1,
+        column: 1,
+        code: 'N802',
+        msg: "function name 'Load' should be lowercase",
+      },
+      {
+        line: 1,
+        column: 10,
+        code: 'B006',
+        msg: 'Do not use mutable data structures for argument defaults',
+      },
+      {
+        line: 2,
+        column: 12,
+        code: 'C416',
+        msg: 'Unnecessary list comprehension - rewrite using list().',
+      },
+      {
+        line: 3,
+        column: 5,
+        code: 'SIM108',
+        msg: 'Use ternary operator instead of if-else-block',
+      },
+    ];
+    const engine = new Flake8Engine({
+      plugins: ['bugbear', 'naming', 'comprehensions', 'simplify'],
+    });
+    const code = 'def Load(rows=[]):\n    return [r for r in rows]\n    x = 1';
+    const errors = await engine.lintCell(code);
+
+    // Every plugin wheel is installed from the bundle, without dependencies
+    FLAKE8_PLUGINS.flatMap((plugin) => plugin.wheels).forEach((wheel) => {
+      expect(commands).toContainEqual(
+        expect.stringContaining(
+          `chrome-extension://test/pyodide/${wheel.fileName}`
+        )
+      );
+    });
+    expect(errors.map(({ code, severity }) => [code, severity])).toEqual([
+      ['N802', 'info'],
+      ['B006', 'warning'],
+      ['C416', 'info'],
+      ['SIM108', 'info'],
+    ]);
+
+    // Turning a plugin off ignores its codes instead of reinstalling flake8
+    engine.setOptions({ plugins: ['bugbear'] });
+    await engine.lintCell(code);
+    expect(commands[commands.length - 2]).toMatch(
+      /^configure_flake8\(.*--extend-ignore=N8,C4,SIM/
+    );
+  });
+
+  test('a plugin that fails to install is reported on the lint', async () => {
+    findings = [
+      { line: 1, column: 1, code: 'F401', msg: "'os' imported but unused" },
+    ];
+    failOn = 'flake8_bugbear-23.9.16-py3-none-any.whl';
+    const engine = new Flake8Engine({ plugins: ['bugbear', 'naming'] });
+    const errors = await engine.lintNotebook([
+      { code: 'import os', cellIndex: 0 },
+      { code: 'import os', cellIndex: 1 },
+    ]);
+
+    expect(errors.map(({ rule, cellIndex }) => [rule, cellIndex])).toEqual([
+      [INTERNAL_RULE, 0],
+      ['flake8', 0],
+      ['flake8', 1],
+    ]);
+    expect(errors[0]).toMatchObject({
+      msg: expect.stringMatching(
+        /^Rule 'flake8\/bugbear' could not be loaded on cell 1: Error: Flake8Engine could not install its bundled wheels: .*flake8_bugbear-23\.9\.16.*; skipped for the rest of this run$/
+      ),
+      internal: expect.objectContaining({ kind: 'unavailable' }),
+    });
+
+    // The next lint tries again
+    failOn = null;
+    const retried = await engine.lintCell('import os');
+    expect(retried.map((error) => error.rule)).toEqual(['flake8']);
+  });
+  test('a runner failure is reported instead of a clean cell', async () => {
+    failOn = 'lint_cell("';
+    const engine = new Flake8Engine();
+    const errors = await engine.lintNotebook([
+      { code: 'x = 1', cellIndex: 0 },
+      { code: 'y = 2', cellIndex: 3 },
+    ]);
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        rule: INTERNAL_RULE,
+        cellIndex: 0,
+        cellLine: 1,
+        msg: "Rule 'flake8' crashed on cell 1: Error: PythonError: failed on 'lint_cell(\"'",
+        internal: expect.objectContaining({ kind: 'crash', rule: 'flake8' }),
+      }),
+      expect.objectContaining({ rule: INTERNAL_RULE, cellIndex: 3, line: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the IPython syntax preprocessor
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { preprocessIPython } from '../preprocessor';
+
+describe('preprocessIPython', () => {
+  test('rewrites shell commands and line magics into placeholders', () => {
+    const source = [
+      '%matplotlib inline',
+      '!pip install -q lightgbm',
+      'files = !ls data',
+      'for name in files:',
+      '    !echo {name}',
+      'x = 1 % 2',
+    ].join('\n');
+
+    const { code, ipythonLines } = preprocessIPython(source);
+    expect(code.split('\n')).toEqual([
+      '...',
+      '...',
+      'files = ...',
+      'for name in files:',
+      '    ...',
+      'x = 1 % 2',
+    ]);
+    expect(ipythonLines).toEqual([
+      { line: 1, syntax: 'magic' },
+      { line: 2, syntax: 'shell' },
+      { line: 3, syntax: 'shell' },
+      { line: 5, syntax: 'shell' },
+    ]);
+  });
+
+  test('names bound by magics keep their columns', () => {
+    expect(preprocessIPython('%%capture --no-stderr out\nrun()').code).toBe(
+      `(${' '.repeat(21)}out)=...\nrun()`
+    );
+    expect(preprocessIPython('%store -r model  scores').code).toBe(
+      '(         model, scores)=...'
+    );
+  });
+
+  test('blanks the body of cell magics that are not Python', () => {
+    const { code, ipythonLines } = preprocessIPython(
+      '\n%%bash\nls -la\n\necho "done'
+    );
+
+    expect(code).toBe('\n...\n\n\n');
+    expect(ipythonLines.map((line) => line.line)).toEqual([2, 3, 5]);
+  });
+
+  test('drops help marks, keeping the expression', () => {
+    const { code, ipythonLines } = preprocessIPython(
+      [
+        'df.head?',
+        'np.mean??  # docs',
+        '??pd.merge',
+        'q = "why?"  # how?',
+      ].join('\n')
+    );
+
+    expect(code.split('\n')).toEqual([
+      'df.head',
+      'np.mean    # docs',
+      '...',
+      'q = "why?"  # how?',
+    ]);
+    expect(ipythonLines).toEqual([
+      { line: 1, syntax: 'help' },
+      { line: 2, syntax: 'help' },
+      { line: 3, syntax: 'help' },
+    ]);
+  });
+
+  test('leaves strings and continued expressions alone', () => {
+    const source = [
+      'usage = """',
+      '!not a command',
+      '%also not',
+      '"""',
+      'same = (a',
+      '        != b)',
+    ].join('\n');
+
+    expect(preprocessIPython(source)).toEqual({
+      source,
+      code: source,
+      ipythonLines: [],
+    });
+  });
+});
+
+describe('LintEngine with IPython syntax', () => {
+  test('magics bind names and are not reported', () => {
+    const engine = new LintEngine();
+    const errors = engine.lintNotebook([
+      { code: '%%capture out\n!pip install lightgbm', cellIndex: 0 },
+      { code: 'files = !ls\nif files:\n    !ls -la', cellIndex: 1 },
+      { code: 'print(out.stdout, files)\nfiles?', cellIndex: 2 },
+      { code: '%%html\n<b>done</b>', cellIndex: 3 },
+    ]);
+
+    expect(errors).toEqual([]);
+  });
+
+  test('the body of a Python cell magic is linted', () => {
+    const engine = new LintEngine({ rules: ['undefinedVariables'] });
+
+    expect(engine.lintCode('%%time\nmodel.fit(X)')).toEqual([
+      expect.objectContaining({ line: 2, msg: "Undefined variable 'model'" }),
+      expect.objectContaining({ line: 2, msg: "Undefined variable 'X'" }),
+    ]);
+  });
+});
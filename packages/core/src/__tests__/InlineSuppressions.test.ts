@@ -0,0 +1,101 @@
+/**
+ * Tests for inline suppression comments
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import {
+  applySuppressions,
+  parseSuppressions,
+  UNUSED_SUPPRESSION_RULE,
+} from '../suppressions';
+
+describe('InlineSuppressions', () => {
+  let engine: LintEngine;
+
+  beforeEach(() => {
+    engine = new LintEngine();
+  });
+
+  test('bare noqa silences every finding on the line', () => {
+    const errors = engine.lintCode('x = y + 1  # noqa');
+    expect(errors).toHaveLength(0);
+  });
+
+  test('noqa with rule names only silences those rules', () => {
+    const silenced = engine.lintCode('x = y  # noqa: undefinedVariables');
+    expect(silenced).toHaveLength(0);
+
+    const other = engine.lintCode('x = y  # noqa: missingReturn');
+    expect(other.some((e) => e.rule === 'undefinedVariables')).toBe(true);
+  });
+
+  test('cell-level disable covers the whole cell', () => {
+    const code = [
+      '# kaggle-lint: disable=undefinedVariables',
+      'a = b',
+      'c = d',
+    ].join('\n');
+    expect(engine.lintCode(code)).toHaveLength(0);
+  });
+
+  test('disable/enable pairs cover only the block', () => {
+    const code = [
+      'a = 1',
+      '# kaggle-lint: disable=undefinedVariables',
+      'b = missing_one',
+      '# kaggle-lint: enable=undefinedVariables',
+      'c = missing_two',
+    ].join('\n');
+    const errors = engine.lintCode(code);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].line).toBe(5);
+  });
+
+  test('misspelled directives disable nothing', () => {
+    const code = [
+      'a = 1',
+      '# kaggle-lint: disable-next-line',
+      'b = missing_one',
+      '# kaggle-lint: disabled',
+      'c = missing_two',
+    ].join('\n');
+
+    expect(parseSuppressions(code)).toEqual([]);
+    expect(engine.lintCode(code).map((e) => e.line)).toEqual([3, 5]);
+  });
+
+  test('ignores look-alike comments inside strings', () => {
+    const errors = engine.lintCode('x = y + len("# noqa")');
+    expect(errors.some((e) => e.rule === 'undefinedVariables')).toBe(true);
+  });
+
+  test('reports unused suppressions when enabled', () => {
+    const reporting = new LintEngine({ reportUnusedSuppressions: true });
+    const errors = reporting.lintCode('x = 1  # noqa: undefinedVariables');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].rule).toBe(UNUSED_SUPPRESSION_RULE);
+    expect(errors[0].severity).toBe('info');
+    expect(engine.lintCode('x = 1  # noqa: undefinedVariables')).toHaveLength(
+      0
+    );
+  });
+
+  test('matches flake8 codes by prefix and honors the cell offset', () => {
+    const suppressions = parseSuppressions('import os  # noqa: F4\n');
+    const { errors, suppressed, unused } = applySuppressions(
+      [
+        { line: 11, msg: 'unused', severity: 'warning', code: 'F401' },
+        { line: 12, msg: 'other', severity: 'warning', code: 'F401' },
+      ],
+      suppressions,
+      10
+    );
+
+    expect(suppressed).toHaveLength(1);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].line).toBe(12);
+    expect(unused).toHaveLength(0);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for rule crash diagnostics and the rule circuit breaker
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import {
+  INTERNAL_RULE,
+  RULE_CRASH_LIMIT,
+  RuleCircuitBreaker,
+  getCrashReason,
+} from '../diagnostics';
+import { createBaseline } from '../baseline';
+import { LintRule } from '../types';
+
+describe('InternalDiagnostics', () => {
+  let runs: number;
+  let engine: LintEngine;
+
+  const crashingRule: LintRule = {
+    name: 'crashing',
+    run(code) {
+      runs++;
+      if (code.includes('boom')) {
+        throw new TypeError(
+          "Cannot read properties of undefined (reading 'id')"
+        );
+      }
+      return [{ line: 1, msg: 'ran', severity: 'info' }];
+    },
+  };
+
+  beforeEach(() => {
+    runs = 0;
+    engine = new LintEngine();
+    engine.registerRule(crashingRule);
+  });
+
+  test('a rule crash is reported as an internal finding', () => {
+    const errors = engine.lintNotebook([
+      { code: 'import os', cellIndex: 0 },
+      { code: 'boom = 1  # noqa\nprint(w)', cellIndex: 1 },
+    ]);
+    const internal = errors.filter((error) => error.rule === INTERNAL_RULE);
+
+    // noqa silences findings, not crashes
+    expect(internal).toEqual([
+      expect.objectContaining({
+        line: 2,
+        cellIndex: 1,
+        cellLine: 1,
+        severity: 'warning',
+        msg: "Rule 'crashing' crashed on cell 2: TypeError: Cannot read properties of undefined (reading 'id')",
+        internal: {
+          kind: 'crash',
+          rule: 'crashing',
+          reason:
+            "TypeError: Cannot read properties of undefined (reading 'id')",
+          disabled: false,
+        },
+      }),
+    ]);
+    expect(internal[0].fingerprint).toBeUndefined();
+    // Other rules still ran on the cell
+    expect(errors).toContainEqual(
+      expect.objectContaining({ rule: 'undefinedVariables', cellIndex: 1 })
+    );
+  });
+
+  test('the circuit breaker disables a rule after repeated crashes', () => {
+    for (let i = 1; i < RULE_CRASH_LIMIT; i++) {
+      expect(engine.lintCode('boom = 1')[0].internal?.disabled).toBe(false);
+    }
+    const [last] = engine.lintCode('boom = 1');
+    expect(last.internal?.disabled).toBe(true);
+    expect(last.msg).toMatch(/; rule disabled for this session$/);
+    expect(engine.getRuleCrashes()).toEqual([
+      expect.objectContaining({
+        rule: 'crashing',
+        count: RULE_CRASH_LIMIT,
+        disabled: true,
+      }),
+    ]);
+
+    // Disabled for the session: not run any more, even after configure()
+    runs = 0;
+    engine.configure({ severityLevels: { crashing: 'error' } });
+    expect(engine.lintCode('boom = 1')).toEqual([]);
+    expect(engine.lintCode('x = 1')).toEqual([]);
+    expect(runs).toBe(0);
+
+    engine.resetRuleCrashes();
+    expect(engine.getRuleCrashes()).toEqual([]);
+    expect(engine.lintCode('x = 1')).toEqual([
+      expect.objectContaining({ rule: 'crashing', severity: 'error' }),
+    ]);
+  });
+
+  test('cells where a rule crashed are not cached', () => {
+    engine.configure({ incremental: true });
+    const cells = [
+      { code: 'x = 1', cellIndex: 0 },
+      { code: 'boom = 1', cellIndex: 1 },
+    ];
+    for (let i = 0; i < RULE_CRASH_LIMIT; i++) {
+      engine.lintNotebook(cells);
+    }
+    expect(engine.getCacheStats()).toMatchObject({ size: 1, misses: 1 });
+
+    // Once disabled, the rule's crash is not replayed
+    const errors = engine.lintNotebook(cells);
+    expect(errors.filter((error) => error.rule === INTERNAL_RULE)).toEqual([]);
+    expect(engine.getCacheStats()).toMatchObject({ size: 2, hits: 1 });
+  });
+
+  test('crashes are never recorded in a baseline', () => {
+    const errors = engine.lintCode('boom = 1');
+    expect(createBaseline(errors).entries).toEqual([]);
+  });
+
+  test('getCrashReason keeps the first line of the exception, shortened', () => {
+    expect(getCrashReason(new RangeError('bad\n  at stack'))).toBe(
+      'RangeError: bad'
+    );
+    expect(getCrashReason('plain string')).toBe('plain string');
+    expect(getCrashReason(undefined)).toBe('unknown error');
+    expect(getCrashReason(new Error('x'.repeat(200)))).toHaveLength(120);
+  });
+
+  test('RuleCircuitBreaker counts crashes per rule', () => {
+    const breaker = new RuleCircuitBreaker(2);
+    breaker.recordCrash('a', new Error('one'));
+    breaker.recordCrash('b', new Error('two'));
+    expect(breaker.isDisabled('a')).toBe(false);
+    expect(breaker.recordCrash('a', new Error('three')).disabled).toBe(true);
+    expect(breaker.isDisabled('a')).toBe(true);
+    expect(breaker.isDisabled('b')).toBe(false);
+    expect(
+      breaker.getCrashes().map(({ rule, count }) => [rule, count])
+    ).toEqual([
+      ['a', 2],
+      ['b', 1],
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for shareable config loading and merging
+ */
+
+import {
+  extractCellConfig,
+  extractMetadataConfig,
+  parseConfigFile,
+  resolveConfig,
+  toEngineConfig,
+} from '../config';
+import { LintEngine } from '../engines/LintEngine';
+
+describe('LintConfig', () => {
+  test('parses .kagglelintrc.json contents', () => {
+    const config = parseConfigFile(
+      '{"rules": {"missingReturn": false}, "severityLevels": {"undefinedVariables": "warning"}}'
+    );
+    expect(config).toEqual({
+      rules: { missingReturn: false },
+      severityLevels: { undefinedVariables: 'warning' },
+    });
+  });
+
+  test('rejects malformed configs with the source in the message', () => {
+    expect(() => parseConfigFile('{rules', 'team/.kagglelintrc.json')).toThrow(
+      /Invalid kaggle-lint config in team\/\.kagglelintrc\.json/
+    );
+    expect(() => parseConfigFile('{"rule": {}}')).toThrow(
+      /unknown key\(s\) 'rule'/
+    );
+    expect(() => parseConfigFile('{"rules": {"missingReturn": "no"}}')).toThrow(
+      /rule 'missingReturn' must be true or false/
+    );
+    expect(() =>
+      parseConfigFile('{"severityLevels": {"missingReturn": "fatal"}}')
+    ).toThrow(/must be one of error, warning, info/);
+  });
+
+  test('reads notebook metadata', () => {
+    expect(extractMetadataConfig({ kernelspec: {} })).toBeNull();
+    expect(
+      extractMetadataConfig({
+        'kaggle-lint': { reportUnusedSuppressions: true },
+      })
+    ).toEqual({ reportUnusedSuppressions: true });
+  });
+
+  test('reads the config block at the top of the first cell', () => {
+    const inline = extractCellConfig(
+      '# kaggle-lint-config: {"rules": {"emptyCells": false}}\nimport os'
+    );
+    expect(inline).toEqual({ rules: { emptyCells: false } });
+
+    const block = extractCellConfig(
+      [
+        '# Shared lint policy',
+        '# kaggle-lint-config',
+        '# {',
+        '#   "severityLevels": {"missingReturn": "info"}',
+        '# }',
+        'import os',
+      ].join('\n')
+    );
+    expect(block).toEqual({ severityLevels: { missingReturn: 'info' } });
+  });
+
+  test('ignores config blocks after code and reports broken blocks', () => {
+    expect(
+      extractCellConfig('import os\n# kaggle-lint-config: {"rules": {}}')
+    ).toBeNull();
+    expect(extractCellConfig('# kaggle-lint: disable=emptyCells')).toBeNull();
+    expect(() => extractCellConfig('\n# kaggle-lint-config\nx = 1')).toThrow(
+      /first cell \(line 2\): expected JSON after '# kaggle-lint-config'/
+    );
+  });
+
+  test('merges sources with notebook configs winning over user settings', () => {
+    const config = resolveConfig({
+      user: {
+        rules: { missingReturn: false, emptyCells: false },
+        severityLevels: { undefinedVariables: 'info' },
+      },
+      file: { rules: { emptyCells: true } },
+      metadata: { severityLevels: { undefinedVariables: 'warning' } },
+      cell: { rules: { missingReturn: true } },
+    });
+
+    expect(config).toEqual({
+      rules: { missingReturn: true, emptyCells: true },
+      severityLevels: { undefinedVariables: 'warning' },
+    });
+  });
+
+  test('converts to an engine config, dropping unknown rules', () => {
+    const engine = new LintEngine();
+    const known = engine.getRules().map((rule) => rule.name);
+    const engineConfig = toEngineConfig(
+      {
+        rules: { missingReturn: false, 'myteam/no-print': false },
+        severityLevels: { unusedSuppression: 'warning' },
+      },
+      known
+    );
+
+    expect(engineConfig).toEqual({
+      rules: { missingReturn: false },
+      severityLevels: { unusedSuppression: 'warning' },
+    });
+    expect(() => engine.configure(engineConfig)).not.toThrow();
+  });
+});
@@ -27,6 +27,63 @@ describe('LintEngine', () => {
     expect(rules[0].name).toBe('undefinedVariables');
   });
 
+  test('disables rules by name', () => {
+    const configured = new LintEngine({
+      rules: { undefinedVariables: false },
+    });
+    const names = configured.getRules().map((r) => r.name);
+
+    expect(names).not.toContain('undefinedVariables');
+    expect(names.length).toBe(engine.getRules().length - 1);
+    expect(configured.lintCode('x = y + 1')).toHaveLength(0);
+  });
+
+  test('runs only allowlisted rules', () => {
+    const configured = new LintEngine({ rules: ['undefinedVariables'] });
+
+    expect(configured.getRules()).toEqual([{ name: 'undefinedVariables' }]);
+  });
+
+  test('applies config to a custom rule list', () => {
+    const configured = new LintEngine(
+      [new UndefinedVariablesRule(), new CapitalizationTyposRule()],
+      { rules: { capitalizationTypos: false } }
+    );
+
+    expect(configured.getRules()).toEqual([{ name: 'undefinedVariables' }]);
+  });
+
+  test('remaps rule severity', () => {
+    const configured = new LintEngine({
+      severityLevels: { undefinedVariables: 'info' },
+    });
+    const errors = configured.lintCode('x = y + 1');
+
+    expect(errors.length).toBeGreaterThan(0);
+    expect(
+      errors
+        .filter((e) => e.rule === 'undefinedVariables')
+        .every((e) => e.severity === 'info')
+    ).toBe(true);
+  });
+
+  test('rejects unknown rule names', () => {
+    expect(() => new LintEngine({ rules: { noSuchRule: false } })).toThrow(
+      /Unknown lint rule: noSuchRule/
+    );
+    expect(
+      () => new LintEngine({ severityLevels: { missingRetrun: 'info' } })
+    ).toThrow(/missingRetrun/);
+  });
+
+  test('reconfigures an existing engine', () => {
+    engine.configure({ rules: ['missingReturn'] });
+    expect(engine.getRules()).toEqual([{ name: 'missingReturn' }]);
+
+    engine.configure({});
+    expect(engine.getRules().length).toBeGreaterThan(1);
+  });
+
   test('lints code with multiple rules', () => {
     const code = 'x = y + 1';
     const errors = engine.lintCode(code, 0);
@@ -90,4 +147,72 @@ describe('LintEngine', () => {
     const undefinedError = errors.find((e) => e.msg.includes('w'));
     expect(undefinedError).toBeDefined();
   });
+
+  test('reuses cached results for unchanged cells', () => {
+    const incremental = new LintEngine({ incremental: true });
+    const cells = [
+      { code: 'x = 1', element: null, cellIndex: 0 },
+      { code: 'y = x + missing', element: null, cellIndex: 1 },
+      { code: 'z = y + w', element: null, cellIndex: 2 },
+    ];
+
+    const first = incremental.lintNotebook(cells);
+    expect(incremental.getCacheStats()).toMatchObject({ hits: 0, misses: 3 });
+
+    const second = incremental.lintNotebook(cells);
+    expect(incremental.getCacheStats()).toMatchObject({ hits: 3, misses: 0 });
+    expect(second).toEqual(first);
+    expect(second).toEqual(engine.lintNotebook(cells));
+  });
+
+  test('re-lints edited cells and cells whose upstream names changed', () => {
+    const incremental = new LintEngine({ incremental: true });
+    const cells = [
+      { code: 'x = 1', element: null, cellIndex: 0 },
+      { code: 'a = 2', element: null, cellIndex: 1 },
+      { code: 'print(x, w)', element: null, cellIndex: 2 },
+    ];
+    incremental.lintNotebook(cells);
+
+    // Defining 'w' upstream invalidates the cell that uses it
+    cells[1] = { code: 'a = 2\nw = 3', element: null, cellIndex: 1 };
+    const errors = incremental.lintNotebook(cells);
+
+    expect(incremental.getCacheStats()).toMatchObject({ hits: 1, misses: 2 });
+    expect(errors.some((e) => e.msg.includes("'w'"))).toBe(false);
+  });
+
+  test('rebases cached line numbers when earlier cells grow', () => {
+    const incremental = new LintEngine({ incremental: true });
+    const cells = [
+      { code: 'x = 1', element: null, cellIndex: 0 },
+      { code: 'flag = true', element: null, cellIndex: 1 },
+    ];
+    incremental.lintNotebook(cells);
+
+    // A comment defines nothing, so the second cell stays cached
+    cells[0] = { code: '# setup\nx = 1', element: null, cellIndex: 0 };
+    const errors = incremental.lintNotebook(cells);
+    const typo = errors.find((e) => e.rule === 'capitalizationTypos')!;
+
+    expect(incremental.getCacheStats()).toMatchObject({ hits: 1, misses: 1 });
+    expect(typo.line).toBe(3);
+    expect(typo.cellLine).toBe(1);
+    expect(typo.fix!.edits[0].line).toBe(3);
+  });
+
+  test('clears the cache when the config changes', () => {
+    const incremental = new LintEngine({ incremental: true });
+    const cells = [{ code: 'x = y', element: null, cellIndex: 0 }];
+    incremental.lintNotebook(cells);
+
+    incremental.configure({
+      incremental: true,
+      severityLevels: { undefinedVariables: 'info' },
+    });
+    const errors = incremental.lintNotebook(cells);
+
+    expect(incremental.getCacheStats().misses).toBe(1);
+    expect(errors[0].severity).toBe('info');
+  });
 });
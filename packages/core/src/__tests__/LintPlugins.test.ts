@@ -0,0 +1,136 @@
+/**
+ * Tests for third-party rule plugins
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { getPluginRuleMetadata } from '../plugins';
+import { LintPlugin, LintRule } from '../types';
+
+/**
+ * Creates a rule reporting every line that matches a pattern
+ */
+function patternRule(pattern: RegExp, msg: string): LintRule {
+  return {
+    name: 'ignored',
+    meta: {
+      title: msg,
+      description: msg,
+      category: 'style',
+      defaultSeverity: 'warning',
+      fixable: false,
+      examples: { bad: '', good: '' },
+    },
+    run: (code, cellOffset) =>
+      code
+        .split('\n')
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => pattern.test(line))
+        .map(({ index }) => ({
+          line: index + 1 + cellOffset,
+          msg,
+          severity: 'warning' as const,
+        })),
+  };
+}
+
+function createPlugin(): LintPlugin {
+  return {
+    name: 'myteam',
+    version: '1.0.0',
+    rules: {
+      'no-print': patternRule(/\bprint\(/, 'Use logging instead of print'),
+      'no-todo': patternRule(/TODO/, 'Resolve TODO before submitting'),
+    },
+    config: {
+      rules: { 'no-todo': false },
+      severityLevels: { 'no-print': 'info' },
+    },
+  };
+}
+
+describe('LintPlugins', () => {
+  let engine: LintEngine;
+
+  beforeEach(() => {
+    engine = new LintEngine({ rules: { undefinedVariables: false } });
+  });
+
+  test('registers plugin rules under the plugin namespace', () => {
+    engine.loadPlugin(createPlugin());
+    const errors = engine.lintCode('print(1)  # TODO');
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        rule: 'myteam/no-print',
+        severity: 'info',
+        line: 1,
+      }),
+    ]);
+    expect(engine.getPlugins()).toEqual([
+      { name: 'myteam', version: '1.0.0', description: undefined },
+    ]);
+  });
+
+  test('engine config overrides plugin defaults', () => {
+    engine.loadPlugin(createPlugin());
+    engine.configure({
+      rules: { 'myteam/no-todo': true },
+      severityLevels: { 'myteam/no-print': 'error' },
+    });
+    const errors = engine.lintCode('print(1)  # TODO');
+
+    expect(errors.map((e) => [e.rule, e.severity])).toEqual([
+      ['myteam/no-print', 'error'],
+      ['myteam/no-todo', 'warning'],
+    ]);
+  });
+
+  test('rejects a plugin loaded twice without registering anything', () => {
+    engine.loadPlugin(createPlugin());
+    const count = engine.getRules().length;
+
+    expect(() => engine.loadPlugin(createPlugin())).toThrow(
+      /'myteam' is already loaded/
+    );
+    expect(engine.getRules()).toHaveLength(count);
+  });
+
+  test('detects conflicts with registered rules', () => {
+    engine.registerRule({ ...patternRule(/x/, 'x'), name: 'myteam/no-print' });
+
+    expect(() => engine.loadPlugin(createPlugin())).toThrow(
+      /conflicts with registered rule\(s\): myteam\/no-print/
+    );
+    expect(engine.getRules().map((r) => r.name)).not.toContain(
+      'myteam/no-todo'
+    );
+  });
+
+  test('validates the plugin shape', () => {
+    expect(() =>
+      engine.loadPlugin({ ...createPlugin(), name: 'my team' })
+    ).toThrow(/Invalid lint plugin name/);
+    expect(() =>
+      engine.loadPlugin({
+        name: 'broken',
+        rules: { 'no-run': {} as LintRule },
+      })
+    ).toThrow(/has no run\(\) method/);
+    expect(() =>
+      engine.loadPlugin({
+        ...createPlugin(),
+        config: { rules: { missing: false } },
+      })
+    ).toThrow(/unknown rule\(s\): missing/);
+  });
+
+  test('exposes namespaced metadata', () => {
+    const names = getPluginRuleMetadata(createPlugin()).map((m) => m.name);
+    expect(names).toEqual(['myteam/no-print', 'myteam/no-todo']);
+
+    engine.loadPlugin(createPlugin());
+    expect(engine.getRuleMetadata().map((m) => m.name)).toEqual(
+      expect.arrayContaining(names)
+    );
+  });
+});
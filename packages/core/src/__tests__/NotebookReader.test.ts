@@ -0,0 +1,157 @@
+/**
+ * Tests for the nbformat v4 notebook reader
+ */
+
+import { getLintCells, parseNotebook } from '../notebook';
+import { LintEngine } from '../engines/LintEngine';
+
+const NOTEBOOK = {
+  nbformat: 4,
+  nbformat_minor: 5,
+  metadata: { kernelspec: { name: 'python3' } },
+  cells: [
+    {
+      id: 'intro',
+      cell_type: 'markdown',
+      metadata: {},
+      source: ['# Analysis\n', 'Loads the data'],
+    },
+    {
+      id: 'load',
+      cell_type: 'code',
+      execution_count: 3,
+      metadata: { tags: ['setup'] },
+      source: ['import pandas as pd\n', 'df = pd.read_csv("a.csv")\n', 'df'],
+      outputs: [
+        {
+          output_type: 'stream',
+          name: 'stdout',
+          text: ['loading\n', 'done\n'],
+        },
+        {
+          output_type: 'execute_result',
+          execution_count: 3,
+          metadata: {},
+          data: {
+            'text/plain': ['   a\n', '0  1'],
+            'application/json': { rows: 1 },
+          },
+        },
+      ],
+    },
+    {
+      id: 'plot',
+      cell_type: 'code',
+      execution_count: null,
+      metadata: {},
+      source: 'print(undefined_name)',
+      outputs: [
+        {
+          output_type: 'error',
+          ename: 'NameError',
+          evalue: "name 'undefined_name' is not defined",
+          traceback: ['Traceback...'],
+        },
+      ],
+    },
+  ],
+};
+
+describe('NotebookReader', () => {
+  test('reads cells with ids, metadata, execution counts and outputs', () => {
+    const notebook = parseNotebook(JSON.stringify(NOTEBOOK));
+
+    expect(notebook.nbformat).toBe(4);
+    expect(notebook.nbformatMinor).toBe(5);
+    expect(notebook.metadata).toEqual({ kernelspec: { name: 'python3' } });
+    expect(notebook.cells.map((cell) => [cell.id, cell.type])).toEqual([
+      ['intro', 'markdown'],
+      ['load', 'code'],
+      ['plot', 'code'],
+    ]);
+
+    const [intro, load, plot] = notebook.cells;
+    expect(intro.source).toBe('# Analysis\nLoads the data');
+    expect(intro.outputs).toBeUndefined();
+    expect(load.source).toBe(
+      'import pandas as pd\ndf = pd.read_csv("a.csv")\ndf'
+    );
+    expect(load.executionCount).toBe(3);
+    expect(load.metadata).toEqual({ tags: ['setup'] });
+    expect(load.outputs).toEqual([
+      { type: 'stream', name: 'stdout', text: 'loading\ndone\n' },
+      {
+        type: 'execute_result',
+        executionCount: 3,
+        metadata: {},
+        data: { 'text/plain': '   a\n0  1', 'application/json': { rows: 1 } },
+      },
+    ]);
+    expect(plot.executionCount).toBeNull();
+    expect(plot.outputs?.[0]).toMatchObject({
+      type: 'error',
+      ename: 'NameError',
+    });
+  });
+
+  test('fills in optional fields missing from older notebooks', () => {
+    const notebook = parseNotebook({
+      nbformat: 4,
+      nbformat_minor: 0,
+      cells: [{ cell_type: 'code', source: 'x = 1' }],
+    });
+
+    expect(notebook.metadata).toEqual({});
+    expect(notebook.cells[0]).toEqual({
+      type: 'code',
+      index: 0,
+      source: 'x = 1',
+      metadata: {},
+      executionCount: null,
+      outputs: [],
+    });
+  });
+
+  test('rejects malformed notebooks with the source in the message', () => {
+    expect(() => parseNotebook('{cells', 'a.ipynb')).toThrow(
+      /Invalid notebook in a\.ipynb:/
+    );
+    expect(() => parseNotebook({ nbformat: 3, worksheets: [] })).toThrow(
+      /unsupported nbformat 3/
+    );
+    expect(() => parseNotebook({ nbformat: 4 })).toThrow(
+      /missing 'cells' array/
+    );
+    expect(() =>
+      parseNotebook({ cells: [{ cell_type: 'code', source: 'x' }, 'oops'] })
+    ).toThrow(/cell 1: expected an object/);
+    expect(() =>
+      parseNotebook({ cells: [{ cell_type: 'heading', source: '' }] })
+    ).toThrow(/cell 0: unknown cell_type 'heading'/);
+    expect(() =>
+      parseNotebook({ cells: [{ cell_type: 'code', source: [1, 2] }] })
+    ).toThrow(/'source' must be a string or an array of strings/);
+    expect(() =>
+      parseNotebook({
+        cells: [
+          { cell_type: 'code', source: '', outputs: [{ output_type: 'x' }] },
+        ],
+      })
+    ).toThrow(/cell 0: output 0 has unknown output_type 'x'/);
+  });
+
+  test('feeds code cells into LintEngine.lintNotebook', () => {
+    const cells = getLintCells(parseNotebook(NOTEBOOK));
+    expect(cells.map((cell) => cell.cellIndex)).toEqual([1, 2]);
+
+    const errors = new LintEngine().lintNotebook(cells);
+    const undefinedName = errors.find(
+      (error) => error.rule === 'undefinedVariables'
+    );
+    expect(undefinedName).toMatchObject({
+      cellIndex: 2,
+      cellLine: 1,
+      msg: "Undefined variable 'undefined_name'",
+    });
+  });
+});
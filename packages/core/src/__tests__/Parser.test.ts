@@ -0,0 +1,217 @@
+/**
+ * Tests for the Python parser and parse helpers
+ */
+
+import {
+  parsePython,
+  getLogicalLines,
+  getNodeText,
+  walk,
+  Node,
+  FunctionDef,
+  Assign,
+  Name,
+} from '../parser';
+
+function nodeTypes(code: string): string[] {
+  const types: string[] = [];
+  walk(parsePython(code).module, (node) => {
+    types.push(node.type);
+  });
+  return types;
+}
+
+function findAll<T extends Node>(code: string, type: T['type']): T[] {
+  const found: T[] = [];
+  walk(parsePython(code).module, (node) => {
+    if (node.type === type) {
+      found.push(node as T);
+    }
+  });
+  return found;
+}
+
+describe('Parser', () => {
+  test('parses assignments with store context', () => {
+    const { module, errors } = parsePython('a, *b = c = f(x)');
+    const assign = module.body[0] as Assign;
+
+    expect(errors).toHaveLength(0);
+    expect(assign.type).toBe('Assign');
+    expect(assign.targets.map((t) => t.type)).toEqual(['Tuple', 'Name']);
+    expect(assign.value.type).toBe('Call');
+
+    const stored = findAll<Name>('a, *b = c = f(x)', 'Name')
+      .filter((n) => n.ctx === 'store')
+      .map((n) => n.id);
+    expect(stored).toEqual(['a', 'b', 'c']);
+  });
+
+  test('parses function definitions with all parameter kinds', () => {
+    const code =
+      '@decorator\nasync def f(a, /, b: int = 1, *args, c, **kw) -> None:\n    return a\n';
+    const { module, errors } = parsePython(code);
+    const func = module.body[0] as FunctionDef;
+
+    expect(errors).toHaveLength(0);
+    expect(func).toMatchObject({ name: 'f', isAsync: true });
+    expect(func.start.line).toBe(1);
+    expect(func.nameStart).toEqual({ line: 2, column: 11 });
+    expect(func.end.line).toBe(3);
+    expect(func.params.map((p) => `${p.kind}:${p.name}`)).toEqual([
+      'positional:a',
+      'positional:b',
+      'vararg:args',
+      'keyword:c',
+      'kwarg:kw',
+    ]);
+    expect(func.decorators).toHaveLength(1);
+  });
+
+  test('parses compound statements', () => {
+    const code = [
+      'class A(B, metaclass=M):',
+      '    def m(self):',
+      '        for i in range(3):',
+      '            if i:',
+      '                continue',
+      '            elif i > 1:',
+      '                break',
+      '        else:',
+      '            pass',
+      '        while x:',
+      '            pass',
+      '        with open(p) as fh, lock:',
+      '            pass',
+      '        try:',
+      '            pass',
+      '        except (A, B) as e:',
+      '            raise X from e',
+      '        finally:',
+      '            del y',
+    ].join('\n');
+
+    expect(parsePython(code).errors).toHaveLength(0);
+    expect(nodeTypes(code)).toEqual(
+      expect.arrayContaining([
+        'ClassDef',
+        'For',
+        'If',
+        'Continue',
+        'Break',
+        'While',
+        'With',
+        'WithItem',
+        'Try',
+        'ExceptHandler',
+        'Raise',
+        'Delete',
+      ])
+    );
+  });
+
+  test('parses comprehensions, lambdas and conditional expressions', () => {
+    const code =
+      'r = [x for x in xs if x] + {k: v for k, v in d}\ng = (y for y in z)\nf = lambda a, *b: a if b else None\ns = {1, 2}\n';
+    const types = nodeTypes(code);
+
+    expect(parsePython(code).errors).toHaveLength(0);
+    expect(types).toEqual(
+      expect.arrayContaining([
+        'ListComp',
+        'DictComp',
+        'GeneratorExp',
+        'Lambda',
+        'IfExp',
+        'Set',
+      ])
+    );
+  });
+
+  test('parses f-string replacement fields as expressions', () => {
+    const code = 'msg = f"{name!r:>{width}} {items[0]}"';
+    const names = findAll<Name>(code, 'Name').map((n) => n.id);
+
+    expect(parsePython(code).errors).toHaveLength(0);
+    expect(names).toEqual(['msg', 'name', 'width', 'items']);
+  });
+
+  test('treats match as a soft keyword', () => {
+    const code = [
+      'match command:',
+      '    case [x, *rest] as whole if x:',
+      '        pass',
+      '    case Point(x=0) | None:',
+      '        pass',
+      'match = re.match(p, s)',
+    ].join('\n');
+    const { module, errors } = parsePython(code);
+
+    expect(errors).toHaveLength(0);
+    expect(module.body.map((s) => s.type)).toEqual(['Match', 'Assign']);
+
+    const captures = findAll<Name>(code, 'Name')
+      .filter((n) => n.ctx === 'store')
+      .map((n) => n.id);
+    expect(captures).toEqual(['whole', 'x', 'rest', 'match']);
+  });
+
+  test('recovers from syntax errors at the next statement', () => {
+    const code = '%matplotlib inline\nx = (1 +\ny = 2\n)\nz = 3\n';
+    const { module, errors } = parsePython(code);
+
+    expect(errors.length).toBeGreaterThan(0);
+    expect(module.body.map((s) => s.type)).toContain('Assign');
+    expect(
+      findAll<Name>(code, 'Name').some((n) => n.id === 'z' && n.ctx === 'store')
+    ).toBe(true);
+  });
+
+  test('reports missing and unexpected indentation', () => {
+    expect(parsePython('def f():\nreturn 1\n').errors[0].msg).toBe(
+      'expected an indented block'
+    );
+
+    const { module, errors } = parsePython('x = 1\n    y = 2\n');
+    expect(errors[0]).toMatchObject({ msg: 'unexpected indent', line: 2 });
+    expect(module.body).toHaveLength(2);
+  });
+
+  test('reports invalid assignment targets', () => {
+    expect(parsePython('f() = 1').errors[0].msg).toBe(
+      'cannot assign to function call'
+    );
+  });
+});
+
+describe('ParsedSource helpers', () => {
+  test('masks strings and comments without moving positions', () => {
+    const code = "x = \"a # b\"  # comment\ns = f\"{value} (\" + '''\n)'''";
+    const { masked } = parsePython(code);
+
+    expect(masked).toHaveLength(code.length);
+    expect(masked.split('\n')).toEqual([
+      'x = "     "           ',
+      "s =  \" value   \" + '''",
+      " '''",
+    ]);
+  });
+
+  test('groups tokens into logical lines', () => {
+    const parsed = parsePython('x = (1,\n     2)\nif x:  # c\n    pass\n');
+    const lines = getLogicalLines(parsed).map((l) => [l.startLine, l.endLine]);
+
+    expect(lines).toEqual([
+      [1, 2],
+      [3, 3],
+      [4, 4],
+    ]);
+  });
+
+  test('gets the source text of a node', () => {
+    const parsed = parsePython('def f(a):\n    return a + 1\n');
+    const func = parsed.module.body[0] as FunctionDef;
+
+    expect(getNodeText(parsed, func.body[0])).toBe('return a + 1');
+  });
+});
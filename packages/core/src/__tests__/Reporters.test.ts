@@ -0,0 +1,145 @@
+/**
+ * Tests for the JSON, JUnit, Checkstyle and Markdown reporters
+ */
+
+import {
+  REPORTERS,
+  ReportedFile,
+  createJsonReport,
+  getReporter,
+} from '../reporters';
+import { LintEngine } from '../engines/LintEngine';
+
+describe('Reporters', () => {
+  const engine = new LintEngine();
+  const cells = [
+    { code: 'from os import *', cellIndex: 0 },
+    { code: 'x = 1\nprint(y < "a|b")', cellIndex: 2 },
+  ];
+  const files: ReportedFile[] = [
+    {
+      path: 'nb/analysis.ipynb',
+      errors: engine.lintNotebook(cells),
+      cellIndexes: [0, 2],
+    },
+  ];
+  const options = { rules: engine.getRuleMetadata(), toolVersion: '2.0.0' };
+
+  test('looks reporters up by name', () => {
+    expect(REPORTERS.map((reporter) => reporter.name)).toEqual([
+      'json',
+      'sarif',
+      'junit',
+      'checkstyle',
+      'markdown',
+    ]);
+    expect(getReporter('junit').fileExtension).toBe('.xml');
+    expect(() => getReporter('html')).toThrow(
+      /Unknown report format 'html'; expected json, sarif/
+    );
+  });
+
+  test('json: findings with LintEngine.getStats per file and overall', () => {
+    const report = createJsonReport(files, options);
+
+    expect(report.version).toBe('2.0.0');
+    expect(report.stats).toEqual(engine.getStats(files[0].errors));
+    expect(report.files[0].stats).toEqual(report.stats);
+    expect(report.files[0].errors).toContainEqual(
+      expect.objectContaining({
+        rule: 'undefinedVariables',
+        severity: 'error',
+        msg: "Undefined variable 'y'",
+        cellIndex: 2,
+        cellLine: 2,
+        column: 7,
+      })
+    );
+
+    // DOM elements of notebook findings are not serialized
+    const withElement = [
+      { path: 'a.ipynb', errors: [{ ...files[0].errors[0], element: {} }] },
+    ];
+    expect(
+      JSON.parse(getReporter('json').format(withElement)).files[0].errors[0]
+    ).not.toHaveProperty('element');
+  });
+
+  test('junit: one test case per rule per cell', () => {
+    const xml = getReporter('junit').format(files, options);
+    const ruleCount = options.rules.length;
+
+    expect(xml).toMatch(/^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+    // Both linted cells get a test case for every rule
+    expect(xml).toContain(
+      `<testsuite name="nb/analysis.ipynb" tests="${ruleCount * 2}" failures="2"`
+    );
+    expect(xml).toContain(
+      '<testcase classname="nb/analysis.ipynb#cell=1" name="missingReturn" time="0"/>'
+    );
+    expect(xml).toMatch(
+      /<testcase classname="nb\/analysis\.ipynb#cell=3" name="undefinedVariables" time="0">\s*<failure message="Undefined variable &apos;y&apos;" type="error">2:7 error Undefined variable &apos;y&apos;<\/failure>/
+    );
+  });
+
+  test('checkstyle: one file element per cell with escaped messages', () => {
+    const xml = getReporter('checkstyle').format([
+      {
+        path: 'a.ipynb',
+        errors: [
+          ...files[0].errors,
+          {
+            line: 3,
+            column: 1,
+            msg: 'Bad <tag>\u0000 & "quotes"\u001b',
+            severity: 'info',
+            rule: 'custom',
+          },
+        ],
+      },
+    ]);
+
+    expect(xml).toContain('<checkstyle version="4.3">');
+    expect(xml).toContain('<file name="a.ipynb#cell=1">');
+    expect(xml).toMatch(
+      /<file name="a\.ipynb#cell=3">\s*<error line="2" column="7" severity="error" message="Undefined variable &apos;y&apos;" source="kaggle-lint\.undefinedVariables"\/>/
+    );
+    expect(xml).toContain(
+      '<file name="a.ipynb">\n    <error line="3" column="1" severity="info" message="Bad &lt;tag&gt; &amp; &quot;quotes&quot;" source="kaggle-lint.custom"/>'
+    );
+  });
+
+  test('markdown: summary by rule and a table of findings', () => {
+    const markdown = getReporter('markdown').format(
+      [
+        {
+          path: 'a|b.ipynb',
+          errors: [
+            ...files[0].errors,
+            {
+              line: 1,
+              msg: 'line too long',
+              severity: 'info',
+              rule: 'flake8',
+              code: 'E501',
+            },
+          ],
+        },
+      ],
+      options
+    );
+
+    expect(markdown).toContain('## kaggle-lint report');
+    expect(markdown).toMatch(/\*\*\d+ problems\*\* \(1 error, .*\) in 1 file/);
+    expect(markdown).toContain(
+      '| Undefined Variables (`undefinedVariables`) | 1 | 0 | 0 |'
+    );
+    expect(markdown).toContain('| `flake8/E501` | 0 | 0 | 1 |');
+    expect(markdown).toContain(
+      "| a\\|b.ipynb | 3 | 2:7 | error | `undefinedVariables` | Undefined variable 'y' |"
+    );
+    expect(getReporter('markdown').format([{ path: 'a', errors: [] }])).toBe(
+      '## kaggle-lint report\n\nNo problems found in 1 file.\n'
+    );
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the rule profiler
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { RuleProfiler } from '../profiling';
+
+describe('RuleProfiler', () => {
+  const cells = [
+    { code: 'x = 1', cellIndex: 0 },
+    { code: 'print(y)\nprint(z)', cellIndex: 1 },
+  ];
+
+  test('profiling is off by default', () => {
+    const engine = new LintEngine();
+    engine.lintNotebook(cells);
+    expect(engine.getProfile()).toBeNull();
+  });
+
+  test('records time per rule and per cell, and findings per rule', () => {
+    const engine = new LintEngine({ profile: true });
+    engine.lintNotebook(cells);
+    const profile = engine.getProfile()!;
+    const ruleNames = engine.getRules().map((rule) => rule.name);
+
+    expect(profile).toMatchObject({ lintedCells: 2, cachedCells: 0 });
+    expect(profile.rules.map((rule) => rule.rule).sort()).toEqual(
+      [...ruleNames].sort()
+    );
+    // Slowest first
+    profile.rules.slice(1).forEach((rule, index) => {
+      expect(rule.totalMs).toBeLessThanOrEqual(profile.rules[index].totalMs);
+    });
+    expect(
+      profile.rules.find((rule) => rule.rule === 'undefinedVariables')
+    ).toMatchObject({ calls: 2, findings: 2 });
+
+    expect(profile.cells.map((cell) => cell.cellIndex)).toEqual([0, 1]);
+    profile.cells.forEach((cell) => {
+      expect(Object.keys(cell.byRule).sort()).toEqual([...ruleNames].sort());
+      const ruleTotal = Object.values(cell.byRule).reduce((a, b) => a + b, 0);
+      expect(cell.totalMs).toBeCloseTo(cell.parseMs + ruleTotal);
+    });
+    expect(profile.totalMs).toBeCloseTo(
+      profile.cells[0].totalMs + profile.cells[1].totalMs
+    );
+  });
+
+  test('counts cached cells and profiles lintCode runs', () => {
+    const engine = new LintEngine({ profile: true, incremental: true });
+    engine.lintNotebook(cells);
+    engine.lintNotebook(cells);
+    expect(engine.getProfile()).toMatchObject({
+      lintedCells: 0,
+      cachedCells: 2,
+      totalMs: 0,
+    });
+
+    engine.lintCode('print(y)');
+    expect(engine.getProfile()!.cells).toHaveLength(1);
+  });
+
+  test('getProfile returns a snapshot', () => {
+    const profiler = new RuleProfiler();
+    profiler.startCell(3, 1);
+    profiler.recordRule('a', 2, 1);
+    const profile = profiler.getProfile();
+    profiler.recordRule('a', 4, 0);
+
+    expect(profile).toEqual({
+      totalMs: 3,
+      lintedCells: 1,
+      cachedCells: 0,
+      rules: [{ rule: 'a', calls: 1, totalMs: 2, maxMs: 2, findings: 1 }],
+      cells: [{ cellIndex: 3, totalMs: 3, parseMs: 1, byRule: { a: 2 } }],
+    });
+    expect(profiler.getProfile().rules[0]).toMatchObject({
+      calls: 2,
+      totalMs: 6,
+      maxMs: 4,
+    });
+  });
+});
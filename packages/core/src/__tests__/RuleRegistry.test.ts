@@ -0,0 +1,68 @@
+/**
+ * Tests for rule metadata and RuleRegistry
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import {
+  DEFAULT_RULES,
+  RuleRegistry,
+  UndefinedVariablesRule,
+  getDefaultRuleMetadata,
+} from '../rules';
+import { LintRule } from '../types';
+
+describe('RuleRegistry', () => {
+  test('every default rule declares metadata', () => {
+    const metadata = getDefaultRuleMetadata();
+
+    expect(metadata.map((m) => m.name)).toEqual(
+      DEFAULT_RULES.map((r) => r.name)
+    );
+    metadata.forEach((meta) => {
+      expect(meta.title).not.toBe('');
+      expect(meta.description).not.toBe('');
+      expect(meta.examples.bad).not.toBe('');
+      expect(meta.examples.good).not.toBe('');
+    });
+  });
+
+  test.each(getDefaultRuleMetadata())(
+    "$name examples match the rule's behavior",
+    (meta) => {
+      const engine = new LintEngine({ rules: [meta.name] });
+      const bad = engine.lintCode(meta.examples.bad);
+      const good = engine.lintCode(meta.examples.good);
+
+      expect(bad.length).toBeGreaterThan(0);
+      expect(bad.some((e) => e.severity === meta.defaultSeverity)).toBe(true);
+      expect(bad.some((e) => e.fix !== undefined)).toBe(meta.fixable);
+      expect(good).toEqual([]);
+    }
+  );
+
+  test('describes custom rules without metadata', () => {
+    const custom: LintRule = { name: 'noPrintCalls', run: () => [] };
+    const registry = new RuleRegistry([custom]);
+
+    expect(registry.getMetadata('noPrintCalls')).toMatchObject({
+      name: 'noPrintCalls',
+      title: 'No Print Calls',
+      fixable: false,
+    });
+    expect(registry.getMetadata('missing')).toBeUndefined();
+  });
+
+  test('rejects duplicate rule names', () => {
+    const registry = new RuleRegistry([new UndefinedVariablesRule()]);
+    expect(() => registry.register(new UndefinedVariablesRule())).toThrow(
+      /already registered/
+    );
+  });
+
+  test('LintEngine exposes metadata of all registered rules', () => {
+    const engine = new LintEngine({ rules: ['missingReturn'] });
+    const names = engine.getRuleMetadata().map((m) => m.name);
+
+    expect(names).toEqual(DEFAULT_RULES.map((r) => r.name));
+  });
+});
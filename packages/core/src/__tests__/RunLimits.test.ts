@@ -0,0 +1,125 @@
+/**
+ * Tests for aborting lint runs and per-rule time budgets
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { INTERNAL_RULE } from '../diagnostics';
+import { LintRule } from '../types';
+
+/**
+ * Creates a rule that reports one finding per cell, spinning first on cells
+ * containing 'slow'
+ * @param name - Rule name
+ * @param onRun - Called with the code of every cell the rule runs on
+ * @returns Lint rule
+ */
+function createRule(name: string, onRun: (code: string) => void): LintRule {
+  return {
+    name,
+    run(code, cellOffset) {
+      onRun(code);
+      if (code.includes('slow')) {
+        const end = Date.now() + 30;
+        while (Date.now() < end) {
+          // Spin past the time budget
+        }
+      }
+      return [{ line: cellOffset + 1, msg: `${name} ran`, severity: 'info' }];
+    },
+  };
+}
+
+describe('Lint run limits', () => {
+  const cells = [
+    { code: 'a = 1', cellIndex: 0 },
+    { code: 'slow = 2', cellIndex: 1 },
+    { code: 'c = 3', cellIndex: 2 },
+  ];
+  let seen: string[];
+  let engine: LintEngine;
+
+  beforeEach(() => {
+    seen = [];
+    engine = new LintEngine([
+      createRule('first', (code) => seen.push(`first:${code}`)),
+      createRule('second', (code) => seen.push(`second:${code}`)),
+    ]);
+  });
+
+  test('a rule over the time budget is reported and skipped for the run', () => {
+    engine.configure({ ruleTimeBudget: 10 });
+    const errors = engine.lintNotebook(cells);
+
+    expect(errors.filter((error) => error.rule === INTERNAL_RULE)).toEqual([
+      expect.objectContaining({
+        cellIndex: 1,
+        msg: expect.stringMatching(
+          /^Rule 'first' exceeded its time budget on cell 2: took \d+ ms, budget is 10 ms; skipped for the rest of this run$/
+        ),
+        internal: expect.objectContaining({ kind: 'timeout', rule: 'first' }),
+      }),
+      expect.objectContaining({
+        cellIndex: 1,
+        internal: expect.objectContaining({ kind: 'timeout', rule: 'second' }),
+      }),
+    ]);
+    // Findings of the slow cell are kept; the last cell skips both rules
+    expect(errors.filter((error) => error.msg === 'first ran')).toHaveLength(2);
+    expect(seen).not.toContain('first:c = 3');
+
+    // The next run starts over
+    seen = [];
+    engine.lintNotebook([cells[2]]);
+    expect(seen).toEqual(['first:c = 3', 'second:c = 3']);
+  });
+
+  test('cells linted without every rule are not cached', () => {
+    engine.configure({ ruleTimeBudget: 10, incremental: true });
+    engine.lintNotebook(cells);
+    expect(engine.getCacheStats().size).toBe(1);
+
+    seen = [];
+    const errors = engine.lintNotebook(cells);
+    // The cell over the budget is linted again, so the rules it timed out
+    // are skipped on the cells after it once more
+    expect(engine.getCacheStats()).toMatchObject({ hits: 1, misses: 2 });
+    expect(seen).toEqual(['first:slow = 2', 'second:slow = 2']);
+    expect(errors.filter((error) => error.rule === INTERNAL_RULE)).toHaveLength(
+      2
+    );
+  });
+
+  test('ruleTimeBudget must be positive', () => {
+    expect(() => engine.configure({ ruleTimeBudget: 0 })).toThrow(
+      'ruleTimeBudget must be a positive number of milliseconds, got 0'
+    );
+  });
+
+  test('an aborted run returns the results gathered so far', () => {
+    const controller = new AbortController();
+    engine = new LintEngine([
+      createRule('first', (code) => {
+        seen.push(`first:${code}`);
+        if (code === 'slow = 2') {
+          controller.abort();
+        }
+      }),
+      createRule('second', (code) => seen.push(`second:${code}`)),
+    ]);
+    engine.configure({ incremental: true });
+
+    const errors = engine.lintNotebook(cells, { signal: controller.signal });
+    expect(seen).toEqual(['first:a = 1', 'second:a = 1', 'first:slow = 2']);
+    expect(errors.map((error) => [error.cellIndex, error.msg])).toEqual([
+      [0, 'first ran'],
+      [0, 'second ran'],
+      [1, 'first ran'],
+    ]);
+    // Only the cell that ran every rule is cached
+    expect(engine.getCacheStats().size).toBe(1);
+
+    expect(engine.lintCode('x = 1', 0, { signal: controller.signal })).toEqual(
+      []
+    );
+  });
+});
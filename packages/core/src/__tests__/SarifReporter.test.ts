@@ -0,0 +1,118 @@
+/**
+ * Tests for the SARIF 2.1.0 serializer
+ */
+
+import { SARIF_FINGERPRINT_KEY, createSarifLog } from '../reporters';
+import { LintEngine } from '../engines/LintEngine';
+
+describe('SarifReporter', () => {
+  const engine = new LintEngine();
+  const cells = [
+    { code: 'import os', cellIndex: 0 },
+    { code: 'x = 1\nprint(y)', cellIndex: 2 },
+  ];
+
+  test('serializes notebook findings with cell-aware locations', () => {
+    const errors = engine.lintNotebook(cells);
+    const log = createSarifLog([{ path: 'nb/analysis.ipynb', errors }], {
+      rules: engine.getRuleMetadata(),
+      toolVersion: '2.0.0',
+    });
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toMatch(/sarif-2\.1\.0/);
+    const [run] = log.runs;
+    expect(run.tool.driver).toMatchObject({
+      name: 'kaggle-lint',
+      version: '2.0.0',
+    });
+
+    const undefinedRule = run.tool.driver.rules.find(
+      (rule) => rule.id === 'undefinedVariables'
+    );
+    expect(undefinedRule).toMatchObject({
+      name: 'Undefined Variables',
+      defaultConfiguration: { level: 'error' },
+      properties: { category: 'correctness' },
+    });
+
+    const result = run.results.find((r) => r.ruleId === 'undefinedVariables')!;
+    expect(run.tool.driver.rules[result.ruleIndex].id).toBe(
+      'undefinedVariables'
+    );
+    expect(result.level).toBe('error');
+    expect(result.message.text).toBe("Undefined variable 'y'");
+    expect(result.locations[0].physicalLocation).toEqual({
+      artifactLocation: {
+        uri: 'nb/analysis.ipynb#cell=3',
+        index: result.locations[0].physicalLocation.artifactLocation.index,
+      },
+      region: { startLine: 2, startColumn: 7, endLine: 2, endColumn: 8 },
+    });
+    expect(result.fingerprints).toEqual({
+      [SARIF_FINGERPRINT_KEY]: errors.find(
+        (error) => error.rule === 'undefinedVariables'
+      )!.fingerprint,
+    });
+    expect(result.properties).toEqual({ cellIndex: 2 });
+
+    // Cells are nested artifacts of the notebook
+    const cellArtifact =
+      run.artifacts[
+        result.locations[0].physicalLocation.artifactLocation.index!
+      ];
+    expect(run.artifacts[cellArtifact.parentIndex!].location.uri).toBe(
+      'nb/analysis.ipynb'
+    );
+  });
+
+  test('keeps fingerprints stable when code is added above', () => {
+    const fingerprintsOf = (notebookCells: typeof cells) =>
+      createSarifLog([
+        { path: 'a.ipynb', errors: engine.lintNotebook(notebookCells) },
+      ]).runs[0].results.map((r) => r.fingerprints?.[SARIF_FINGERPRINT_KEY]);
+
+    const before = fingerprintsOf(cells);
+    const after = fingerprintsOf([
+      { code: '# setup\nimport os', cellIndex: 0 },
+      { code: 'x = 1\n\nprint(y)', cellIndex: 2 },
+    ]);
+    expect(after).toEqual(before);
+  });
+
+  test('maps severities and describes rules missing from the metadata', () => {
+    const log = createSarifLog([
+      {
+        path: 'script.py',
+        errors: [
+          {
+            line: 4,
+            column: 80,
+            msg: 'line too long (91 > 79 characters)',
+            severity: 'info',
+            rule: 'flake8',
+            code: 'E501',
+          },
+        ],
+      },
+    ]);
+
+    const [run] = log.runs;
+    expect(run.tool.driver.rules).toEqual([{ id: 'flake8/E501' }]);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'flake8/E501',
+      ruleIndex: 0,
+      level: 'note',
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: 'script.py', index: 0 },
+            region: { startLine: 4, startColumn: 80 },
+          },
+        },
+      ],
+    });
+    expect(run.results[0].fingerprints).toBeUndefined();
+    expect(JSON.parse(JSON.stringify(log))).toEqual(log);
+  });
+});
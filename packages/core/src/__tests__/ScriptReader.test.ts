@@ -0,0 +1,157 @@
+/**
+ * Tests for splitting percent/light-format scripts into cells
+ */
+
+import { detectScriptFormat, parseScript } from '../notebook';
+import { LintEngine } from '../engines/LintEngine';
+
+const PERCENT_SCRIPT = [
+  '# ---', // 1
+  '# jupyter:', // 2
+  '#   jupytext:', // 3
+  '#     formats: ipynb,py:percent', // 4
+  '# ---', // 5
+  '', // 6
+  '# %% [markdown]', // 7
+  '# # Analysis', // 8
+  '# Loads the data', // 9
+  '', // 10
+  '# %%', // 11
+  'import pandas as pd', // 12
+  'df = pd.read_csv("a.csv")', // 13
+  '', // 14
+  '# %% Plot', // 15
+  'print(df)', // 16
+  'print(missing)', // 17
+].join('\n');
+
+const LIGHT_SCRIPT = [
+  '# # Analysis', // 1
+  '', // 2
+  'import os', // 3
+  '', // 4
+  'def load(path):', // 5
+  '    data = open(path).read()', // 6
+  '', // 7
+  '    return data', // 8
+  '', // 9
+  'config = {', // 10
+  '', // 11
+  '    "a": 1,', // 12
+  '}', // 13
+  '', // 14
+  '# +', // 15
+  'x = load(os.sep)', // 16
+  '', // 17
+  'print(x, y)', // 18
+  '# -', // 19
+].join('\n');
+
+describe('ScriptReader', () => {
+  test('detects the format from the header or the cell markers', () => {
+    expect(detectScriptFormat(PERCENT_SCRIPT)).toBe('percent');
+    expect(detectScriptFormat(LIGHT_SCRIPT)).toBe('light');
+    expect(detectScriptFormat('import os\nprint(os.name)')).toBe('plain');
+    expect(
+      detectScriptFormat(
+        '# ---\n# jupyter:\n#   jupytext:\n#     text_representation:\n#       format_name: light\n# ---\nx = 1'
+      )
+    ).toBe('light');
+  });
+
+  test('splits percent scripts at # %% markers', () => {
+    const script = parseScript(PERCENT_SCRIPT);
+
+    expect(script.format).toBe('percent');
+    expect(script.cells).toEqual([
+      {
+        type: 'markdown',
+        index: 0,
+        source: '# Analysis\nLoads the data',
+        startLine: 8,
+      },
+      {
+        type: 'code',
+        index: 1,
+        source: 'import pandas as pd\ndf = pd.read_csv("a.csv")',
+        startLine: 12,
+      },
+      {
+        type: 'code',
+        index: 2,
+        source: 'print(df)\nprint(missing)',
+        startLine: 16,
+      },
+    ]);
+  });
+
+  test('keeps code above the first marker', () => {
+    const script = parseScript('import os\n\n# %%\nprint(os.name)', 'percent');
+    expect(script.cells.map((cell) => [cell.source, cell.startLine])).toEqual([
+      ['import os', 1],
+      ['print(os.name)', 4],
+    ]);
+  });
+
+  test('splits light scripts into paragraphs and explicit cells', () => {
+    const script = parseScript(LIGHT_SCRIPT);
+
+    expect(script.format).toBe('light');
+    expect(
+      script.cells.map((cell) => [cell.type, cell.startLine, cell.source])
+    ).toEqual([
+      ['markdown', 1, '# Analysis'],
+      ['code', 3, 'import os'],
+      [
+        'code',
+        5,
+        'def load(path):\n    data = open(path).read()\n\n    return data',
+      ],
+      ['code', 10, 'config = {\n\n    "a": 1,\n}'],
+      ['code', 16, 'x = load(os.sep)\n\nprint(x, y)'],
+    ]);
+  });
+
+  test('reads plain scripts as one cell', () => {
+    const script = parseScript('import os\r\n\r\nprint(os.name)\r\n');
+    expect(script.cells).toEqual([
+      {
+        type: 'code',
+        index: 0,
+        source: 'import os\n\nprint(os.name)\n',
+        startLine: 1,
+      },
+    ]);
+    expect(() => parseScript('', 'myst' as never)).toThrow(
+      /Unknown script format 'myst'/
+    );
+  });
+
+  test('lints scripts with cross-cell context and file line numbers', () => {
+    const engine = new LintEngine();
+
+    const percentErrors = engine.lintScript(PERCENT_SCRIPT);
+    const missing = percentErrors.find(
+      (error) => error.rule === 'undefinedVariables'
+    );
+    expect(missing).toMatchObject({
+      msg: "Undefined variable 'missing'",
+      line: 17,
+      endLine: 17,
+      column: 7,
+      cellIndex: 2,
+      cellLine: 2,
+    });
+    // `df` and `pd` come from the previous cell
+    expect(
+      percentErrors.filter((error) => error.rule === 'undefinedVariables')
+    ).toHaveLength(1);
+
+    const lightErrors = engine.lintScript(LIGHT_SCRIPT);
+    expect(
+      lightErrors
+        .filter((error) => error.rule === 'undefinedVariables')
+        .map((error) => [error.msg, error.line, error.cellIndex])
+    ).toEqual([["Undefined variable 'y'", 18, 4]]);
+  });
+});
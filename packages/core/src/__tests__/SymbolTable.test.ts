@@ -0,0 +1,147 @@
+/**
+ * Tests for the notebook symbol table and the rules reading it
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { parsePython } from '../parser';
+import { SymbolTable, collectSymbols } from '../symbols';
+import { LintContext, LintRule } from '../types';
+
+describe('SymbolTable', () => {
+  test('collects module-level symbols with their kind and position', () => {
+    const code = [
+      'import matplotlib.pyplot as plt',
+      'from ..utils import load as load_data',
+      'def train(model):',
+      '    global best',
+      '    best = model',
+      'class Model:',
+      '    layers = 2',
+      'for epoch in range(3):',
+      '    squares = [i * i for i in range(epoch)]',
+    ].join('\n');
+
+    expect(collectSymbols(parsePython(code), 4)).toEqual([
+      {
+        name: 'plt',
+        kind: 'import',
+        cellIndex: 4,
+        line: 1,
+        column: 8,
+        source: 'matplotlib.pyplot',
+      },
+      {
+        name: 'load_data',
+        kind: 'import',
+        cellIndex: 4,
+        line: 2,
+        column: 21,
+        source: '..utils',
+        member: 'load',
+      },
+      { name: 'train', kind: 'function', cellIndex: 4, line: 3, column: 5 },
+      { name: 'best', kind: 'variable', cellIndex: 4, line: 4, column: 5 },
+      { name: 'Model', kind: 'class', cellIndex: 4, line: 6, column: 7 },
+      { name: 'epoch', kind: 'variable', cellIndex: 4, line: 8, column: 5 },
+      { name: 'squares', kind: 'variable', cellIndex: 4, line: 9, column: 5 },
+    ]);
+  });
+
+  test('keeps the latest definition of each name', () => {
+    const table = new SymbolTable();
+    table.define(collectSymbols(parsePython('import numpy as np'), 0));
+    table.define(collectSymbols(parsePython('def np():\n    pass'), 1));
+
+    expect(table.get('np')).toMatchObject({ kind: 'function', cellIndex: 1 });
+    const context = table.toContext();
+    expect(context.functionNames).toEqual(new Set(['np']));
+    expect(context.importedModules).toEqual(new Set());
+  });
+
+  test('every rule receives the symbols of the previous cells', () => {
+    const contexts: LintContext[] = [];
+    const spy: LintRule = {
+      name: 'spy',
+      run(code, cellOffset, context) {
+        contexts.push(context!);
+        return [];
+      },
+    };
+    const engine = new LintEngine([spy]);
+
+    engine.lintNotebook([
+      { code: 'import pandas as pd\nfrom os import path', cellIndex: 0 },
+      { code: 'class Net:\n    pass\n\ndef fit():\n    pass', cellIndex: 1 },
+      { code: 'df = pd.DataFrame()', cellIndex: 2 },
+    ]);
+
+    expect(contexts[0].definedNames).toEqual(new Set());
+    const last = contexts[2];
+    expect(last.definedNames).toEqual(new Set(['pd', 'path', 'Net', 'fit']));
+    expect(last.importedModules).toEqual(new Set(['pandas', 'os']));
+    expect(last.functionNames).toEqual(new Set(['fit']));
+    expect(last.classNames).toEqual(new Set(['Net']));
+    expect(last.symbols!.get('fit')).toMatchObject({
+      kind: 'function',
+      cellIndex: 1,
+      line: 4,
+    });
+  });
+
+  test('duplicate functions are found across cells', () => {
+    const engine = new LintEngine({ rules: ['duplicateFunctions'] });
+    const errors = engine.lintNotebook([
+      { code: 'def load():\n    pass', cellIndex: 0 },
+      { code: 'x = 1\n\ndef load():\n    pass', cellIndex: 1 },
+      { code: 'load = None', cellIndex: 2 },
+      { code: 'def load():\n    pass', cellIndex: 3 },
+    ]);
+
+    // The assignment in cell 3 replaces the function, so cell 4 is fine
+    expect(errors).toEqual([
+      expect.objectContaining({
+        cellIndex: 1,
+        cellLine: 3,
+        msg: "Duplicate function name 'load' (first defined in cell 1, line 1)",
+      }),
+    ]);
+  });
+
+  test('imports repeated from an earlier cell are duplicates', () => {
+    const engine = new LintEngine({ rules: ['importIssues'] });
+    const errors = engine.lintNotebook([
+      { code: 'import numpy as np\nprint(np)', cellIndex: 0 },
+      {
+        code: 'import numpy as np\nimport jax.numpy as jnp\nprint(np, jnp)',
+        cellIndex: 1,
+      },
+      { code: 'import jax.numpy as np\nprint(np)', cellIndex: 2 },
+    ]);
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        cellIndex: 1,
+        cellLine: 1,
+        msg: "Duplicate import of 'np' (first imported in cell 1, line 1)",
+        fix: expect.objectContaining({
+          description: "Remove duplicate import of 'np'",
+        }),
+      }),
+    ]);
+  });
+
+  test('imports used in a later cell are not unused', () => {
+    const engine = new LintEngine({ rules: ['importIssues'] });
+    const cells = [
+      { code: 'import numpy as np\nimport pandas as pd', cellIndex: 0 },
+      { code: 'x = np.zeros(3)', cellIndex: 1 },
+    ];
+
+    expect(engine.lintNotebook(cells)).toEqual([]);
+    // Code linted on its own still reports them
+    expect(engine.lintCode(cells[0].code).map((e) => e.msg)).toEqual([
+      "Imported 'np' is unused",
+      "Imported 'pd' is unused",
+    ]);
+  });
+});
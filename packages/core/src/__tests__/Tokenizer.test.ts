@@ -0,0 +1,138 @@
+/**
+ * Tests for the Python tokenizer
+ */
+
+import { Tokenizer, Token } from '../parser/Tokenizer';
+
+function tokenize(code: string) {
+  return new Tokenizer(code).tokenize();
+}
+
+function significant(tokens: Token[]): string[] {
+  return tokens
+    .filter((t) => t.type !== 'ENDMARKER')
+    .map((t) => (t.value ? `${t.type}:${t.value}` : t.type));
+}
+
+describe('Tokenizer', () => {
+  test('tokenizes a simple statement with positions', () => {
+    const { tokens, errors } = tokenize('x = foo(1)');
+
+    expect(errors).toHaveLength(0);
+    expect(significant(tokens)).toEqual([
+      'NAME:x',
+      'OP:=',
+      'NAME:foo',
+      'OP:(',
+      'NUMBER:1',
+      'OP:)',
+      'NEWLINE',
+    ]);
+    expect(tokens[2].start).toEqual({ line: 1, column: 5 });
+    expect(tokens[2].end).toEqual({ line: 1, column: 8 });
+  });
+
+  test('emits INDENT and DEDENT tokens', () => {
+    const { tokens } = tokenize('if x:\n    y = 1\nz = 2\n');
+    const types = tokens.map((t) => t.type);
+
+    expect(types.filter((t) => t === 'INDENT')).toHaveLength(1);
+    expect(types.filter((t) => t === 'DEDENT')).toHaveLength(1);
+    expect(types.indexOf('DEDENT')).toBeLessThan(
+      tokens.findIndex((t) => t.value === 'z')
+    );
+  });
+
+  test('uses NL inside brackets and for blank lines', () => {
+    const { tokens } = tokenize('x = (1,\n     2)\n\ny = 3\n');
+    const newlines = tokens.filter(
+      (t) => t.type === 'NEWLINE' || t.type === 'NL'
+    );
+
+    expect(newlines.map((t) => t.type)).toEqual([
+      'NL',
+      'NEWLINE',
+      'NL',
+      'NEWLINE',
+    ]);
+  });
+
+  test('joins lines ending with a backslash', () => {
+    const { tokens } = tokenize('x = 1 + \\\n    2\n');
+
+    expect(tokens.filter((t) => t.type === 'NEWLINE')).toHaveLength(1);
+    expect(tokens.some((t) => t.type === 'INDENT')).toBe(false);
+  });
+
+  test('keeps comments as separate tokens', () => {
+    const { tokens } = tokenize('x = 1  # set (x\n');
+    const comment = tokens.find((t) => t.type === 'COMMENT');
+
+    expect(comment?.value).toBe('# set (x');
+    expect(tokens.some((t) => t.type === 'OP' && t.value === '(')).toBe(false);
+  });
+
+  test('scans triple-quoted strings across lines', () => {
+    const code = 's = """first\n\'quoted\' "x"\nlast"""\ny = 1';
+    const { tokens, errors } = tokenize(code);
+    const str = tokens.find((t) => t.type === 'STRING')!;
+
+    expect(errors).toHaveLength(0);
+    expect(str.start).toEqual({ line: 1, column: 5 });
+    expect(str.end).toEqual({ line: 3, column: 8 });
+    expect(tokens.find((t) => t.value === 'y')?.start.line).toBe(4);
+  });
+
+  test('handles string prefixes and escapes', () => {
+    const { tokens } = tokenize('a = rb"\\d" + b\'\\\'\' + Rf"{x}"');
+    const strings = tokens.filter((t) => t.type === 'STRING');
+
+    expect(strings.map((t) => t.value)).toEqual([
+      'rb"\\d"',
+      "b'\\''",
+      'Rf"{x}"',
+    ]);
+  });
+
+  test('records f-string replacement field spans', () => {
+    const code = 'f"{a!r} {b:>{width}} {{literal}} {c[\'k\']}"';
+    const { tokens, errors } = tokenize(code);
+    const fields = tokens[0].fields!.map((f) =>
+      code.slice(f.startOffset, f.endOffset)
+    );
+
+    expect(errors).toHaveLength(0);
+    expect(fields).toEqual(['a', 'b', 'width', "c['k']"]);
+  });
+
+  test('reports unterminated strings', () => {
+    const { errors } = tokenize("x = 'abc\ny = '''never closed\n");
+
+    expect(errors.map((e) => e.msg)).toEqual([
+      'unterminated string literal',
+      'unterminated triple-quoted string literal',
+    ]);
+    expect(errors[0]).toMatchObject({ line: 1, column: 5 });
+  });
+
+  test('reports unmatched and unclosed brackets', () => {
+    expect(tokenize('x = )').errors[0].msg).toBe("unmatched ')'");
+    expect(tokenize('x = [1, 2').errors[0].msg).toBe("'[' was never closed");
+    expect(tokenize('x = (1]').errors[0].msg).toContain('does not match');
+  });
+
+  test('reports inconsistent dedents', () => {
+    const { errors } = tokenize('if x:\n    y = 1\n  z = 2\n');
+
+    expect(errors[0]).toMatchObject({
+      msg: 'unindent does not match any outer indentation level',
+      line: 3,
+    });
+  });
+
+  test('marks unknown characters as error tokens', () => {
+    const { tokens } = tokenize('!pip install foo');
+
+    expect(tokens[0]).toMatchObject({ type: 'ERRORTOKEN', value: '!' });
+  });
+});
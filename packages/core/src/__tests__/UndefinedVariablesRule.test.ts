@@ -101,6 +101,25 @@ df = DataFrame()`;
     expect(errors.length).toBeGreaterThanOrEqual(3);
   });
 
+  test('reads names from the syntax tree across lines', () => {
+    const code = [
+      'def fit(model,',
+      '        epochs=EPOCHS):',
+      '    return model.train(',
+      '        epochs=epochs,',
+      '        verbose=level,',
+      '    )',
+      'squares = [n * n for n in range(3)]',
+    ].join('\n');
+
+    expect(
+      rule.run(code, 0).map(({ msg, line, column }) => [msg, line, column])
+    ).toEqual([
+      ["Undefined variable 'EPOCHS'", 2, 16],
+      ["Undefined variable 'level'", 5, 17],
+    ]);
+  });
+
   test('handles context from previous cells', () => {
     const code = 'y = x + 1';
     const context = { definedNames: new Set(['x']) };
@@ -0,0 +1,146 @@
+/**
+ * Tests for WorkerLintEngine and the lint worker
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import {
+  LintWorkerRequest,
+  LintWorkerResponse,
+  WorkerLintEngine,
+  createInThreadLintWorker,
+  startLintWorker,
+} from '../worker';
+
+describe('WorkerLintEngine', () => {
+  const cells = [
+    { code: 'x = 1', element: { id: 'cell-0' }, cellIndex: 0 },
+    { code: 'y = x + missing', element: { id: 'cell-1' }, cellIndex: 1 },
+    { code: 'flag = true', element: { id: 'cell-2' }, cellIndex: 2 },
+  ];
+
+  let engine: WorkerLintEngine;
+
+  beforeEach(() => {
+    engine = new WorkerLintEngine(createInThreadLintWorker());
+  });
+
+  afterEach(() => {
+    engine.terminate();
+  });
+
+  test('returns the same errors as LintEngine with elements re-attached', async () => {
+    const errors = await engine.lintNotebook(cells);
+    const expected = new LintEngine().lintNotebook(cells);
+
+    expect(errors).toEqual(expected);
+    expect(errors.find((e) => e.cellIndex === 1)!.element).toBe(
+      cells[1].element
+    );
+  });
+
+  test('streams progress', async () => {
+    const onProgress = jest.fn();
+    const errors = await engine.lintNotebook(cells, { onProgress });
+
+    expect(onProgress).toHaveBeenCalled();
+    const [lastErrors, progress] =
+      onProgress.mock.calls[onProgress.mock.calls.length - 1];
+    expect(lastErrors).toEqual(errors);
+    expect(progress).toEqual({ lintedCells: 3, totalCells: 3 });
+  });
+
+  test('cancels a running lint when a newer one starts', async () => {
+    const first = engine.lintNotebook(cells);
+    const second = engine.lintNotebook(cells.slice(0, 1));
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(second).resolves.toEqual([]);
+  });
+
+  test('an already aborted lint never becomes the active one', async () => {
+    const worker = createInThreadLintWorker();
+    const aborted = new WorkerLintEngine(worker);
+    const postMessage = jest.spyOn(worker, 'postMessage');
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      aborted.lintNotebook(cells, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    aborted.cancel();
+
+    expect(postMessage).not.toHaveBeenCalled();
+    aborted.terminate();
+  });
+
+  test('brings back the profile of the last lint', async () => {
+    await engine.lintNotebook(cells);
+    expect(engine.getProfile()).toBeNull();
+
+    await engine.configure({ profile: true });
+    await engine.lintNotebook(cells);
+    expect(engine.getProfile()).toMatchObject({ lintedCells: 3 });
+  });
+
+  test('applies config in the worker and rejects unknown rules', async () => {
+    await engine.configure({ rules: ['capitalizationTypos'] });
+    const errors = await engine.lintNotebook(cells);
+
+    expect(errors.map((e) => e.rule)).toEqual(['capitalizationTypos']);
+    await expect(engine.configure({ rules: ['noSuchRule'] })).rejects.toThrow(
+      /Unknown lint rule/
+    );
+  });
+});
+
+describe('startLintWorker', () => {
+  test('skips requests cancelled before they start', async () => {
+    const posted: LintWorkerResponse[] = [];
+    let listener: (event: { data: LintWorkerRequest }) => void = () => {};
+    startLintWorker({
+      postMessage: (message) => posted.push(message),
+      addEventListener: (_type, callback) => {
+        listener = callback;
+      },
+    });
+
+    const cells = [{ code: 'x = y', cellIndex: 0 }];
+    listener({ data: { type: 'lint', id: 1, cells } });
+    listener({ data: { type: 'lint', id: 2, cells } });
+    listener({ data: { type: 'cancel', id: 2 } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(posted.filter((m) => m.id === 1).map((m) => m.type)).toEqual([
+      'progress',
+      'done',
+    ]);
+    expect(posted.filter((m) => m.id === 2)).toEqual([
+      { type: 'cancelled', id: 2 },
+    ]);
+  });
+
+  test('ignores cancels for requests that already finished', async () => {
+    const posted: LintWorkerResponse[] = [];
+    let listener: (event: { data: LintWorkerRequest }) => void = () => {};
+    startLintWorker({
+      postMessage: (message) => posted.push(message),
+      addEventListener: (_type, callback) => {
+        listener = callback;
+      },
+    });
+
+    const cells = [{ code: 'x = y', cellIndex: 0 }];
+    listener({ data: { type: 'lint', id: 1, cells } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    listener({ data: { type: 'cancel', id: 1 } });
+    listener({ data: { type: 'lint', id: 1, cells } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(posted.map((m) => m.type)).toEqual([
+      'progress',
+      'done',
+      'progress',
+      'done',
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for autofixes and applyFixes
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { applyFixes } from '../fixes';
+import { LintError } from '../types';
+
+/**
+ * Creates an error with a single-edit fix on line 1
+ */
+function fixError(column: number, endColumn: number, text: string): LintError {
+  return {
+    line: 1,
+    msg: 'test',
+    severity: 'warning',
+    fix: {
+      description: 'test',
+      edits: [{ line: 1, column, endLine: 1, endColumn, text }],
+    },
+  };
+}
+
+describe('applyFixes', () => {
+  let engine: LintEngine;
+
+  beforeEach(() => {
+    engine = new LintEngine();
+  });
+
+  test('fixes capitalization typos', () => {
+    const code = 'flag = true\nother = none';
+    const errors = engine.lintCode(code);
+    const result = applyFixes(code, errors);
+
+    expect(result.output).toBe('flag = True\nother = None');
+    expect(result.applied).toHaveLength(2);
+    expect(result.skipped).toHaveLength(0);
+  });
+
+  test('removes duplicate imports', () => {
+    const code = 'import os\nimport os\nprint(os.getcwd())';
+    const { output } = applyFixes(code, engine.lintCode(code));
+    expect(output).toBe('import os\nprint(os.getcwd())');
+
+    const multi = 'import os\nimport sys, os\nprint(os, sys)';
+    expect(applyFixes(multi, engine.lintCode(multi)).output).toBe(
+      'import os\nimport sys\nprint(os, sys)'
+    );
+  });
+
+  test('normalizes tabs in indentation to 8-column tab stops', () => {
+    const code = 'if True:\n    x = 1\nif True:\n\ty = 2';
+    const { output } = applyFixes(code, engine.lintCode(code));
+    expect(output).toBe('if True:\n    x = 1\nif True:\n        y = 2');
+
+    // "  \t" is 8 columns to Python, so the line stays in the block
+    const mixed = 'if x:\n        y = 1\n  \tz = 2';
+    expect(applyFixes(mixed, engine.lintCode(mixed)).output).toBe(
+      'if x:\n        y = 1\n        z = 2'
+    );
+  });
+
+  test('honors the cell offset', () => {
+    const code = 'x = false';
+    const errors = engine.lintCode(code, 10);
+    expect(errors[0].line).toBe(11);
+    expect(applyFixes(code, errors, 10).output).toBe('x = False');
+  });
+
+  test('skips fixes that overlap an earlier fix', () => {
+    const result = applyFixes('abcdef', [
+      fixError(1, 4, 'X'),
+      fixError(3, 5, 'Y'),
+      fixError(5, 7, 'Z'),
+    ]);
+
+    expect(result.output).toBe('XdZ');
+    expect(result.applied).toHaveLength(2);
+    expect(result.skipped).toHaveLength(1);
+    expect(result.skipped[0].fix!.edits[0].text).toBe('Y');
+  });
+
+  test('skips fixes with out-of-range edits and ignores errors without fixes', () => {
+    const result = applyFixes('abc', [
+      fixError(2, 10, 'X'),
+      { line: 1, msg: 'no fix', severity: 'info' },
+    ]);
+
+    expect(result.output).toBe('abc');
+    expect(result.applied).toHaveLength(0);
+    expect(result.skipped).toHaveLength(1);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Baseline
+ * Fingerprints findings and hides the ones recorded in a baseline snapshot,
+ * so a linter adopted on an old notebook only reports new findings.
+ * A fingerprint combines the rule, the normalized code the finding points at
+ * and the enclosing def/class, never line numbers, so findings keep their
+ * fingerprint when code is added above them or cells are reordered
+ */
+
+import { LintError } from '../types';
+import { ParsedSource, Stmt, getLineSpan, offsetAt } from '../parser';
+import { hashString } from '../utils/hash';
+
+/** File name used for baseline snapshots by non-browser consumers */
+export const BASELINE_FILE_NAME = '.kagglelint-baseline.json';
+
+/** Current baseline format version */
+export const BASELINE_VERSION = 1;
+
+export interface BaselineEntry {
+  fingerprint: string;
+  /** Rule and message of the first matching finding, for readers */
+  rule: string;
+  msg: string;
+  /** Number of identical findings recorded */
+  count: number;
+}
+
+export interface Baseline {
+  version: number;
+  entries: BaselineEntry[];
+}
+
+export interface BaselineReport {
+  /** Findings hidden by the baseline */
+  suppressed: LintError[];
+  /** Entries with no matching finding left (count = occurrences fixed) */
+  fixed: BaselineEntry[];
+}
+
+/**
+ * Gets the qualified name of the innermost def/class containing a line
+ * @param body - Statements to search
+ * @param line - Line within the cell
+ * @returns Dotted name (e.g. 'Model.fit'), or '' at module level
+ */
+function findEnclosingSymbol(body: Stmt[], line: number): string {
+  for (const stmt of body) {
+    if (stmt.start.line > line || stmt.end.line < line) {
+      continue;
+    }
+    if (stmt.type === 'FunctionDef' || stmt.type === 'ClassDef') {
+      const inner = findEnclosingSymbol(stmt.body, line);
+      return inner ? `${stmt.name}.${inner}` : stmt.name;
+    }
+    // Definitions nested in if/for/try/with blocks
+    const blocks: Stmt[][] = [];
+    switch (stmt.type) {
+      case 'If':
+      case 'For':
+      case 'While':
+        blocks.push(stmt.body, stmt.orelse);
+        break;
+      case 'With':
+        blocks.push(stmt.body);
+        break;
+      case 'Try':
+        blocks.push(
+          stmt.body,
+          ...stmt.handlers.map((handler) => handler.body),
+          stmt.orelse,
+          stmt.finalbody
+        );
+        break;
+      case 'Match':
+        blocks.push(...stmt.cases.map((matchCase) => matchCase.body));
+        break;
+    }
+    for (const block of blocks) {
+      const inner = findEnclosingSymbol(block, line);
+      if (inner) {
+        return inner;
+      }
+    }
+    return '';
+  }
+  return '';
+}
+
+/**
+ * Gets the code a finding points at, with whitespace collapsed
+ * @param error - Finding
+ * @param parsed - Parsed cell the finding was reported for
+ * @param cellOffset - Line offset of the cell
+ * @returns Normalized snippet (the line content for empty ranges)
+ */
+function getSnippet(
+  error: LintError,
+  parsed: ParsedSource,
+  cellOffset: number
+): string {
+  const line = error.line - cellOffset;
+  let { start, end } = getLineSpan(parsed.code, line);
+  if (error.column !== undefined && error.endLine !== undefined) {
+    const rangeEnd = {
+      line: error.endLine - cellOffset,
+      column: error.endColumn ?? error.column,
+    };
+    if (rangeEnd.line > line || rangeEnd.column > error.column) {
+      start = { line, column: error.column };
+      end = rangeEnd;
+    }
+  }
+  return parsed.code
+    .slice(offsetAt(parsed, start), offsetAt(parsed, end))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Computes the fingerprint of a finding
+ * @param error - Finding (with global line numbers)
+ * @param parsed - Parsed cell the finding was reported for
+ * @param cellOffset - Line offset of the cell
+ * @returns Fingerprint
+ */
+export function computeFingerprint(
+  error: LintError,
+  parsed: ParsedSource,
+  cellOffset: number = 0
+): string {
+  return hashString(
+    [
+      error.rule ?? '',
+      error.code ?? '',
+      // Messages may quote line numbers ("first defined at line 3")
+      error.msg.replace(/\d+/g, '#'),
+      getSnippet(error, parsed, cellOffset),
+      findEnclosingSymbol(parsed.module.body, error.line - cellOffset),
+    ].join('\0')
+  );
+}
+
+/**
+ * Creates a baseline snapshot of findings
+ * @param errors - Findings carrying a fingerprint (as returned by LintEngine)
+ * @returns Baseline with one entry per distinct fingerprint
+ */
+export function createBaseline(errors: LintError[]): Baseline {
+  const entries = new Map<string, BaselineEntry>();
+  errors.forEach((error) => {
+    if (!error.fingerprint) {
+      return;
+    }
+    const entry = entries.get(error.fingerprint);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(error.fingerprint, {
+        fingerprint: error.fingerprint,
+        rule: error.rule ?? '',
+        msg: error.msg,
+        count: 1,
+      });
+    }
+  });
+  return { version: BASELINE_VERSION, entries: [...entries.values()] };
+}
+
+/**
+ * Validates a parsed baseline
+ * @param value - Parsed JSON value
+ * @param source - Where the baseline came from (used in error messages)
+ * @returns Baseline
+ * @throws Error if the value is not a baseline of a supported version
+ */
+export function parseBaseline(
+  value: unknown,
+  source: string = BASELINE_FILE_NAME
+): Baseline {
+  const fail = (problem: string): never => {
+    throw new Error(`Invalid kaggle-lint baseline in ${source}: ${problem}`);
+  };
+  const baseline = value as Baseline;
+
+  if (typeof value !== 'object' || value === null) {
+    fail('expected an object');
+  }
+  if (baseline.version !== BASELINE_VERSION) {
+    fail(`unsupported version ${String(baseline.version)}`);
+  }
+  if (!Array.isArray(baseline.entries)) {
+    fail("'entries' must be an array");
+  }
+  baseline.entries.forEach((entry, index) => {
+    if (
+      typeof entry?.fingerprint !== 'string' ||
+      !Number.isInteger(entry.count) ||
+      entry.count < 1
+    ) {
+      fail(`entry ${index} needs a fingerprint and a positive count`);
+    }
+  });
+  return baseline;
+}
+
+/**
+ * Hides findings recorded in a baseline. Each entry hides at most `count`
+ * findings, so new copies of a recorded finding are still reported.
+ * Feed every finding of a run through one matcher, then read the report
+ */
+export class BaselineMatcher {
+  private remaining = new Map<string, number>();
+  private entries = new Map<string, BaselineEntry>();
+  private suppressed: LintError[] = [];
+
+  /**
+   * Constructor
+   * @param baseline - Baseline snapshot
+   */
+  constructor(baseline: Baseline) {
+    baseline.entries.forEach((entry) => {
+      this.entries.set(entry.fingerprint, entry);
+      this.remaining.set(
+        entry.fingerprint,
+        (this.remaining.get(entry.fingerprint) ?? 0) + entry.count
+      );
+    });
+  }
+
+  /**
+   * Removes the findings recorded in the baseline
+   * @param errors - Findings carrying a fingerprint
+   * @returns Findings not in the baseline
+   */
+  filter<T extends LintError>(errors: T[]): T[] {
+    return errors.filter((error) => {
+      const left = error.fingerprint
+        ? (this.remaining.get(error.fingerprint) ?? 0)
+        : 0;
+      if (left === 0) {
+        return true;
+      }
+      this.remaining.set(error.fingerprint!, left - 1);
+      this.suppressed.push(error);
+      return false;
+    });
+  }
+
+  /**
+   * Gets the hidden findings and the entries that matched nothing
+   * @returns Baseline report
+   */
+  getReport(): BaselineReport {
+    const fixed: BaselineEntry[] = [];
+    this.remaining.forEach((count, fingerprint) => {
+      if (count > 0) {
+        fixed.push({ ...this.entries.get(fingerprint)!, count });
+      }
+    });
+    return { suppressed: [...this.suppressed], fixed };
+  }
+}
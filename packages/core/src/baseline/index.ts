@@ -0,0 +1,6 @@
+/**
+ * Baseline Index
+ * Exports finding fingerprints and baseline snapshots
+ */
+
+export * from './Baseline';
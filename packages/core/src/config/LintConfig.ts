@@ -0,0 +1,275 @@
+/**
+ * Lint Config
+ * Loads the shareable lint policy from its three homes and merges it over
+ * the user's own settings:
+ *   .kagglelintrc.json              -> project file (non-browser consumers)
+ *   notebook metadata 'kaggle-lint' -> stored in the .ipynb
+ *   # kaggle-lint-config: {...}     -> comment block at the top of the first
+ *                                      cell, visible while editing
+ * Precedence (later wins): user < file < metadata < first cell
+ */
+
+import { KaggleLintConfig, LintEngineConfig, Severity } from '../types';
+import { UNUSED_SUPPRESSION_RULE } from '../suppressions';
+
+/** File name looked up by non-browser consumers */
+export const CONFIG_FILE_NAME = '.kagglelintrc.json';
+
+/** Notebook metadata key holding the config */
+export const NOTEBOOK_METADATA_KEY = 'kaggle-lint';
+
+/** Marker comment starting the config block of the first cell */
+export const CELL_CONFIG_MARKER = 'kaggle-lint-config';
+
+export interface ConfigSources {
+  /** Settings of the person linting (e.g. the extension popup) */
+  user?: KaggleLintConfig | null;
+  /** Contents of `.kagglelintrc.json` */
+  file?: KaggleLintConfig | null;
+  /** Config from the notebook metadata */
+  metadata?: KaggleLintConfig | null;
+  /** Config from the first cell's comment block */
+  cell?: KaggleLintConfig | null;
+}
+
+const CONFIG_KEYS = ['rules', 'severityLevels', 'reportUnusedSuppressions'];
+const SEVERITIES: Severity[] = ['error', 'warning', 'info'];
+const MARKER_PATTERN = new RegExp(`^#\\s*${CELL_CONFIG_MARKER}\\b:?(.*)$`);
+
+/**
+ * Checks that a value is a plain object
+ * @param value - Value to check
+ * @returns boolean
+ */
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates a parsed config
+ * @param value - Parsed JSON value
+ * @param source - Where the config came from (used in error messages)
+ * @returns Config containing only the known keys
+ * @throws Error describing the first problem found
+ */
+export function parseConfig(value: unknown, source: string): KaggleLintConfig {
+  const fail = (problem: string): never => {
+    throw new Error(`Invalid kaggle-lint config in ${source}: ${problem}`);
+  };
+
+  if (!isRecord(value)) {
+    return fail('expected an object');
+  }
+  const unknownKeys = Object.keys(value).filter(
+    (key) => !CONFIG_KEYS.includes(key)
+  );
+  if (unknownKeys.length > 0) {
+    fail(
+      `unknown key(s) ${unknownKeys
+        .map((key) => `'${key}'`)
+        .join(', ')}; expected ${CONFIG_KEYS.join(', ')}`
+    );
+  }
+
+  const config: KaggleLintConfig = {};
+
+  if (value.rules !== undefined) {
+    if (!isRecord(value.rules)) {
+      fail("'rules' must map rule names to true or false");
+    }
+    const rules = value.rules as Record<string, unknown>;
+    Object.entries(rules).forEach(([name, enabled]) => {
+      if (typeof enabled !== 'boolean') {
+        fail(`rule '${name}' must be true or false`);
+      }
+    });
+    config.rules = { ...(rules as Record<string, boolean>) };
+  }
+
+  if (value.severityLevels !== undefined) {
+    if (!isRecord(value.severityLevels)) {
+      fail("'severityLevels' must map rule names to severities");
+    }
+    const levels = value.severityLevels as Record<string, unknown>;
+    Object.entries(levels).forEach(([name, severity]) => {
+      if (!SEVERITIES.includes(severity as Severity)) {
+        fail(`severity of '${name}' must be one of ${SEVERITIES.join(', ')}`);
+      }
+    });
+    config.severityLevels = { ...(levels as Record<string, Severity>) };
+  }
+
+  if (value.reportUnusedSuppressions !== undefined) {
+    if (typeof value.reportUnusedSuppressions !== 'boolean') {
+      fail("'reportUnusedSuppressions' must be true or false");
+    }
+    config.reportUnusedSuppressions = value.reportUnusedSuppressions as boolean;
+  }
+
+  return config;
+}
+
+/**
+ * Parses the contents of a `.kagglelintrc.json` file
+ * @param text - File contents
+ * @param source - File path (used in error messages)
+ * @returns Config
+ * @throws Error if the file is not valid JSON or not a valid config
+ */
+export function parseConfigFile(
+  text: string,
+  source: string = CONFIG_FILE_NAME
+): KaggleLintConfig {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `Invalid kaggle-lint config in ${source}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  return parseConfig(value, source);
+}
+
+/**
+ * Reads the config stored in notebook metadata
+ * @param metadata - Top-level notebook metadata (nbformat `metadata`)
+ * @returns Config, or null when the notebook has none
+ * @throws Error if the stored config is invalid
+ */
+export function extractMetadataConfig(
+  metadata: Record<string, unknown> | null | undefined
+): KaggleLintConfig | null {
+  if (!metadata || metadata[NOTEBOOK_METADATA_KEY] === undefined) {
+    return null;
+  }
+  return parseConfig(
+    metadata[NOTEBOOK_METADATA_KEY],
+    `notebook metadata '${NOTEBOOK_METADATA_KEY}'`
+  );
+}
+
+/**
+ * Reads the config block at the top of a cell. The block starts with a
+ * `# kaggle-lint-config` comment among the cell's leading comments and holds
+ * JSON, on the marker line or on the comment lines right after it:
+ *   # kaggle-lint-config
+ *   # {"rules": {"missingReturn": false}}
+ * The block ends at the first line that is not a comment
+ * @param code - Source code of the first cell
+ * @returns Config, or null when the cell has no config block
+ * @throws Error if the block does not hold a valid config
+ */
+export function extractCellConfig(code: string): KaggleLintConfig | null {
+  const lines = code.split('\n').map((line) => line.trim());
+
+  let start = 0;
+  while (start < lines.length && !MARKER_PATTERN.test(lines[start])) {
+    if (lines[start] !== '' && !lines[start].startsWith('#')) {
+      // The block must come before any code
+      return null;
+    }
+    start++;
+  }
+  if (start === lines.length) {
+    return null;
+  }
+
+  const json = [MARKER_PATTERN.exec(lines[start])![1]];
+  for (let i = start + 1; i < lines.length && lines[i].startsWith('#'); i++) {
+    json.push(lines[i].slice(1));
+  }
+
+  const text = json.join('\n').trim();
+  const where = `first cell (line ${start + 1})`;
+  if (text === '') {
+    throw new Error(
+      `Invalid kaggle-lint config in ${where}: expected JSON after '# ${CELL_CONFIG_MARKER}'`
+    );
+  }
+  return parseConfigFile(text, where);
+}
+
+/**
+ * Merges configs; later configs win, rule maps are merged by rule name
+ * @param configs - Configs from lowest to highest precedence (nullish
+ *   entries are skipped)
+ * @returns Merged config
+ */
+export function mergeConfigs(
+  ...configs: Array<KaggleLintConfig | null | undefined>
+): KaggleLintConfig {
+  return configs.reduce<KaggleLintConfig>((merged, config) => {
+    if (!config) {
+      return merged;
+    }
+    const result: KaggleLintConfig = { ...merged };
+    if (config.rules) {
+      result.rules = { ...merged.rules, ...config.rules };
+    }
+    if (config.severityLevels) {
+      result.severityLevels = {
+        ...merged.severityLevels,
+        ...config.severityLevels,
+      };
+    }
+    if (config.reportUnusedSuppressions !== undefined) {
+      result.reportUnusedSuppressions = config.reportUnusedSuppressions;
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Merges every config source in precedence order:
+ * user < file < metadata < cell
+ * @param sources - Configs by source
+ * @returns Effective config
+ */
+export function resolveConfig(sources: ConfigSources): KaggleLintConfig {
+  return mergeConfigs(
+    sources.user,
+    sources.file,
+    sources.metadata,
+    sources.cell
+  );
+}
+
+/**
+ * Converts a config to a LintEngine config
+ * @param config - Shareable config
+ * @param knownRules - Rule names the engine has; when given, settings for
+ *   other rules (e.g. from a plugin this consumer lacks) are dropped instead
+ *   of making LintEngine.configure throw
+ * @returns Engine config
+ */
+export function toEngineConfig(
+  config: KaggleLintConfig,
+  knownRules?: Iterable<string>
+): LintEngineConfig {
+  const known = knownRules ? new Set(knownRules) : null;
+  const keep = <T>(record: Record<string, T> | undefined, extra?: string) =>
+    record &&
+    Object.fromEntries(
+      Object.entries(record).filter(
+        ([name]) => !known || known.has(name) || name === extra
+      )
+    );
+
+  const engineConfig: LintEngineConfig = {};
+  if (config.rules) {
+    engineConfig.rules = keep(config.rules);
+  }
+  if (config.severityLevels) {
+    engineConfig.severityLevels = keep(
+      config.severityLevels,
+      UNUSED_SUPPRESSION_RULE
+    );
+  }
+  if (config.reportUnusedSuppressions !== undefined) {
+    engineConfig.reportUnusedSuppressions = config.reportUnusedSuppressions;
+  }
+  return engineConfig;
+}
@@ -0,0 +1,6 @@
+/**
+ * Config Index
+ * Exports shareable config loading and merging
+ */
+
+export * from './LintConfig';
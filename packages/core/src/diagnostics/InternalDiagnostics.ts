@@ -0,0 +1,166 @@
+/**
+ * Internal Diagnostics
+ * Rules that throw, go over their time budget or can't be loaded are
+ * reported as `internal` findings instead of silently returning fewer
+ * results, and a per-rule circuit breaker turns off a rule that keeps
+ * crashing for the rest of the session
+ */
+
+import { LintError } from '../types';
+
+/** Rule name of the findings reported for rules that crashed */
+export const INTERNAL_RULE = 'internal';
+
+/** Crashes after which a rule is disabled for the session */
+export const RULE_CRASH_LIMIT = 3;
+
+/** Longest crash reason kept in a finding */
+const MAX_REASON_LENGTH = 120;
+
+export interface InternalDiagnostic {
+  /**
+   * Whether the rule threw, went over its time budget or could not be
+   * loaded (e.g. a flake8 plugin whose wheels failed to install)
+   */
+  kind: 'crash' | 'timeout' | 'unavailable';
+  /** Rule that failed */
+  rule: string;
+  /** Short description of the exception, or the time the rule took */
+  reason: string;
+  /** Whether this crash disabled the rule for the session */
+  disabled: boolean;
+}
+
+export interface RuleCrash {
+  rule: string;
+  /** Crashes so far */
+  count: number;
+  /** Reason of the last crash */
+  reason: string;
+  disabled: boolean;
+}
+
+/**
+ * Gets a short, single-line description of an exception
+ * @param error - Thrown value
+ * @returns Reason (e.g. "TypeError: x is undefined")
+ */
+export function getCrashReason(error: unknown): string {
+  const text =
+    error instanceof Error
+      ? `${error.name}: ${error.message}`
+      : String(error ?? 'unknown error');
+  const line = text.split('\n')[0].trim();
+  return line.length > MAX_REASON_LENGTH
+    ? `${line.slice(0, MAX_REASON_LENGTH - 3)}...`
+    : line;
+}
+
+/**
+ * Creates the diagnostic of a rule that went over its time budget
+ * @param rule - Rule name
+ * @param elapsed - Time the rule took on the cell (ms)
+ * @param budget - Time budget (ms)
+ * @returns Diagnostic
+ */
+export function createTimeoutDiagnostic(
+  rule: string,
+  elapsed: number,
+  budget: number
+): InternalDiagnostic {
+  return {
+    kind: 'timeout',
+    rule,
+    reason: `took ${Math.round(elapsed)} ms, budget is ${budget} ms`,
+    disabled: false,
+  };
+}
+
+/**
+ * Creates the finding reported for a rule crash, timeout or load failure,
+ * on the first line of the cell
+ * @param diagnostic - Failed rule and reason
+ * @param cellIndex - Index of the cell being linted
+ * @param cellOffset - Line offset of the cell
+ * @returns Lint error
+ */
+export function createInternalError(
+  diagnostic: InternalDiagnostic,
+  cellIndex: number,
+  cellOffset: number
+): LintError {
+  const failure = {
+    crash: 'crashed',
+    timeout: 'exceeded its time budget',
+    unavailable: 'could not be loaded',
+  }[diagnostic.kind];
+  const consequence = diagnostic.disabled
+    ? '; rule disabled for this session'
+    : diagnostic.kind !== 'crash'
+      ? '; skipped for the rest of this run'
+      : '';
+  return {
+    line: cellOffset + 1,
+    column: 1,
+    endLine: cellOffset + 1,
+    endColumn: 1,
+    msg: `Rule '${diagnostic.rule}' ${failure} on cell ${cellIndex + 1}: ${
+      diagnostic.reason
+    }${consequence}`,
+    severity: 'warning',
+    rule: INTERNAL_RULE,
+    cellIndex,
+    internal: diagnostic,
+  };
+}
+
+/**
+ * Counts crashes by rule and disables a rule once it reaches the limit
+ */
+export class RuleCircuitBreaker {
+  private crashes = new Map<string, RuleCrash>();
+
+  /**
+   * Constructor
+   * @param limit - Crashes after which a rule is disabled
+   */
+  constructor(private readonly limit: number = RULE_CRASH_LIMIT) {}
+
+  /**
+   * Records a crash of a rule
+   * @param rule - Rule name
+   * @param error - Thrown value
+   * @returns Diagnostic of the crash, telling whether it disabled the rule
+   */
+  recordCrash(rule: string, error: unknown): InternalDiagnostic {
+    const reason = getCrashReason(error);
+    const count = (this.crashes.get(rule)?.count ?? 0) + 1;
+    const disabled = count >= this.limit;
+    this.crashes.set(rule, { rule, count, reason, disabled });
+    return { kind: 'crash', rule, reason, disabled };
+  }
+
+  /**
+   * Checks whether a rule was disabled by its crashes
+   * @param rule - Rule name
+   * @returns boolean
+   */
+  isDisabled(rule: string): boolean {
+    return this.crashes.get(rule)?.disabled ?? false;
+  }
+
+  /**
+   * Gets every rule that crashed, in order of first crash
+   * @returns Crash counts by rule
+   */
+  getCrashes(): RuleCrash[] {
+    return [...this.crashes.values()].map((crash) => ({ ...crash }));
+  }
+
+  /**
+   * Forgets all crashes, enabling disabled rules again
+   */
+  reset(): void {
+    this.crashes.clear();
+  }
+}
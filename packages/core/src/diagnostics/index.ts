@@ -0,0 +1,6 @@
+/**
+ * Diagnostics Index
+ * Exports internal diagnostics for rule crashes
+ */
+
+export * from './InternalDiagnostics';
@@ -0,0 +1,158 @@
+/**
+ * Builtin Engine
+ * Engine interface over a LintEngine running on the current thread
+ */
+
+import { LintEngineConfig, LintError } from '../types';
+import { LintProfile } from '../profiling';
+import { LintEngine } from './LintEngine';
+import {
+  Engine,
+  EngineCapabilities,
+  EngineLintOptions,
+  ErrorStats,
+  NotebookCell,
+  NotebookError,
+  createAbortError,
+  createDisposedError,
+  getErrorStats,
+  yieldToEventLoop,
+} from './Engine';
+
+export class BuiltinEngine implements Engine {
+  readonly name = 'builtin';
+  readonly capabilities: EngineCapabilities = {
+    fixes: true,
+    configurable: true,
+    streaming: true,
+    heavyLoad: false,
+    profiling: true,
+  };
+  private disposed = false;
+
+  /**
+   * Constructor
+   * @param engine - Engine to lint with
+   */
+  constructor(readonly engine: LintEngine = new LintEngine()) {}
+
+  /**
+   * Nothing to load: the rules are part of the bundle
+   * @throws Error if the engine was disposed
+   */
+  async load(): Promise<void> {
+    this.assertNotDisposed();
+  }
+
+  /**
+   * Checks if the engine is ready
+   * @returns Whether the engine wasn't disposed
+   */
+  isReady(): boolean {
+    return !this.disposed;
+  }
+
+  /**
+   * Checks that the engine can still lint
+   * @throws Error if the engine was disposed
+   */
+  private assertNotDisposed(): void {
+    if (this.disposed) {
+      throw createDisposedError(this.name);
+    }
+  }
+
+  /**
+   * Lints a notebook with LintEngine.lintNotebookCells, yielding to the
+   * event loop after each cell so an abort can land mid-run
+   * @param cells - Array of cells with code, element, and cellIndex
+   * @param options - Abort signal and progress callback (called per cell)
+   * @returns Array of errors with cell information
+   * @throws AbortError when the signal fires
+   * @throws Error if the engine was disposed
+   */
+  async lintNotebook(
+    cells: NotebookCell[],
+    options: EngineLintOptions = {}
+  ): Promise<NotebookError[]> {
+    this.assertNotDisposed();
+    const errors: NotebookError[] = [];
+    let lintedCells = 0;
+
+    for (const cellErrors of this.engine.lintNotebookCells(cells, {
+      signal: options.signal,
+    })) {
+      errors.push(...cellErrors);
+      lintedCells++;
+      options.onProgress?.([...errors], {
+        lintedCells,
+        totalCells: cells.length,
+      });
+
+      await yieldToEventLoop();
+      this.assertNotDisposed();
+      if (options.signal?.aborted) {
+        // Leaving the loop stops the generator (cached cells are kept)
+        break;
+      }
+    }
+
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
+    return errors;
+  }
+
+  /**
+   * Lints one piece of code on its own
+   * @param code - Python source code
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index for cell-specific rules
+   * @returns Errors
+   * @throws Error if the engine was disposed
+   */
+  async lintCell(
+    code: string,
+    cellOffset: number = 0,
+    cellIndex: number = 0
+  ): Promise<LintError[]> {
+    this.assertNotDisposed();
+    return this.engine.lintCell(code, cellOffset, cellIndex).errors;
+  }
+
+  /**
+   * Gets error statistics
+   * @param errors - All errors
+   * @returns Statistics object
+   */
+  getStats(errors: LintError[]): ErrorStats {
+    return getErrorStats(errors);
+  }
+
+  /**
+   * Applies a config to the engine
+   * @param config - Engine config
+   * @returns Promise rejecting if the config references unknown rule names
+   *   or the engine was disposed
+   */
+  async configure(config: LintEngineConfig): Promise<void> {
+    this.assertNotDisposed();
+    this.engine.configure(config);
+  }
+
+  /**
+   * Gets the timings of the last lint
+   * @returns Profile, or null when profiling is off
+   */
+  getProfile(): LintProfile | null {
+    return this.engine.getProfile();
+  }
+
+  /**
+   * Drops the cached cell results; the engine can't lint afterwards
+   */
+  dispose(): void {
+    this.disposed = true;
+    this.engine.clearCache();
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Engine
+ * Common async interface of the linting engines (built-in rules, the lint
+ * worker, Flake8), so callers can swap engines without special-casing one,
+ * plus the notebook types and statistics they share
+ */
+
+import { LintEngineConfig, LintError } from '../types';
+import type { LintProfile } from '../profiling';
+
+export interface NotebookCell {
+  code: string;
+  element?: any;
+  cellIndex: number;
+}
+
+export interface NotebookError extends LintError {
+  cellIndex: number;
+  element?: any;
+  cellLine: number;
+}
+
+export interface ErrorStats {
+  total: number;
+  /** Counts by rule id (see getRuleId) */
+  byRule: Record<string, number>;
+  bySeverity: { error: number; warning: number; info: number };
+}
+
+export interface LintProgress {
+  /** Cells linted so far */
+  lintedCells: number;
+  /** Cells in the request */
+  totalCells: number;
+}
+
+export interface EngineCapabilities {
+  /** Findings can carry fixes for applyFixes() */
+  fixes: boolean;
+  /** Accepts rule settings through configure() */
+  configurable: boolean;
+  /** Reports partial results through onProgress while linting */
+  streaming: boolean;
+  /** load() fetches a runtime, so the first lint can take a while */
+  heavyLoad: boolean;
+  /** Records rule timings, returned by getProfile() */
+  profiling: boolean;
+}
+
+export interface EngineLintOptions {
+  /** Stops the run; it then rejects with an AbortError */
+  signal?: AbortSignal;
+  /**
+   * Called as results come in (engines with the `streaming` capability)
+   * @param errors - All errors found so far, in cell order
+   * @param progress - Cells linted so far
+   */
+  onProgress?: (errors: NotebookError[], progress: LintProgress) => void;
+}
+
+export interface Engine {
+  /** Engine id (e.g. 'builtin', 'flake8') */
+  readonly name: string;
+  readonly capabilities: EngineCapabilities;
+  /**
+   * Prepares the engine; linting loads it on demand as well
+   * @throws Error if the engine can't be loaded
+   */
+  load(): Promise<void>;
+  /** Whether load() finished */
+  isReady(): boolean;
+  /**
+   * Lints the cells of a notebook, names defined in a cell being known to
+   * the cells after it
+   * @param cells - Cells in notebook order
+   * @param options - Abort signal and progress callback
+   * @returns Errors with cell information
+   */
+  lintNotebook(
+    cells: NotebookCell[],
+    options?: EngineLintOptions
+  ): Promise<NotebookError[]>;
+  /**
+   * Lints one piece of code on its own
+   * @param code - Python source code
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index for cell-specific rules
+   * @returns Errors
+   */
+  lintCell(
+    code: string,
+    cellOffset?: number,
+    cellIndex?: number
+  ): Promise<LintError[]>;
+  /**
+   * Counts errors by rule id and by severity
+   * @param errors - All errors
+   * @returns Statistics object
+   */
+  getStats(errors: LintError[]): ErrorStats;
+  /**
+   * Applies rule settings (engines with the `configurable` capability)
+   * @param config - Engine config
+   */
+  configure?(config: LintEngineConfig): Promise<void>;
+  /**
+   * Gets the timings of the last lint (engines with the `profiling`
+   * capability)
+   * @returns Profile, or null when profiling is off
+   */
+  getProfile?(): LintProfile | null;
+  /**
+   * Releases the engine's resources for good: afterwards load(),
+   * lintNotebook(), lintCell() and configure() reject with the error of
+   * createDisposedError(), and isReady() is false. Create a new engine to
+   * lint again
+   */
+  dispose(): void;
+}
+
+/**
+ * Gets the id a finding is counted and reported under; flake8 findings use
+ * their code
+ * @param error - Finding
+ * @returns Rule id (e.g. 'undefinedVariables', 'flake8/E501')
+ */
+export function getRuleId(error: LintError): string {
+  if (error.rule === 'flake8' && error.code) {
+    return `flake8/${error.code}`;
+  }
+  return error.rule ?? 'unknown';
+}
+
+/**
+ * Counts errors by rule id and by severity
+ * @param errors - All errors
+ * @returns Statistics object
+ */
+export function getErrorStats(errors: LintError[]): ErrorStats {
+  const stats: ErrorStats = {
+    total: errors.length,
+    byRule: {},
+    bySeverity: { error: 0, warning: 0, info: 0 },
+  };
+
+  errors.forEach((error) => {
+    stats.bySeverity[error.severity] =
+      (stats.bySeverity[error.severity] || 0) + 1;
+    const ruleId = getRuleId(error);
+    stats.byRule[ruleId] = (stats.byRule[ruleId] || 0) + 1;
+  });
+
+  return stats;
+}
+
+/**
+ * Creates the error aborted lint runs reject with
+ * @param message - Error message
+ * @returns Error named 'AbortError', like an aborted fetch
+ */
+export function createAbortError(message = 'Lint run was aborted'): Error {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Creates the error a disposed engine rejects calls with
+ * @param engine - Engine name
+ * @returns Error
+ */
+export function createDisposedError(engine: string): Error {
+  return new Error(
+    `The ${engine} engine was disposed; create a new one to lint`
+  );
+}
+
+/**
+ * Waits for the next macrotask so pending events (abort, messages) are seen
+ */
+export function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
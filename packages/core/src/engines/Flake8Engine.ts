@@ -1,12 +1,40 @@
 /**
  * Flake8 Linter Engine using Pyodide
- * Provides Python linting using Flake8 running in WebAssembly via Pyodide
- * WITH NOTEBOOK CONTEXT TRACKING
- * 
+ * Provides Python linting using Flake8 running in WebAssembly via Pyodide:
+ * pyflakes, pycodestyle and mccabe run on each cell, and names defined by
+ * earlier cells are known to the later ones. Pyodide and the flake8 wheels
+ * are bundled (src/pyodide), so loading never touches the network
+ *
  * Migrated from old-linter/src/flake8Engine.js to TypeScript
  */
 
-import { LintError } from '../types';
+import { LintError, Severity, SourceRange } from '../types';
+import {
+  ParsedSource,
+  getLineSpan,
+  parsePython,
+  toSourceRange,
+} from '../parser';
+import { applySuppressions, parseSuppressions } from '../suppressions';
+import { preprocessIPython } from '../preprocessor';
+import { SymbolTable, collectSymbols } from '../symbols';
+import { computeFingerprint } from '../baseline';
+import {
+  InternalDiagnostic,
+  createInternalError,
+  getCrashReason,
+} from '../diagnostics';
+import {
+  Engine,
+  EngineCapabilities,
+  EngineLintOptions,
+  ErrorStats,
+  NotebookCell,
+  NotebookError,
+  createAbortError,
+  createDisposedError,
+  getErrorStats,
+} from './Engine';
 
 // Type declaration for Pyodide
 declare global {
@@ -20,35 +48,384 @@ interface PyodideInterface {
   runPythonAsync(code: string): Promise<string>;
 }
 
-interface NotebookCell {
+export interface Flake8Options {
+  /** Codes or code prefixes to report (e.g. ['E', 'F', 'W', 'C90']) */
+  select?: string[];
+  /** Codes or code prefixes not to report (e.g. ['E203', 'W503']) */
+  ignore?: string[];
+  /** Longest line allowed by E501; flake8 defaults to 79 */
+  maxLineLength?: number;
+  /** McCabe complexity above which C901 is reported; off by default */
+  maxComplexity?: number;
+  /** Plugins to run (see FLAKE8_PLUGINS); none by default */
+  plugins?: Flake8Plugin[];
+}
+
+/** A violation as returned by the Python runner */
+interface Flake8Finding {
+  line: number;
+  /** 1-based column */
+  column: number;
   code: string;
-  element?: any;
-  cellIndex: number;
+  msg: string;
+}
+
+const FLAKE8_CODE = /^[A-Z]+[0-9]*$/;
+
+/**
+ * Validates flake8 options
+ * @param options - Flake8 options
+ * @throws Error describing the first invalid option
+ */
+export function validateFlake8Options(options: Flake8Options): void {
+  (['select', 'ignore'] as const).forEach((key) => {
+    const codes: unknown = options[key];
+    if (
+      codes !== undefined &&
+      !(
+        Array.isArray(codes) &&
+        codes.every(
+          (code) => typeof code === 'string' && FLAKE8_CODE.test(code)
+        )
+      )
+    ) {
+      throw new Error(
+        `Invalid flake8 option ${key}: expected a list of codes like 'E501' or 'W', got ${JSON.stringify(codes)}`
+      );
+    }
+  });
+  (['maxLineLength', 'maxComplexity'] as const).forEach((key) => {
+    const value = options[key];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(
+        `Invalid flake8 option ${key}: expected a positive integer, got ${value}`
+      );
+    }
+  });
+  const plugins: unknown = options.plugins;
+  if (
+    plugins !== undefined &&
+    !(
+      Array.isArray(plugins) &&
+      plugins.every((name) => FLAKE8_PLUGINS.some((p) => p.name === name))
+    )
+  ) {
+    throw new Error(
+      `Invalid flake8 option plugins: expected some of ${FLAKE8_PLUGINS.map((p) => `'${p.name}'`).join(', ')}, got ${JSON.stringify(plugins)}`
+    );
+  }
+}
+
+/**
+ * Gets the severity of a flake8 code. Syntax errors (E9), invalid
+ * comparisons (F63), misplaced statements (F7) and undefined names (F82)
+ * are errors; other pyflakes findings, complexity (C9), deprecations (W6)
+ * and likely bugs found by bugbear (B0) are warnings; style checks,
+ * including bugbear's opinionated B9 and the naming, comprehension and
+ * simplification plugins, are info
+ * @param code - Flake8 code (e.g. 'F821')
+ * @returns Severity
+ */
+export function getFlake8Severity(code: string): Severity {
+  if (/^(E9|F63|F7|F82)/.test(code)) {
+    return 'error';
+  }
+  if (/^(F|C9|W6|B0)/.test(code)) {
+    return 'warning';
+  }
+  return 'info';
+}
+
+export interface BundledWheel {
+  /** Distribution name, as importlib.metadata knows it */
+  name: string;
+  version: string;
+  /** File in src/pyodide */
+  fileName: string;
 }
 
-interface NotebookError extends LintError {
-  cellIndex: number;
-  element?: any;
-  cellLine: number;
+/**
+ * Wheels installed by load(), from the Pyodide directory. They are pinned
+ * together: flake8 6.1 requires pyflakes 3.1, pycodestyle 2.11 and
+ * mccabe 0.7
+ */
+export const FLAKE8_WHEELS: readonly BundledWheel[] = [
+  {
+    name: 'mccabe',
+    version: '0.7.0',
+    fileName: 'mccabe-0.7.0-py2.py3-none-any.whl',
+  },
+  {
+    name: 'pycodestyle',
+    version: '2.11.1',
+    fileName: 'pycodestyle-2.11.1-py2.py3-none-any.whl',
+  },
+  {
+    name: 'pyflakes',
+    version: '3.1.0',
+    fileName: 'pyflakes-3.1.0-py2.py3-none-any.whl',
+  },
+  {
+    name: 'flake8',
+    version: '6.1.0',
+    fileName: 'flake8-6.1.0-py2.py3-none-any.whl',
+  },
+];
+
+export type Flake8Plugin = 'bugbear' | 'naming' | 'comprehensions' | 'simplify';
+
+export interface Flake8PluginInfo {
+  name: Flake8Plugin;
+  title: string;
+  description: string;
+  /** Prefixes of the codes the plugin reports */
+  codes: string[];
+  /** Plugin wheel and its dependencies, installed the first time it runs */
+  wheels: BundledWheel[];
 }
 
-interface ErrorStats {
-  total: number;
-  byRule: Record<string, number>;
-  bySeverity: { error: number; warning: number; info: number };
+/**
+ * Optional flake8 plugins, installed from the Pyodide directory like flake8
+ * itself. Versions are pinned to ones supporting flake8 6.1
+ */
+export const FLAKE8_PLUGINS: readonly Flake8PluginInfo[] = [
+  {
+    name: 'bugbear',
+    title: 'Bugbear',
+    description:
+      'Likely bugs: mutable default arguments, loop variables in closures',
+    codes: ['B'],
+    wheels: [
+      {
+        name: 'attrs',
+        version: '23.1.0',
+        fileName: 'attrs-23.1.0-py3-none-any.whl',
+      },
+      {
+        name: 'flake8-bugbear',
+        version: '23.9.16',
+        fileName: 'flake8_bugbear-23.9.16-py3-none-any.whl',
+      },
+    ],
+  },
+  {
+    name: 'naming',
+    title: 'PEP 8 Naming',
+    description: 'Names of classes, functions, arguments and variables',
+    codes: ['N8'],
+    wheels: [
+      {
+        name: 'pep8-naming',
+        version: '0.13.3',
+        fileName: 'pep8_naming-0.13.3-py3-none-any.whl',
+      },
+    ],
+  },
+  {
+    name: 'comprehensions',
+    title: 'Comprehensions',
+    description: 'Unnecessary list(), dict() and set() calls around iterables',
+    codes: ['C4'],
+    wheels: [
+      {
+        name: 'flake8-comprehensions',
+        version: '3.14.0',
+        fileName: 'flake8_comprehensions-3.14.0-py3-none-any.whl',
+      },
+    ],
+  },
+  {
+    name: 'simplify',
+    title: 'Simplify',
+    description: 'Code that can be written more simply',
+    codes: ['SIM'],
+    wheels: [
+      {
+        name: 'astor',
+        version: '0.8.1',
+        fileName: 'astor-0.8.1-py2.py3-none-any.whl',
+      },
+      {
+        name: 'flake8-simplify',
+        version: '0.21.0',
+        fileName: 'flake8_simplify-0.21.0-py3-none-any.whl',
+      },
+    ],
+  },
+];
+
+/**
+ * Checks that a URL points into the bundled Pyodide directory
+ * @param url - URL about to be loaded
+ * @param indexURL - URL of the bundled Pyodide directory
+ * @throws Error if loading the URL would reach the network
+ */
+export function assertBundledURL(url: string, indexURL: string): void {
+  if (!url.startsWith(indexURL) || /^https?:/i.test(indexURL)) {
+    throw new Error(
+      `Flake8Engine refused to load ${url}: only files bundled with the extension are loaded, never from the network`
+    );
+  }
 }
 
-export class Flake8Engine {
+/**
+ * Python side of the engine: runs the whole flake8 pipeline (pyflakes,
+ * pycodestyle, mccabe) on one cell at a time through flake8's legacy API
+ */
+const FLAKE8_RUNNER = `
+import importlib
+import json
+from flake8.api import legacy as flake8_legacy
+from flake8.formatting.base import BaseFormatter
+from flake8.main.application import Application
+from flake8.options.parse_args import parse_args
+
+# Cells are checked as this file of Pyodide's in-memory file system
+CELL_PATH = '/tmp/kaggle_lint_cell.py'
+
+
+class CollectingFormatter(BaseFormatter):
+    """Keeps violations instead of printing them"""
+
+    def after_init(self):
+        self.violations = []
+
+    def start(self):
+        pass
+
+    def stop(self):
+        pass
+
+    def handle(self, error):
+        self.violations.append(error)
+
+    def format(self, error):
+        return None
+
+
+_style_guide = None
+
+
+def configure_flake8(args_json):
+    """
+    Builds the style guide from flake8 command-line options. Plugins read
+    their options (e.g. --max-complexity) while parsing, so they are parsed
+    rather than set afterwards like get_style_guide(**kwargs) does
+    """
+    global _style_guide
+    # Plugins installed since the last call are found through their
+    # entry points
+    importlib.invalidate_caches()
+    application = Application()
+    application.plugins, application.options = parse_args(
+        ['--isolated'] + json.loads(args_json)
+    )
+    application.formatter = CollectingFormatter(application.options)
+    application.make_guide()
+    application.make_file_checker_manager([])
+    _style_guide = flake8_legacy.StyleGuide(application)
+
+
+def lint_cell(code, known_names_json):
+    """Runs flake8 on a cell; names defined by earlier cells aren't F821"""
+    known_names = set(json.loads(known_names_json))
+    # A cell isn't a file: its missing final newline (W292) isn't reported
+    with open(CELL_PATH, 'w') as cell_file:
+        cell_file.write(code if code.endswith('\\n') else code + '\\n')
+
+    formatter = _style_guide._application.formatter
+    formatter.violations = []
+    _style_guide.check_files([CELL_PATH])
+
+    results = []
+    for violation in formatter.violations:
+        if violation.code == 'F821' and violation.text.count("'") >= 2:
+            if violation.text.split("'")[1] in known_names:
+                continue
+        results.append({
+            'line': violation.line_number,
+            'column': violation.column_number,
+            'code': violation.code,
+            'msg': violation.text,
+        })
+    return json.dumps(results)
+`;
+
+/**
+ * Gets the range of a flake8 finding, which only reports a start: the token
+ * starting at that position, or the rest of the line
+ * @param parsed - Parsed cell
+ * @param line - Line within the cell
+ * @param column - 1-based column
+ * @param cellOffset - Line offset of the cell
+ * @returns Source range
+ */
+function findingRange(
+  parsed: ParsedSource,
+  line: number,
+  column: number,
+  cellOffset: number
+): SourceRange {
+  const token = parsed.tokens.find(
+    (t) =>
+      t.start.line === line &&
+      t.start.column === column &&
+      t.endOffset > t.startOffset
+  );
+  if (token) {
+    return toSourceRange(token.start, token.end, cellOffset);
+  }
+  const { end } = getLineSpan(parsed.code, line);
+  return toSourceRange(
+    { line, column },
+    { line, column: Math.max(end.column, column) },
+    cellOffset
+  );
+}
+
+export class Flake8Engine implements Engine {
+  readonly name = 'flake8';
+  readonly capabilities: EngineCapabilities = {
+    fixes: false,
+    configurable: false,
+    streaming: true,
+    heavyLoad: true,
+    profiling: false,
+  };
   private pyodide: PyodideInterface | null = null;
   private isLoading = false;
   private _isReady = false;
+  private disposed = false;
   private loadPromise: Promise<void> | null = null;
   private readonly pyodidePath = 'pyodide/';
+  /** URL of the bundled Pyodide directory, once loading started */
+  private indexURL: string | null = null;
+  private installedPlugins = new Set<Flake8Plugin>();
+  private options: Flake8Options;
+  /** Command-line options last sent to Python */
+  private appliedOptions: string | null = null;
+
+  /**
+   * Constructor
+   * @param options - Flake8 options (select, ignore, maxLineLength,
+   *   maxComplexity, plugins)
+   * @throws Error if an option is invalid
+   */
+  constructor(options: Flake8Options = {}) {
+    validateFlake8Options(options);
+    this.options = { ...options };
+  }
 
   /**
-   * Load Pyodide and install Flake8
+   * Load Pyodide and install Flake8, from the files bundled with the
+   * extension only
+   * @throws Error if the bundle is unavailable, a wheel can't be installed
+   *   or the engine was disposed
    */
   async load(): Promise<void> {
+    if (this.disposed) {
+      throw createDisposedError(this.name);
+    }
     if (this._isReady) {
       return;
     }
@@ -62,22 +439,23 @@ export class Flake8Engine {
       try {
         console.log('[Flake8Engine] Loading Pyodide...');
 
-        // Get the correct extension URL for pyodide files
-        let pyodideIndexURL: string;
+        // Pyodide and the wheels ship with the extension; there is no CDN
+        // fallback, so a missing bundle fails here instead of going online
         if (
-          typeof chrome !== 'undefined' &&
-          chrome.runtime &&
-          chrome.runtime.getURL
+          typeof chrome === 'undefined' ||
+          !chrome.runtime ||
+          !chrome.runtime.getURL
         ) {
-          pyodideIndexURL = chrome.runtime.getURL(this.pyodidePath);
-          console.log(
-            '[Flake8Engine] Using local Pyodide from:',
-            pyodideIndexURL
+          throw new Error(
+            'Flake8Engine needs the Pyodide files bundled with the extension, but chrome.runtime.getURL is unavailable'
           );
-        } else {
-          pyodideIndexURL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
-          console.log('[Flake8Engine] Using CDN Pyodide:', pyodideIndexURL);
         }
+        const pyodideIndexURL = chrome.runtime.getURL(this.pyodidePath);
+        this.indexURL = pyodideIndexURL;
+        console.log(
+          '[Flake8Engine] Using local Pyodide from:',
+          pyodideIndexURL
+        );
 
         // Load Pyodide script
         if (!window.loadPyodide) {
@@ -93,204 +471,15 @@ export class Flake8Engine {
         await this.pyodide!.loadPackage('micropip');
 
         console.log('[Flake8Engine] Installing Flake8...');
-        await this.pyodide!.runPythonAsync(`
-import micropip
-await micropip.install('flake8')
-        `);
+        await this.installWheels(pyodideIndexURL, FLAKE8_WHEELS);
 
-        // Set up the notebook-aware linting function
-        await this.pyodide!.runPythonAsync(`
-import sys
-import ast
-from io import StringIO
-
-def extract_imports_and_names(code):
-    """
-    Extract all imported names and defined names from code.
-    Returns: (imports_set, defined_names_set)
-    """
-    imports = set()
-    defined = set()
-    
-    try:
-        tree = ast.parse(code)
-        
-        for node in ast.walk(tree):
-            # Track imports
-            if isinstance(node, ast.Import):
-                for alias in node.names:
-                    name = alias.asname if alias.asname else alias.name
-                    imports.add(name.split('.')[0])
-            
-            elif isinstance(node, ast.ImportFrom):
-                for alias in node.names:
-                    if alias.name == '*':
-                        # Can't track * imports precisely
-                        continue
-                    name = alias.asname if alias.asname else alias.name
-                    imports.add(name)
-            
-            # Track assignments
-            elif isinstance(node, ast.Assign):
-                for target in node.targets:
-                    if isinstance(target, ast.Name):
-                        defined.add(target.id)
-                    elif isinstance(target, ast.Tuple) or isinstance(target, ast.List):
-                        for elt in target.elts:
-                            if isinstance(elt, ast.Name):
-                                defined.add(elt.id)
-            
-            elif isinstance(node, ast.AnnAssign):
-                if isinstance(node.target, ast.Name):
-                    defined.add(node.target.id)
-            
-            # Track function definitions
-            elif isinstance(node, ast.FunctionDef) or isinstance(node, ast.AsyncFunctionDef):
-                defined.add(node.name)
-            
-            # Track class definitions
-            elif isinstance(node, ast.ClassDef):
-                defined.add(node.name)
-                
-    except SyntaxError:
-        pass
-    
-    return imports, defined
-
-def lint_code_with_context(code, known_names=None):
-    """
-    Lint Python code with awareness of previously defined names.
-    known_names: set of variable/function/class names defined in previous cells
-    """
-    import ast
-    results = []
-    
-    if known_names is None:
-        known_names = set()
-    
-    # Check for syntax errors first
-    try:
-        tree = ast.parse(code)
-    except SyntaxError as e:
-        results.append({
-            'line': e.lineno or 1,
-            'column': e.offset or 0,
-            'code': 'E999',
-            'msg': f"SyntaxError: {e.msg}",
-            'severity': 'error'
-        })
-        return results, set()
-    
-    # Extract what this cell defines
-    imports, defined = extract_imports_and_names(code)
-    new_names = imports | defined
-    
-    # Use pyflakes for undefined name checking
-    try:
-        from pyflakes import api as pyflakes_api
-        from pyflakes import checker
-        
-        class ContextAwareChecker(checker.Checker):
-            """Custom checker that knows about notebook context."""
-            
-            def __init__(self, tree, filename='<input>', known_context=None):
-                super().__init__(tree, filename)
-                self.known_context = known_context or set()
-            
-            def report(self, messageClass, *args, **kwargs):
-                # Filter out undefined name errors for known context
-                if messageClass.__name__ == 'UndefinedName':
-                    if args and args[1] in self.known_context:
-                        return  # Skip this error
-                super().report(messageClass, *args, **kwargs)
-        
-        class CollectingReporter:
-            def __init__(self):
-                self.messages = []
-            
-            def unexpectedError(self, filename, msg):
-                pass
-            
-            def syntaxError(self, filename, msg, lineno, offset, text):
-                self.messages.append({
-                    'line': lineno or 1,
-                    'column': offset or 0,
-                    'code': 'E999',
-                    'msg': msg,
-                    'severity': 'error'
-                })
-            
-            def flake(self, message):
-                code = message.__class__.__name__
-                
-                # Skip undefined name errors for known context
-                if code == 'UndefinedName':
-                    # Extract the undefined name
-                    msg_str = str(message)
-                    if "'" in msg_str:
-                        name = msg_str.split("'")[1]
-                        if name in known_names:
-                            return  # Skip - it's defined in a previous cell
-                
-                severity = 'warning'
-                if 'Undefined' in code or 'Import' in code:
-                    severity = 'error'
-                
-                msg_text = str(message).split(':', 1)[-1].strip()
-                
-                self.messages.append({
-                    'line': message.lineno,
-                    'column': getattr(message, 'col', 0),
-                    'code': code,
-                    'msg': msg_text,
-                    'severity': severity
-                })
-        
-        reporter = CollectingReporter()
-        
-        # Create a context-aware checker
-        w = ContextAwareChecker(tree, '<input>', known_names)
-        
-        # Collect messages
-        for message in w.messages:
-            reporter.flake(message)
-        
-        results.extend(reporter.messages)
-        
-    except ImportError:
-        pass
-    except Exception as e:
-        print(f"Linting error: {e}")
-    
-    return results, new_names
-
-# Store for global context
-_notebook_context = set()
-
-def reset_notebook_context():
-    """Reset the global notebook context."""
-    global _notebook_context
-    _notebook_context = set()
-
-def get_notebook_context():
-    """Get current notebook context."""
-    return _notebook_context.copy()
-
-def update_notebook_context(new_names):
-    """Update notebook context with new names."""
-    global _notebook_context
-    _notebook_context.update(new_names)
-
-def lint_cell_with_notebook_context(code):
-    """
-    Lint a single cell with full notebook context.
-    Automatically updates context with names defined in this cell.
-    """
-    results, new_names = lint_code_with_context(code, _notebook_context)
-    update_notebook_context(new_names)
-    return results
-        `);
+        // Set up the per-cell flake8 runner
+        await this.pyodide!.runPythonAsync(FLAKE8_RUNNER);
 
+        // dispose() called while loading wins
+        if (this.disposed) {
+          throw createDisposedError(this.name);
+        }
         this._isReady = true;
         this.isLoading = false;
         console.log(
@@ -307,8 +496,59 @@ def lint_cell_with_notebook_context(code):
     return this.loadPromise;
   }
 
+  /**
+   * Installs bundled wheels. Dependencies are not resolved, since micropip
+   * would look them up on PyPI; the wheels are all listed instead
+   * @param indexURL - URL of the bundled Pyodide directory
+   * @param wheels - Wheels to install, dependencies included
+   * @throws Error if a wheel can't be installed or another version ended up
+   *   installed
+   */
+  private async installWheels(
+    indexURL: string,
+    wheels: readonly BundledWheel[]
+  ): Promise<void> {
+    const urls = wheels.map((wheel) => {
+      const url = indexURL + wheel.fileName;
+      assertBundledURL(url, indexURL);
+      return url;
+    });
+    const expected = Object.fromEntries(
+      wheels.map((wheel) => [wheel.name, wheel.version])
+    );
+
+    try {
+      await this.pyodide!.runPythonAsync(`
+import micropip
+await micropip.install(${JSON.stringify(urls)}, deps=False)
+      `);
+    } catch (error) {
+      throw new Error(
+        `Flake8Engine could not install its bundled wheels: ${error instanceof Error ? error.message : error}`
+      );
+    }
+
+    const installed: Record<string, string> = JSON.parse(
+      await this.pyodide!.runPythonAsync(`
+import json
+from importlib.metadata import version
+json.dumps({name: version(name) for name in ${JSON.stringify(
+        Object.keys(expected)
+      )}})
+      `)
+    );
+    Object.entries(expected).forEach(([name, version]) => {
+      if (installed[name] !== version) {
+        throw new Error(
+          `Flake8Engine expected the bundled ${name} ${version}, found ${installed[name]}`
+        );
+      }
+    });
+  }
+
   /**
    * Load the Pyodide script dynamically
+   * @param indexURL - URL of the bundled Pyodide directory
    */
   private loadPyodideScript(indexURL: string): Promise<void> {
     return new Promise((resolve, reject) => {
@@ -319,6 +559,7 @@ def lint_cell_with_notebook_context(code):
 
       const script = document.createElement('script');
       script.src = indexURL + 'pyodide.js';
+      assertBundledURL(script.src, indexURL);
       script.onload = () => {
         console.log('[Flake8Engine] Pyodide script loaded');
         resolve();
@@ -352,13 +593,135 @@ def lint_cell_with_notebook_context(code):
     return this.load();
   }
 
+  /**
+   * Sets the flake8 options used from the next lint on
+   * @param options - Flake8 options
+   * @throws Error if an option is invalid
+   */
+  setOptions(options: Flake8Options): void {
+    validateFlake8Options(options);
+    this.options = { ...options };
+  }
+
+  /**
+   * Gets the flake8 options
+   * @returns Copy of the options
+   */
+  getOptions(): Flake8Options {
+    return { ...this.options };
+  }
+
+  /**
+   * Installs the enabled plugins that aren't installed yet, then rebuilds
+   * the flake8 style guide when the options changed since the last lint.
+   * flake8 runs every installed plugin, so the codes of the disabled ones
+   * are ignored
+   * @param unavailable - Plugins that failed to install during this lint;
+   *   they are left out and only tried again by the next lint
+   * @returns Diagnostics of the plugins that failed to install just now
+   */
+  private async applyOptions(
+    unavailable: Set<Flake8Plugin>
+  ): Promise<InternalDiagnostic[]> {
+    const { select, ignore, maxLineLength, maxComplexity } = this.options;
+    const enabled = new Set(this.options.plugins ?? []);
+    const failures: InternalDiagnostic[] = [];
+
+    for (const plugin of FLAKE8_PLUGINS) {
+      if (
+        !enabled.has(plugin.name) ||
+        this.installedPlugins.has(plugin.name) ||
+        unavailable.has(plugin.name)
+      ) {
+        continue;
+      }
+      console.log(`[Flake8Engine] Installing plugin ${plugin.name}...`);
+      try {
+        await this.installWheels(this.indexURL!, plugin.wheels);
+      } catch (error) {
+        unavailable.add(plugin.name);
+        failures.push({
+          kind: 'unavailable',
+          rule: `flake8/${plugin.name}`,
+          reason: getCrashReason(error),
+          disabled: false,
+        });
+        continue;
+      }
+      this.installedPlugins.add(plugin.name);
+      // flake8 only finds the plugin when the style guide is rebuilt
+      this.appliedOptions = null;
+    }
+    const disabledCodes = FLAKE8_PLUGINS.filter(
+      (plugin) =>
+        this.installedPlugins.has(plugin.name) && !enabled.has(plugin.name)
+    ).flatMap((plugin) => plugin.codes);
+
+    const args = JSON.stringify([
+      // flake8 reads "# noqa: undefinedVariables" as a bare noqa; noqa and
+      // kaggle-lint comments are applied afterwards, as for LintEngine
+      '--disable-noqa',
+      ...(select ? [`--select=${select.join(',')}`] : []),
+      ...(ignore ? [`--ignore=${ignore.join(',')}`] : []),
+      ...(maxLineLength !== undefined
+        ? [`--max-line-length=${maxLineLength}`]
+        : []),
+      ...(maxComplexity !== undefined
+        ? [`--max-complexity=${maxComplexity}`]
+        : []),
+      ...(disabledCodes.length > 0
+        ? [`--extend-ignore=${disabledCodes.join(',')}`]
+        : []),
+    ]);
+    if (args !== this.appliedOptions) {
+      await this.pyodide!.runPythonAsync(
+        `configure_flake8(${JSON.stringify(args)})`
+      );
+      this.appliedOptions = args;
+    }
+    return failures;
+  }
+
   /**
    * Lint a single cell's code
+   * @param code - Python source code
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index
+   * @returns Errors
    */
   async lintCell(
     code: string,
     cellOffset: number = 0,
-    _cellIndex: number = 0
+    cellIndex: number = 0
+  ): Promise<LintError[]> {
+    return this.runCell(
+      code,
+      cellOffset,
+      cellIndex,
+      new SymbolTable(),
+      new Set()
+    );
+  }
+
+  /**
+   * Runs flake8 on a cell, then adds the cell's definitions to the symbol
+   * table
+   * @param code - Cell code
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index
+   * @param symbols - Names defined by the previous cells; F821 (undefined
+   *   name) is not reported for them
+   * @param unavailablePlugins - Plugins that failed to install during this
+   *   lint
+   * @returns Errors, with an internal finding for each plugin that failed
+   *   to install on this cell, or when flake8 itself failed
+   */
+  private async runCell(
+    code: string,
+    cellOffset: number,
+    cellIndex: number,
+    symbols: SymbolTable,
+    unavailablePlugins: Set<Flake8Plugin>
   ): Promise<LintError[]> {
     if (!this._isReady) {
       await this.load();
@@ -368,29 +731,70 @@ def lint_cell_with_notebook_context(code):
       return [];
     }
 
-    if (code.trim().startsWith('%%') || code.trim().startsWith('!')) {
-      return [];
-    }
-
+    // Shell commands and magics become placeholders flake8 can parse;
+    // names bound by magics count as definitions
+    const ipython = preprocessIPython(code);
+    const python = ipython.code;
+    const parsed = parsePython(python);
+    const knownNames = symbols.getSymbols().map((symbol) => symbol.name);
+    symbols.define(collectSymbols(parsed, cellIndex));
+
+    // Enabled plugins that can't be installed are reported, not silently
+    // left out
+    let pluginErrors: LintError[] = [];
     try {
-      const results = await this.pyodide!.runPythonAsync(`
-import json
-results = lint_cell_with_notebook_context(${JSON.stringify(code)})
-json.dumps(results)
-      `);
-
-      const errors = JSON.parse(results);
-
-      const adjustedErrors: LintError[] = errors.map((error: any) => ({
-        ...error,
-        line: error.line + cellOffset,
-        rule: 'flake8',
-      }));
-
-      return adjustedErrors;
+      pluginErrors = (await this.applyOptions(unavailablePlugins)).map(
+        (diagnostic) => createInternalError(diagnostic, cellIndex, cellOffset)
+      );
+      const results = await this.pyodide!.runPythonAsync(
+        `lint_cell(${JSON.stringify(python)}, ${JSON.stringify(
+          JSON.stringify(knownNames)
+        )})`
+      );
+
+      // Placeholders of IPython lines are ours, not the author's style
+      const ipythonLines = new Set(ipython.ipythonLines.map((l) => l.line));
+      const findings: Flake8Finding[] = JSON.parse(results);
+
+      const adjustedErrors: LintError[] = findings
+        .filter((finding) => !ipythonLines.has(finding.line))
+        .map((finding) => ({
+          ...findingRange(parsed, finding.line, finding.column, cellOffset),
+          msg: finding.msg,
+          severity: getFlake8Severity(finding.code),
+          code: finding.code,
+          rule: 'flake8',
+        }));
+
+      // Respect the same noqa / kaggle-lint comments as LintEngine
+      const { errors: kept } = applySuppressions(
+        adjustedErrors,
+        parseSuppressions(python, parsed),
+        cellOffset
+      );
+      return [
+        ...pluginErrors,
+        ...kept.map((error) => ({
+          ...error,
+          fingerprint: computeFingerprint(error, parsed, cellOffset),
+        })),
+      ];
     } catch (error) {
-      console.error('[Flake8Engine] Linting error:', error);
-      return [];
+      // flake8 didn't run on the cell: say so, as LintEngine does for a rule
+      // that crashed, rather than show the cell as clean
+      return [
+        ...pluginErrors,
+        createInternalError(
+          {
+            kind: 'crash',
+            rule: 'flake8',
+            reason: getCrashReason(error),
+            disabled: false,
+          },
+          cellIndex,
+          cellOffset
+        ),
+      ];
     }
   }
 
@@ -406,20 +810,37 @@ json.dumps(results)
 
   /**
    * Lint multiple cells (notebook) with full context tracking
+   * @param cells - Array of cells with code, element, and cellIndex
+   * @param options - Abort signal (checked between cells) and progress
+   *   callback
+   * @returns Array of errors with cell information
+   * @throws AbortError when the signal fires
    */
-  async lintNotebook(cells: NotebookCell[]): Promise<NotebookError[]> {
+  async lintNotebook(
+    cells: NotebookCell[],
+    options: EngineLintOptions = {}
+  ): Promise<NotebookError[]> {
     if (!this._isReady) {
       await this.load();
     }
 
-    // Reset context before linting entire notebook
-    await this.pyodide!.runPythonAsync(`reset_notebook_context()`);
-
+    // Names defined by the cells linted so far
+    const symbols = new SymbolTable();
+    const unavailablePlugins = new Set<Flake8Plugin>();
     const allErrors: NotebookError[] = [];
     let lineOffset = 0;
 
-    for (const cell of cells) {
-      const errors = await this.lintCell(cell.code, lineOffset, cell.cellIndex);
+    for (const [index, cell] of cells.entries()) {
+      if (options.signal?.aborted) {
+        throw createAbortError();
+      }
+      const errors = await this.runCell(
+        cell.code,
+        lineOffset,
+        cell.cellIndex,
+        symbols,
+        unavailablePlugins
+      );
 
       errors.forEach((error) => {
         allErrors.push({
@@ -431,28 +852,35 @@ json.dumps(results)
       });
 
       lineOffset += cell.code.split('\n').length;
+      options.onProgress?.([...allErrors], {
+        lintedCells: index + 1,
+        totalCells: cells.length,
+      });
     }
 
     return allErrors;
   }
 
   /**
-   * Get error statistics
+   * Get error statistics; findings are counted by code (`flake8/E501`)
+   * @param errors - All errors
+   * @returns Statistics object
    */
   getStats(errors: LintError[]): ErrorStats {
-    const stats: ErrorStats = {
-      total: errors.length,
-      byRule: {},
-      bySeverity: { error: 0, warning: 0, info: 0 },
-    };
-
-    errors.forEach((error) => {
-      stats.bySeverity[error.severity] =
-        (stats.bySeverity[error.severity] || 0) + 1;
-      const rule = error.code || 'flake8';
-      stats.byRule[rule] = (stats.byRule[rule] || 0) + 1;
-    });
+    return getErrorStats(errors);
+  }
 
-    return stats;
+  /**
+   * Drops the Pyodide runtime; the engine can't lint afterwards
+   */
+  dispose(): void {
+    this.disposed = true;
+    this.pyodide = null;
+    this._isReady = false;
+    this.isLoading = false;
+    this.loadPromise = null;
+    this.indexURL = null;
+    this.installedPlugins.clear();
+    this.appliedOptions = null;
   }
 }
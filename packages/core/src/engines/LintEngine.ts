@@ -4,8 +4,53 @@
  * Supports cross-cell context sharing for Jupyter notebooks
  */
 
-import { LintError, LintContext, LintRule } from '../types';
-import { DEFAULT_RULES } from '../rules';
+import {
+  LintError,
+  LintContext,
+  LintRule,
+  LintEngineConfig,
+  LintPlugin,
+  Severity,
+} from '../types';
+import { DEFAULT_RULES, RuleInfo, RuleRegistry } from '../rules';
+import { getLineSpan, parsePython } from '../parser';
+import { hashString } from '../utils/hash';
+import { now } from '../utils/clock';
+import {
+  Baseline,
+  BaselineMatcher,
+  BaselineReport,
+  computeFingerprint,
+  parseBaseline,
+} from '../baseline';
+import {
+  PluginDefaults,
+  createPluginRules,
+  getPluginDefaults,
+  validatePlugin,
+} from '../plugins';
+import { ScriptFormat, getLintCells, parseScript } from '../notebook';
+import {
+  RuleCircuitBreaker,
+  RuleCrash,
+  createInternalError,
+  createTimeoutDiagnostic,
+} from '../diagnostics';
+import { LintProfile, RuleProfiler } from '../profiling';
+import { NotebookSymbol, SymbolTable, collectSymbols } from '../symbols';
+import { preprocessIPython } from '../preprocessor';
+import {
+  ErrorStats,
+  NotebookCell,
+  NotebookError,
+  getErrorStats,
+} from './Engine';
+import {
+  UNUSED_SUPPRESSION_RULE,
+  applySuppressions,
+  createUnusedSuppressionErrors,
+  parseSuppressions,
+} from '../suppressions';
 
 interface RuleEntry {
   name: string;
@@ -14,37 +59,225 @@ interface RuleEntry {
 
 interface LintCellResult {
   errors: LintError[];
+  /** Names reported by rules that return `definedNames` */
   newContext: Set<string>;
+  /** Names the cell defines at module level */
+  symbols: NotebookSymbol[];
+  /** Whether the signal stopped the cell before every rule ran */
+  aborted: boolean;
+  /** Whether a rule threw on the cell */
+  crashed: boolean;
 }
 
-interface NotebookCell {
-  code: string;
-  element?: any;
-  cellIndex: number;
+export interface LintRunOptions {
+  /**
+   * Stops the run between rules; the results gathered so far are still
+   * returned
+   */
+  signal?: AbortSignal;
+}
+
+/** State shared by the cells of one run */
+interface LintRun {
+  signal?: AbortSignal;
+  /** Rules that went over the time budget, skipped for the rest of the run */
+  skippedRules: Set<string>;
+  /** Set when the `profile` option is on */
+  profiler?: RuleProfiler;
+}
+
+/** Results of one cell, with cell-relative line numbers */
+interface CachedCell {
+  errors: LintError[];
+  symbols: NotebookSymbol[];
+}
+
+interface NotebookCellResult extends CachedCell {
+  /**
+   * Whether every enabled rule ran to the end, without crashing and within
+   * its time budget (only those get cached)
+   */
+  complete: boolean;
+  aborted: boolean;
+}
+
+interface CacheStats {
+  /** Cells currently cached */
+  size: number;
+  /** Cells reused by the last lintNotebook call */
+  hits: number;
+  /** Cells re-linted by the last lintNotebook call */
+  misses: number;
 }
 
-interface NotebookError extends LintError {
-  cellIndex: number;
-  element?: any;
-  cellLine: number;
+/**
+ * Moves an error (and its fix) by a number of lines
+ * @param error - Lint error
+ * @param delta - Lines to add
+ * @returns Shifted copy of the error
+ */
+function shiftLines(error: LintError, delta: number): LintError {
+  if (delta === 0) {
+    return error;
+  }
+  return {
+    ...error,
+    line: error.line + delta,
+    ...(error.endLine !== undefined && { endLine: error.endLine + delta }),
+    ...(error.fix && {
+      fix: {
+        ...error.fix,
+        edits: error.fix.edits.map((edit) => ({
+          ...edit,
+          line: edit.line + delta,
+          endLine: edit.endLine + delta,
+        })),
+      },
+    }),
+  };
 }
 
-interface ErrorStats {
-  total: number;
-  byRule: Record<string, number>;
-  bySeverity: { error: number; warning: number; info: number };
+/**
+ * Fills in the range of an error reported without one (custom rules): the
+ * content of the reported line, starting at the column when there is one
+ * @param error - Lint error
+ * @param code - Source code of the cell
+ * @param cellOffset - Line offset of the cell
+ * @returns Error with column, endLine and endColumn set
+ */
+function withRange(
+  error: LintError,
+  code: string,
+  cellOffset: number
+): LintError {
+  if (
+    error.column !== undefined &&
+    error.endLine !== undefined &&
+    error.endColumn !== undefined
+  ) {
+    return error;
+  }
+  const { start, end } = getLineSpan(code, error.line - cellOffset);
+  const column = error.column ?? start.column;
+  return {
+    ...error,
+    column,
+    endLine: error.endLine ?? error.line,
+    endColumn: error.endColumn ?? Math.max(end.column, column),
+  };
 }
 
 export class LintEngine {
+  private registry = new RuleRegistry();
+  private plugins = new Map<string, LintPlugin>();
+  private pluginDefaults: PluginDefaults = { rules: {}, severityLevels: {} };
   private rules: RuleEntry[] = [];
-  private readonly CONTEXT_AWARE_RULES = new Set(['undefinedVariables']);
+  private config: LintEngineConfig = {};
+  private cellCache = new Map<string, CachedCell>();
+  private cacheStats = { hits: 0, misses: 0 };
+  private baseline: Baseline | null = null;
+  private baselineReport: BaselineReport | null = null;
+  private circuitBreaker = new RuleCircuitBreaker();
+  private profile: LintProfile | null = null;
 
   /**
    * Constructor
-   * @param rules - Array of lint rules to use
+   * @param rulesOrConfig - Array of lint rules to use, or a config applied
+   *   to the default rules
+   * @param config - Config applied to the given rules
+   * @throws Error if the config references unknown rule names
+   */
+  constructor(
+    rulesOrConfig: LintRule[] | LintEngineConfig = DEFAULT_RULES,
+    config: LintEngineConfig = {}
+  ) {
+    if (Array.isArray(rulesOrConfig)) {
+      this.registry = new RuleRegistry(rulesOrConfig);
+      this.configure(config);
+    } else {
+      this.registry = new RuleRegistry(DEFAULT_RULES);
+      this.configure(rulesOrConfig);
+    }
+  }
+
+  /**
+   * Applies a config: enables/disables rules and sets severity overrides
+   * Replaces any previously applied config
+   * @param config - Engine config
+   * @throws Error if the config references unknown rule names
+   */
+  configure(config: LintEngineConfig): void {
+    this.validateConfig(config);
+    this.config = config;
+    this.initializeRules(this.registry.getAll());
+    this.clearCache();
+  }
+
+  /**
+   * Drops all cached cell results (incremental mode)
+   */
+  clearCache(): void {
+    this.cellCache.clear();
+    this.cacheStats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Gets cache statistics of the last lintNotebook call (incremental mode)
+   * @returns Cache statistics
+   */
+  getCacheStats(): CacheStats {
+    return { size: this.cellCache.size, ...this.cacheStats };
+  }
+
+  /**
+   * Checks that every rule name in the config exists and that the time
+   * budget is valid
+   * @param config - Engine config
    */
-  constructor(rules: LintRule[] = DEFAULT_RULES) {
-    this.initializeRules(rules);
+  private validateConfig(config: LintEngineConfig): void {
+    const budget = config.ruleTimeBudget;
+    if (
+      budget !== undefined &&
+      !(typeof budget === 'number' && Number.isFinite(budget) && budget > 0)
+    ) {
+      throw new Error(
+        `ruleTimeBudget must be a positive number of milliseconds, got ${budget}`
+      );
+    }
+
+    const known = new Set(this.registry.getNames());
+    const referenced = [
+      ...(Array.isArray(config.rules)
+        ? config.rules
+        : Object.keys(config.rules || {})),
+      // Unused suppression findings can be remapped like any rule
+      ...Object.keys(config.severityLevels || {}).filter(
+        (name) => name !== UNUSED_SUPPRESSION_RULE
+      ),
+    ];
+    const unknown = [...new Set(referenced.filter((name) => !known.has(name)))];
+
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown lint rule${unknown.length > 1 ? 's' : ''}: ${unknown.join(
+          ', '
+        )}. Available rules: ${[...known].join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Checks whether the current config enables a rule
+   * @param name - Rule name
+   * @returns boolean
+   */
+  private isRuleEnabled(name: string): boolean {
+    const { rules } = this.config;
+    if (Array.isArray(rules)) {
+      return rules.includes(name);
+    }
+    // The engine config wins over plugin defaults
+    return (rules?.[name] ?? this.pluginDefaults.rules[name]) !== false;
   }
 
   /**
@@ -54,16 +287,81 @@ export class LintEngine {
   private initializeRules(rules: LintRule[]): void {
     this.rules = [];
     rules.forEach((rule) => {
-      this.registerRule(rule);
+      if (this.isRuleEnabled(rule.name)) {
+        this.rules.push({ name: rule.name, rule });
+      }
     });
   }
 
   /**
    * Registers a lint rule
    * @param rule - Lint rule instance
+   * @throws Error if a rule with the same name is already registered
    */
   registerRule(rule: LintRule): void {
-    this.rules.push({ name: rule.name, rule });
+    this.registry.register(rule);
+    if (this.isRuleEnabled(rule.name)) {
+      this.rules.push({ name: rule.name, rule });
+    }
+    this.clearCache();
+  }
+
+  /**
+   * Loads a rule plugin: its rules are registered as `<plugin>/<rule>` and
+   * its config is used as defaults for them
+   * @param plugin - Lint plugin
+   * @throws Error if the plugin is invalid, already loaded, or one of its
+   *   rule names is already registered (nothing is registered then)
+   */
+  loadPlugin(plugin: LintPlugin): void {
+    validatePlugin(plugin);
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Lint plugin '${plugin.name}' is already loaded`);
+    }
+
+    const rules = createPluginRules(plugin);
+    const conflicts = rules
+      .map((rule) => rule.name)
+      .filter((name) => this.registry.has(name));
+    if (conflicts.length > 0) {
+      throw new Error(
+        `Lint plugin '${plugin.name}' conflicts with registered rule(s): ${conflicts.join(
+          ', '
+        )}`
+      );
+    }
+
+    this.plugins.set(plugin.name, plugin);
+    const defaults = getPluginDefaults(plugin);
+    Object.assign(this.pluginDefaults.rules, defaults.rules);
+    Object.assign(this.pluginDefaults.severityLevels, defaults.severityLevels);
+    rules.forEach((rule) => this.registerRule(rule));
+  }
+
+  /**
+   * Gets the loaded plugins
+   * @returns Array of plugin names, versions and descriptions
+   */
+  getPlugins(): Array<Pick<LintPlugin, 'name' | 'version' | 'description'>> {
+    return [...this.plugins.values()].map(({ name, version, description }) => ({
+      name,
+      version,
+      description,
+    }));
+  }
+
+  /**
+   * Gets the severity a rule's errors are reported with
+   * @param name - Rule name
+   * @param severity - Severity reported by the rule
+   * @returns Configured severity override, or the rule's own severity
+   */
+  private resolveSeverity(name: string, severity: Severity): Severity {
+    return (
+      this.config.severityLevels?.[name] ??
+      this.pluginDefaults.severityLevels[name] ??
+      severity
+    );
   }
 
   /**
@@ -72,33 +370,98 @@ export class LintEngine {
    * @param cellOffset - Line offset for global line numbers
    * @param cellIndex - Cell index for cell-specific rules
    * @param context - Cross-cell context (accumulated definitions)
-   * @returns Errors and new definitions for context
+   * @param options - Abort signal
+   * @returns Errors, new definitions for context, and whether the signal
+   *   stopped the cell early
    */
   lintCell(
     code: string,
     cellOffset: number = 0,
     cellIndex: number = 0,
-    context: LintContext = {}
+    context: LintContext = {},
+    options: LintRunOptions = {}
+  ): LintCellResult {
+    const run = this.startRun(options);
+    const result = this.runRules(code, cellOffset, cellIndex, context, run);
+    this.finishRun(run);
+    return result;
+  }
+
+  /**
+   * Starts the state of a lint run
+   * @param options - Abort signal
+   * @returns Run state
+   */
+  private startRun(options: LintRunOptions): LintRun {
+    return {
+      signal: options.signal,
+      skippedRules: new Set(),
+      profiler: this.config.profile ? new RuleProfiler() : undefined,
+    };
+  }
+
+  /**
+   * Keeps the profile of a finished (or stopped) run
+   * @param run - Run state
+   */
+  private finishRun(run: LintRun): void {
+    this.profile = run.profiler ? run.profiler.getProfile() : null;
+  }
+
+  /**
+   * Runs the enabled rules on a cell, within the time budget and until the
+   * run is aborted
+   * @param source - Cell code as written
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index for cell-specific rules
+   * @param context - Cross-cell context (accumulated definitions)
+   * @param run - State of the run
+   * @returns Errors, new definitions for context, and whether the signal
+   *   stopped the cell early
+   */
+  private runRules(
+    source: string,
+    cellOffset: number,
+    cellIndex: number,
+    context: LintContext,
+    run: LintRun
   ): LintCellResult {
     const allErrors: LintError[] = [];
     let cellDefinedNames = new Set<string>();
 
-    this.rules.forEach(({ name, rule }) => {
+    // Rewrite IPython syntax, then tokenize and parse once; every rule
+    // reads the same preprocessed code and tree
+    const parseStart = now();
+    const ipython = preprocessIPython(source);
+    const code = ipython.code;
+    const ruleContext: LintContext = {
+      ...context,
+      cellIndex,
+      ipython,
+      parsed: parsePython(code),
+    };
+    run.profiler?.startCell(cellIndex, now() - parseStart);
+
+    const internalErrors: LintError[] = [];
+    const budget = this.config.ruleTimeBudget;
+    let aborted = false;
+    let crashed = false;
+
+    for (const { name, rule } of this.rules) {
+      if (run.signal?.aborted) {
+        aborted = true;
+        break;
+      }
+      // Rules that kept crashing stay off for the rest of the session, slow
+      // ones for the rest of the run
+      if (this.circuitBreaker.isDisabled(name) || run.skippedRules.has(name)) {
+        continue;
+      }
+
+      const start = now();
+      const reported = allErrors.length;
       try {
-        let result;
-
-        if (name === 'emptyCells') {
-          // EmptyCells rule needs cellIndex passed through context
-          result = rule.run(code, cellOffset, context);
-        } else if (this.CONTEXT_AWARE_RULES.has(name)) {
-          // Pass context to context-aware rules
-          result = rule.run(code, cellOffset, {
-            ...context,
-            definedNames: context.definedNames || new Set(),
-          });
-        } else {
-          result = rule.run(code, cellOffset, context);
-        }
+        const result = rule.run(code, cellOffset, ruleContext);
 
         // Handle both old format (array) and new format (object with errors and definedNames)
         let errors: LintError[];
@@ -118,92 +481,272 @@ export class LintEngine {
 
         errors.forEach((error) => {
           allErrors.push({
-            ...error,
+            ...withRange(error, code, cellOffset),
+            severity: this.resolveSeverity(name, error.severity),
             rule: name,
           });
         });
       } catch (e) {
-        console.error(
-          `Error running rule '${name}' on cell ${cellIndex}:`,
-          e instanceof Error ? e.message : String(e)
+        crashed = true;
+        internalErrors.push(
+          createInternalError(
+            this.circuitBreaker.recordCrash(name, e),
+            cellIndex,
+            cellOffset
+          )
         );
       }
-    });
 
-    return { errors: allErrors, newContext: cellDefinedNames };
+      const elapsed = now() - start;
+      run.profiler?.recordRule(name, elapsed, allErrors.length - reported);
+
+      // The rule's findings are kept; later cells skip it
+      if (budget !== undefined && elapsed > budget) {
+        run.skippedRules.add(name);
+        internalErrors.push(
+          createInternalError(
+            createTimeoutDiagnostic(name, elapsed, budget),
+            cellIndex,
+            cellOffset
+          )
+        );
+      }
+    }
+
+    // Drop findings silenced by noqa / kaggle-lint comments
+    const { errors, unused } = applySuppressions(
+      allErrors,
+      parseSuppressions(code, ruleContext.parsed),
+      cellOffset
+    );
+
+    if (this.config.reportUnusedSuppressions) {
+      createUnusedSuppressionErrors(unused, cellOffset).forEach((error) => {
+        errors.push({
+          ...error,
+          severity: this.resolveSeverity(error.rule!, error.severity),
+        });
+      });
+    }
+
+    return {
+      errors: [
+        ...errors.map((error) => ({
+          ...error,
+          fingerprint: computeFingerprint(
+            error,
+            ruleContext.parsed!,
+            cellOffset
+          ),
+        })),
+        // Rule crashes can't be suppressed, and without a fingerprint they
+        // are never hidden by a baseline either
+        ...internalErrors,
+      ],
+      newContext: cellDefinedNames,
+      symbols: collectSymbols(ruleContext.parsed!, cellIndex),
+      aborted,
+      crashed,
+    };
   }
 
   /**
    * Runs all rules on multiple cells with cross-cell context sharing
+   * With `incremental` enabled, unchanged cells reuse their cached results
    * @param cells - Array of cells with code, element, and cellIndex
+   * @param options - Abort signal; an aborted run returns the errors of the
+   *   cells (and rules) linted so far
    * @returns Array of errors with cell information
    */
-  lintNotebook(cells: NotebookCell[]): NotebookError[] {
+  lintNotebook(
+    cells: NotebookCell[],
+    options: LintRunOptions = {}
+  ): NotebookError[] {
     const allErrors: NotebookError[] = [];
-    let lineOffset = 0;
+    for (const cellErrors of this.lintNotebookCells(cells, options)) {
+      allErrors.push(...cellErrors);
+    }
+    return allErrors;
+  }
 
-    // Accumulated context across cells (variables, functions, imports defined in previous cells)
-    let accumulatedContext: LintContext = {
-      definedNames: new Set(),
-    };
+  /**
+   * Lints a Python script split into cells (jupytext percent or light
+   * format, or a plain script as one cell) with the same cross-cell context
+   * as lintNotebook. `line`/`endLine` (and fix edits) are file lines;
+   * cellIndex and cellLine locate the finding within its cell
+   * @param text - Script contents
+   * @param format - Script format (detected when omitted)
+   * @param options - Abort signal
+   * @returns Array of errors with cell information
+   */
+  lintScript(
+    text: string,
+    format?: ScriptFormat,
+    options: LintRunOptions = {}
+  ): NotebookError[] {
+    const script = parseScript(text, format);
+    const startLines = new Map(
+      script.cells.map((cell) => [cell.index, cell.startLine])
+    );
+
+    return this.lintNotebook(getLintCells(script), options).map(
+      (error) =>
+        shiftLines(
+          error,
+          startLines.get(error.cellIndex)! + error.cellLine - 1 - error.line
+        ) as NotebookError
+    );
+  }
 
-    // Reset context in context-aware rules
-    this.rules.forEach(({ name, rule }) => {
-      if (this.CONTEXT_AWARE_RULES.has(name)) {
-        // Call resetContext if the rule has this method
-        const ruleAny = rule as any;
-        if (
-          ruleAny.resetContext &&
-          typeof ruleAny.resetContext === 'function'
-        ) {
-          ruleAny.resetContext();
+  /**
+   * Lints a notebook one cell at a time, so callers can stream results or
+   * stop early (stopping keeps the cache of the cells linted so far)
+   * @param cells - Array of cells with code, element, and cellIndex
+   * @param options - Abort signal; when it fires, the partial results of the
+   *   current cell are yielded and the generator returns
+   * @returns Generator yielding the errors of each cell, in cell order
+   */
+  *lintNotebookCells(
+    cells: NotebookCell[],
+    options: LintRunOptions = {}
+  ): Generator<NotebookError[], void, undefined> {
+    let lineOffset = 0;
+    const run = this.startRun(options);
+
+    // Variables, functions, classes and imports defined by previous cells
+    const symbols = new SymbolTable();
+
+    const incremental = !!this.config.incremental;
+    const nextCache = new Map<string, CachedCell>();
+    let completed = false;
+    this.cacheStats = { hits: 0, misses: 0 };
+    // Cached results are kept unfiltered; the baseline applies on the way out
+    const matcher = this.baseline && new BaselineMatcher(this.baseline);
+    this.baselineReport = null;
+
+    try {
+      for (const cell of cells) {
+        if (run.signal?.aborted) {
+          return;
         }
-      }
-    });
 
-    cells.forEach((cell) => {
-      const { errors, newContext } = this.lintCell(
-        cell.code,
-        lineOffset,
-        cell.cellIndex,
-        accumulatedContext
-      );
+        // Results only depend on the cell, its position among the cells and
+        // the symbols defined upstream; line numbers are rebased on reuse
+        let cacheKey = incremental ? this.getCacheKey(cell, symbols) : '';
+        let cached = incremental ? this.cellCache.get(cacheKey) : undefined;
+        let aborted = false;
 
-      errors.forEach((error) => {
-        allErrors.push({
-          ...error,
+        if (cached) {
+          this.cacheStats.hits++;
+          run.profiler?.recordCachedCell();
+        } else {
+          const result = this.lintNotebookCell(
+            cell,
+            lineOffset,
+            symbols.toContext(),
+            run
+          );
+          this.cacheStats.misses++;
+          cached = { errors: result.errors, symbols: result.symbols };
+          aborted = result.aborted;
+          // Partial results (aborted, or rules that crashed, were skipped or
+          // timed out) are not reused: a replayed timeout would not skip the
+          // rule downstream
+          if (!result.complete) {
+            cacheKey = '';
+          }
+        }
+        if (incremental && cacheKey) {
+          nextCache.set(cacheKey, cached);
+        }
+
+        const cellOffset = lineOffset;
+        const cellErrors = cached.errors.map((error) => ({
+          ...shiftLines(error, cellOffset),
           cellIndex: cell.cellIndex,
           element: cell.element,
-          cellLine: error.line - lineOffset,
-        });
-      });
+          cellLine: error.line,
+        }));
 
-      // Accumulate context from this cell for subsequent cells
-      newContext.forEach((name) => accumulatedContext.definedNames?.add(name));
+        // Definitions of this cell are visible to the cells after it
+        symbols.define(cached.symbols);
 
-      // Also extract definitions from this cell for context
-      // (in case some rules don't return definedNames)
-      // Find UndefinedVariablesRule and extract definitions
-      const undefinedVarRule = this.rules.find(
-        (r) => r.name === 'undefinedVariables'
-      );
-      if (undefinedVarRule) {
-        const ruleAny = undefinedVarRule.rule as any;
-        if (
-          ruleAny.extractDefinedNamesPublic &&
-          typeof ruleAny.extractDefinedNamesPublic === 'function'
-        ) {
-          const additionalNames = ruleAny.extractDefinedNamesPublic(cell.code);
-          additionalNames.forEach((name: string) =>
-            accumulatedContext.definedNames?.add(name)
-          );
+        lineOffset += cell.code.split('\n').length;
+        yield matcher ? matcher.filter(cellErrors) : cellErrors;
+        if (aborted) {
+          return;
         }
       }
+      completed = true;
+      this.baselineReport = matcher && matcher.getReport();
+    } finally {
+      this.finishRun(run);
+      // Only keep the cells of this run so removed cells don't pile up;
+      // a run stopped early keeps the older entries as well
+      this.cellCache = completed
+        ? nextCache
+        : new Map([...this.cellCache, ...nextCache]);
+    }
+  }
 
-      lineOffset += cell.code.split('\n').length;
+  /**
+   * Lints one notebook cell and collects the names it defines
+   * @param cell - Notebook cell
+   * @param lineOffset - Line offset of the cell
+   * @param context - Symbols defined by the previous cells
+   * @param run - State of the run
+   * @returns Errors with cell-relative lines, the cell's definitions and
+   *   whether every rule ran
+   */
+  private lintNotebookCell(
+    cell: NotebookCell,
+    lineOffset: number,
+    context: LintContext,
+    run: LintRun
+  ): NotebookCellResult {
+    const { errors, newContext, symbols, aborted, crashed } = this.runRules(
+      cell.code,
+      lineOffset,
+      cell.cellIndex,
+      context,
+      run
+    );
+
+    // Names reported by rules returning `definedNames` that the tree doesn't
+    // show count as variables defined at the top of the cell
+    const known = new Set(symbols.map((symbol) => symbol.name));
+    newContext.forEach((name) => {
+      if (!known.has(name)) {
+        symbols.push({
+          name,
+          kind: 'variable',
+          cellIndex: cell.cellIndex,
+          line: 1,
+          column: 1,
+        });
+      }
     });
 
-    return allErrors;
+    return {
+      errors: errors.map((error) => shiftLines(error, -lineOffset)),
+      symbols,
+      // Rules that crashed or were skipped for time, before or on this
+      // cell, leave it incomplete: replaying a crash from the cache would
+      // outlive the circuit breaker disabling the rule
+      complete: !aborted && !crashed && run.skippedRules.size === 0,
+      aborted,
+    };
+  }
+
+  /**
+   * Builds the cache key of a cell
+   * @param cell - Notebook cell
+   * @param symbols - Symbols defined by the previous cells
+   * @returns Cache key
+   */
+  private getCacheKey(cell: NotebookCell, symbols: SymbolTable): string {
+    const upstream = symbols.getKey();
+    return `${cell.cellIndex}:${hashString(cell.code)}:${hashString(upstream)}`;
   }
 
   /**
@@ -270,20 +813,15 @@ export class LintEngine {
    * @returns Statistics object
    */
   getStats(errors: LintError[]): ErrorStats {
-    const stats: ErrorStats = {
-      total: errors.length,
-      byRule: {},
-      bySeverity: { error: 0, warning: 0, info: 0 },
-    };
-
-    errors.forEach((error) => {
-      stats.bySeverity[error.severity] =
-        (stats.bySeverity[error.severity] || 0) + 1;
-      const ruleName = error.rule || 'unknown';
-      stats.byRule[ruleName] = (stats.byRule[ruleName] || 0) + 1;
-    });
+    return getErrorStats(errors);
+  }
 
-    return stats;
+  /**
+   * Gets the metadata of every registered rule, enabled or not
+   * @returns Array of rule metadata, in registration order
+   */
+  getRuleMetadata(): RuleInfo[] {
+    return this.registry.getAllMetadata();
   }
 
   /**
@@ -294,14 +832,72 @@ export class LintEngine {
     return this.rules.map((r) => ({ name: r.name }));
   }
 
+  /**
+   * Gets the timings of the last lint run (lintNotebook, lintScript,
+   * lintCode or lintCell), recorded when the `profile` option is on
+   * @returns Profile, or null when profiling is off
+   */
+  getProfile(): LintProfile | null {
+    return this.profile;
+  }
+
+  /**
+   * Gets the rules that crashed during this session, including the ones the
+   * circuit breaker disabled
+   * @returns Crash counts by rule
+   */
+  getRuleCrashes(): RuleCrash[] {
+    return this.circuitBreaker.getCrashes();
+  }
+
+  /**
+   * Forgets rule crashes and enables the rules disabled by them again
+   */
+  resetRuleCrashes(): void {
+    this.circuitBreaker.reset();
+    this.clearCache();
+  }
+
   /**
    * Convenience function to lint a single piece of code
    * @param code - Python source code
    * @param cellOffset - Line offset
+   * @param options - Abort signal
    * @returns Array of errors
    */
-  lintCode(code: string, cellOffset: number = 0): LintError[] {
-    const { errors } = this.lintCell(code, cellOffset, 0, {});
-    return errors;
+  lintCode(
+    code: string,
+    cellOffset: number = 0,
+    options: LintRunOptions = {}
+  ): LintError[] {
+    const { errors } = this.lintCell(code, cellOffset, 0, {}, options);
+    if (!this.baseline) {
+      return errors;
+    }
+    const matcher = new BaselineMatcher(this.baseline);
+    const remaining = matcher.filter(errors);
+    this.baselineReport = matcher.getReport();
+    return remaining;
+  }
+
+  /**
+   * Loads a baseline: findings recorded in it are hidden from lintNotebook
+   * and lintCode results (create one with createBaseline)
+   * @param baseline - Baseline snapshot, or null to show every finding again
+   * @throws Error if the baseline is malformed or of an unsupported version
+   */
+  loadBaseline(baseline: Baseline | null): void {
+    this.baseline = baseline && parseBaseline(baseline, 'loadBaseline()');
+    this.baselineReport = null;
+  }
+
+  /**
+   * Gets what the baseline did in the last completed lintNotebook or
+   * lintCode call: the findings it hid, and the entries that no longer match
+   * (findings fixed since the baseline was taken)
+   * @returns Baseline report, or null when no baseline is loaded
+   */
+  getBaselineReport(): BaselineReport | null {
+    return this.baselineReport;
   }
 }
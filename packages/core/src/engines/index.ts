@@ -3,5 +3,7 @@
  * Exports all linting engines
  */
 
+export * from './Engine';
 export * from './LintEngine';
+export * from './BuiltinEngine';
 export * from './Flake8Engine';
@@ -0,0 +1,138 @@
+/**
+ * Apply Fixes
+ * Applies the machine-applicable fixes attached to lint errors.
+ * Fixes are applied atomically: when any edit of a fix overlaps an edit that
+ * was already accepted (or is out of range), the whole fix is skipped so the
+ * code is never left half-rewritten. Re-linting the output and applying again
+ * picks up skipped fixes
+ */
+
+import { LintError, TextEdit } from '../types';
+import { computeLineStarts } from '../parser';
+
+export interface ApplyFixesResult {
+  /** Code with the accepted fixes applied */
+  output: string;
+  /** Errors whose fix was applied, in input order */
+  applied: LintError[];
+  /** Errors whose fix was skipped (overlapping or out of range) */
+  skipped: LintError[];
+}
+
+interface ResolvedEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/**
+ * Converts an edit to character offsets
+ * @param edit - Text edit with global line numbers
+ * @param lineStarts - Line start offsets of the code
+ * @param length - Length of the code
+ * @param cellOffset - Line offset of the code
+ * @returns Resolved edit, or null when a position is out of range
+ */
+function resolveEdit(
+  edit: TextEdit,
+  lineStarts: number[],
+  length: number,
+  cellOffset: number
+): ResolvedEdit | null {
+  const toOffset = (line: number, column: number): number | null => {
+    const index = line - cellOffset - 1;
+    if (index < 0 || index > lineStarts.length || column < 1) {
+      return null;
+    }
+    // One line past the end is allowed, to delete up to the end of the code
+    const lineStart = index < lineStarts.length ? lineStarts[index] : length;
+    const lineLimit =
+      index + 1 < lineStarts.length ? lineStarts[index + 1] : length;
+    const offset = lineStart + column - 1;
+    return offset <= lineLimit ? offset : null;
+  };
+
+  const start = toOffset(edit.line, edit.column);
+  const end = toOffset(edit.endLine, edit.endColumn);
+  if (start === null || end === null || end < start) {
+    return null;
+  }
+  return { start, end, text: edit.text };
+}
+
+/**
+ * Checks whether two edits touch the same text. Two insertions at the same
+ * offset also conflict, since their order would be ambiguous
+ * @param a - First edit
+ * @param b - Second edit
+ * @returns boolean
+ */
+function editsOverlap(a: ResolvedEdit, b: ResolvedEdit): boolean {
+  return (a.start < b.end && b.start < a.end) || a.start === b.start;
+}
+
+/**
+ * Applies the fixes attached to lint errors
+ * @param code - Source code the errors were reported for
+ * @param errors - Lint errors (errors without a fix are ignored)
+ * @param cellOffset - Line offset of the code (as passed to the rules)
+ * @returns Fixed code plus the applied and skipped errors
+ */
+export function applyFixes(
+  code: string,
+  errors: LintError[],
+  cellOffset: number = 0
+): ApplyFixesResult {
+  const lineStarts = computeLineStarts(code);
+
+  // Earlier fixes win when fixes overlap
+  const candidates = errors
+    .filter((error) => error.fix && error.fix.edits.length > 0)
+    .map((error) => {
+      const edits = error.fix!.edits.map((edit) =>
+        resolveEdit(edit, lineStarts, code.length, cellOffset)
+      );
+      return { error, edits };
+    });
+  const firstStart = (edits: Array<ResolvedEdit | null>) =>
+    Math.min(...edits.map((edit) => (edit ? edit.start : Infinity)));
+  const ordered = [...candidates].sort(
+    (a, b) => firstStart(a.edits) - firstStart(b.edits)
+  );
+
+  const accepted: ResolvedEdit[] = [];
+  const skipped = new Set<LintError>();
+
+  ordered.forEach(({ error, edits }) => {
+    const resolved = edits.filter((edit): edit is ResolvedEdit => !!edit);
+    const conflicts =
+      resolved.length !== edits.length ||
+      resolved.some((edit, index) =>
+        resolved.slice(index + 1).some((other) => editsOverlap(edit, other))
+      ) ||
+      resolved.some((edit) =>
+        accepted.some((other) => editsOverlap(edit, other))
+      );
+
+    if (conflicts) {
+      skipped.add(error);
+    } else {
+      accepted.push(...resolved);
+    }
+  });
+
+  // Apply from the end so earlier offsets stay valid
+  let output = code;
+  accepted
+    .sort((a, b) => b.start - a.start)
+    .forEach((edit) => {
+      output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+
+  const fixable = candidates.map(({ error }) => error);
+  return {
+    output,
+    applied: fixable.filter((error) => !skipped.has(error)),
+    skipped: fixable.filter((error) => skipped.has(error)),
+  };
+}
@@ -0,0 +1,6 @@
+/**
+ * Fixes Index
+ * Exports autofix helpers
+ */
+
+export * from './applyFixes';
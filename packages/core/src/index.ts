@@ -11,3 +11,42 @@ export * from './rules';
 
 // Export engines
 export * from './engines';
+
+// Export parser
+export * from './parser';
+
+// Export preprocessor
+export * from './preprocessor';
+
+// Export symbols
+export * from './symbols';
+
+// Export suppressions
+export * from './suppressions';
+
+// Export diagnostics
+export * from './diagnostics';
+
+// Export profiling
+export * from './profiling';
+
+// Export fixes
+export * from './fixes';
+
+// Export worker
+export * from './worker';
+
+// Export plugins
+export * from './plugins';
+
+// Export config
+export * from './config';
+
+// Export baseline
+export * from './baseline';
+
+// Export notebook
+export * from './notebook';
+
+// Export reporters
+export * from './reporters';
@@ -0,0 +1,278 @@
+/**
+ * Notebook Reader
+ * Parses nbformat v4 documents (.ipynb JSON) into cells, so notebooks can be
+ * linted without a browser:
+ *   LintEngine.lintNotebook(getLintCells(parseNotebook(text)))
+ * Multi-line strings, stored by nbformat as arrays of lines, are joined back
+ * into single strings
+ */
+
+import type { NotebookCell } from '../engines/Engine';
+
+/** Supported major nbformat version */
+export const NBFORMAT_VERSION = 4;
+
+export type NotebookCellType = 'code' | 'markdown' | 'raw';
+
+export type NotebookOutput =
+  | {
+      type: 'stream';
+      /** 'stdout' or 'stderr' */
+      name: string;
+      text: string;
+    }
+  | {
+      type: 'execute_result';
+      executionCount: number | null;
+      /** Output by MIME type; text values are joined into strings */
+      data: Record<string, unknown>;
+      metadata: Record<string, unknown>;
+    }
+  | {
+      type: 'display_data';
+      data: Record<string, unknown>;
+      metadata: Record<string, unknown>;
+    }
+  | {
+      type: 'error';
+      ename: string;
+      evalue: string;
+      traceback: string[];
+    };
+
+export interface NotebookDocumentCell {
+  /** Cell id (nbformat 4.5+), undefined for older notebooks */
+  id?: string;
+  type: NotebookCellType;
+  /** Position among all cells of the notebook */
+  index: number;
+  source: string;
+  metadata: Record<string, unknown>;
+  /** Code cells only: null when the cell never ran */
+  executionCount?: number | null;
+  /** Code cells only */
+  outputs?: NotebookOutput[];
+}
+
+export interface NotebookDocument {
+  nbformat: number;
+  nbformatMinor: number;
+  metadata: Record<string, unknown>;
+  cells: NotebookDocumentCell[];
+}
+
+const CELL_TYPES: NotebookCellType[] = ['code', 'markdown', 'raw'];
+
+/**
+ * Checks that a value is a plain object
+ * @param value - Value to check
+ * @returns boolean
+ */
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Joins an nbformat multi-line string
+ * @param value - String or array of lines (each keeping its '\n')
+ * @returns String, or null if the value is neither
+ */
+function joinMultiline(value: unknown): string | null {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value) && value.every((line) => typeof line === 'string')) {
+    return value.join('');
+  }
+  return null;
+}
+
+/**
+ * Joins the text values of a MIME bundle; JSON values are kept as they are
+ * @param data - MIME bundle
+ * @returns MIME bundle with joined strings
+ */
+function readMimeBundle(data: unknown): Record<string, unknown> {
+  if (!isRecord(data)) {
+    return {};
+  }
+  const bundle: Record<string, unknown> = {};
+  Object.entries(data).forEach(([mimeType, value]) => {
+    bundle[mimeType] = mimeType.endsWith('json')
+      ? value
+      : (joinMultiline(value) ?? value);
+  });
+  return bundle;
+}
+
+/**
+ * Parses the outputs of a code cell
+ * @param outputs - Raw outputs
+ * @param fail - Reports a problem of the cell
+ * @returns Outputs
+ */
+function readOutputs(
+  outputs: unknown,
+  fail: (problem: string) => never
+): NotebookOutput[] {
+  if (outputs === undefined) {
+    return [];
+  }
+  if (!Array.isArray(outputs)) {
+    return fail("'outputs' must be an array");
+  }
+
+  return outputs.map((output, index): NotebookOutput => {
+    if (!isRecord(output)) {
+      return fail(`output ${index} must be an object`);
+    }
+    const metadata = isRecord(output.metadata) ? output.metadata : {};
+
+    switch (output.output_type) {
+      case 'stream':
+        return {
+          type: 'stream',
+          name: String(output.name ?? 'stdout'),
+          text: joinMultiline(output.text) ?? '',
+        };
+      case 'execute_result':
+        return {
+          type: 'execute_result',
+          executionCount:
+            typeof output.execution_count === 'number'
+              ? output.execution_count
+              : null,
+          data: readMimeBundle(output.data),
+          metadata,
+        };
+      case 'display_data':
+        return {
+          type: 'display_data',
+          data: readMimeBundle(output.data),
+          metadata,
+        };
+      case 'error':
+        return {
+          type: 'error',
+          ename: String(output.ename ?? ''),
+          evalue: String(output.evalue ?? ''),
+          traceback: Array.isArray(output.traceback)
+            ? output.traceback.map(String)
+            : [],
+        };
+      default:
+        return fail(
+          `output ${index} has unknown output_type '${String(output.output_type)}'`
+        );
+    }
+  });
+}
+
+/**
+ * Parses one cell
+ * @param cell - Raw cell
+ * @param index - Position among all cells
+ * @param fail - Reports a problem of the notebook
+ * @returns Cell
+ */
+function readCell(
+  cell: unknown,
+  index: number,
+  fail: (problem: string) => never
+): NotebookDocumentCell {
+  const failCell = (problem: string): never =>
+    fail(`cell ${index}: ${problem}`);
+
+  if (!isRecord(cell)) {
+    return failCell('expected an object');
+  }
+  if (!CELL_TYPES.includes(cell.cell_type as NotebookCellType)) {
+    return failCell(
+      `unknown cell_type '${String(cell.cell_type)}'; expected ${CELL_TYPES.join(', ')}`
+    );
+  }
+  const source = joinMultiline(cell.source ?? '');
+  if (source === null) {
+    return failCell("'source' must be a string or an array of strings");
+  }
+
+  const parsed: NotebookDocumentCell = {
+    type: cell.cell_type as NotebookCellType,
+    index,
+    source,
+    metadata: isRecord(cell.metadata) ? cell.metadata : {},
+  };
+  if (typeof cell.id === 'string') {
+    parsed.id = cell.id;
+  }
+  if (parsed.type === 'code') {
+    parsed.executionCount =
+      typeof cell.execution_count === 'number' ? cell.execution_count : null;
+    parsed.outputs = readOutputs(cell.outputs, failCell);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an nbformat v4 notebook. Optional fields missing from older or
+ * hand-written notebooks (ids, metadata, outputs) get empty defaults
+ * @param input - .ipynb contents, or the already parsed JSON value
+ * @param source - Where the notebook came from (used in error messages)
+ * @returns Notebook document
+ * @throws Error if the input is not JSON or not an nbformat v4 notebook
+ */
+export function parseNotebook(
+  input: unknown,
+  source: string = 'notebook'
+): NotebookDocument {
+  const fail = (problem: string): never => {
+    throw new Error(`Invalid notebook in ${source}: ${problem}`);
+  };
+
+  let value = input;
+  if (typeof input === 'string') {
+    try {
+      value = JSON.parse(input);
+    } catch (error) {
+      fail(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  if (!isRecord(value)) {
+    return fail('expected an object');
+  }
+  // nbformat 3 nests cells in 'worksheets'; files without a version are
+  // read as v4 as long as they have a cell list
+  if (value.nbformat !== undefined && value.nbformat !== NBFORMAT_VERSION) {
+    fail(
+      `unsupported nbformat ${String(value.nbformat)}; only version ${NBFORMAT_VERSION} is supported`
+    );
+  }
+  if (!Array.isArray(value.cells)) {
+    fail("missing 'cells' array");
+  }
+
+  return {
+    nbformat: NBFORMAT_VERSION,
+    nbformatMinor:
+      typeof value.nbformat_minor === 'number' ? value.nbformat_minor : 0,
+    metadata: isRecord(value.metadata) ? value.metadata : {},
+    cells: (value.cells as unknown[]).map((cell, index) =>
+      readCell(cell, index, fail)
+    ),
+  };
+}
+
+/**
+ * Gets the cells to lint: the code cells, keeping their position among all
+ * cells as cellIndex so findings point at the right cell
+ * @param document - Parsed notebook or script
+ * @returns Cells for LintEngine.lintNotebook
+ */
+export function getLintCells(document: {
+  cells: Array<Pick<NotebookDocumentCell, 'type' | 'index' | 'source'>>;
+}): NotebookCell[] {
+  return document.cells
+    .filter((cell) => cell.type === 'code')
+    .map((cell) => ({ code: cell.source, cellIndex: cell.index }));
+}
@@ -0,0 +1,294 @@
+/**
+ * Script Reader
+ * Splits Python scripts into cells so they can be linted like notebooks:
+ *   percent -> jupytext percent format, cells start at `# %%` markers
+ *              (`# %% [markdown]` starts a markdown cell)
+ *   light   -> jupytext light format, cells are paragraphs separated by
+ *              blank lines, or `# +` ... `# -` blocks; comment-only
+ *              paragraphs are markdown
+ *   plain   -> the whole file is one code cell (e.g. Kaggle script kernels)
+ * Every cell records the file line it starts on, so findings can be mapped
+ * back to the script
+ */
+
+import { NotebookCellType } from './NotebookReader';
+import { getLogicalLines, parsePython } from '../parser';
+
+export type ScriptFormat = 'percent' | 'light' | 'plain';
+
+export interface ScriptCell {
+  type: NotebookCellType;
+  /** Position among all cells of the script */
+  index: number;
+  /** Cell contents; comment markers are removed from markdown and raw cells */
+  source: string;
+  /** File line (1-based) of the first line of source */
+  startLine: number;
+}
+
+export interface ScriptDocument {
+  format: ScriptFormat;
+  cells: ScriptCell[];
+}
+
+export const SCRIPT_FORMATS: ScriptFormat[] = ['percent', 'light', 'plain'];
+
+const PERCENT_MARKER = /^#\s*%%(?!%)(.*)$/;
+const LIGHT_START_MARKER = /^#\s*\+(\s.*)?$/;
+const LIGHT_END_MARKER = /^#\s*-\s*$/;
+const HEADER_DELIMITER = /^#\s*---\s*$/;
+const FORMAT_NAME = /^#\s*format_name:\s*(\w+)/;
+/** Clauses that continue a statement after a blank line */
+const CONTINUATION_KEYWORD = /^(else|elif|except|finally)\b/;
+
+/**
+ * Gets the type of a cell from the options after its marker
+ * @param options - Text after `# %%` or `# +`, e.g. ' Title [markdown]'
+ * @returns Cell type
+ */
+function cellTypeOf(options: string = ''): NotebookCellType {
+  if (/\[(markdown|md)\]/.test(options)) {
+    return 'markdown';
+  }
+  return /\[raw\]/.test(options) ? 'raw' : 'code';
+}
+
+/**
+ * Finds the jupytext YAML header (`# ---` ... `# ---`) at the top of a script
+ * @param lines - Lines of the script
+ * @returns Number of header lines (0 when there is none)
+ */
+function getHeaderLength(lines: string[]): number {
+  if (!HEADER_DELIMITER.test(lines[0] ?? '')) {
+    return 0;
+  }
+  for (let i = 1; i < lines.length; i++) {
+    if (HEADER_DELIMITER.test(lines[i])) {
+      return i + 1;
+    }
+    if (!lines[i].startsWith('#')) {
+      return 0;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Detects the format of a script: the jupytext header's format_name when
+ * present, otherwise the cell markers used
+ * @param text - Script contents
+ * @returns Script format
+ */
+export function detectScriptFormat(text: string): ScriptFormat {
+  const lines = text.split(/\r\n?|\n/);
+  const headerLength = getHeaderLength(lines);
+
+  for (const line of lines.slice(0, headerLength)) {
+    const match = FORMAT_NAME.exec(line);
+    if (match && (match[1] === 'percent' || match[1] === 'light')) {
+      return match[1];
+    }
+  }
+  if (lines.some((line) => PERCENT_MARKER.test(line))) {
+    return 'percent';
+  }
+  return lines.some((line) => LIGHT_START_MARKER.test(line))
+    ? 'light'
+    : 'plain';
+}
+
+/**
+ * Collects the cells of a script
+ */
+class CellCollector {
+  readonly cells: ScriptCell[] = [];
+
+  /**
+   * Adds a cell, dropping its trailing blank lines
+   * @param type - Cell type
+   * @param lines - Lines of the cell
+   * @param startLine - File line of the first line
+   * @param keepEmpty - Whether to add a cell without content
+   */
+  add(
+    type: NotebookCellType,
+    lines: string[],
+    startLine: number,
+    keepEmpty: boolean = true
+  ): void {
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') {
+      end--;
+    }
+    if (end === 0 && !keepEmpty) {
+      return;
+    }
+    const content = lines.slice(0, end);
+    this.cells.push({
+      type,
+      index: this.cells.length,
+      source: (type === 'code'
+        ? content
+        : content.map((line) => line.replace(/^#\s?/, ''))
+      ).join('\n'),
+      startLine,
+    });
+  }
+}
+
+/**
+ * Splits a percent-format script
+ * @param lines - Lines of the script
+ * @param first - Index of the first line after the header
+ * @returns Cells
+ */
+function splitPercent(lines: string[], first: number): ScriptCell[] {
+  const collector = new CellCollector();
+  let type: NotebookCellType = 'code';
+  let start = first;
+  // Code above the first marker forms a cell of its own when not blank
+  let keepEmpty = false;
+
+  for (let i = first; i <= lines.length; i++) {
+    const match = i < lines.length ? PERCENT_MARKER.exec(lines[i]) : null;
+    if (match || i === lines.length) {
+      collector.add(type, lines.slice(start, i), start + 1, keepEmpty);
+      type = cellTypeOf(match?.[1]);
+      start = i + 1;
+      keepEmpty = true;
+    }
+  }
+  return collector.cells;
+}
+
+/**
+ * Splits a light-format script
+ * @param text - Script contents
+ * @param lines - Lines of the script
+ * @param first - Index of the first line after the header
+ * @returns Cells
+ */
+function splitLight(
+  text: string,
+  lines: string[],
+  first: number
+): ScriptCell[] {
+  const collector = new CellCollector();
+
+  // Blank lines inside a multi-line statement (brackets, strings) never
+  // end a cell
+  const continued = new Set<number>();
+  getLogicalLines(parsePython(text)).forEach(({ startLine, endLine }) => {
+    for (let line = startLine + 1; line <= endLine; line++) {
+      continued.add(line - 1);
+    }
+  });
+
+  /**
+   * Checks whether a blank line ends the paragraph above it: it does unless
+   * the next code is indented or continues the statement (else, except...)
+   * @param index - Index of the blank line
+   * @returns boolean
+   */
+  const endsParagraph = (index: number): boolean => {
+    const next = lines.slice(index + 1).find((line) => line.trim() !== '');
+    return (
+      next === undefined ||
+      LIGHT_START_MARKER.test(next) ||
+      (!/^\s/.test(next) && !CONTINUATION_KEYWORD.test(next))
+    );
+  };
+
+  let paragraph: string[] = [];
+  let paragraphStart = first;
+  const flushParagraph = (): void => {
+    if (paragraph.length > 0) {
+      const isComment = paragraph.every(
+        (line) => line.trim() === '' || line.trimStart().startsWith('#')
+      );
+      collector.add(
+        isComment ? 'markdown' : 'code',
+        paragraph,
+        paragraphStart + 1
+      );
+      paragraph = [];
+    }
+  };
+
+  for (let i = first; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (LIGHT_START_MARKER.test(line)) {
+      // Explicit cell: runs to the matching `# -` (or the end of the file)
+      flushParagraph();
+      let end = i + 1;
+      while (end < lines.length && !LIGHT_END_MARKER.test(lines[end])) {
+        end++;
+      }
+      collector.add(
+        cellTypeOf(line.replace(/^#\s*\+/, '')),
+        lines.slice(i + 1, end),
+        i + 2
+      );
+      i = end;
+      continue;
+    }
+
+    if (line.trim() === '' && !continued.has(i)) {
+      if (paragraph.length > 0 && endsParagraph(i)) {
+        flushParagraph();
+      } else if (paragraph.length > 0) {
+        paragraph.push(line);
+      }
+      continue;
+    }
+
+    if (paragraph.length === 0) {
+      paragraphStart = i;
+    }
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  return collector.cells;
+}
+
+/**
+ * Splits a script into cells
+ * @param text - Script contents
+ * @param format - Script format (detected when omitted)
+ * @returns Script document
+ * @throws Error on an unknown format
+ */
+export function parseScript(
+  text: string,
+  format: ScriptFormat = detectScriptFormat(text)
+): ScriptDocument {
+  if (!SCRIPT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown script format '${format}'; expected ${SCRIPT_FORMATS.join(', ')}`
+    );
+  }
+
+  // Line numbers are unaffected by the line-ending normalization
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const lines = normalized.split('\n');
+
+  switch (format) {
+    case 'percent':
+      return {
+        format,
+        cells: splitPercent(lines, getHeaderLength(lines)),
+      };
+    case 'light':
+      return {
+        format,
+        cells: splitLight(normalized, lines, getHeaderLength(lines)),
+      };
+    default:
+      return {
+        format,
+        cells: [{ type: 'code', index: 0, source: normalized, startLine: 1 }],
+      };
+  }
+}
@@ -0,0 +1,7 @@
+/**
+ * Notebook Index
+ * Exports the nbformat v4 notebook reader and the script splitter
+ */
+
+export * from './NotebookReader';
+export * from './ScriptReader';
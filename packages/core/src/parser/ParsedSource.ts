@@ -0,0 +1,263 @@
+/**
+ * Parsed Source
+ * Result of tokenizing and parsing one cell, shared by every rule
+ * Also provides helpers for line-based rules (masked code, logical lines)
+ * and for turning positions into diagnostic ranges
+ */
+
+import type { SourceRange } from '../types';
+import { BaseNode, Module, Position } from './ast';
+import { Parser } from './Parser';
+import { Token, Tokenizer, SyntaxIssue, computeLineStarts } from './Tokenizer';
+
+export interface ParsedSource {
+  /** Source code that was parsed */
+  code: string;
+  /** Full token stream, including comments and NL tokens */
+  tokens: Token[];
+  /** Syntax tree (statements that failed to parse are omitted) */
+  module: Module;
+  /** Tokenizer and parser errors, in source order */
+  errors: SyntaxIssue[];
+  /** Offset of the first character of every line */
+  lineStarts: number[];
+  /**
+   * Code with string contents, string prefixes and comments replaced by
+   * spaces. Line and column positions match the original code; quotes and
+   * f-string replacement field expressions are kept
+   */
+  masked: string;
+}
+
+export interface LogicalLine {
+  /** First physical line (1-based) */
+  startLine: number;
+  /** Last physical line (1-based) */
+  endLine: number;
+  /** Tokens of the logical line, without comments and NL tokens */
+  tokens: Token[];
+}
+
+/**
+ * Tokenizes and parses Python source code
+ * @param code - Python source code
+ * @returns Parsed source
+ */
+export function parsePython(code: string): ParsedSource {
+  const lineStarts = computeLineStarts(code);
+  const { tokens, errors } = new Tokenizer(code, { lineStarts }).tokenize();
+  const module = new Parser(code, tokens, errors).parseModule();
+
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return {
+    code,
+    tokens,
+    module,
+    errors,
+    lineStarts,
+    masked: maskNonCode(code, tokens, lineStarts),
+  };
+}
+
+/**
+ * Replaces string contents and comments with spaces, preserving newlines
+ * Strings nested inside f-string replacement fields are masked as well
+ * @param code - Source code
+ * @param tokens - Tokens of the code
+ * @param lineStarts - Line start offsets (computed when omitted)
+ * @returns Masked code with the same length and line structure
+ */
+export function maskNonCode(
+  code: string,
+  tokens: Token[],
+  lineStarts?: number[]
+): string {
+  const chars = code.split('');
+
+  const blank = (from: number, to: number) => {
+    for (let i = from; i < to; i++) {
+      if (chars[i] !== '\n' && chars[i] !== '\r') {
+        chars[i] = ' ';
+      }
+    }
+  };
+
+  const maskTokens = (tokenList: Token[]) => {
+    tokenList.forEach((token) => {
+      if (token.type === 'COMMENT') {
+        blank(token.startOffset, token.endOffset);
+        return;
+      }
+      if (token.type !== 'STRING') {
+        return;
+      }
+
+      // Keep only the quotes; the prefix would otherwise read as a name
+      const prefixLength = /^[a-zA-Z]*/.exec(token.value)![0].length;
+      blank(token.startOffset, token.startOffset + prefixLength);
+      const quoteChar = token.value[prefixLength];
+      const quote = token.value.startsWith(quoteChar.repeat(3), prefixLength)
+        ? quoteChar.repeat(3)
+        : quoteChar;
+      const terminated =
+        token.value.length >= prefixLength + quote.length * 2 &&
+        token.value.endsWith(quote);
+
+      let cursor = token.startOffset + prefixLength + quote.length;
+      (token.fields || []).forEach((field) => {
+        if (field.startOffset < cursor) {
+          return;
+        }
+        blank(cursor, field.startOffset);
+        cursor = field.endOffset;
+
+        // Field expressions stay visible, minus their own strings
+        lineStarts = lineStarts ?? computeLineStarts(code);
+        maskTokens(
+          new Tokenizer(code, {
+            startOffset: field.startOffset,
+            endOffset: field.endOffset,
+            expression: true,
+            lineStarts,
+          }).tokenize().tokens
+        );
+      });
+      blank(
+        cursor,
+        terminated ? token.endOffset - quote.length : token.endOffset
+      );
+    });
+  };
+
+  maskTokens(tokens);
+  return chars.join('');
+}
+
+/**
+ * Groups tokens into logical lines
+ * @param parsed - Parsed source (only its tokens are read)
+ * @returns Logical lines in source order
+ */
+export function getLogicalLines(
+  parsed: Pick<ParsedSource, 'tokens'>
+): LogicalLine[] {
+  const lines: LogicalLine[] = [];
+  let current: Token[] = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      lines.push({
+        startLine: current[0].start.line,
+        endLine: current[current.length - 1].end.line,
+        tokens: current,
+      });
+      current = [];
+    }
+  };
+
+  parsed.tokens.forEach((token) => {
+    switch (token.type) {
+      case 'NEWLINE':
+      case 'ENDMARKER':
+        flush();
+        break;
+      case 'COMMENT':
+      case 'NL':
+      case 'INDENT':
+      case 'DEDENT':
+        break;
+      default:
+        current.push(token);
+    }
+  });
+  flush();
+
+  return lines;
+}
+
+/**
+ * Converts a 1-based position into a character offset
+ * @param parsed - Parsed source
+ * @param position - Line/column position
+ * @returns Character offset
+ */
+export function offsetAt(parsed: ParsedSource, position: Position): number {
+  const lineStart = parsed.lineStarts[position.line - 1] ?? parsed.code.length;
+  return Math.min(lineStart + position.column - 1, parsed.code.length);
+}
+
+/**
+ * Gets the source text covered by a node
+ * @param parsed - Parsed source
+ * @param node - AST node
+ * @param masked - Return the masked text (no string contents or comments)
+ * @returns Source text
+ */
+export function getNodeText(
+  parsed: ParsedSource,
+  node: BaseNode,
+  masked: boolean = false
+): string {
+  const source = masked ? parsed.masked : parsed.code;
+  return source.slice(offsetAt(parsed, node.start), offsetAt(parsed, node.end));
+}
+
+/**
+ * Converts a span within a cell into a range with global line numbers
+ * @param start - Start position within the cell
+ * @param end - End position within the cell (exclusive)
+ * @param cellOffset - Line offset of the cell
+ * @returns Source range
+ */
+export function toSourceRange(
+  start: Position,
+  end: Position,
+  cellOffset: number = 0
+): SourceRange {
+  return {
+    line: start.line + cellOffset,
+    column: start.column,
+    endLine: end.line + cellOffset,
+    endColumn: end.column,
+  };
+}
+
+/**
+ * Gets the span of a line's content, without indentation and trailing
+ * whitespace. Blank (or missing) lines give an empty span at column 1
+ * @param code - Source code
+ * @param line - 1-based line within the code
+ * @returns Start and end (exclusive) positions
+ */
+export function getLineSpan(
+  code: string,
+  line: number
+): { start: Position; end: Position } {
+  const text = (code.split('\n')[line - 1] ?? '').trimEnd();
+  const indent = text.length - text.trimStart().length;
+  return {
+    start: { line, column: indent + 1 },
+    end: { line, column: text.length + 1 },
+  };
+}
+
+/**
+ * Gets the span of all content in the code, from the first to the last
+ * non-blank line
+ * @param code - Source code
+ * @returns Start and end (exclusive) positions
+ */
+export function getCodeSpan(code: string): { start: Position; end: Position } {
+  const lines = code.split('\n');
+  const filled = lines
+    .map((text, index) => (text.trim() === '' ? 0 : index + 1))
+    .filter(Boolean);
+  if (filled.length === 0) {
+    return getLineSpan(code, 1);
+  }
+  return {
+    start: getLineSpan(code, filled[0]).start,
+    end: getLineSpan(code, filled[filled.length - 1]).end,
+  };
+}
@@ -0,0 +1,1949 @@
+/**
+ * Python Parser
+ * Recursive-descent parser producing a typed AST from the token stream
+ * Recovers from syntax errors at statement boundaries so rules still get a
+ * tree for partially broken notebook cells
+ */
+
+import * as AST from './ast';
+import { Position } from './ast';
+import { Token, Tokenizer, SyntaxIssue, computeLineStarts } from './Tokenizer';
+
+const KEYWORDS = new Set([
+  'False',
+  'None',
+  'True',
+  'and',
+  'as',
+  'assert',
+  'async',
+  'await',
+  'break',
+  'class',
+  'continue',
+  'def',
+  'del',
+  'elif',
+  'else',
+  'except',
+  'finally',
+  'for',
+  'from',
+  'global',
+  'if',
+  'import',
+  'in',
+  'is',
+  'lambda',
+  'nonlocal',
+  'not',
+  'or',
+  'pass',
+  'raise',
+  'return',
+  'try',
+  'while',
+  'with',
+  'yield',
+]);
+
+const AUGMENTED_ASSIGN_OPS = new Set([
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '//=',
+  '%=',
+  '@=',
+  '&=',
+  '|=',
+  '^=',
+  '>>=',
+  '<<=',
+  '**=',
+]);
+
+const COMPARISON_OPS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+/**
+ * Thrown internally to abandon the current statement
+ */
+class ParseError extends Error {
+  constructor(
+    message: string,
+    public readonly position: Position
+  ) {
+    super(message);
+  }
+}
+
+export class Parser {
+  private readonly source: string;
+  private readonly tokens: Token[];
+  private readonly errors: SyntaxIssue[];
+  private index = 0;
+  private lastEnd: Position;
+  private recovering = false;
+  private lineStarts: number[] | null = null;
+
+  /**
+   * Constructor
+   * @param source - Python source code the tokens were produced from
+   * @param tokens - Token stream from the Tokenizer
+   * @param errors - Array receiving syntax errors (shared with the tokenizer)
+   */
+  constructor(source: string, tokens: Token[], errors: SyntaxIssue[] = []) {
+    this.source = source;
+    this.tokens = tokens.filter((t) => t.type !== 'COMMENT' && t.type !== 'NL');
+    this.errors = errors;
+    this.lastEnd = this.tokens[0]?.start ?? { line: 1, column: 1 };
+  }
+
+  /**
+   * Parses a whole module
+   * @returns Module node
+   */
+  parseModule(): AST.Module {
+    const start = this.peek().start;
+    const body = this.parseStatements(false);
+    return {
+      type: 'Module',
+      body,
+      start,
+      end: this.peek().end,
+    };
+  }
+
+  /**
+   * Parses a bare expression list (used for f-string replacement fields)
+   * @returns Expression node, or null when nothing could be parsed
+   */
+  parseExpressionSource(): AST.Expr | null {
+    try {
+      const expr = this.parseStarExpressions();
+      if (!this.at('ENDMARKER')) {
+        this.fail("f-string: expecting '}'");
+      }
+      return expr;
+    } catch (e) {
+      if (!(e instanceof ParseError)) {
+        throw e;
+      }
+      this.recordError(e);
+      return null;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Token helpers
+  // -------------------------------------------------------------------------
+
+  private peek(distance: number = 0): Token {
+    return this.tokens[Math.min(this.index + distance, this.tokens.length - 1)];
+  }
+
+  private next(): Token {
+    const token = this.peek();
+    if (this.index < this.tokens.length - 1) {
+      this.index++;
+    }
+    if (
+      token.type !== 'NEWLINE' &&
+      token.type !== 'INDENT' &&
+      token.type !== 'DEDENT' &&
+      token.type !== 'ENDMARKER'
+    ) {
+      this.lastEnd = token.end;
+    }
+    return token;
+  }
+
+  private at(type: Token['type'], distance: number = 0): boolean {
+    return this.peek(distance).type === type;
+  }
+
+  private atOp(value: string, distance: number = 0): boolean {
+    const token = this.peek(distance);
+    return token.type === 'OP' && token.value === value;
+  }
+
+  private atKeyword(value: string, distance: number = 0): boolean {
+    const token = this.peek(distance);
+    return token.type === 'NAME' && token.value === value;
+  }
+
+  private expectOp(value: string): Token {
+    if (!this.atOp(value)) {
+      this.fail(`expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  private expectKeyword(value: string): Token {
+    if (!this.atKeyword(value)) {
+      this.fail(`expected '${value}'`);
+    }
+    return this.next();
+  }
+
+  private expectName(): Token {
+    const token = this.peek();
+    if (token.type !== 'NAME' || KEYWORDS.has(token.value)) {
+      this.fail('invalid syntax');
+    }
+    return this.next();
+  }
+
+  private fail(message: string, token: Token = this.peek()): never {
+    throw new ParseError(message, token.start);
+  }
+
+  private recordError(error: ParseError): void {
+    this.errors.push({
+      msg: error.message,
+      line: error.position.line,
+      column: error.position.column,
+    });
+  }
+
+  private report(message: string, position: Position): void {
+    this.errors.push({ msg: message, ...position });
+  }
+
+  private node<T extends AST.Node>(
+    fields: Omit<T, 'start' | 'end'>,
+    start: Position,
+    end: Position = this.lastEnd
+  ): T {
+    return { ...fields, start, end } as T;
+  }
+
+  // -------------------------------------------------------------------------
+  // Statements
+  // -------------------------------------------------------------------------
+
+  /**
+   * Parses statements until a DEDENT (inside a block) or the end of input
+   * @param inBlock - Whether parsing an indented block
+   */
+  private parseStatements(inBlock: boolean): AST.Stmt[] {
+    const body: AST.Stmt[] = [];
+
+    while (!this.at('ENDMARKER')) {
+      if (this.at('DEDENT')) {
+        if (inBlock) {
+          break;
+        }
+        this.next();
+        continue;
+      }
+
+      if (this.at('INDENT')) {
+        // Keep the statements of a stray block instead of dropping them
+        if (!this.recovering) {
+          this.report('unexpected indent', this.peek().end);
+        }
+        this.next();
+        this.recovering = false;
+        body.push(...this.parseStatements(true));
+        if (this.at('DEDENT')) {
+          this.next();
+        }
+        continue;
+      }
+
+      if (this.at('NEWLINE')) {
+        this.next();
+        continue;
+      }
+
+      this.recovering = false;
+      try {
+        body.push(...this.parseStatement());
+      } catch (e) {
+        if (!(e instanceof ParseError)) {
+          throw e;
+        }
+        this.recordError(e);
+        this.synchronize();
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Skips to the start of the next logical line after a syntax error
+   */
+  private synchronize(): void {
+    while (!this.at('ENDMARKER') && !this.at('NEWLINE')) {
+      this.next();
+    }
+    if (this.at('NEWLINE')) {
+      this.next();
+    }
+    this.recovering = true;
+  }
+
+  private parseStatement(): AST.Stmt[] {
+    const token = this.peek();
+
+    if (token.type === 'OP' && token.value === '@') {
+      return [this.parseDecorated()];
+    }
+
+    if (token.type === 'NAME') {
+      switch (token.value) {
+        case 'def':
+          return [this.parseFunctionDef([], token.start, false)];
+        case 'class':
+          return [this.parseClassDef([], token.start)];
+        case 'if':
+          return [this.parseIf()];
+        case 'while':
+          return [this.parseWhile()];
+        case 'for':
+          return [this.parseFor(token.start, false)];
+        case 'try':
+          return [this.parseTry()];
+        case 'with':
+          return [this.parseWith(token.start, false)];
+        case 'async':
+          return [this.parseAsync()];
+        case 'match':
+          if (this.looksLikeMatchStatement()) {
+            return [this.parseMatch()];
+          }
+          break;
+      }
+    }
+
+    return this.parseSimpleStatements();
+  }
+
+  private parseSimpleStatements(): AST.Stmt[] {
+    const statements = [this.parseSimpleStatement()];
+    while (this.atOp(';')) {
+      this.next();
+      if (this.at('NEWLINE') || this.at('ENDMARKER')) {
+        break;
+      }
+      statements.push(this.parseSimpleStatement());
+    }
+    if (this.at('NEWLINE')) {
+      this.next();
+    } else if (!this.at('ENDMARKER')) {
+      this.fail('invalid syntax');
+    }
+    return statements;
+  }
+
+  private parseSimpleStatement(): AST.Stmt {
+    const token = this.peek();
+    const start = token.start;
+
+    if (token.type === 'NAME') {
+      switch (token.value) {
+        case 'pass':
+          this.next();
+          return this.node<AST.Pass>({ type: 'Pass' }, start);
+        case 'break':
+          this.next();
+          return this.node<AST.Break>({ type: 'Break' }, start);
+        case 'continue':
+          this.next();
+          return this.node<AST.Continue>({ type: 'Continue' }, start);
+        case 'return': {
+          this.next();
+          const value = this.canStartExpression()
+            ? this.parseStarExpressions()
+            : null;
+          return this.node<AST.Return>({ type: 'Return', value }, start);
+        }
+        case 'raise': {
+          this.next();
+          let exc: AST.Expr | null = null;
+          let cause: AST.Expr | null = null;
+          if (this.canStartExpression()) {
+            exc = this.parseExpression();
+            if (this.atKeyword('from')) {
+              this.next();
+              cause = this.parseExpression();
+            }
+          }
+          return this.node<AST.Raise>({ type: 'Raise', exc, cause }, start);
+        }
+        case 'global':
+        case 'nonlocal': {
+          this.next();
+          const names = [this.expectName().value];
+          while (this.atOp(',')) {
+            this.next();
+            names.push(this.expectName().value);
+          }
+          return token.value === 'global'
+            ? this.node<AST.Global>({ type: 'Global', names }, start)
+            : this.node<AST.Nonlocal>({ type: 'Nonlocal', names }, start);
+        }
+        case 'del': {
+          this.next();
+          const targets = this.parseTargetList();
+          targets.forEach((target) => this.setContext(target, 'del'));
+          return this.node<AST.Delete>({ type: 'Delete', targets }, start);
+        }
+        case 'assert': {
+          this.next();
+          const test = this.parseExpression();
+          let msg: AST.Expr | null = null;
+          if (this.atOp(',')) {
+            this.next();
+            msg = this.parseExpression();
+          }
+          return this.node<AST.Assert>({ type: 'Assert', test, msg }, start);
+        }
+        case 'import':
+          return this.parseImport();
+        case 'from':
+          return this.parseImportFrom();
+      }
+    }
+
+    return this.parseExpressionStatement();
+  }
+
+  private parseExpressionStatement(): AST.Stmt {
+    const start = this.peek().start;
+    const first = this.parseStarExpressionsOrYield();
+
+    if (this.atOp(':')) {
+      this.next();
+      this.checkTarget(first, true);
+      const annotation = this.parseExpression();
+      let value: AST.Expr | null = null;
+      if (this.atOp('=')) {
+        this.next();
+        value = this.parseStarExpressionsOrYield();
+      }
+      return this.node<AST.AnnAssign>(
+        { type: 'AnnAssign', target: first, annotation, value },
+        start
+      );
+    }
+
+    const token = this.peek();
+    if (token.type === 'OP' && AUGMENTED_ASSIGN_OPS.has(token.value)) {
+      this.next();
+      this.checkTarget(first, true);
+      const value = this.parseStarExpressionsOrYield();
+      return this.node<AST.AugAssign>(
+        { type: 'AugAssign', target: first, op: token.value, value },
+        start
+      );
+    }
+
+    if (this.atOp('=')) {
+      const targets = [first];
+      let value = first;
+      while (this.atOp('=')) {
+        this.next();
+        value = this.parseStarExpressionsOrYield();
+        targets.push(value);
+      }
+      targets.pop();
+      targets.forEach((target) => this.checkTarget(target, false));
+      return this.node<AST.Assign>({ type: 'Assign', targets, value }, start);
+    }
+
+    return this.node<AST.ExprStmt>({ type: 'Expr', value: first }, start);
+  }
+
+  /**
+   * Validates an assignment target and marks it as a store
+   * @param target - Target expression
+   * @param single - Whether only a single (non-tuple) target is allowed
+   */
+  private checkTarget(target: AST.Expr, single: boolean): void {
+    const valid = (expr: AST.Expr): boolean => {
+      switch (expr.type) {
+        case 'Name':
+        case 'Attribute':
+        case 'Subscript':
+          return true;
+        case 'Starred':
+          return !single && valid(expr.value);
+        case 'Tuple':
+        case 'List':
+          return !single && expr.elts.every(valid);
+        default:
+          return false;
+      }
+    };
+
+    if (!valid(target)) {
+      this.report(`cannot assign to ${describe(target)}`, target.start);
+      return;
+    }
+    this.setContext(target, 'store');
+  }
+
+  private setContext(expr: AST.Expr, ctx: AST.ExprContext): void {
+    switch (expr.type) {
+      case 'Name':
+      case 'Attribute':
+      case 'Subscript':
+        expr.ctx = ctx;
+        break;
+      case 'Starred':
+        expr.ctx = ctx;
+        this.setContext(expr.value, ctx);
+        break;
+      case 'Tuple':
+      case 'List':
+        expr.ctx = ctx;
+        expr.elts.forEach((elt) => this.setContext(elt, ctx));
+        break;
+    }
+  }
+
+  private parseImport(): AST.Import {
+    const start = this.next().start;
+    const names: AST.Alias[] = [];
+    do {
+      if (names.length > 0) {
+        this.next();
+      }
+      const aliasStart = this.peek().start;
+      const name = this.parseDottedName();
+      let asname: string | null = null;
+      if (this.atKeyword('as')) {
+        this.next();
+        asname = this.expectName().value;
+      }
+      names.push(
+        this.node<AST.Alias>({ type: 'Alias', name, asname }, aliasStart)
+      );
+    } while (this.atOp(','));
+    return this.node<AST.Import>({ type: 'Import', names }, start);
+  }
+
+  private parseImportFrom(): AST.ImportFrom {
+    const start = this.next().start;
+    let level = 0;
+    while (this.atOp('.') || this.atOp('...')) {
+      level += this.next().value.length;
+    }
+    const module = this.atKeyword('import') ? null : this.parseDottedName();
+    this.expectKeyword('import');
+
+    const names: AST.Alias[] = [];
+    if (this.atOp('*')) {
+      const star = this.next();
+      names.push(
+        this.node<AST.Alias>(
+          { type: 'Alias', name: '*', asname: null },
+          star.start
+        )
+      );
+    } else {
+      const parenthesized = this.atOp('(');
+      if (parenthesized) {
+        this.next();
+      }
+      do {
+        if (names.length > 0) {
+          this.next();
+          if (parenthesized && this.atOp(')')) {
+            break;
+          }
+        }
+        const nameToken = this.expectName();
+        let asname: string | null = null;
+        if (this.atKeyword('as')) {
+          this.next();
+          asname = this.expectName().value;
+        }
+        names.push(
+          this.node<AST.Alias>(
+            { type: 'Alias', name: nameToken.value, asname },
+            nameToken.start
+          )
+        );
+      } while (this.atOp(','));
+      if (parenthesized) {
+        this.expectOp(')');
+      }
+    }
+
+    return this.node<AST.ImportFrom>(
+      { type: 'ImportFrom', module, names, level },
+      start
+    );
+  }
+
+  private parseDottedName(): string {
+    let name = this.expectName().value;
+    while (this.atOp('.')) {
+      this.next();
+      name += '.' + this.expectName().value;
+    }
+    return name;
+  }
+
+  /**
+   * Parses the ':' and body of a compound statement
+   * @returns Statements of the block
+   */
+  private parseBlock(): AST.Stmt[] {
+    this.expectOp(':');
+    if (!this.at('NEWLINE')) {
+      return this.parseSimpleStatements();
+    }
+    this.next();
+    if (!this.at('INDENT')) {
+      this.report('expected an indented block', this.peek().start);
+      return [];
+    }
+    this.next();
+    const body = this.parseStatements(true);
+    if (this.at('DEDENT')) {
+      this.next();
+    }
+    return body;
+  }
+
+  private blockEnd(body: AST.Stmt[], fallback: Position): Position {
+    return body.length > 0 ? body[body.length - 1].end : fallback;
+  }
+
+  private parseDecorated(): AST.Stmt {
+    const start = this.peek().start;
+    const decorators: AST.Expr[] = [];
+    while (this.atOp('@')) {
+      this.next();
+      decorators.push(this.parseNamedExpression());
+      if (!this.at('NEWLINE')) {
+        this.fail('invalid syntax');
+      }
+      this.next();
+    }
+
+    if (this.atKeyword('def')) {
+      return this.parseFunctionDef(decorators, start, false);
+    }
+    if (this.atKeyword('class')) {
+      return this.parseClassDef(decorators, start);
+    }
+    if (this.atKeyword('async') && this.atKeyword('def', 1)) {
+      this.next();
+      return this.parseFunctionDef(decorators, start, true);
+    }
+    return this.fail('invalid syntax');
+  }
+
+  private parseAsync(): AST.Stmt {
+    const start = this.next().start;
+    if (this.atKeyword('def')) {
+      return this.parseFunctionDef([], start, true);
+    }
+    if (this.atKeyword('for')) {
+      return this.parseFor(start, true);
+    }
+    if (this.atKeyword('with')) {
+      return this.parseWith(start, true);
+    }
+    return this.fail('invalid syntax');
+  }
+
+  private parseFunctionDef(
+    decorators: AST.Expr[],
+    start: Position,
+    isAsync: boolean
+  ): AST.FunctionDef {
+    this.expectKeyword('def');
+    const nameToken = this.expectName();
+    this.expectOp('(');
+    const params = this.parseParameters(')', true);
+    this.expectOp(')');
+    let returns: AST.Expr | null = null;
+    if (this.atOp('->')) {
+      this.next();
+      returns = this.parseExpression();
+    }
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    return this.node<AST.FunctionDef>(
+      {
+        type: 'FunctionDef',
+        name: nameToken.value,
+        nameStart: nameToken.start,
+        params,
+        body,
+        decorators,
+        returns,
+        isAsync,
+      },
+      start,
+      this.blockEnd(body, headerEnd)
+    );
+  }
+
+  /**
+   * Parses a parameter list for def or lambda
+   * @param closing - Token that ends the list (')' for def, ':' for lambda)
+   * @param annotations - Whether annotations are allowed
+   */
+  private parseParameters(
+    closing: string,
+    annotations: boolean
+  ): AST.Parameter[] {
+    const params: AST.Parameter[] = [];
+    let kind: AST.Parameter['kind'] = 'positional';
+
+    const parseOne = (paramKind: AST.Parameter['kind']): AST.Parameter => {
+      const nameToken = this.expectName();
+      let annotation: AST.Expr | null = null;
+      let defaultValue: AST.Expr | null = null;
+      if (annotations && this.atOp(':')) {
+        this.next();
+        annotation =
+          paramKind === 'vararg' && this.atOp('*')
+            ? this.parseStarExpression()
+            : this.parseExpression();
+      }
+      if (this.atOp('=')) {
+        this.next();
+        defaultValue = this.parseExpression();
+      }
+      return this.node<AST.Parameter>(
+        {
+          type: 'Parameter',
+          name: nameToken.value,
+          kind: paramKind,
+          annotation,
+          default: defaultValue,
+        },
+        nameToken.start
+      );
+    };
+
+    while (!this.atOp(closing)) {
+      if (this.atOp('/')) {
+        this.next();
+      } else if (this.atOp('*')) {
+        this.next();
+        if (this.at('NAME')) {
+          params.push(parseOne('vararg'));
+        }
+        kind = 'keyword';
+      } else if (this.atOp('**')) {
+        this.next();
+        params.push(parseOne('kwarg'));
+      } else {
+        params.push(parseOne(kind));
+      }
+
+      if (!this.atOp(',')) {
+        break;
+      }
+      this.next();
+    }
+
+    return params;
+  }
+
+  private parseClassDef(decorators: AST.Expr[], start: Position): AST.ClassDef {
+    this.expectKeyword('class');
+    const nameToken = this.expectName();
+    let bases: AST.Expr[] = [];
+    let keywords: AST.Keyword[] = [];
+    if (this.atOp('(')) {
+      this.next();
+      ({ args: bases, keywords } = this.parseCallArguments());
+      this.expectOp(')');
+    }
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    return this.node<AST.ClassDef>(
+      {
+        type: 'ClassDef',
+        name: nameToken.value,
+        nameStart: nameToken.start,
+        bases,
+        keywords,
+        body,
+        decorators,
+      },
+      start,
+      this.blockEnd(body, headerEnd)
+    );
+  }
+
+  private parseIf(): AST.If {
+    const start = this.next().start;
+    const test = this.parseNamedExpression();
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    let orelse: AST.Stmt[] = [];
+
+    if (this.atKeyword('elif')) {
+      orelse = [this.parseIf()];
+    } else if (this.atKeyword('else')) {
+      this.next();
+      orelse = this.parseBlock();
+    }
+
+    return this.node<AST.If>(
+      { type: 'If', test, body, orelse },
+      start,
+      this.blockEnd(orelse, this.blockEnd(body, headerEnd))
+    );
+  }
+
+  private parseWhile(): AST.While {
+    const start = this.next().start;
+    const test = this.parseNamedExpression();
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    const orelse = this.parseElse();
+    return this.node<AST.While>(
+      { type: 'While', test, body, orelse },
+      start,
+      this.blockEnd(orelse, this.blockEnd(body, headerEnd))
+    );
+  }
+
+  private parseElse(): AST.Stmt[] {
+    if (!this.atKeyword('else')) {
+      return [];
+    }
+    this.next();
+    return this.parseBlock();
+  }
+
+  private parseFor(start: Position, isAsync: boolean): AST.For {
+    this.expectKeyword('for');
+    const target = this.parseTargets();
+    this.expectKeyword('in');
+    const iter = this.parseStarExpressions();
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    const orelse = this.parseElse();
+    return this.node<AST.For>(
+      { type: 'For', target, iter, body, orelse, isAsync },
+      start,
+      this.blockEnd(orelse, this.blockEnd(body, headerEnd))
+    );
+  }
+
+  private parseTry(): AST.Try {
+    const start = this.next().start;
+    let end = this.lastEnd;
+    const body = this.parseBlock();
+    end = this.blockEnd(body, end);
+
+    const handlers: AST.ExceptHandler[] = [];
+    let isStar = false;
+    while (this.atKeyword('except')) {
+      const handlerStart = this.next().start;
+      if (this.atOp('*')) {
+        this.next();
+        isStar = true;
+      }
+      let exceptionType: AST.Expr | null = null;
+      let name: string | null = null;
+      if (!this.atOp(':')) {
+        exceptionType = this.parseExpression();
+        if (this.atOp(',')) {
+          const elts = [exceptionType];
+          while (this.atOp(',')) {
+            this.next();
+            elts.push(this.parseExpression());
+          }
+          exceptionType = this.node<AST.Tuple>(
+            { type: 'Tuple', elts, ctx: 'load' },
+            exceptionType.start
+          );
+        }
+        if (this.atKeyword('as')) {
+          this.next();
+          name = this.expectName().value;
+        }
+      }
+      const headerEnd = this.lastEnd;
+      const handlerBody = this.parseBlock();
+      const handler = this.node<AST.ExceptHandler>(
+        { type: 'ExceptHandler', exceptionType, name, body: handlerBody },
+        handlerStart,
+        this.blockEnd(handlerBody, headerEnd)
+      );
+      handlers.push(handler);
+      end = handler.end;
+    }
+
+    const orelse = this.parseElse();
+    end = this.blockEnd(orelse, end);
+
+    let finalbody: AST.Stmt[] = [];
+    if (this.atKeyword('finally')) {
+      this.next();
+      finalbody = this.parseBlock();
+      end = this.blockEnd(finalbody, end);
+    }
+
+    if (handlers.length === 0 && finalbody.length === 0) {
+      this.report("expected 'except' or 'finally' block", this.peek().start);
+    }
+
+    return this.node<AST.Try>(
+      { type: 'Try', body, handlers, orelse, finalbody, isStar },
+      start,
+      end
+    );
+  }
+
+  private parseWith(start: Position, isAsync: boolean): AST.With {
+    this.expectKeyword('with');
+    const items: AST.WithItem[] = [];
+
+    const parseItem = () => {
+      const itemStart = this.peek().start;
+      const contextExpr = this.parseExpression();
+      let optionalVars: AST.Expr | null = null;
+      if (this.atKeyword('as')) {
+        this.next();
+        optionalVars = this.parseStarTarget();
+        this.setContext(optionalVars, 'store');
+      }
+      items.push(
+        this.node<AST.WithItem>(
+          { type: 'WithItem', contextExpr, optionalVars },
+          itemStart
+        )
+      );
+    };
+
+    if (this.atOp('(') && this.isParenthesizedWithItems()) {
+      this.next();
+      do {
+        if (items.length > 0) {
+          this.next();
+          if (this.atOp(')')) {
+            break;
+          }
+        }
+        parseItem();
+      } while (this.atOp(','));
+      this.expectOp(')');
+    } else {
+      do {
+        if (items.length > 0) {
+          this.next();
+        }
+        parseItem();
+      } while (this.atOp(','));
+    }
+
+    const headerEnd = this.lastEnd;
+    const body = this.parseBlock();
+    return this.node<AST.With>(
+      { type: 'With', items, body, isAsync },
+      start,
+      this.blockEnd(body, headerEnd)
+    );
+  }
+
+  /**
+   * Detects `with (a as b, c as d):` where the parentheses group with-items
+   */
+  private isParenthesizedWithItems(): boolean {
+    let depth = 0;
+    for (let i = 0; this.index + i < this.tokens.length; i++) {
+      const token = this.peek(i);
+      if (token.type === 'NEWLINE' || token.type === 'ENDMARKER') {
+        return false;
+      }
+      if (token.type === 'OP' && '([{'.includes(token.value)) {
+        depth++;
+      } else if (token.type === 'OP' && ')]}'.includes(token.value)) {
+        depth--;
+        if (depth === 0) {
+          return this.atOp(':', i + 1);
+        }
+      } else if (depth === 1 && token.type === 'NAME' && token.value === 'as') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Distinguishes the `match` soft keyword from a name called `match`
+   */
+  private looksLikeMatchStatement(): boolean {
+    const after = this.peek(1);
+    if (
+      after.type === 'NEWLINE' ||
+      (after.type === 'OP' && !'([{-*'.includes(after.value))
+    ) {
+      return false;
+    }
+    let depth = 0;
+    for (let i = 1; this.index + i < this.tokens.length; i++) {
+      const token = this.peek(i);
+      if (token.type === 'ENDMARKER') {
+        return false;
+      }
+      if (token.type === 'OP' && '([{'.includes(token.value)) {
+        depth++;
+      } else if (token.type === 'OP' && ')]}'.includes(token.value)) {
+        depth--;
+      } else if (token.type === 'NEWLINE') {
+        return (
+          depth === 0 &&
+          this.atOp(':', i - 1) &&
+          this.at('INDENT', i + 1) &&
+          this.atKeyword('case', i + 2)
+        );
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Parses a match statement. Patterns are parsed as expressions; capture
+   * names get a store context and `pattern as name` becomes a NamedExpr
+   */
+  private parseMatch(): AST.Match {
+    const start = this.next().start;
+    const subject = this.parseStarExpressions();
+    this.expectOp(':');
+    this.next(); // NEWLINE
+    this.next(); // INDENT
+
+    const cases: AST.MatchCase[] = [];
+    while (this.atKeyword('case')) {
+      const caseStart = this.next().start;
+      let pattern = this.parseStarExpressions();
+      this.markPatternCaptures(pattern);
+      if (this.atKeyword('as')) {
+        this.next();
+        const nameToken = this.expectName();
+        pattern = this.node<AST.NamedExpr>(
+          {
+            type: 'NamedExpr',
+            target: this.node<AST.Name>(
+              { type: 'Name', id: nameToken.value, ctx: 'store' },
+              nameToken.start
+            ),
+            value: pattern,
+          },
+          pattern.start
+        );
+      }
+      let guard: AST.Expr | null = null;
+      if (this.atKeyword('if')) {
+        this.next();
+        guard = this.parseNamedExpression();
+      }
+      const headerEnd = this.lastEnd;
+      const body = this.parseBlock();
+      cases.push(
+        this.node<AST.MatchCase>(
+          { type: 'MatchCase', pattern, guard, body },
+          caseStart,
+          this.blockEnd(body, headerEnd)
+        )
+      );
+    }
+
+    if (this.at('DEDENT')) {
+      this.next();
+    }
+
+    const last = cases[cases.length - 1];
+    return this.node<AST.Match>(
+      { type: 'Match', subject, cases },
+      start,
+      last ? last.end : this.lastEnd
+    );
+  }
+
+  private markPatternCaptures(pattern: AST.Expr): void {
+    switch (pattern.type) {
+      case 'Name':
+        if (pattern.id !== '_') {
+          pattern.ctx = 'store';
+        }
+        break;
+      case 'Starred':
+        this.markPatternCaptures(pattern.value);
+        break;
+      case 'List':
+      case 'Tuple':
+        pattern.elts.forEach((elt) => this.markPatternCaptures(elt));
+        break;
+      case 'BinOp':
+        if (pattern.op === '|') {
+          this.markPatternCaptures(pattern.left);
+          this.markPatternCaptures(pattern.right);
+        }
+        break;
+      case 'Dict':
+        pattern.values.forEach((value, i) => {
+          if (pattern.keys[i] === null && value.type === 'Name') {
+            value.ctx = 'store';
+          } else {
+            this.markPatternCaptures(value);
+          }
+        });
+        break;
+      case 'Call':
+        pattern.args.forEach((arg) => this.markPatternCaptures(arg));
+        pattern.keywords.forEach((kw) => this.markPatternCaptures(kw.value));
+        break;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Expressions
+  // -------------------------------------------------------------------------
+
+  /**
+   * Checks whether the current token can begin an expression
+   */
+  private canStartExpression(): boolean {
+    const token = this.peek();
+    switch (token.type) {
+      case 'NAME':
+        return (
+          !KEYWORDS.has(token.value) ||
+          ['True', 'False', 'None', 'not', 'lambda', 'await', 'yield'].includes(
+            token.value
+          )
+        );
+      case 'NUMBER':
+      case 'STRING':
+        return true;
+      case 'OP':
+        return ['(', '[', '{', '-', '+', '~', '*', '...'].includes(token.value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Parses comma-separated expressions, building a Tuple when needed
+   * @param parseItem - Parser for a single element
+   */
+  private parseExpressionList(parseItem: () => AST.Expr): AST.Expr {
+    const first = parseItem();
+    if (!this.atOp(',')) {
+      return first;
+    }
+    const elts = [first];
+    while (this.atOp(',')) {
+      this.next();
+      if (!this.canStartExpression()) {
+        break;
+      }
+      elts.push(parseItem());
+    }
+    return this.node<AST.Tuple>(
+      { type: 'Tuple', elts, ctx: 'load' },
+      first.start
+    );
+  }
+
+  private parseStarExpressions(): AST.Expr {
+    return this.parseExpressionList(() => this.parseStarExpression());
+  }
+
+  private parseStarExpressionsOrYield(): AST.Expr {
+    return this.atKeyword('yield')
+      ? this.parseYield()
+      : this.parseStarExpressions();
+  }
+
+  private parseStarExpression(): AST.Expr {
+    if (this.atOp('*')) {
+      const start = this.next().start;
+      const value = this.parseBitwiseOr();
+      return this.node<AST.Starred>(
+        { type: 'Starred', value, ctx: 'load' },
+        start
+      );
+    }
+    return this.parseNamedExpression();
+  }
+
+  /**
+   * Parses assignment targets of for loops and comprehensions
+   * (stops before the `in` keyword)
+   */
+  private parseTargets(): AST.Expr {
+    const target = this.parseExpressionList(() => this.parseStarTarget());
+    this.setContext(target, 'store');
+    return target;
+  }
+
+  private parseTargetList(): AST.Expr[] {
+    const target = this.parseExpressionList(() => this.parseStarTarget());
+    return target.type === 'Tuple' && target.start === target.elts[0]?.start
+      ? target.elts
+      : [target];
+  }
+
+  private parseStarTarget(): AST.Expr {
+    if (this.atOp('*')) {
+      const start = this.next().start;
+      const value = this.parseBitwiseOr();
+      return this.node<AST.Starred>(
+        { type: 'Starred', value, ctx: 'store' },
+        start
+      );
+    }
+    return this.parseBitwiseOr();
+  }
+
+  private parseNamedExpression(): AST.Expr {
+    const token = this.peek();
+    if (
+      token.type === 'NAME' &&
+      !KEYWORDS.has(token.value) &&
+      this.atOp(':=', 1)
+    ) {
+      this.next();
+      this.next();
+      const value = this.parseExpression();
+      return this.node<AST.NamedExpr>(
+        {
+          type: 'NamedExpr',
+          target: this.node<AST.Name>(
+            { type: 'Name', id: token.value, ctx: 'store' },
+            token.start,
+            token.end
+          ),
+          value,
+        },
+        token.start
+      );
+    }
+    return this.parseExpression();
+  }
+
+  private parseExpression(): AST.Expr {
+    if (this.atKeyword('lambda')) {
+      return this.parseLambda();
+    }
+    const body = this.parseDisjunction();
+    if (this.atKeyword('if') && this.ternaryFollows()) {
+      this.next();
+      const test = this.parseDisjunction();
+      this.expectKeyword('else');
+      const orelse = this.parseExpression();
+      return this.node<AST.IfExp>(
+        { type: 'IfExp', test, body, orelse },
+        body.start
+      );
+    }
+    return body;
+  }
+
+  /**
+   * Checks that an `if` after an expression belongs to a conditional
+   * expression (has a matching `else`) rather than a comprehension filter
+   */
+  private ternaryFollows(): boolean {
+    let depth = 0;
+    for (let i = 1; this.index + i < this.tokens.length; i++) {
+      const token = this.peek(i);
+      if (token.type === 'NEWLINE' || token.type === 'ENDMARKER') {
+        return false;
+      }
+      if (token.type === 'OP' && '([{'.includes(token.value)) {
+        depth++;
+      } else if (token.type === 'OP' && ')]}'.includes(token.value)) {
+        if (depth === 0) {
+          return false;
+        }
+        depth--;
+      } else if (depth === 0 && token.type === 'NAME') {
+        if (token.value === 'else') {
+          return true;
+        }
+        if (token.value === 'for' || token.value === 'if') {
+          return false;
+        }
+      } else if (
+        depth === 0 &&
+        token.type === 'OP' &&
+        (token.value === ',' || token.value === ':' || token.value === '=')
+      ) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  private parseLambda(): AST.Lambda {
+    const start = this.next().start;
+    const params = this.parseParameters(':', false);
+    this.expectOp(':');
+    const body = this.parseExpression();
+    return this.node<AST.Lambda>({ type: 'Lambda', params, body }, start);
+  }
+
+  private parseYield(): AST.Expr {
+    const start = this.next().start;
+    if (this.atKeyword('from')) {
+      this.next();
+      const value = this.parseExpression();
+      return this.node<AST.YieldFrom>({ type: 'YieldFrom', value }, start);
+    }
+    const value = this.canStartExpression()
+      ? this.parseStarExpressions()
+      : null;
+    return this.node<AST.Yield>({ type: 'Yield', value }, start);
+  }
+
+  private parseDisjunction(): AST.Expr {
+    const first = this.parseConjunction();
+    if (!this.atKeyword('or')) {
+      return first;
+    }
+    const values = [first];
+    while (this.atKeyword('or')) {
+      this.next();
+      values.push(this.parseConjunction());
+    }
+    return this.node<AST.BoolOp>(
+      { type: 'BoolOp', op: 'or', values },
+      first.start
+    );
+  }
+
+  private parseConjunction(): AST.Expr {
+    const first = this.parseInversion();
+    if (!this.atKeyword('and')) {
+      return first;
+    }
+    const values = [first];
+    while (this.atKeyword('and')) {
+      this.next();
+      values.push(this.parseInversion());
+    }
+    return this.node<AST.BoolOp>(
+      { type: 'BoolOp', op: 'and', values },
+      first.start
+    );
+  }
+
+  private parseInversion(): AST.Expr {
+    if (this.atKeyword('not')) {
+      const start = this.next().start;
+      const operand = this.parseInversion();
+      return this.node<AST.UnaryOp>(
+        { type: 'UnaryOp', op: 'not', operand },
+        start
+      );
+    }
+    return this.parseComparison();
+  }
+
+  private parseComparison(): AST.Expr {
+    const left = this.parseBitwiseOr();
+    const ops: string[] = [];
+    const comparators: AST.Expr[] = [];
+
+    for (;;) {
+      const token = this.peek();
+      let op: string | null = null;
+      if (token.type === 'OP' && COMPARISON_OPS.has(token.value)) {
+        op = token.value;
+        this.next();
+      } else if (this.atKeyword('in')) {
+        op = 'in';
+        this.next();
+      } else if (this.atKeyword('not') && this.atKeyword('in', 1)) {
+        op = 'not in';
+        this.next();
+        this.next();
+      } else if (this.atKeyword('is')) {
+        this.next();
+        op = 'is';
+        if (this.atKeyword('not')) {
+          this.next();
+          op = 'is not';
+        }
+      }
+      if (op === null) {
+        break;
+      }
+      ops.push(op);
+      comparators.push(this.parseBitwiseOr());
+    }
+
+    if (ops.length === 0) {
+      return left;
+    }
+    return this.node<AST.Compare>(
+      { type: 'Compare', left, ops, comparators },
+      left.start
+    );
+  }
+
+  /**
+   * Parses a left-associative binary operator level
+   * @param operators - Operators handled at this level
+   * @param parseOperand - Parser for the next-higher precedence level
+   */
+  private parseBinary(
+    operators: string[],
+    parseOperand: () => AST.Expr
+  ): AST.Expr {
+    let left = parseOperand();
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'OP' || !operators.includes(token.value)) {
+        return left;
+      }
+      this.next();
+      const right = parseOperand();
+      left = this.node<AST.BinOp>(
+        { type: 'BinOp', left, op: token.value, right },
+        left.start
+      );
+    }
+  }
+
+  private parseBitwiseOr(): AST.Expr {
+    return this.parseBinary(['|'], () => this.parseBitwiseXor());
+  }
+
+  private parseBitwiseXor(): AST.Expr {
+    return this.parseBinary(['^'], () => this.parseBitwiseAnd());
+  }
+
+  private parseBitwiseAnd(): AST.Expr {
+    return this.parseBinary(['&'], () => this.parseShift());
+  }
+
+  private parseShift(): AST.Expr {
+    return this.parseBinary(['<<', '>>'], () => this.parseSum());
+  }
+
+  private parseSum(): AST.Expr {
+    return this.parseBinary(['+', '-'], () => this.parseTerm());
+  }
+
+  private parseTerm(): AST.Expr {
+    return this.parseBinary(['*', '/', '//', '%', '@'], () =>
+      this.parseFactor()
+    );
+  }
+
+  private parseFactor(): AST.Expr {
+    const token = this.peek();
+    if (token.type === 'OP' && ['+', '-', '~'].includes(token.value)) {
+      this.next();
+      const operand = this.parseFactor();
+      return this.node<AST.UnaryOp>(
+        { type: 'UnaryOp', op: token.value, operand },
+        token.start
+      );
+    }
+    return this.parsePower();
+  }
+
+  private parsePower(): AST.Expr {
+    let base: AST.Expr;
+    if (this.atKeyword('await')) {
+      const start = this.next().start;
+      const value = this.parsePrimary();
+      base = this.node<AST.Await>({ type: 'Await', value }, start);
+    } else {
+      base = this.parsePrimary();
+    }
+
+    if (this.atOp('**')) {
+      this.next();
+      const right = this.parseFactor();
+      return this.node<AST.BinOp>(
+        { type: 'BinOp', left: base, op: '**', right },
+        base.start
+      );
+    }
+    return base;
+  }
+
+  private parsePrimary(): AST.Expr {
+    let expr = this.parseAtom();
+
+    for (;;) {
+      if (this.atOp('.')) {
+        this.next();
+        const attr = this.expectName();
+        expr = this.node<AST.Attribute>(
+          { type: 'Attribute', value: expr, attr: attr.value, ctx: 'load' },
+          expr.start
+        );
+      } else if (this.atOp('(')) {
+        this.next();
+        const { args, keywords } = this.parseCallArguments();
+        this.expectOp(')');
+        expr = this.node<AST.Call>(
+          { type: 'Call', func: expr, args, keywords },
+          expr.start
+        );
+      } else if (this.atOp('[')) {
+        this.next();
+        const slice = this.parseSlices();
+        this.expectOp(']');
+        expr = this.node<AST.Subscript>(
+          { type: 'Subscript', value: expr, slice, ctx: 'load' },
+          expr.start
+        );
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  /**
+   * Parses call arguments up to (not including) the closing parenthesis
+   */
+  private parseCallArguments(): { args: AST.Expr[]; keywords: AST.Keyword[] } {
+    const args: AST.Expr[] = [];
+    const keywords: AST.Keyword[] = [];
+
+    while (!this.atOp(')')) {
+      const token = this.peek();
+      if (this.atOp('**')) {
+        this.next();
+        const value = this.parseExpression();
+        keywords.push(
+          this.node<AST.Keyword>(
+            { type: 'Keyword', arg: null, value },
+            token.start
+          )
+        );
+      } else if (this.atOp('*')) {
+        args.push(this.parseStarExpression());
+      } else if (
+        token.type === 'NAME' &&
+        !KEYWORDS.has(token.value) &&
+        this.atOp('=', 1)
+      ) {
+        this.next();
+        this.next();
+        const value = this.parseExpression();
+        keywords.push(
+          this.node<AST.Keyword>(
+            { type: 'Keyword', arg: token.value, value },
+            token.start
+          )
+        );
+      } else {
+        const value = this.parseNamedExpression();
+        if (this.atKeyword('for') || this.atKeyword('async')) {
+          const generators = this.parseComprehensionClauses();
+          args.push(
+            this.node<AST.GeneratorExp>(
+              { type: 'GeneratorExp', elt: value, generators },
+              value.start
+            )
+          );
+        } else {
+          args.push(value);
+        }
+      }
+
+      if (!this.atOp(',')) {
+        break;
+      }
+      this.next();
+    }
+
+    return { args, keywords };
+  }
+
+  private parseSlices(): AST.Expr {
+    const first = this.parseSlice();
+    if (!this.atOp(',')) {
+      return first;
+    }
+    const elts = [first];
+    while (this.atOp(',')) {
+      this.next();
+      if (this.atOp(']')) {
+        break;
+      }
+      elts.push(this.parseSlice());
+    }
+    return this.node<AST.Tuple>(
+      { type: 'Tuple', elts, ctx: 'load' },
+      first.start
+    );
+  }
+
+  private parseSlice(): AST.Expr {
+    const start = this.peek().start;
+    let lower: AST.Expr | null = null;
+    if (!this.atOp(':')) {
+      lower = this.parseStarExpression();
+      if (!this.atOp(':')) {
+        return lower;
+      }
+    }
+    this.next();
+    let upper: AST.Expr | null = null;
+    let step: AST.Expr | null = null;
+    if (!this.atOp(':') && !this.atOp(']') && !this.atOp(',')) {
+      upper = this.parseExpression();
+    }
+    if (this.atOp(':')) {
+      this.next();
+      if (!this.atOp(']') && !this.atOp(',')) {
+        step = this.parseExpression();
+      }
+    }
+    return this.node<AST.Slice>({ type: 'Slice', lower, upper, step }, start);
+  }
+
+  private parseComprehensionClauses(): AST.Comprehension[] {
+    const generators: AST.Comprehension[] = [];
+    while (this.atKeyword('for') || this.atKeyword('async')) {
+      const start = this.peek().start;
+      let isAsync = false;
+      if (this.atKeyword('async')) {
+        this.next();
+        isAsync = true;
+      }
+      this.expectKeyword('for');
+      const target = this.parseTargets();
+      this.expectKeyword('in');
+      const iter = this.parseDisjunction();
+      const ifs: AST.Expr[] = [];
+      while (this.atKeyword('if')) {
+        this.next();
+        ifs.push(this.parseDisjunction());
+      }
+      generators.push(
+        this.node<AST.Comprehension>(
+          { type: 'Comprehension', target, iter, ifs, isAsync },
+          start
+        )
+      );
+    }
+    return generators;
+  }
+
+  private parseAtom(): AST.Expr {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'NAME':
+        if (
+          token.value === 'True' ||
+          token.value === 'False' ||
+          token.value === 'None'
+        ) {
+          this.next();
+          return this.node<AST.Constant>(
+            {
+              type: 'Constant',
+              kind: token.value === 'None' ? 'None' : 'bool',
+              value: token.value,
+            },
+            token.start
+          );
+        }
+        if (KEYWORDS.has(token.value)) {
+          return this.fail('invalid syntax');
+        }
+        this.next();
+        return this.node<AST.Name>(
+          { type: 'Name', id: token.value, ctx: 'load' },
+          token.start
+        );
+
+      case 'NUMBER':
+        this.next();
+        return this.node<AST.Constant>(
+          { type: 'Constant', kind: 'number', value: token.value },
+          token.start
+        );
+
+      case 'STRING':
+        return this.parseStrings();
+
+      case 'OP':
+        switch (token.value) {
+          case '(':
+            return this.parseParenthesized();
+          case '[':
+            return this.parseList();
+          case '{':
+            return this.parseDictOrSet();
+          case '...':
+            this.next();
+            return this.node<AST.Constant>(
+              { type: 'Constant', kind: 'Ellipsis', value: '...' },
+              token.start
+            );
+        }
+        break;
+    }
+
+    if (token.type === 'NEWLINE' || token.type === 'ENDMARKER') {
+      return this.fail('invalid syntax');
+    }
+    return this.fail(
+      token.type === 'ERRORTOKEN'
+        ? `invalid character '${token.value}'`
+        : 'invalid syntax'
+    );
+  }
+
+  /**
+   * Parses one or more adjacent string literals (implicit concatenation)
+   */
+  private parseStrings(): AST.Expr {
+    const first = this.peek();
+    const values: AST.Expr[] = [];
+    let isFString = false;
+    let isBytes = false;
+    let raw = '';
+
+    while (this.at('STRING')) {
+      const token = this.next();
+      raw += (raw ? ' ' : '') + token.value;
+      const prefix = /^[a-zA-Z]*/.exec(token.value)![0].toLowerCase();
+      isBytes = isBytes || prefix.includes('b');
+      if (token.fields) {
+        isFString = true;
+        token.fields.forEach((field) => {
+          const value = this.parseField(field.startOffset, field.endOffset);
+          if (value) {
+            values.push(value);
+          }
+        });
+      }
+    }
+
+    if (isFString) {
+      return this.node<AST.JoinedStr>(
+        { type: 'JoinedStr', values },
+        first.start
+      );
+    }
+    return this.node<AST.Constant>(
+      { type: 'Constant', kind: isBytes ? 'bytes' : 'str', value: raw },
+      first.start
+    );
+  }
+
+  /**
+   * Parses the expression of an f-string replacement field
+   * @param startOffset - Start of the expression source
+   * @param endOffset - End of the expression source
+   */
+  private parseField(startOffset: number, endOffset: number): AST.Expr | null {
+    this.lineStarts = this.lineStarts ?? computeLineStarts(this.source);
+    const tokenizer = new Tokenizer(this.source, {
+      startOffset,
+      endOffset,
+      expression: true,
+      lineStarts: this.lineStarts,
+    });
+
+    if (this.source.slice(startOffset, endOffset).trim() === '') {
+      this.report(
+        'f-string: empty expression not allowed',
+        tokenizer.positionAt(startOffset)
+      );
+      return null;
+    }
+
+    const { tokens, errors } = tokenizer.tokenize();
+    this.errors.push(...errors);
+    const parser = new Parser(this.source, tokens, this.errors);
+    parser.lineStarts = this.lineStarts;
+    return parser.parseExpressionSource();
+  }
+
+  private parseParenthesized(): AST.Expr {
+    const open = this.next();
+    if (this.atOp(')')) {
+      this.next();
+      return this.node<AST.Tuple>(
+        { type: 'Tuple', elts: [], ctx: 'load' },
+        open.start
+      );
+    }
+    if (this.atKeyword('yield')) {
+      const value = this.parseYield();
+      this.expectOp(')');
+      return value;
+    }
+
+    const first = this.parseStarExpression();
+    if (this.atKeyword('for') || this.atKeyword('async')) {
+      const generators = this.parseComprehensionClauses();
+      this.expectOp(')');
+      return this.node<AST.GeneratorExp>(
+        { type: 'GeneratorExp', elt: first, generators },
+        open.start
+      );
+    }
+
+    if (!this.atOp(',')) {
+      this.expectOp(')');
+      return first;
+    }
+
+    const elts = [first];
+    while (this.atOp(',')) {
+      this.next();
+      if (this.atOp(')')) {
+        break;
+      }
+      elts.push(this.parseStarExpression());
+    }
+    this.expectOp(')');
+    return this.node<AST.Tuple>(
+      { type: 'Tuple', elts, ctx: 'load' },
+      open.start
+    );
+  }
+
+  private parseList(): AST.Expr {
+    const open = this.next();
+    const elts: AST.Expr[] = [];
+
+    if (!this.atOp(']')) {
+      const first = this.parseStarExpression();
+      if (this.atKeyword('for') || this.atKeyword('async')) {
+        const generators = this.parseComprehensionClauses();
+        this.expectOp(']');
+        return this.node<AST.ListComp>(
+          { type: 'ListComp', elt: first, generators },
+          open.start
+        );
+      }
+      elts.push(first);
+      while (this.atOp(',')) {
+        this.next();
+        if (this.atOp(']')) {
+          break;
+        }
+        elts.push(this.parseStarExpression());
+      }
+    }
+
+    this.expectOp(']');
+    return this.node<AST.List>({ type: 'List', elts, ctx: 'load' }, open.start);
+  }
+
+  private parseDictOrSet(): AST.Expr {
+    const open = this.next();
+    if (this.atOp('}')) {
+      this.next();
+      return this.node<AST.Dict>(
+        { type: 'Dict', keys: [], values: [] },
+        open.start
+      );
+    }
+
+    const keys: Array<AST.Expr | null> = [];
+    const values: AST.Expr[] = [];
+
+    const parseDictItem = () => {
+      if (this.atOp('**')) {
+        this.next();
+        keys.push(null);
+        values.push(this.parseBitwiseOr());
+        return;
+      }
+      keys.push(this.parseExpression());
+      this.expectOp(':');
+      values.push(this.parseExpression());
+    };
+
+    if (this.atOp('**')) {
+      parseDictItem();
+    } else {
+      const first = this.parseStarExpression();
+      if (this.atOp(':')) {
+        this.next();
+        const value = this.parseExpression();
+        if (this.atKeyword('for') || this.atKeyword('async')) {
+          const generators = this.parseComprehensionClauses();
+          this.expectOp('}');
+          return this.node<AST.DictComp>(
+            { type: 'DictComp', key: first, value, generators },
+            open.start
+          );
+        }
+        keys.push(first);
+        values.push(value);
+      } else {
+        // Set display or comprehension
+        if (this.atKeyword('for') || this.atKeyword('async')) {
+          const generators = this.parseComprehensionClauses();
+          this.expectOp('}');
+          return this.node<AST.SetComp>(
+            { type: 'SetComp', elt: first, generators },
+            open.start
+          );
+        }
+        const elts = [first];
+        while (this.atOp(',')) {
+          this.next();
+          if (this.atOp('}')) {
+            break;
+          }
+          elts.push(this.parseStarExpression());
+        }
+        this.expectOp('}');
+        return this.node<AST.SetExpr>({ type: 'Set', elts }, open.start);
+      }
+    }
+
+    while (this.atOp(',')) {
+      this.next();
+      if (this.atOp('}')) {
+        break;
+      }
+      parseDictItem();
+    }
+    this.expectOp('}');
+    return this.node<AST.Dict>({ type: 'Dict', keys, values }, open.start);
+  }
+}
+
+/**
+ * Describes an expression for "cannot assign to" messages
+ * @param expr - Expression node
+ * @returns Human readable description
+ */
+function describe(expr: AST.Expr): string {
+  switch (expr.type) {
+    case 'Call':
+      return 'function call';
+    case 'Constant':
+      return 'literal';
+    case 'Compare':
+      return 'comparison';
+    case 'BinOp':
+    case 'UnaryOp':
+    case 'BoolOp':
+      return 'expression';
+    case 'Lambda':
+      return 'lambda';
+    case 'JoinedStr':
+      return 'f-string expression';
+    default:
+      return expr.type.toLowerCase();
+  }
+}
@@ -0,0 +1,629 @@
+/**
+ * Python Tokenizer
+ * Converts Python source into a token stream with positions, following the
+ * rules of CPython's tokenize module (INDENT/DEDENT, NEWLINE vs NL, implicit
+ * line joining inside brackets, backslash continuations)
+ * Handles triple-quoted strings, string prefixes and nested f-strings
+ */
+
+import { Position } from './ast';
+
+export type TokenType =
+  | 'NAME'
+  | 'NUMBER'
+  | 'STRING'
+  | 'OP'
+  | 'COMMENT'
+  | 'NEWLINE'
+  | 'NL'
+  | 'INDENT'
+  | 'DEDENT'
+  | 'ENDMARKER'
+  | 'ERRORTOKEN';
+
+export interface SourceSpan {
+  startOffset: number;
+  endOffset: number;
+}
+
+export interface Token {
+  type: TokenType;
+  value: string;
+  start: Position;
+  end: Position;
+  startOffset: number;
+  endOffset: number;
+  /** For f-strings: source spans of the replacement field expressions */
+  fields?: SourceSpan[];
+}
+
+export interface SyntaxIssue {
+  msg: string;
+  line: number;
+  column: number;
+}
+
+export interface TokenizerOptions {
+  /** Offset to start tokenizing at (defaults to 0) */
+  startOffset?: number;
+  /** Offset to stop tokenizing at (defaults to the end of the source) */
+  endOffset?: number;
+  /**
+   * Tokenize a bare expression (e.g. an f-string replacement field):
+   * no indentation tracking and newlines never end a logical line
+   */
+  expression?: boolean;
+  /** Precomputed line start offsets of the source (see computeLineStarts) */
+  lineStarts?: number[];
+}
+
+export interface TokenizeResult {
+  tokens: Token[];
+  errors: SyntaxIssue[];
+}
+
+const NAME_PATTERN = /[\p{L}\p{Nl}_][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}]*/uy;
+
+const NUMBER_PATTERN =
+  /0[xX](?:_?[0-9a-fA-F])+|0[bB](?:_?[01])+|0[oO](?:_?[0-7])+|(?:\d(?:_?\d)*(?:\.(?:\d(?:_?\d)*)?)?|\.\d(?:_?\d)*)(?:[eE][+-]?\d(?:_?\d)*)?[jJ]?/y;
+
+const STRING_PREFIX_PATTERN = /(?:[rR][bBfF]?|[bBfF][rR]?|[uU])?(['"])/y;
+
+const OPERATORS_3 = new Set(['**=', '//=', '>>=', '<<=', '...']);
+const OPERATORS_2 = new Set([
+  '**',
+  '//',
+  '<<',
+  '>>',
+  '<=',
+  '>=',
+  '==',
+  '!=',
+  '->',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+  '%=',
+  '&=',
+  '|=',
+  '^=',
+  '@=',
+  ':=',
+]);
+const OPERATORS_1 = new Set('+-*/%@&|^~<>()[]{},:;.='.split(''));
+
+const OPENING_BRACKETS: Record<string, string> = {
+  '(': ')',
+  '[': ']',
+  '{': '}',
+};
+
+const CLOSING_BRACKETS: Record<string, string> = {
+  ')': '(',
+  ']': '[',
+  '}': '{',
+};
+
+export class Tokenizer {
+  private readonly source: string;
+  private readonly end: number;
+  private readonly expressionMode: boolean;
+  private readonly lineStarts: number[];
+  private pos: number;
+
+  private tokens: Token[] = [];
+  private errors: SyntaxIssue[] = [];
+  private indentStack = [0];
+  private brackets: Array<{ char: string; offset: number }> = [];
+  private lineHasContent = false;
+
+  /**
+   * Constructor
+   * @param source - Python source code
+   * @param options - Tokenizer options
+   */
+  constructor(source: string, options: TokenizerOptions = {}) {
+    this.source = source;
+    this.pos = options.startOffset ?? 0;
+    this.end = options.endOffset ?? source.length;
+    this.expressionMode = options.expression ?? false;
+    this.lineStarts = options.lineStarts ?? computeLineStarts(source);
+  }
+
+  /**
+   * Tokenizes the source
+   * @returns Tokens and tokenizer errors
+   */
+  tokenize(): TokenizeResult {
+    let atLineStart = !this.expressionMode;
+
+    while (this.pos < this.end) {
+      if (atLineStart && this.brackets.length === 0) {
+        atLineStart = false;
+        if (!this.handleIndentation()) {
+          continue;
+        }
+      }
+
+      const c = this.source[this.pos];
+
+      if (c === ' ' || c === '\t' || c === '\f') {
+        this.pos++;
+        continue;
+      }
+
+      if (c === '#') {
+        const start = this.pos;
+        while (this.pos < this.end && !isNewlineChar(this.source[this.pos])) {
+          this.pos++;
+        }
+        this.push('COMMENT', start, this.pos);
+        continue;
+      }
+
+      if (isNewlineChar(c)) {
+        const start = this.pos;
+        this.pos += c === '\r' && this.source[this.pos + 1] === '\n' ? 2 : 1;
+        const logicalEnd =
+          this.lineHasContent &&
+          this.brackets.length === 0 &&
+          !this.expressionMode;
+        this.push(logicalEnd ? 'NEWLINE' : 'NL', start, this.pos);
+        if (logicalEnd) {
+          this.lineHasContent = false;
+        }
+        atLineStart = !this.expressionMode;
+        continue;
+      }
+
+      if (c === '\\' && isNewlineChar(this.source[this.pos + 1] ?? '')) {
+        // Explicit line joining
+        this.pos++;
+        this.pos +=
+          this.source[this.pos] === '\r' && this.source[this.pos + 1] === '\n'
+            ? 2
+            : 1;
+        continue;
+      }
+
+      this.lineHasContent = true;
+
+      STRING_PREFIX_PATTERN.lastIndex = this.pos;
+      const stringMatch = STRING_PREFIX_PATTERN.exec(this.source);
+      if (stringMatch) {
+        this.scanString(stringMatch[0].length - 1);
+        continue;
+      }
+
+      NAME_PATTERN.lastIndex = this.pos;
+      const nameMatch = NAME_PATTERN.exec(this.source);
+      if (nameMatch) {
+        const start = this.pos;
+        this.pos = Math.min(this.pos + nameMatch[0].length, this.end);
+        this.push('NAME', start, this.pos);
+        continue;
+      }
+
+      if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(this.peek(1)))) {
+        NUMBER_PATTERN.lastIndex = this.pos;
+        const numberMatch = NUMBER_PATTERN.exec(this.source);
+        const start = this.pos;
+        this.pos = Math.min(
+          this.pos + (numberMatch ? numberMatch[0].length : 1),
+          this.end
+        );
+        this.push('NUMBER', start, this.pos);
+        continue;
+      }
+
+      this.scanOperator();
+    }
+
+    this.finish();
+    return { tokens: this.tokens, errors: this.errors };
+  }
+
+  /**
+   * Converts an offset into a 1-based line/column position
+   * @param offset - Character offset
+   * @returns Position
+   */
+  positionAt(offset: number): Position {
+    return positionAt(this.lineStarts, offset);
+  }
+
+  /**
+   * Processes leading whitespace of a physical line and emits INDENT/DEDENT
+   * @returns false when the line is blank or comment-only
+   */
+  private handleIndentation(): boolean {
+    let width = 0;
+    let i = this.pos;
+    while (i < this.end) {
+      const c = this.source[i];
+      if (c === ' ') {
+        width++;
+      } else if (c === '\t') {
+        width = (Math.floor(width / 8) + 1) * 8;
+      } else if (c === '\f') {
+        width = 0;
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    const next = this.source[i];
+    if (i >= this.end || next === '#' || isNewlineChar(next)) {
+      // Blank and comment-only lines don't affect indentation
+      this.pos = i;
+      return false;
+    }
+
+    const current = this.indentStack[this.indentStack.length - 1];
+    if (width > current) {
+      this.indentStack.push(width);
+      this.push('INDENT', this.pos, i);
+    } else if (width < current) {
+      while (
+        this.indentStack.length > 1 &&
+        this.indentStack[this.indentStack.length - 1] > width
+      ) {
+        this.indentStack.pop();
+        this.push('DEDENT', i, i);
+      }
+      if (this.indentStack[this.indentStack.length - 1] !== width) {
+        this.addError('unindent does not match any outer indentation level', i);
+        // Treat the new width as a valid level so following lines line up
+        this.indentStack.push(width);
+      }
+    }
+
+    this.pos = i;
+    return true;
+  }
+
+  /**
+   * Scans a string literal, including its prefix
+   * @param prefixLength - Length of the string prefix (r, b, f, rb, ...)
+   */
+  private scanString(prefixLength: number): void {
+    const start = this.pos;
+    const prefix = this.source.slice(start, start + prefixLength).toLowerCase();
+    this.pos += prefixLength;
+
+    const fields: SourceSpan[] = [];
+    const terminated = this.scanStringBody(prefix.includes('f'), fields);
+
+    const token = this.push('STRING', start, this.pos);
+    if (prefix.includes('f')) {
+      // Format-spec fields are recorded before their enclosing field
+      token.fields = fields.sort((a, b) => a.startOffset - b.startOffset);
+    }
+
+    if (!terminated) {
+      const triple = this.source.startsWith(
+        this.source[start + prefixLength].repeat(3),
+        start + prefixLength
+      );
+      this.addError(
+        triple
+          ? 'unterminated triple-quoted string literal'
+          : 'unterminated string literal',
+        start
+      );
+    }
+  }
+
+  /**
+   * Scans the body of a string starting at its opening quote
+   * @param isFString - Whether replacement fields should be tracked
+   * @param fields - Receives replacement field expression spans
+   * @returns Whether the closing quote was found
+   */
+  private scanStringBody(isFString: boolean, fields: SourceSpan[]): boolean {
+    const quote = this.source[this.pos];
+    const triple = this.source.startsWith(quote.repeat(3), this.pos);
+    this.pos += triple ? 3 : 1;
+
+    while (this.pos < this.end) {
+      const c = this.source[this.pos];
+
+      if (c === '\\') {
+        // Even in raw strings a backslash keeps the next quote from closing
+        this.pos += 2;
+        continue;
+      }
+
+      if (isNewlineChar(c) && !triple) {
+        return false;
+      }
+
+      if (
+        triple ? this.source.startsWith(quote.repeat(3), this.pos) : c === quote
+      ) {
+        this.pos += triple ? 3 : 1;
+        return true;
+      }
+
+      if (isFString && (c === '{' || c === '}')) {
+        if (this.peek(1) === c) {
+          this.pos += 2;
+        } else if (c === '{') {
+          if (!this.scanReplacementField(quote, triple, fields)) {
+            const closing = triple ? quote.repeat(3) : quote;
+            if (!this.source.startsWith(closing, this.pos)) {
+              return false;
+            }
+            // The string ended inside a replacement field
+            this.addError("f-string: expecting '}'", this.pos);
+            this.pos += closing.length;
+            return true;
+          }
+        } else {
+          this.pos++;
+        }
+        continue;
+      }
+
+      this.pos++;
+    }
+
+    return false;
+  }
+
+  /**
+   * Scans an f-string replacement field starting at its opening brace
+   * @param quote - Quote character of the enclosing string
+   * @param triple - Whether the enclosing string is triple-quoted
+   * @param fields - Receives replacement field expression spans
+   * @returns false when the enclosing string ends inside the field
+   */
+  private scanReplacementField(
+    quote: string,
+    triple: boolean,
+    fields: SourceSpan[]
+  ): boolean {
+    this.pos++;
+    const exprStart = this.pos;
+    let exprEnd = -1;
+    let depth = 0;
+
+    const closeField = () => {
+      fields.push({
+        startOffset: exprStart,
+        endOffset: exprEnd < 0 ? this.pos : exprEnd,
+      });
+    };
+
+    while (this.pos < this.end) {
+      const c = this.source[this.pos];
+
+      if (isNewlineChar(c) && !triple) {
+        closeField();
+        return false;
+      }
+
+      if (exprEnd >= 0 && depth === 0) {
+        // Inside the conversion / format spec part of the field
+        if (c === '{') {
+          if (!this.scanReplacementField(quote, triple, fields)) {
+            return false;
+          }
+          continue;
+        }
+        if (c === '}') {
+          closeField();
+          this.pos++;
+          return true;
+        }
+        if (
+          triple
+            ? this.source.startsWith(quote.repeat(3), this.pos)
+            : c === quote
+        ) {
+          closeField();
+          return false;
+        }
+        this.pos++;
+        continue;
+      }
+
+      if (
+        triple ? this.source.startsWith(quote.repeat(3), this.pos) : c === quote
+      ) {
+        // The enclosing quote always ends the string (Python < 3.12)
+        closeField();
+        return false;
+      }
+
+      STRING_PREFIX_PATTERN.lastIndex = this.pos;
+      const nested = STRING_PREFIX_PATTERN.exec(this.source);
+      if (nested && !/[\p{L}\p{Nd}_]/u.test(this.source[this.pos - 1] ?? '')) {
+        const nestedPrefix = nested[0].slice(0, -1).toLowerCase();
+        this.pos += nested[0].length - 1;
+        this.scanStringBody(nestedPrefix.includes('f'), []);
+        continue;
+      }
+
+      if (c === '(' || c === '[' || c === '{') {
+        depth++;
+      } else if ((c === ')' || c === ']') && depth > 0) {
+        depth--;
+      } else if (c === '}') {
+        if (depth > 0) {
+          depth--;
+        } else {
+          closeField();
+          this.pos++;
+          return true;
+        }
+      } else if (depth === 0) {
+        const next = this.peek(1);
+        const prev = this.source[this.pos - 1];
+        if (c === '!' && next !== '=') {
+          exprEnd = this.pos;
+        } else if (c === ':') {
+          exprEnd = this.pos;
+        } else if (c === '=' && next !== '=' && !'=!<>'.includes(prev)) {
+          exprEnd = this.pos;
+        }
+      }
+
+      this.pos++;
+    }
+
+    closeField();
+    return false;
+  }
+
+  /**
+   * Scans an operator, delimiter or invalid character
+   */
+  private scanOperator(): void {
+    const start = this.pos;
+    const three = this.source.slice(this.pos, this.pos + 3);
+    const two = this.source.slice(this.pos, this.pos + 2);
+    const c = this.source[this.pos];
+
+    if (OPERATORS_3.has(three)) {
+      this.pos += 3;
+    } else if (OPERATORS_2.has(two)) {
+      this.pos += 2;
+    } else if (OPERATORS_1.has(c)) {
+      this.pos += 1;
+    } else {
+      this.pos += 1;
+      this.push('ERRORTOKEN', start, this.pos);
+      return;
+    }
+
+    const value = this.source.slice(start, this.pos);
+    if (OPENING_BRACKETS[value]) {
+      this.brackets.push({ char: value, offset: start });
+    } else if (CLOSING_BRACKETS[value]) {
+      this.closeBracket(value, start);
+    }
+
+    this.push('OP', start, this.pos);
+  }
+
+  /**
+   * Pops the bracket stack for a closing bracket, recording mismatches
+   * @param char - Closing bracket
+   * @param offset - Offset of the closing bracket
+   */
+  private closeBracket(char: string, offset: number): void {
+    const top = this.brackets[this.brackets.length - 1];
+    if (top && top.char === CLOSING_BRACKETS[char]) {
+      this.brackets.pop();
+      return;
+    }
+
+    if (!top) {
+      this.addError(`unmatched '${char}'`, offset);
+      return;
+    }
+
+    this.addError(
+      `closing parenthesis '${char}' does not match opening parenthesis '${top.char}'`,
+      offset
+    );
+    // Resynchronize with the matching opener when there is one
+    const matchIndex = this.brackets
+      .map((b) => b.char)
+      .lastIndexOf(CLOSING_BRACKETS[char]);
+    this.brackets.length =
+      matchIndex === -1 ? this.brackets.length - 1 : matchIndex;
+  }
+
+  /**
+   * Emits the trailing NEWLINE/DEDENT/ENDMARKER tokens
+   */
+  private finish(): void {
+    this.brackets.forEach((bracket) => {
+      this.addError(`'${bracket.char}' was never closed`, bracket.offset);
+    });
+
+    if (this.lineHasContent && !this.expressionMode) {
+      this.push('NEWLINE', this.end, this.end);
+    }
+    while (this.indentStack.length > 1) {
+      this.indentStack.pop();
+      this.push('DEDENT', this.end, this.end);
+    }
+    this.push('ENDMARKER', this.end, this.end);
+  }
+
+  private peek(distance: number): string {
+    const index = this.pos + distance;
+    return index < this.end ? this.source[index] : '';
+  }
+
+  private push(type: TokenType, start: number, end: number): Token {
+    const token: Token = {
+      type,
+      value: this.source.slice(start, end),
+      start: this.positionAt(start),
+      end: this.positionAt(end),
+      startOffset: start,
+      endOffset: end,
+    };
+    this.tokens.push(token);
+    return token;
+  }
+
+  private addError(msg: string, offset: number): void {
+    const { line, column } = this.positionAt(offset);
+    this.errors.push({ msg, line, column });
+  }
+}
+
+/**
+ * Checks if a character ends a physical line
+ * @param c - Character
+ * @returns boolean
+ */
+function isNewlineChar(c: string): boolean {
+  return c === '\n' || c === '\r';
+}
+
+/**
+ * Computes the offset of the first character of every line
+ * @param source - Source text
+ * @returns Array of line start offsets
+ */
+export function computeLineStarts(source: string): number[] {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\r' && source[i + 1] === '\n') {
+      continue;
+    }
+    if (c === '\n' || c === '\r') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Converts an offset to a 1-based line/column position
+ * @param lineStarts - Line start offsets from computeLineStarts
+ * @param offset - Character offset
+ * @returns Position
+ */
+export function positionAt(lineStarts: number[], offset: number): Position {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
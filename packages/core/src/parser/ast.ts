@@ -0,0 +1,518 @@
+/**
+ * Python AST node definitions
+ * Mirrors the shape of CPython's `ast` module with camelCase field names.
+ * Every node carries a start/end position (1-based line and column, end exclusive)
+ */
+
+export interface Position {
+  line: number;
+  column: number;
+}
+
+export interface BaseNode {
+  type: string;
+  start: Position;
+  end: Position;
+}
+
+export type ExprContext = 'load' | 'store' | 'del';
+
+// ---------------------------------------------------------------------------
+// Statements
+// ---------------------------------------------------------------------------
+
+export interface Module extends BaseNode {
+  type: 'Module';
+  body: Stmt[];
+}
+
+export interface Parameter extends BaseNode {
+  type: 'Parameter';
+  name: string;
+  kind: 'positional' | 'vararg' | 'keyword' | 'kwarg';
+  annotation: Expr | null;
+  default: Expr | null;
+}
+
+export interface FunctionDef extends BaseNode {
+  type: 'FunctionDef';
+  name: string;
+  nameStart: Position;
+  params: Parameter[];
+  body: Stmt[];
+  decorators: Expr[];
+  returns: Expr | null;
+  isAsync: boolean;
+}
+
+export interface ClassDef extends BaseNode {
+  type: 'ClassDef';
+  name: string;
+  nameStart: Position;
+  bases: Expr[];
+  keywords: Keyword[];
+  body: Stmt[];
+  decorators: Expr[];
+}
+
+export interface Return extends BaseNode {
+  type: 'Return';
+  value: Expr | null;
+}
+
+export interface Delete extends BaseNode {
+  type: 'Delete';
+  targets: Expr[];
+}
+
+export interface Assign extends BaseNode {
+  type: 'Assign';
+  targets: Expr[];
+  value: Expr;
+}
+
+export interface AugAssign extends BaseNode {
+  type: 'AugAssign';
+  target: Expr;
+  op: string;
+  value: Expr;
+}
+
+export interface AnnAssign extends BaseNode {
+  type: 'AnnAssign';
+  target: Expr;
+  annotation: Expr;
+  value: Expr | null;
+}
+
+export interface For extends BaseNode {
+  type: 'For';
+  target: Expr;
+  iter: Expr;
+  body: Stmt[];
+  orelse: Stmt[];
+  isAsync: boolean;
+}
+
+export interface While extends BaseNode {
+  type: 'While';
+  test: Expr;
+  body: Stmt[];
+  orelse: Stmt[];
+}
+
+export interface If extends BaseNode {
+  type: 'If';
+  test: Expr;
+  body: Stmt[];
+  orelse: Stmt[];
+}
+
+export interface WithItem extends BaseNode {
+  type: 'WithItem';
+  contextExpr: Expr;
+  optionalVars: Expr | null;
+}
+
+export interface With extends BaseNode {
+  type: 'With';
+  items: WithItem[];
+  body: Stmt[];
+  isAsync: boolean;
+}
+
+export interface MatchCase extends BaseNode {
+  type: 'MatchCase';
+  pattern: Expr;
+  guard: Expr | null;
+  body: Stmt[];
+}
+
+export interface Match extends BaseNode {
+  type: 'Match';
+  subject: Expr;
+  cases: MatchCase[];
+}
+
+export interface Raise extends BaseNode {
+  type: 'Raise';
+  exc: Expr | null;
+  cause: Expr | null;
+}
+
+export interface ExceptHandler extends BaseNode {
+  type: 'ExceptHandler';
+  exceptionType: Expr | null;
+  name: string | null;
+  body: Stmt[];
+}
+
+export interface Try extends BaseNode {
+  type: 'Try';
+  body: Stmt[];
+  handlers: ExceptHandler[];
+  orelse: Stmt[];
+  finalbody: Stmt[];
+  isStar: boolean;
+}
+
+export interface Assert extends BaseNode {
+  type: 'Assert';
+  test: Expr;
+  msg: Expr | null;
+}
+
+export interface Alias extends BaseNode {
+  type: 'Alias';
+  name: string;
+  asname: string | null;
+}
+
+export interface Import extends BaseNode {
+  type: 'Import';
+  names: Alias[];
+}
+
+export interface ImportFrom extends BaseNode {
+  type: 'ImportFrom';
+  module: string | null;
+  names: Alias[];
+  level: number;
+}
+
+export interface Global extends BaseNode {
+  type: 'Global';
+  names: string[];
+}
+
+export interface Nonlocal extends BaseNode {
+  type: 'Nonlocal';
+  names: string[];
+}
+
+export interface ExprStmt extends BaseNode {
+  type: 'Expr';
+  value: Expr;
+}
+
+export interface Pass extends BaseNode {
+  type: 'Pass';
+}
+
+export interface Break extends BaseNode {
+  type: 'Break';
+}
+
+export interface Continue extends BaseNode {
+  type: 'Continue';
+}
+
+export type Stmt =
+  | FunctionDef
+  | ClassDef
+  | Return
+  | Delete
+  | Assign
+  | AugAssign
+  | AnnAssign
+  | For
+  | While
+  | If
+  | With
+  | Match
+  | Raise
+  | Try
+  | Assert
+  | Import
+  | ImportFrom
+  | Global
+  | Nonlocal
+  | ExprStmt
+  | Pass
+  | Break
+  | Continue;
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+export interface BoolOp extends BaseNode {
+  type: 'BoolOp';
+  op: 'and' | 'or';
+  values: Expr[];
+}
+
+export interface NamedExpr extends BaseNode {
+  type: 'NamedExpr';
+  target: Name;
+  value: Expr;
+}
+
+export interface BinOp extends BaseNode {
+  type: 'BinOp';
+  left: Expr;
+  op: string;
+  right: Expr;
+}
+
+export interface UnaryOp extends BaseNode {
+  type: 'UnaryOp';
+  op: string;
+  operand: Expr;
+}
+
+export interface Lambda extends BaseNode {
+  type: 'Lambda';
+  params: Parameter[];
+  body: Expr;
+}
+
+export interface IfExp extends BaseNode {
+  type: 'IfExp';
+  test: Expr;
+  body: Expr;
+  orelse: Expr;
+}
+
+export interface Dict extends BaseNode {
+  type: 'Dict';
+  /** `null` keys mark `**mapping` unpacking */
+  keys: Array<Expr | null>;
+  values: Expr[];
+}
+
+export interface SetExpr extends BaseNode {
+  type: 'Set';
+  elts: Expr[];
+}
+
+export interface Comprehension extends BaseNode {
+  type: 'Comprehension';
+  target: Expr;
+  iter: Expr;
+  ifs: Expr[];
+  isAsync: boolean;
+}
+
+export interface ListComp extends BaseNode {
+  type: 'ListComp';
+  elt: Expr;
+  generators: Comprehension[];
+}
+
+export interface SetComp extends BaseNode {
+  type: 'SetComp';
+  elt: Expr;
+  generators: Comprehension[];
+}
+
+export interface GeneratorExp extends BaseNode {
+  type: 'GeneratorExp';
+  elt: Expr;
+  generators: Comprehension[];
+}
+
+export interface DictComp extends BaseNode {
+  type: 'DictComp';
+  key: Expr;
+  value: Expr;
+  generators: Comprehension[];
+}
+
+export interface Await extends BaseNode {
+  type: 'Await';
+  value: Expr;
+}
+
+export interface Yield extends BaseNode {
+  type: 'Yield';
+  value: Expr | null;
+}
+
+export interface YieldFrom extends BaseNode {
+  type: 'YieldFrom';
+  value: Expr;
+}
+
+export interface Compare extends BaseNode {
+  type: 'Compare';
+  left: Expr;
+  ops: string[];
+  comparators: Expr[];
+}
+
+export interface Keyword extends BaseNode {
+  type: 'Keyword';
+  /** `null` for `**kwargs` unpacking */
+  arg: string | null;
+  value: Expr;
+}
+
+export interface Call extends BaseNode {
+  type: 'Call';
+  func: Expr;
+  args: Expr[];
+  keywords: Keyword[];
+}
+
+export interface JoinedStr extends BaseNode {
+  type: 'JoinedStr';
+  /** Expressions embedded in the f-string replacement fields */
+  values: Expr[];
+}
+
+export interface Constant extends BaseNode {
+  type: 'Constant';
+  kind: 'str' | 'bytes' | 'number' | 'bool' | 'None' | 'Ellipsis';
+  /** Source text of the literal */
+  value: string;
+}
+
+export interface Attribute extends BaseNode {
+  type: 'Attribute';
+  value: Expr;
+  attr: string;
+  ctx: ExprContext;
+}
+
+export interface Subscript extends BaseNode {
+  type: 'Subscript';
+  value: Expr;
+  slice: Expr;
+  ctx: ExprContext;
+}
+
+export interface Starred extends BaseNode {
+  type: 'Starred';
+  value: Expr;
+  ctx: ExprContext;
+}
+
+export interface Name extends BaseNode {
+  type: 'Name';
+  id: string;
+  ctx: ExprContext;
+}
+
+export interface List extends BaseNode {
+  type: 'List';
+  elts: Expr[];
+  ctx: ExprContext;
+}
+
+export interface Tuple extends BaseNode {
+  type: 'Tuple';
+  elts: Expr[];
+  ctx: ExprContext;
+}
+
+export interface Slice extends BaseNode {
+  type: 'Slice';
+  lower: Expr | null;
+  upper: Expr | null;
+  step: Expr | null;
+}
+
+/** Placeholder for an expression that could not be parsed */
+export interface ErrorExpr extends BaseNode {
+  type: 'ErrorExpr';
+}
+
+export type Expr =
+  | BoolOp
+  | NamedExpr
+  | BinOp
+  | UnaryOp
+  | Lambda
+  | IfExp
+  | Dict
+  | SetExpr
+  | ListComp
+  | SetComp
+  | GeneratorExp
+  | DictComp
+  | Await
+  | Yield
+  | YieldFrom
+  | Compare
+  | Call
+  | JoinedStr
+  | Constant
+  | Attribute
+  | Subscript
+  | Starred
+  | Name
+  | List
+  | Tuple
+  | Slice
+  | ErrorExpr;
+
+export type Node =
+  | Module
+  | Stmt
+  | Expr
+  | Parameter
+  | WithItem
+  | MatchCase
+  | ExceptHandler
+  | Alias
+  | Comprehension
+  | Keyword;
+
+/**
+ * Checks whether a value is an AST node
+ * @param value - Any value
+ * @returns boolean
+ */
+export function isNode(value: unknown): value is Node {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as BaseNode).type === 'string' &&
+    typeof (value as BaseNode).start === 'object'
+  );
+}
+
+/**
+ * Calls the callback for each direct child node
+ * @param node - Parent node
+ * @param callback - Called with each child
+ */
+export function forEachChild(
+  node: Node,
+  callback: (child: Node) => void
+): void {
+  for (const key of Object.keys(node)) {
+    if (key === 'start' || key === 'end' || key === 'nameStart') {
+      continue;
+    }
+    const value = (node as unknown as Record<string, unknown>)[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (isNode(item)) {
+          callback(item);
+        }
+      });
+    } else if (isNode(value)) {
+      callback(value);
+    }
+  }
+}
+
+/**
+ * Walks the tree depth-first (pre-order)
+ * @param node - Root node
+ * @param visit - Called for each node; return false to skip its children
+ */
+export function walk(
+  node: Node,
+  visit: (node: Node, parent: Node | null) => boolean | void
+): void {
+  const visitNode = (current: Node, parent: Node | null) => {
+    if (visit(current, parent) === false) {
+      return;
+    }
+    forEachChild(current, (child) => visitNode(child, current));
+  };
+  visitNode(node, null);
+}
@@ -0,0 +1,9 @@
+/**
+ * Python Parser
+ * Tokenizer, AST and parse helpers shared by the built-in rules
+ */
+
+export * from './ast';
+export * from './Tokenizer';
+export * from './Parser';
+export * from './ParsedSource';
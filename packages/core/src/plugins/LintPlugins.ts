@@ -0,0 +1,119 @@
+/**
+ * Lint Plugins
+ * Validates rule plugins and turns their rules into namespaced rules
+ * (`<plugin>/<rule>`) that LintEngine can register
+ */
+
+import { LintPlugin, LintRule, Severity } from '../types';
+import { RuleInfo, describeRule } from '../rules';
+
+/** Separator between a plugin namespace and a rule key */
+export const PLUGIN_SEPARATOR = '/';
+
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9@][a-zA-Z0-9@._-]*$/;
+const RULE_KEY_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+
+/** Plugin defaults keyed by full (namespaced) rule name */
+export interface PluginDefaults {
+  rules: Record<string, boolean>;
+  severityLevels: Record<string, Severity>;
+}
+
+/**
+ * Gets the full name of a plugin rule
+ * @param plugin - Plugin name
+ * @param key - Rule key within the plugin
+ * @returns Namespaced rule name (e.g. 'myteam/no-print')
+ */
+export function getPluginRuleName(plugin: string, key: string): string {
+  return `${plugin}${PLUGIN_SEPARATOR}${key}`;
+}
+
+/**
+ * Checks the shape of a plugin
+ * @param plugin - Plugin to check
+ * @throws Error describing the first problem found
+ */
+export function validatePlugin(plugin: LintPlugin): void {
+  const label =
+    plugin && typeof plugin.name === 'string' ? `'${plugin.name}'` : '';
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('Invalid lint plugin: expected an object');
+  }
+  if (typeof plugin.name !== 'string' || !NAMESPACE_PATTERN.test(plugin.name)) {
+    throw new Error(
+      `Invalid lint plugin name ${label || String(plugin.name)}: use letters, digits, '-', '_', '.' or '@'`
+    );
+  }
+  if (!plugin.rules || typeof plugin.rules !== 'object') {
+    throw new Error(`Invalid lint plugin ${label}: 'rules' must be an object`);
+  }
+
+  Object.entries(plugin.rules).forEach(([key, rule]) => {
+    if (!RULE_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid rule key '${key}' in lint plugin ${label}`);
+    }
+    if (!rule || typeof rule.run !== 'function') {
+      throw new Error(
+        `Rule '${key}' in lint plugin ${label} has no run() method`
+      );
+    }
+  });
+
+  const { config = {} } = plugin;
+  const configured = [
+    ...Object.keys(config.rules || {}),
+    ...Object.keys(config.severityLevels || {}),
+  ];
+  const unknown = configured.filter((key) => !(key in plugin.rules));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Lint plugin ${label} configures unknown rule(s): ${[
+        ...new Set(unknown),
+      ].join(', ')}`
+    );
+  }
+}
+
+/**
+ * Wraps the rules of a plugin so they report under their namespaced names
+ * @param plugin - Validated plugin
+ * @returns Rules named `<plugin>/<rule key>`
+ */
+export function createPluginRules(plugin: LintPlugin): LintRule[] {
+  return Object.entries(plugin.rules).map(([key, rule]) => ({
+    name: getPluginRuleName(plugin.name, key),
+    meta: rule.meta,
+    run: (code, cellOffset, context) => rule.run(code, cellOffset, context),
+  }));
+}
+
+/**
+ * Gets the default config of a plugin, keyed by namespaced rule names
+ * @param plugin - Validated plugin
+ * @returns Plugin defaults
+ */
+export function getPluginDefaults(plugin: LintPlugin): PluginDefaults {
+  const prefix = <T>(record: Record<string, T> = {}): Record<string, T> =>
+    Object.fromEntries(
+      Object.entries(record).map(([key, value]) => [
+        getPluginRuleName(plugin.name, key),
+        value,
+      ])
+    );
+
+  return {
+    rules: prefix(plugin.config?.rules),
+    severityLevels: prefix(plugin.config?.severityLevels),
+  };
+}
+
+/**
+ * Gets the metadata of a plugin's rules (for settings UIs and docs)
+ * @param plugin - Plugin
+ * @returns Array of rule metadata with namespaced names
+ */
+export function getPluginRuleMetadata(plugin: LintPlugin): RuleInfo[] {
+  return createPluginRules(plugin).map(describeRule);
+}
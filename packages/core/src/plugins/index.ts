@@ -0,0 +1,6 @@
+/**
+ * Plugins Index
+ * Exports third-party rule plugin support
+ */
+
+export * from './LintPlugins';
@@ -0,0 +1,253 @@
+/**
+ * IPython Preprocessor
+ * Rewrites IPython syntax (shell escapes, line and cell magics, help
+ * queries) into Python, the way IPython's input transformers do before a
+ * cell runs, so rules and engines can parse notebook cells. Line numbers
+ * are kept and Python code keeps its columns
+ */
+
+import { Tokenizer, getLogicalLines } from '../parser';
+
+export type IPythonSyntax = 'shell' | 'magic' | 'cellMagic' | 'help';
+
+export interface IPythonLine {
+  /** 1-based line within the cell */
+  line: number;
+  syntax: IPythonSyntax;
+}
+
+export interface PreprocessedCell {
+  /** Code as written */
+  source: string;
+  /**
+   * Python code with the same lines: IPython statements become `...`
+   * placeholders, and the body of a non-Python cell magic is blanked
+   */
+  code: string;
+  /** Lines that held IPython syntax, in line order */
+  ipythonLines: IPythonLine[];
+}
+
+/** Cell magics whose body is Python; other cell magics are not linted */
+export const PYTHON_CELL_MAGICS = new Set([
+  'capture',
+  'debug',
+  'memit',
+  'prun',
+  'time',
+  'timeit',
+]);
+
+const CELL_MAGIC = /^(\s*)%%([A-Za-z_]\w*)(.*)$/;
+// "!ls", "%matplotlib inline", "%%time" past the first line; not "!=" or a
+// "% n" continuing an expression
+const STATEMENT = /^(\s*)(?:(!)(?!=)|%%?(?=[A-Za-z_]))/;
+// "files = !ls", "a, b = %sx ls"
+const ASSIGNMENT =
+  /^(\s*[A-Za-z_][\w.]*(?:\s*,\s*[A-Za-z_][\w.]*)*\s*=\s*)[!%]/;
+// "?df", "??df.head"
+const LEADING_HELP = /^(\s*)\?\??\S/;
+// "%store -r model scores"
+const STORE_RESTORE = /^\s*%store\s+-r\b/;
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+/** A word of a magic's arguments, with its index in the line */
+interface Argument {
+  text: string;
+  index: number;
+}
+
+/**
+ * Splits the arguments of a magic on whitespace
+ * @param line - Magic line
+ * @param from - Index where the arguments start
+ * @returns Arguments in order
+ */
+function getArguments(line: string, from: number): Argument[] {
+  const pattern = /\S+/g;
+  pattern.lastIndex = from;
+  const args: Argument[] = [];
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    args.push({ text: match[0], index: match.index });
+  }
+  return args;
+}
+
+/**
+ * Rewrites a magic that binds names into an assignment in which every name
+ * keeps its column: `%%capture out` -> `(         out)=...`
+ * @param line - Magic line
+ * @param names - Bound names, in line order
+ * @returns Python statement
+ */
+function bindNames(line: string, names: Argument[]): string {
+  const indent = /^\s*/.exec(line)![0].length;
+  const last = names[names.length - 1];
+  const chars = line
+    .slice(0, last.index + last.text.length)
+    .split('')
+    .map((char, index) => (index < indent ? char : ' '));
+
+  chars[indent] = '(';
+  names.forEach((name, i) => {
+    chars.splice(name.index, name.text.length, ...name.text);
+    if (i > 0) {
+      const previous = names[i - 1];
+      chars[previous.index + previous.text.length] = ',';
+    }
+  });
+  return `${chars.join('')})=...`;
+}
+
+/**
+ * Gets the names a line magic binds (`%store -r a b`)
+ * @param line - Magic line
+ * @returns Bound names
+ */
+function getLineMagicBindings(line: string): Argument[] {
+  const match = STORE_RESTORE.exec(line);
+  if (!match) {
+    return [];
+  }
+  return getArguments(line, match[0].length).filter((arg) =>
+    IDENTIFIER.test(arg.text)
+  );
+}
+
+/**
+ * Gets the names a cell magic binds (`%%capture out`)
+ * @param magic - Cell magic name
+ * @param line - Header line
+ * @param from - Index where the arguments start
+ * @returns Bound names
+ */
+function getCellMagicBindings(
+  magic: string,
+  line: string,
+  from: number
+): Argument[] {
+  if (magic !== 'capture') {
+    return [];
+  }
+  const output = getArguments(line, from).find(
+    (arg) => !arg.text.startsWith('-')
+  );
+  return output && IDENTIFIER.test(output.text) ? [output] : [];
+}
+
+/**
+ * Rewrites the IPython syntax of a cell into Python
+ * @param source - Cell code
+ * @returns Python code and the lines that held IPython syntax
+ */
+export function preprocessIPython(source: string): PreprocessedCell {
+  const lines = source.split('\n');
+  const ipythonLines: IPythonLine[] = [];
+
+  // A cell magic is only recognized on the first non-blank line
+  const first = lines.findIndex((line) => line.trim() !== '');
+  const cellMagic = first >= 0 ? CELL_MAGIC.exec(lines[first]) : null;
+  let bodyStart = 0;
+
+  if (cellMagic) {
+    const [header, indent, magic] = cellMagic;
+    const names = getCellMagicBindings(
+      magic,
+      header,
+      indent.length + 2 + magic.length
+    );
+    lines[first] = names.length > 0 ? bindNames(header, names) : `${indent}...`;
+    ipythonLines.push({ line: first + 1, syntax: 'cellMagic' });
+
+    if (!PYTHON_CELL_MAGICS.has(magic)) {
+      // The body is shell, HTML, SQL, ...: nothing to lint
+      for (let i = first + 1; i < lines.length; i++) {
+        if (lines[i].trim() !== '') {
+          lines[i] = '';
+          ipythonLines.push({ line: i + 1, syntax: 'cellMagic' });
+        }
+      }
+      return { source, code: lines.join('\n'), ipythonLines };
+    }
+    bodyStart = first + 1;
+  }
+
+  // Statements starting with IPython syntax, before checking that they
+  // don't sit inside a string or brackets
+  const candidates = new Map<number, IPythonLine & { original: string }>();
+  for (let i = bodyStart; i < lines.length; i++) {
+    const line = lines[i];
+    let rewritten: string | undefined;
+    let syntax: IPythonSyntax = 'magic';
+    let match;
+
+    if ((match = STATEMENT.exec(line))) {
+      syntax = match[2] ? 'shell' : 'magic';
+      const names = getLineMagicBindings(line);
+      rewritten = names.length > 0 ? bindNames(line, names) : `${match[1]}...`;
+    } else if ((match = ASSIGNMENT.exec(line))) {
+      syntax = line[match[0].length - 1] === '!' ? 'shell' : 'magic';
+      rewritten = `${match[1]}...`;
+    } else if ((match = LEADING_HELP.exec(line))) {
+      syntax = 'help';
+      rewritten = `${match[1]}...`;
+    }
+
+    if (rewritten !== undefined) {
+      candidates.set(i + 1, { line: i + 1, syntax, original: line });
+      lines[i] = rewritten;
+    }
+  }
+
+  const { tokens } = new Tokenizer(lines.join('\n')).tokenize();
+  const trailingHelp: Array<{ line: number; column: number; end: number }> = [];
+
+  getLogicalLines({ tokens }).forEach((logical) => {
+    // Lines continuing a statement (or a string) are left alone
+    for (let line = logical.startLine + 1; line <= logical.endLine; line++) {
+      const candidate = candidates.get(line);
+      if (candidate) {
+        lines[line - 1] = candidate.original;
+        candidates.delete(line);
+      }
+    }
+
+    // "df.head?" / "df.head??": the expression stays, the marks go
+    const marks = logical.tokens;
+    let end = marks.length;
+    while (
+      end > 1 &&
+      marks[end - 1].type === 'ERRORTOKEN' &&
+      marks[end - 1].value === '?'
+    ) {
+      end--;
+    }
+    if (end < marks.length && !candidates.has(logical.startLine)) {
+      const firstMark = marks[end];
+      const lastMark = marks[marks.length - 1];
+      if (firstMark.start.line === lastMark.end.line) {
+        trailingHelp.push({
+          line: firstMark.start.line,
+          column: firstMark.start.column,
+          end: lastMark.end.column,
+        });
+      }
+    }
+  });
+
+  trailingHelp.forEach(({ line, column, end }) => {
+    const text = lines[line - 1];
+    const rest = text.slice(end - 1);
+    // Blank the marks when a comment follows, so it keeps its column
+    lines[line - 1] =
+      text.slice(0, column - 1) +
+      (rest.trim() === '' ? '' : ' '.repeat(end - column) + rest);
+    candidates.set(line, { line, syntax: 'help', original: text });
+  });
+
+  candidates.forEach(({ line, syntax }) => ipythonLines.push({ line, syntax }));
+  ipythonLines.sort((a, b) => a.line - b.line);
+
+  return { source, code: lines.join('\n'), ipythonLines };
+}
@@ -0,0 +1,6 @@
+/**
+ * Preprocessor Index
+ * Exports the IPython syntax preprocessor
+ */
+
+export * from './IPythonPreprocessor';
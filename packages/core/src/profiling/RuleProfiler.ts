@@ -0,0 +1,112 @@
+/**
+ * Rule Profiler
+ * Records where a lint run spends its time (parsing and each rule, per
+ * cell) and how many findings each rule reports, so slow rules can be
+ * spotted and disabled
+ */
+
+export interface RuleProfile {
+  rule: string;
+  /** Cells the rule ran on */
+  calls: number;
+  /** Wall time over all cells (ms) */
+  totalMs: number;
+  /** Slowest single cell (ms) */
+  maxMs: number;
+  /** Findings reported by the rule, before suppressions */
+  findings: number;
+}
+
+export interface CellProfile {
+  cellIndex: number;
+  /** Parsing plus every rule (ms) */
+  totalMs: number;
+  /** Tokenizing and parsing the cell (ms) */
+  parseMs: number;
+  /** Wall time by rule name (ms) */
+  byRule: Record<string, number>;
+}
+
+export interface LintProfile {
+  /** Time spent linting, over all linted cells (ms) */
+  totalMs: number;
+  /** Cells linted in the run */
+  lintedCells: number;
+  /** Cells served from the incremental cache (not timed) */
+  cachedCells: number;
+  /** Rules, slowest first */
+  rules: RuleProfile[];
+  /** Linted cells, in lint order */
+  cells: CellProfile[];
+}
+
+/**
+ * Collects the timings of one lint run
+ */
+export class RuleProfiler {
+  private rules = new Map<string, RuleProfile>();
+  private cells: CellProfile[] = [];
+  private cachedCells = 0;
+
+  /**
+   * Starts timing a cell; rule timings recorded next belong to it
+   * @param cellIndex - Index of the cell
+   * @param parseMs - Time spent parsing the cell (ms)
+   */
+  startCell(cellIndex: number, parseMs: number): void {
+    this.cells.push({ cellIndex, totalMs: parseMs, parseMs, byRule: {} });
+  }
+
+  /**
+   * Records one rule run on the current cell
+   * @param rule - Rule name
+   * @param elapsed - Wall time (ms)
+   * @param findings - Findings the rule reported
+   */
+  recordRule(rule: string, elapsed: number, findings: number): void {
+    const profile = this.rules.get(rule) ?? {
+      rule,
+      calls: 0,
+      totalMs: 0,
+      maxMs: 0,
+      findings: 0,
+    };
+    profile.calls++;
+    profile.totalMs += elapsed;
+    profile.maxMs = Math.max(profile.maxMs, elapsed);
+    profile.findings += findings;
+    this.rules.set(rule, profile);
+
+    const cell = this.cells[this.cells.length - 1];
+    if (cell) {
+      cell.byRule[rule] = (cell.byRule[rule] ?? 0) + elapsed;
+      cell.totalMs += elapsed;
+    }
+  }
+
+  /**
+   * Records a cell whose results came from the cache
+   */
+  recordCachedCell(): void {
+    this.cachedCells++;
+  }
+
+  /**
+   * Gets the profile recorded so far
+   * @returns Profile with rules sorted slowest first
+   */
+  getProfile(): LintProfile {
+    return {
+      totalMs: this.cells.reduce((total, cell) => total + cell.totalMs, 0),
+      lintedCells: this.cells.length,
+      cachedCells: this.cachedCells,
+      rules: [...this.rules.values()]
+        .map((rule) => ({ ...rule }))
+        .sort((a, b) => b.totalMs - a.totalMs),
+      cells: this.cells.map((cell) => ({
+        ...cell,
+        byRule: { ...cell.byRule },
+      })),
+    };
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Profiling Index
+ * Exports the rule profiler
+ */
+
+export * from './RuleProfiler';
@@ -0,0 +1,57 @@
+/**
+ * Checkstyle Reporter
+ * Checkstyle XML, read by most code review bots. Checkstyle has no notion of
+ * cells, so notebook findings are grouped by cell as files named
+ * `analysis.ipynb#cell=3` with lines relative to the cell
+ */
+
+import { getRuleId } from '../engines/Engine';
+import { ReportedError, ReportedFile, Reporter } from './Reporter';
+import { escapeXml, getCellPath, getReportLocation } from './format';
+
+/**
+ * Creates the Checkstyle XML report
+ * @param files - Findings by file
+ * @returns XML document
+ */
+export function createCheckstyleReport(files: ReportedFile[]): string {
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">',
+  ];
+
+  files.forEach(({ path, errors }) => {
+    // Findings by file name, in order of first appearance
+    const byName = new Map<string, ReportedError[]>();
+    errors.forEach((error) => {
+      const name = getCellPath(path, getReportLocation(error).cell);
+      byName.set(name, [...(byName.get(name) ?? []), error]);
+    });
+
+    byName.forEach((nameErrors, name) => {
+      xml.push(`  <file name="${escapeXml(name)}">`);
+      nameErrors.forEach((error) => {
+        const { line, column } = getReportLocation(error);
+        xml.push(
+          `    <error line="${line}"${
+            column !== undefined ? ` column="${column}"` : ''
+          } severity="${error.severity}" message="${escapeXml(
+            error.msg
+          )}" source="kaggle-lint.${escapeXml(getRuleId(error))}"/>`
+        );
+      });
+      xml.push('  </file>');
+    });
+  });
+
+  xml.push('</checkstyle>', '');
+  return xml.join('\n');
+}
+
+export const checkstyleReporter: Reporter = {
+  name: 'checkstyle',
+  label: 'Checkstyle XML',
+  fileExtension: '.xml',
+  mimeType: 'application/xml',
+  format: (files) => createCheckstyleReport(files),
+};
@@ -0,0 +1,80 @@
+/**
+ * JSON Reporter
+ * Findings by file with the statistics of LintEngine.getStats, per file and
+ * for the whole run. DOM elements attached to notebook findings are dropped
+ */
+
+import { ErrorStats, getErrorStats } from '../engines/Engine';
+import { LintFix, Severity } from '../types';
+import { ReportOptions, ReportedFile, Reporter } from './Reporter';
+
+export interface JsonReportError {
+  rule: string;
+  /** flake8 error code */
+  code?: string;
+  severity: Severity;
+  msg: string;
+  /** Position among the notebook's cells (0-based) */
+  cellIndex?: number;
+  /** Line within the cell */
+  cellLine?: number;
+  line: number;
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+  fingerprint?: string;
+  fix?: LintFix;
+}
+
+export interface JsonReport {
+  version?: string;
+  files: Array<{
+    path: string;
+    errors: JsonReportError[];
+    stats: ErrorStats;
+  }>;
+  stats: ErrorStats;
+}
+
+/**
+ * Creates the JSON report
+ * @param files - Findings by file
+ * @param options - Tool version
+ * @returns Report object, ready for JSON.stringify
+ */
+export function createJsonReport(
+  files: ReportedFile[],
+  options: ReportOptions = {}
+): JsonReport {
+  return {
+    ...(options.toolVersion && { version: options.toolVersion }),
+    files: files.map(({ path, errors }) => ({
+      path,
+      errors: errors.map((error) => ({
+        rule: error.rule ?? 'unknown',
+        code: error.code,
+        severity: error.severity,
+        msg: error.msg,
+        cellIndex: error.cellIndex,
+        cellLine: error.cellLine,
+        line: error.line,
+        column: error.column,
+        endLine: error.endLine,
+        endColumn: error.endColumn,
+        fingerprint: error.fingerprint,
+        fix: error.fix,
+      })),
+      stats: getErrorStats(errors),
+    })),
+    stats: getErrorStats(files.flatMap(({ errors }) => errors)),
+  };
+}
+
+export const jsonReporter: Reporter = {
+  name: 'json',
+  label: 'JSON',
+  fileExtension: '.json',
+  mimeType: 'application/json',
+  format: (files, options) =>
+    JSON.stringify(createJsonReport(files, options), null, 2),
+};
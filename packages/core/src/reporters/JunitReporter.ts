@@ -0,0 +1,132 @@
+/**
+ * JUnit Reporter
+ * JUnit XML for CI test dashboards: one test suite per file and one test
+ * case per rule per cell, failing when the rule reported anything in the
+ * cell. Rules given in the options and cells listed in cellIndexes also get
+ * passing test cases
+ */
+
+import { getRuleId } from '../engines/Engine';
+import {
+  ReportOptions,
+  ReportedError,
+  ReportedFile,
+  Reporter,
+} from './Reporter';
+import { escapeXml, getCellPath, getReportLocation, plural } from './format';
+
+const SEVERITY_ORDER = ['info', 'warning', 'error'];
+
+/**
+ * Formats the test cases of one file
+ * @param file - Findings of the file
+ * @param ruleIds - Rules that ran
+ * @returns Test case elements and the number of tests and failures
+ */
+function formatTestCases(
+  file: ReportedFile,
+  ruleIds: string[]
+): { xml: string[]; tests: number; failures: number } {
+  // Findings by cell (undefined outside cells), then by rule
+  const byCell = new Map<number | undefined, Map<string, ReportedError[]>>();
+  (file.cellIndexes ?? []).forEach((cellIndex) =>
+    byCell.set(cellIndex + 1, new Map())
+  );
+  file.errors.forEach((error) => {
+    const { cell } = getReportLocation(error);
+    const byRule = byCell.get(cell) ?? new Map<string, ReportedError[]>();
+    byCell.set(cell, byRule);
+    const ruleId = getRuleId(error);
+    byRule.set(ruleId, [...(byRule.get(ruleId) ?? []), error]);
+  });
+
+  const xml: string[] = [];
+  let tests = 0;
+  let failures = 0;
+  [...byCell.keys()]
+    .sort((a, b) => (a ?? 0) - (b ?? 0))
+    .forEach((cell) => {
+      const byRule = byCell.get(cell)!;
+      const className = escapeXml(getCellPath(file.path, cell));
+      const cellRules = [...new Set([...ruleIds, ...byRule.keys()])];
+
+      cellRules.forEach((ruleId) => {
+        const errors = byRule.get(ruleId) ?? [];
+        const name = escapeXml(ruleId);
+        tests++;
+        if (errors.length === 0) {
+          xml.push(
+            `    <testcase classname="${className}" name="${name}" time="0"/>`
+          );
+          return;
+        }
+
+        failures++;
+        const severity = errors
+          .map((error) => error.severity)
+          .reduce((a, b) =>
+            SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a
+          );
+        const message =
+          errors.length === 1
+            ? errors[0].msg
+            : plural(errors.length, 'finding');
+        const details = errors.map((error) => {
+          const { line, column } = getReportLocation(error);
+          return `${line}:${column ?? 1} ${error.severity} ${error.msg}`;
+        });
+        xml.push(
+          `    <testcase classname="${className}" name="${name}" time="0">`,
+          `      <failure message="${escapeXml(message)}" type="${severity}">${escapeXml(
+            details.join('\n')
+          )}</failure>`,
+          '    </testcase>'
+        );
+      });
+    });
+
+  return { xml, tests, failures };
+}
+
+/**
+ * Creates the JUnit XML report
+ * @param files - Findings by file
+ * @param options - Rules that ran
+ * @returns XML document
+ */
+export function createJunitReport(
+  files: ReportedFile[],
+  options: ReportOptions = {}
+): string {
+  const ruleIds = (options.rules ?? []).map((rule) => rule.name);
+  let tests = 0;
+  let failures = 0;
+  const suites: string[] = [];
+
+  files.forEach((file) => {
+    const cases = formatTestCases(file, ruleIds);
+    tests += cases.tests;
+    failures += cases.failures;
+    suites.push(
+      `  <testsuite name="${escapeXml(file.path)}" tests="${cases.tests}" failures="${cases.failures}" errors="0" skipped="0">`,
+      ...cases.xml,
+      '  </testsuite>'
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="kaggle-lint" tests="${tests}" failures="${failures}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+export const junitReporter: Reporter = {
+  name: 'junit',
+  label: 'JUnit XML',
+  fileExtension: '.xml',
+  mimeType: 'application/xml',
+  format: createJunitReport,
+};
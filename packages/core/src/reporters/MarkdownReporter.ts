@@ -0,0 +1,110 @@
+/**
+ * Markdown Reporter
+ * Summary by rule followed by a table of every finding, ready to paste into
+ * a Kaggle discussion or a pull request comment
+ */
+
+import { getErrorStats, getRuleId } from '../engines/Engine';
+import { ReportOptions, ReportedFile, Reporter } from './Reporter';
+import { getReportLocation, plural } from './format';
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param value - Text
+ * @returns Text without pipes or line breaks that would end the cell
+ */
+function escapeCell(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Creates the Markdown report
+ * @param files - Findings by file
+ * @param options - Rule metadata (for rule titles)
+ * @returns Markdown document
+ */
+export function createMarkdownReport(
+  files: ReportedFile[],
+  options: ReportOptions = {}
+): string {
+  const errors = files.flatMap((file) => file.errors);
+  const stats = getErrorStats(errors);
+  const titles = new Map(
+    (options.rules ?? []).map((rule) => [rule.name, rule.title])
+  );
+  const lines = ['## kaggle-lint report', ''];
+
+  if (errors.length === 0) {
+    lines.push(`No problems found in ${plural(files.length, 'file')}.`, '');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    `**${plural(stats.total, 'problem')}** (${plural(
+      stats.bySeverity.error,
+      'error'
+    )}, ${plural(stats.bySeverity.warning, 'warning')}, ${
+      stats.bySeverity.info
+    } info) in ${plural(files.length, 'file')}`,
+    ''
+  );
+
+  // Summary by rule, most findings first
+  const byRule = new Map<
+    string,
+    { error: number; warning: number; info: number }
+  >();
+  errors.forEach((error) => {
+    const ruleId = getRuleId(error);
+    const counts = byRule.get(ruleId) ?? { error: 0, warning: 0, info: 0 };
+    counts[error.severity]++;
+    byRule.set(ruleId, counts);
+  });
+  lines.push(
+    '| Rule | Errors | Warnings | Info |',
+    '| --- | ---: | ---: | ---: |'
+  );
+  [...byRule.entries()]
+    .sort(
+      ([, a], [, b]) =>
+        b.error + b.warning + b.info - (a.error + a.warning + a.info)
+    )
+    .forEach(([ruleId, counts]) => {
+      const title = titles.get(ruleId);
+      lines.push(
+        `| ${escapeCell(title ? `${title} (\`${ruleId}\`)` : `\`${ruleId}\``)} | ${
+          counts.error
+        } | ${counts.warning} | ${counts.info} |`
+      );
+    });
+
+  lines.push(
+    '',
+    '| File | Cell | Line | Severity | Rule | Message |',
+    '| --- | ---: | --- | --- | --- | --- |'
+  );
+  files.forEach(({ path, errors: fileErrors }) => {
+    fileErrors.forEach((error) => {
+      const { cell, line, column } = getReportLocation(error);
+      lines.push(
+        `| ${escapeCell(path)} | ${cell ?? ''} | ${line}:${column ?? 1} | ${
+          error.severity
+        } | \`${escapeCell(getRuleId(error))}\` | ${escapeCell(error.msg)} |`
+      );
+    });
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+export const markdownReporter: Reporter = {
+  name: 'markdown',
+  label: 'Markdown',
+  fileExtension: '.md',
+  mimeType: 'text/markdown',
+  format: createMarkdownReport,
+};
@@ -0,0 +1,47 @@
+/**
+ * Reporter
+ * Common interface of the result serializers, so the CLI and the overlay's
+ * export button can offer every format the same way
+ */
+
+import { LintError } from '../types';
+import { RuleInfo } from '../rules';
+
+/** Finding to report; lintNotebook results also carry cellIndex/cellLine */
+export type ReportedError = LintError & { cellLine?: number };
+
+/** Findings of one linted notebook or script */
+export interface ReportedFile {
+  /** Path of the file as shown in reports (relative paths recommended) */
+  path: string;
+  errors: ReportedError[];
+  /**
+   * Indexes of the linted cells, so reports can list cells without
+   * findings (JUnit passing test cases)
+   */
+  cellIndexes?: number[];
+}
+
+export interface ReportOptions {
+  /** Metadata of the rules that ran (e.g. LintEngine.getRuleMetadata()) */
+  rules?: RuleInfo[];
+  /** Version reported for the tool */
+  toolVersion?: string;
+}
+
+export interface Reporter {
+  /** Format name, as passed to `--format` */
+  name: string;
+  /** Name shown in menus */
+  label: string;
+  /** Extension of saved reports, including the dot */
+  fileExtension: string;
+  mimeType: string;
+  /**
+   * Serializes findings
+   * @param files - Findings by file
+   * @param options - Rule metadata and tool version
+   * @returns Report contents
+   */
+  format(files: ReportedFile[], options?: ReportOptions): string;
+}
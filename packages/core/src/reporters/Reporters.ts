@@ -0,0 +1,38 @@
+/**
+ * Reporters
+ * The built-in reporters, looked up by format name
+ */
+
+import { Reporter } from './Reporter';
+import { checkstyleReporter } from './CheckstyleReporter';
+import { jsonReporter } from './JsonReporter';
+import { junitReporter } from './JunitReporter';
+import { markdownReporter } from './MarkdownReporter';
+import { sarifReporter } from './SarifReporter';
+
+/** Built-in reporters, in menu order */
+export const REPORTERS: Reporter[] = [
+  jsonReporter,
+  sarifReporter,
+  junitReporter,
+  checkstyleReporter,
+  markdownReporter,
+];
+
+/**
+ * Gets a built-in reporter
+ * @param name - Format name (e.g. 'junit')
+ * @returns Reporter
+ * @throws Error if there is no reporter with that name
+ */
+export function getReporter(name: string): Reporter {
+  const reporter = REPORTERS.find((candidate) => candidate.name === name);
+  if (!reporter) {
+    throw new Error(
+      `Unknown report format '${name}'; expected ${REPORTERS.map(
+        (candidate) => candidate.name
+      ).join(', ')}`
+    );
+  }
+  return reporter;
+}
@@ -0,0 +1,245 @@
+/**
+ * SARIF Reporter
+ * Serializes findings as a SARIF 2.1.0 log for code-scanning viewers.
+ * Notebook findings point at the cell they were found in: every cell is a
+ * nested artifact of its notebook (`analysis.ipynb#cell=3`, cells numbered
+ * from 1) and regions use lines within the cell. Fingerprints let viewers
+ * match results across runs
+ */
+
+import { Severity } from '../types';
+import { RuleInfo } from '../rules';
+import { getRuleId } from '../engines/Engine';
+import {
+  ReportOptions,
+  ReportedError,
+  ReportedFile,
+  Reporter,
+} from './Reporter';
+import { getCellPath } from './format';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/** Key of LintError.fingerprint in result.fingerprints */
+export const SARIF_FINGERPRINT_KEY = 'kaggleLint/v1';
+
+const TOOL_NAME = 'kaggle-lint';
+const TOOL_URI = 'https://github.com/chater-marzougui/kaggle-lint';
+
+export type SarifLevel = 'error' | 'warning' | 'note';
+
+export interface SarifRegion {
+  startLine: number;
+  startColumn?: number;
+  endLine?: number;
+  endColumn?: number;
+}
+
+export interface SarifArtifactLocation {
+  uri: string;
+  index?: number;
+}
+
+export interface SarifArtifact {
+  location: SarifArtifactLocation;
+  /** Index of the containing artifact (the notebook of a cell) */
+  parentIndex?: number;
+  mimeType?: string;
+}
+
+export interface SarifReportingDescriptor {
+  id: string;
+  name?: string;
+  shortDescription?: { text: string };
+  defaultConfiguration?: { level: SarifLevel };
+  properties?: Record<string, unknown>;
+}
+
+export interface SarifResult {
+  ruleId: string;
+  ruleIndex: number;
+  level: SarifLevel;
+  message: { text: string };
+  locations: Array<{
+    physicalLocation: {
+      artifactLocation: SarifArtifactLocation;
+      region: SarifRegion;
+    };
+  }>;
+  fingerprints?: Record<string, string>;
+  properties?: Record<string, unknown>;
+}
+
+export interface SarifLog {
+  $schema: string;
+  version: string;
+  runs: Array<{
+    tool: {
+      driver: {
+        name: string;
+        version?: string;
+        informationUri: string;
+        rules: SarifReportingDescriptor[];
+      };
+    };
+    artifacts: SarifArtifact[];
+    results: SarifResult[];
+  }>;
+}
+
+const LEVELS: Record<Severity, SarifLevel> = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+};
+
+/**
+ * Builds the descriptor of a documented rule
+ * @param info - Rule metadata
+ * @returns Reporting descriptor
+ */
+function describeSarifRule(info: RuleInfo): SarifReportingDescriptor {
+  const descriptor: SarifReportingDescriptor = {
+    id: info.name,
+    name: info.title,
+    defaultConfiguration: { level: LEVELS[info.defaultSeverity] },
+    properties: { category: info.category, fixable: info.fixable },
+  };
+  if (info.description) {
+    descriptor.shortDescription = { text: info.description };
+  }
+  return descriptor;
+}
+
+/**
+ * Gets the region of a finding, relative to its cell when it has one
+ * @param error - Finding
+ * @returns Region
+ */
+function getRegion(error: ReportedError): SarifRegion {
+  const cellShift =
+    error.cellLine !== undefined ? error.cellLine - error.line : 0;
+  const region: SarifRegion = { startLine: error.line + cellShift };
+  if (error.column !== undefined) {
+    region.startColumn = error.column;
+  }
+  if (error.endLine !== undefined) {
+    region.endLine = error.endLine + cellShift;
+  }
+  if (error.endColumn !== undefined) {
+    region.endColumn = error.endColumn;
+  }
+  return region;
+}
+
+/**
+ * Creates a SARIF 2.1.0 log with one run covering every file
+ * @param files - Findings by file
+ * @param options - Rule metadata and tool version
+ * @returns SARIF log, ready for JSON.stringify
+ */
+export function createSarifLog(
+  files: ReportedFile[],
+  options: ReportOptions = {}
+): SarifLog {
+  const rules: SarifReportingDescriptor[] = [];
+  const ruleIndexes = new Map<string, number>();
+  const addRule = (descriptor: SarifReportingDescriptor): number => {
+    let index = ruleIndexes.get(descriptor.id);
+    if (index === undefined) {
+      index = rules.push(descriptor) - 1;
+      ruleIndexes.set(descriptor.id, index);
+    }
+    return index;
+  };
+  (options.rules ?? []).forEach((info) => addRule(describeSarifRule(info)));
+
+  const artifacts: SarifArtifact[] = [];
+  const artifactIndexes = new Map<string, number>();
+  const addArtifact = (uri: string, parentIndex?: number): number => {
+    let index = artifactIndexes.get(uri);
+    if (index === undefined) {
+      const artifact: SarifArtifact = { location: { uri } };
+      if (parentIndex !== undefined) {
+        artifact.parentIndex = parentIndex;
+      } else if (uri.endsWith('.ipynb')) {
+        artifact.mimeType = 'application/x-ipynb+json';
+      }
+      index = artifacts.push(artifact) - 1;
+      artifactIndexes.set(uri, index);
+    }
+    return index;
+  };
+
+  const results: SarifResult[] = [];
+  files.forEach(({ path, errors }) => {
+    // SARIF URIs use forward slashes
+    const uri = path.replace(/\\/g, '/');
+    const fileIndex = addArtifact(uri);
+
+    errors.forEach((error) => {
+      const ruleId = getRuleId(error);
+      const inCell =
+        error.cellIndex !== undefined && error.cellLine !== undefined;
+      const artifactUri = getCellPath(
+        uri,
+        inCell ? error.cellIndex! + 1 : undefined
+      );
+      const location: SarifArtifactLocation = {
+        uri: artifactUri,
+        index: inCell ? addArtifact(artifactUri, fileIndex) : fileIndex,
+      };
+
+      const result: SarifResult = {
+        ruleId,
+        ruleIndex: addRule({ id: ruleId }),
+        level: LEVELS[error.severity],
+        message: { text: error.msg },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: location,
+              region: getRegion(error),
+            },
+          },
+        ],
+      };
+      if (error.fingerprint) {
+        result.fingerprints = { [SARIF_FINGERPRINT_KEY]: error.fingerprint };
+      }
+      if (inCell) {
+        result.properties = { cellIndex: error.cellIndex };
+      }
+      results.push(result);
+    });
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            ...(options.toolVersion && { version: options.toolVersion }),
+            informationUri: TOOL_URI,
+            rules,
+          },
+        },
+        artifacts,
+        results,
+      },
+    ],
+  };
+}
+
+export const sarifReporter: Reporter = {
+  name: 'sarif',
+  label: 'SARIF',
+  fileExtension: '.sarif',
+  mimeType: 'application/sarif+json',
+  format: (files, options) =>
+    JSON.stringify(createSarifLog(files, options), null, 2),
+};
@@ -0,0 +1,77 @@
+/**
+ * Report formatting helpers shared by the reporters
+ */
+
+import { ReportedError } from './Reporter';
+
+export interface ReportLocation {
+  /** Cell number (1-based), undefined for findings outside a cell */
+  cell?: number;
+  /** Line within the cell, or within the file outside cells */
+  line: number;
+  column?: number;
+}
+
+/**
+ * Gets where a finding is, relative to its cell when it has one
+ * @param error - Finding
+ * @returns Location
+ */
+export function getReportLocation(error: ReportedError): ReportLocation {
+  if (error.cellIndex !== undefined && error.cellLine !== undefined) {
+    return {
+      cell: error.cellIndex + 1,
+      line: error.cellLine,
+      column: error.column,
+    };
+  }
+  return { line: error.line, column: error.column };
+}
+
+/**
+ * Escapes text for XML attributes and content
+ * @param value - Text
+ * @returns Escaped text
+ */
+export function escapeXml(value: string): string {
+  return Array.from(value)
+    .filter((char) => !isXmlControlChar(char))
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Checks for a control character XML 1.0 does not allow (all below U+0020
+ * except tab, newline and carriage return)
+ * @param char - Character
+ * @returns Whether the character must be dropped
+ */
+function isXmlControlChar(char: string): boolean {
+  const code = char.charCodeAt(0);
+  return code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d;
+}
+
+/**
+ * Gets the cell-aware name of a file part (`analysis.ipynb#cell=3`), the
+ * convention shared with the SARIF reporter
+ * @param path - File path
+ * @param cell - Cell number (1-based), if any
+ * @returns Name
+ */
+export function getCellPath(path: string, cell?: number): string {
+  return cell === undefined ? path : `${path}#cell=${cell}`;
+}
+
+/**
+ * Counts a noun
+ * @param count - Number of things
+ * @param noun - Singular noun
+ * @returns e.g. '1 error', '2 errors'
+ */
+export function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,14 @@
+/**
+ * Reporters Index
+ * Exports the reporter interface, the built-in reporters and the shared
+ * plural helper
+ */
+
+export * from './Reporter';
+export * from './Reporters';
+export * from './JsonReporter';
+export * from './SarifReporter';
+export * from './JunitReporter';
+export * from './CheckstyleReporter';
+export * from './MarkdownReporter';
+export { plural } from './format';
@@ -1,4 +1,6 @@
-import { LintError, LintContext, LintRule } from '../types';
+import { LintError, LintContext, LintRule, RuleMeta } from '../types';
+import { ParsedSource, parsePython } from '../parser';
+import { preprocessIPython } from '../preprocessor';
 
 /**
  * Base class for all lint rules
@@ -6,6 +8,7 @@ import { LintError, LintContext, LintRule } from '../types';
  */
 export abstract class BaseRule implements LintRule {
   abstract name: string;
+  abstract meta: RuleMeta;
 
   abstract run(
     code: string,
@@ -30,4 +33,16 @@ export abstract class BaseRule implements LintRule {
       column,
     };
   }
+
+  /**
+   * Gets the parsed cell from the context, preprocessing and parsing it
+   * when the rule runs outside of LintEngine. The parsed code is the
+   * preprocessed one (see preprocessIPython)
+   */
+  protected getParsed(code: string, context?: LintContext): ParsedSource {
+    if (context?.parsed && context.parsed.code === code) {
+      return context.parsed;
+    }
+    return parsePython(preprocessIPython(code).code);
+  }
 }
@@ -4,11 +4,25 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import { toSourceRange } from '../parser';
 
 export class CapitalizationTyposRule extends BaseRule {
   name = 'capitalizationTypos';
 
+  meta: RuleMeta = {
+    title: 'Capitalization Typos',
+    description:
+      'Detects known names with the wrong capitalization, like true/false/none instead of True/False/None',
+    category: 'correctness',
+    defaultSeverity: 'warning',
+    fixable: true,
+    examples: {
+      bad: 'done = true',
+      good: 'done = True',
+    },
+  };
+
   // Names that should be excluded from capitalization checks
   // (e.g., typing module types that are intentionally capitalized)
   private readonly EXCLUDED_NAMES = new Set([
@@ -143,17 +157,19 @@ export class CapitalizationTyposRule extends BaseRule {
    * Runs the capitalization typos rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const lines = code.split('\n');
-    const definedNames = this.buildDefinedNamesMap(code);
+    // Strings and comments are blanked, so only code is checked
+    const masked = this.getParsed(code, context).masked;
+    const lines = masked.split('\n');
+    const definedNames = this.buildDefinedNamesMap(masked);
 
     const allKnownNames = new Map<string, string>([
       ...Object.entries(this.COMMON_NAMES).map(
@@ -162,17 +178,7 @@ export class CapitalizationTyposRule extends BaseRule {
       ...definedNames,
     ]);
 
-    lines.forEach((line, lineIndex) => {
-      if (/^\s*#/.test(line)) {
-        return;
-      }
-
-      let processedLine = line.replace(/#.*$/, '');
-      processedLine = processedLine.replace(
-        /(["'])(?:(?!\1|\\).|\\.)*\1/g,
-        '""'
-      );
-
+    lines.forEach((processedLine, lineIndex) => {
       const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b/g;
       let match;
 
@@ -197,11 +203,22 @@ export class CapitalizationTyposRule extends BaseRule {
             name !== correctName &&
             name.toLowerCase() === correctName!.toLowerCase()
           ) {
+            const line = lineIndex + 1;
+            const column = match.index + 1;
+            const range = toSourceRange(
+              { line, column },
+              { line, column: column + name.length },
+              cellOffset
+            );
             errors.push({
-              line: lineIndex + 1 + cellOffset,
+              ...range,
               msg: `Possible capitalization typo: '${name}' should be '${correctName}'`,
               severity: 'warning',
               rule: this.name,
+              fix: {
+                description: `Replace '${name}' with '${correctName}'`,
+                edits: [{ ...range, text: correctName! }],
+              },
             });
           }
         }
@@ -1,101 +1,192 @@
 /**
  * Duplicate Function Names Rule
- * Detects functions with the same name defined multiple times
+ * Detects functions with the same name defined multiple times in one scope,
+ * including module-level definitions of earlier notebook cells
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import {
+  ClassDef,
+  Expr,
+  FunctionDef,
+  Position,
+  Stmt,
+  toSourceRange,
+} from '../parser';
 
 interface Definition {
   name: string;
-  line: number;
+  /** Position of the name in the def/class statement */
+  nameStart: Position;
   type: string;
+  /** Set when the definition comes from an earlier cell */
+  cellIndex?: number;
 }
 
 export class DuplicateFunctionsRule extends BaseRule {
   name = 'duplicateFunctions';
 
+  meta: RuleMeta = {
+    title: 'Duplicate Functions',
+    description:
+      'Detects functions and classes defined twice in the same scope, where the later definition silently wins',
+    category: 'correctness',
+    defaultSeverity: 'warning',
+    fixable: false,
+    examples: {
+      bad: 'def load():\n    ...\n\ndef load():\n    ...',
+      good: 'def load_train():\n    ...\n\ndef load_test():\n    ...',
+    },
+  };
+
   /**
-   * Extracts function and class definitions with their line numbers
-   * @param code - Python source code
-   * @returns Array of definitions
+   * Checks whether a definition is an intentional redefinition,
+   * like `@typing.overload` or `@name.setter`
+   * @param node - Function or class definition
+   * @returns boolean
    */
-  private extractDefinitions(code: string): Definition[] {
-    const definitions: Definition[] = [];
-    const lines = code.split('\n');
-
-    lines.forEach((line, lineIndex) => {
-      let match = /^\s*def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/.exec(line);
-      if (match) {
-        definitions.push({
-          name: match[1],
-          line: lineIndex + 1,
-          type: 'function',
-        });
+  private isIntentionalRedefinition(node: FunctionDef | ClassDef): boolean {
+    return node.decorators.some((decorator) => {
+      let root: Expr = decorator.type === 'Call' ? decorator.func : decorator;
+      if (root.type === 'Attribute' && root.attr === 'overload') {
+        return true;
       }
-
-      match = /^\s*class\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*[\(:]/.exec(line);
-      if (match) {
-        definitions.push({
-          name: match[1],
-          line: lineIndex + 1,
-          type: 'class',
-        });
+      while (root.type === 'Attribute') {
+        root = root.value;
       }
+      return (
+        root.type === 'Name' &&
+        (root.id === 'overload' || root.id === node.name)
+      );
+    });
+  }
 
-      match = /^\s*async\s+def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/.exec(line);
-      if (match) {
-        definitions.push({
-          name: match[1],
-          line: lineIndex + 1,
-          type: 'async function',
+  /**
+   * Finds duplicate definitions in a block of statements
+   * Definitions in different branches of if/try/match don't clash, and
+   * every function or class body is its own scope
+   * @param body - Statements of the block
+   * @param seen - First definitions visible in the current scope
+   * @param duplicates - Receives duplicates with their first definition
+   */
+  private checkBlock(
+    body: Stmt[],
+    seen: Map<string, Definition>,
+    duplicates: Array<{ def: Definition; first: Definition }>
+  ): void {
+    const checkBranches = (branches: Stmt[][]) => {
+      const merged = new Map<string, Definition>();
+      branches.forEach((branch) => {
+        const branchSeen = new Map(seen);
+        this.checkBlock(branch, branchSeen, duplicates);
+        branchSeen.forEach((def, name) => {
+          if (!merged.has(name)) {
+            merged.set(name, def);
+          }
         });
+      });
+      merged.forEach((def, name) => {
+        if (!seen.has(name)) {
+          seen.set(name, def);
+        }
+      });
+    };
+
+    body.forEach((stmt) => {
+      switch (stmt.type) {
+        case 'FunctionDef':
+        case 'ClassDef': {
+          const def: Definition = {
+            name: stmt.name,
+            nameStart: stmt.nameStart,
+            type:
+              stmt.type === 'ClassDef'
+                ? 'class'
+                : stmt.isAsync
+                  ? 'async function'
+                  : 'function',
+          };
+          const first = seen.get(stmt.name);
+          if (first && !this.isIntentionalRedefinition(stmt)) {
+            duplicates.push({ def, first });
+          }
+          if (!first) {
+            seen.set(stmt.name, def);
+          }
+          this.checkBlock(stmt.body, new Map(), duplicates);
+          break;
+        }
+        case 'If':
+          checkBranches([stmt.body, stmt.orelse]);
+          break;
+        case 'Try':
+          checkBranches([
+            [...stmt.body, ...stmt.orelse],
+            ...stmt.handlers.map((handler) => handler.body),
+          ]);
+          this.checkBlock(stmt.finalbody, seen, duplicates);
+          break;
+        case 'Match':
+          checkBranches(stmt.cases.map((matchCase) => matchCase.body));
+          break;
+        case 'For':
+        case 'While':
+          this.checkBlock(stmt.body, seen, duplicates);
+          this.checkBlock(stmt.orelse, seen, duplicates);
+          break;
+        case 'With':
+          this.checkBlock(stmt.body, seen, duplicates);
+          break;
       }
     });
-
-    return definitions;
   }
 
   /**
    * Runs the duplicate functions rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
-    const errors: LintError[] = [];
-    const definitions = this.extractDefinitions(code);
-
-    const nameMap = new Map<string, Definition[]>();
+    const { module } = this.getParsed(code, context);
+    const duplicates: Array<{ def: Definition; first: Definition }> = [];
 
-    definitions.forEach((def) => {
-      if (!nameMap.has(def.name)) {
-        nameMap.set(def.name, []);
-      }
-      nameMap.get(def.name)!.push(def);
-    });
-
-    nameMap.forEach((defs, name) => {
-      if (defs.length > 1) {
-        defs.slice(1).forEach((def) => {
-          const firstDef = defs[0];
-          errors.push({
-            line: def.line + cellOffset,
-            msg: `Duplicate ${def.type} name '${name}' (first defined at line ${
-              firstDef.line + cellOffset
-            })`,
-            severity: 'warning',
-            rule: this.name,
-          });
+    // Functions and classes of earlier cells are still defined, unless a
+    // later assignment or import replaced them
+    const upstream = new Map<string, Definition>();
+    context?.symbols?.forEach((symbol) => {
+      if (symbol.kind === 'function' || symbol.kind === 'class') {
+        upstream.set(symbol.name, {
+          name: symbol.name,
+          nameStart: { line: symbol.line, column: symbol.column },
+          type: symbol.kind,
+          cellIndex: symbol.cellIndex,
         });
       }
     });
 
-    return errors;
+    this.checkBlock(module.body, upstream, duplicates);
+
+    // The first definition is referenced by its line within the cell, as
+    // shown in the overlay
+    return duplicates.map(({ def, first }) => ({
+      ...toSourceRange(
+        def.nameStart,
+        { ...def.nameStart, column: def.nameStart.column + def.name.length },
+        cellOffset
+      ),
+      msg:
+        first.cellIndex === undefined
+          ? `Duplicate ${def.type} name '${def.name}' (first defined at line ${first.nameStart.line})`
+          : `Duplicate ${def.type} name '${def.name}' (first defined in cell ${first.cellIndex + 1}, line ${first.nameStart.line})`,
+      severity: 'warning',
+      rule: this.name,
+    }));
   }
 }
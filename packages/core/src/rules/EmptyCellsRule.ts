@@ -4,31 +4,55 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import { getCodeSpan, toSourceRange } from '../parser';
+import { preprocessIPython } from '../preprocessor';
 
 export class EmptyCellsRule extends BaseRule {
   name = 'emptyCells';
 
+  meta: RuleMeta = {
+    title: 'Empty Cells',
+    description:
+      "Detects cells that are empty or only contain comments, 'pass' or '...'",
+    category: 'notebook',
+    defaultSeverity: 'info',
+    fixable: false,
+    examples: {
+      bad: '# TODO',
+      good: '# Load the data\ndf = pd.read_csv(path)',
+    },
+  };
+
   /**
    * Runs the empty cells rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (cell index can be derived from offset)
+   * @param context - Lint context (provides the cell index and its IPython
+   *   lines)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
+    const cellIndex = context?.cellIndex ?? 0;
+
+    // Shell commands and magics do something, even with no Python left
+    const ipython = context?.ipython ?? preprocessIPython(code);
+    if (ipython.ipythonLines.length > 0) {
+      return errors;
+    }
 
-    // Calculate cell index from offset (approximate)
-    const cellIndex = cellOffset;
+    // Findings are about the whole cell
+    const { start, end } = getCodeSpan(code);
+    const range = toSourceRange(start, end, cellOffset);
 
     if (code.trim() === '') {
       errors.push({
-        line: cellOffset + 1,
+        ...range,
         msg: `Cell ${cellIndex + 1} is empty`,
         severity: 'info',
         rule: this.name,
@@ -44,7 +68,7 @@ export class EmptyCellsRule extends BaseRule {
 
     if (nonCommentLines.length === 0) {
       errors.push({
-        line: cellOffset + 1,
+        ...range,
         msg: `Cell ${cellIndex + 1} contains only comments`,
         severity: 'info',
         rule: this.name,
@@ -56,7 +80,7 @@ export class EmptyCellsRule extends BaseRule {
     );
     if (nonCommentLines.length > 0 && passOnlyLines.length === 0) {
       errors.push({
-        line: cellOffset + 1,
+        ...range,
         msg: `Cell ${cellIndex + 1} contains only 'pass' statements`,
         severity: 'info',
         rule: this.name,
@@ -68,7 +92,7 @@ export class EmptyCellsRule extends BaseRule {
     );
     if (nonCommentLines.length > 0 && ellipsisOnlyLines.length === 0) {
       errors.push({
-        line: cellOffset + 1,
+        ...range,
         msg: `Cell ${cellIndex + 1} contains only ellipsis (...)`,
         severity: 'info',
         rule: this.name,
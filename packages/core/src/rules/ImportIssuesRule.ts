@@ -1,76 +1,133 @@
 /**
  * Import Issues Rule
- * Detects problematic import patterns
+ * Detects problematic import patterns, including imports repeated from an
+ * earlier notebook cell. Unused imports are only reported for code linted on
+ * its own: in a notebook, a later cell may use the import
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, LintFix, RuleMeta } from '../types';
+import { Alias, Import, ImportFrom, toSourceRange, walk } from '../parser';
 
 export class ImportIssuesRule extends BaseRule {
   name = 'importIssues';
 
-  /**
-   * Checks if a line is a shell command (starts with !)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private isShellCommand(line: string): boolean {
-    return /^\s*!/.test(line);
-  }
+  meta: RuleMeta = {
+    title: 'Import Issues',
+    description: 'Detects wildcard, duplicate, unused and misplaced imports',
+    category: 'imports',
+    defaultSeverity: 'warning',
+    fixable: true,
+    examples: {
+      bad: 'from numpy import *\nimport os\nimport os',
+      good: 'import os\nimport numpy as np\n\nprint(np.pi, os.sep)',
+    },
+  };
 
   /**
-   * Checks if a line is a Jupyter magic command (starts with % or %%)
-   * @param line - Line of code
-   * @returns boolean
+   * Builds the fix removing a duplicate import: the alias (with its comma)
+   * when the statement imports several names, otherwise the whole statement
+   * @param code - Python source code
+   * @param stmt - Import statement containing the duplicate
+   * @param alias - Duplicate alias
+   * @param topLevel - Whether the statement is at module level (removing the
+   *   only statement of a block would leave it empty)
+   * @param cellOffset - Line offset for cell
+   * @returns Fix, or undefined when the statement can't be removed safely
    */
-  private isMagicCommand(line: string): boolean {
-    return /^\s*%%?[a-zA-Z]/.test(line);
+  private createRemoveImportFix(
+    code: string,
+    stmt: Import | ImportFrom,
+    alias: Alias,
+    topLevel: boolean,
+    cellOffset: number
+  ): LintFix | undefined {
+    const description = `Remove duplicate import of '${alias.asname || alias.name}'`;
+    const index = stmt.names.indexOf(alias);
+
+    if (stmt.names.length > 1) {
+      // "a, b" -> drop ", b"; for the first alias drop "a, "
+      const from = index > 0 ? stmt.names[index - 1].end : alias.start;
+      const to = index > 0 ? alias.end : stmt.names[index + 1].start;
+      return {
+        description,
+        edits: [
+          {
+            line: from.line + cellOffset,
+            column: from.column,
+            endLine: to.line + cellOffset,
+            endColumn: to.column,
+            text: '',
+          },
+        ],
+      };
+    }
+
+    // Only remove statements that sit on their own lines
+    const lines = code.split('\n');
+    const before = lines[stmt.start.line - 1].slice(0, stmt.start.column - 1);
+    const after = lines[stmt.end.line - 1].slice(stmt.end.column - 1);
+    if (!topLevel || before.trim() !== '' || !/^\s*(#.*)?$/.test(after)) {
+      return undefined;
+    }
+
+    let start = { line: stmt.start.line, column: 1 };
+    let end = { line: stmt.end.line + 1, column: 1 };
+    if (stmt.end.line === lines.length) {
+      // Last line: remove the preceding newline instead of a following one
+      end = {
+        line: stmt.end.line,
+        column: lines[stmt.end.line - 1].length + 1,
+      };
+      if (stmt.start.line > 1) {
+        start = {
+          line: stmt.start.line - 1,
+          column: lines[stmt.start.line - 2].length + 1,
+        };
+      }
+    }
+
+    return {
+      description,
+      edits: [
+        {
+          line: start.line + cellOffset,
+          column: start.column,
+          endLine: end.line + cellOffset,
+          endColumn: end.column,
+          text: '',
+        },
+      ],
+    };
   }
 
   /**
    * Runs the import issues rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const lines = code.split('\n');
-    const imports: Array<{ line: number; content: string }> = [];
-    let firstNonImportLine = -1;
-    let lastImportLine = -1;
-
-    lines.forEach((line, lineIndex) => {
-      const trimmedLine = line.trim();
-
-      // Skip empty lines, comments, shell commands, and magic commands
-      if (trimmedLine === '' || trimmedLine.startsWith('#')) {
-        return;
-      }
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
-        return;
-      }
-
-      const isImport = /^(import\s+|from\s+\S+\s+import\s+)/.test(trimmedLine);
-
-      if (isImport) {
-        imports.push({ line: lineIndex + 1, content: trimmedLine });
-        lastImportLine = lineIndex + 1;
-      } else if (firstNonImportLine === -1 && !isImport) {
-        firstNonImportLine = lineIndex + 1;
-      }
-    });
-
-    if (firstNonImportLine !== -1 && lastImportLine > firstNonImportLine) {
-      imports.forEach((imp) => {
-        if (imp.line > firstNonImportLine) {
+    const { module } = this.getParsed(code, context);
+
+    // Module-level imports must come before any other statement
+    const firstNonImport = module.body.find(
+      (stmt) => stmt.type !== 'Import' && stmt.type !== 'ImportFrom'
+    );
+    if (firstNonImport) {
+      module.body.forEach((stmt) => {
+        if (
+          (stmt.type === 'Import' || stmt.type === 'ImportFrom') &&
+          stmt.start.line > firstNonImport.start.line
+        ) {
           errors.push({
-            line: imp.line + cellOffset,
+            ...toSourceRange(stmt.start, stmt.end, cellOffset),
             msg: 'Import statement should be at the top of the file/cell',
             severity: 'info',
             rule: this.name,
@@ -79,99 +136,104 @@ export class ImportIssuesRule extends BaseRule {
       });
     }
 
-    lines.forEach((line, lineIndex) => {
-      // Skip shell commands and magic commands
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
-        return;
+    // First alias importing each name
+    const importedNames = new Map<string, Alias>();
+    const usedNames = new Set<string>();
+
+    /**
+     * Gets where an earlier cell imported the same name from the same module
+     * @param name - Bound name
+     * @param alias - Alias binding it
+     * @param stmt - Import statement of the alias
+     * @returns Where the name was first imported, as shown in the message,
+     *   or undefined when it isn't a repeat
+     */
+    const findUpstreamImport = (
+      name: string,
+      alias: Alias,
+      stmt: Import | ImportFrom
+    ): string | undefined => {
+      const symbol = context?.symbols?.get(name);
+      if (symbol?.kind !== 'import') {
+        return undefined;
       }
-      if (/^\s*from\s+\S+\s+import\s+\*/.test(line)) {
+      const source =
+        stmt.type === 'Import'
+          ? alias.name
+          : '.'.repeat(stmt.level) + (stmt.module ?? '');
+      const member = stmt.type === 'Import' ? undefined : alias.name;
+      return symbol.source === source && symbol.member === member
+        ? `in cell ${symbol.cellIndex + 1}, line ${symbol.line}`
+        : undefined;
+    };
+
+    const addImport = (
+      name: string,
+      alias: Alias,
+      stmt: Import | ImportFrom
+    ) => {
+      // Lines within the cell, as shown in the overlay
+      const first = importedNames.has(name)
+        ? `at line ${importedNames.get(name)!.start.line}`
+        : findUpstreamImport(name, alias, stmt);
+      if (first) {
+        const fix = this.createRemoveImportFix(
+          code,
+          stmt,
+          alias,
+          module.body.includes(stmt),
+          cellOffset
+        );
         errors.push({
-          line: lineIndex + 1 + cellOffset,
-          msg: "Wildcard import 'from X import *' is discouraged",
+          ...toSourceRange(alias.start, alias.end, cellOffset),
+          msg: `Duplicate import of '${name}' (first imported ${first})`,
           severity: 'warning',
           rule: this.name,
+          ...(fix && { fix }),
         });
+      } else {
+        importedNames.set(name, alias);
       }
-    });
-
-    const importedNames = new Map<string, number>();
-
-    lines.forEach((line, lineIndex) => {
-      // Skip shell commands and magic commands
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
-        return;
-      }
-
-      let match;
-
-      match =
-        /^\s*import\s+([a-zA-Z_][a-zA-Z0-9_.]*)(?:\s+as\s+([a-zA-Z_][a-zA-Z0-9_]*))?/.exec(
-          line
-        );
-      if (match) {
-        // Use alias if provided (match[2]), otherwise use the base module name from dotted import (match[1])
-        // Examples: "import matplotlib.pyplot as plt" -> "plt", "import numpy" -> "numpy"
-        const name = match[2] || match[1].split('.')[0];
-        if (importedNames.has(name)) {
-          errors.push({
-            line: lineIndex + 1 + cellOffset,
-            msg: `Duplicate import of '${name}' (first imported at line ${
-              importedNames.get(name)! + cellOffset
-            })`,
-            severity: 'warning',
-            rule: this.name,
+    };
+
+    walk(module, (node) => {
+      switch (node.type) {
+        case 'Import':
+          node.names.forEach((alias) => {
+            // "import matplotlib.pyplot as plt" -> "plt", "import os.path" -> "os"
+            addImport(alias.asname || alias.name.split('.')[0], alias, node);
           });
-        } else {
-          importedNames.set(name, lineIndex + 1);
-        }
-      }
-
-      match = /^\s*from\s+\S+\s+import\s+(.+)/.exec(line);
-      if (match && !match[1].trim().startsWith('*')) {
-        const importList = match[1].replace(/\(|\)/g, '').split(',');
-        importList.forEach((imp) => {
-          const asMatch = /(\S+)\s+as\s+(\S+)/.exec(imp.trim());
-          const name = asMatch ? asMatch[2] : imp.trim().split(' ')[0];
-
-          if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
-            if (importedNames.has(name)) {
+          return false;
+        case 'ImportFrom':
+          node.names.forEach((alias) => {
+            if (alias.name === '*') {
               errors.push({
-                line: lineIndex + 1 + cellOffset,
-                msg: `Duplicate import of '${name}' (first imported at line ${
-                  importedNames.get(name)! + cellOffset
-                })`,
+                ...toSourceRange(alias.start, alias.end, cellOffset),
+                msg: "Wildcard import 'from X import *' is discouraged",
                 severity: 'warning',
                 rule: this.name,
               });
             } else {
-              importedNames.set(name, lineIndex + 1);
+              addImport(alias.asname || alias.name, alias, node);
             }
+          });
+          return false;
+        case 'Name':
+          if (node.ctx !== 'store') {
+            usedNames.add(node.id);
           }
-        });
-      }
-    });
-
-    const usedNames = new Set<string>();
-    lines.forEach((line) => {
-      // Skip shell commands and magic commands for usage detection
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
-        return;
-      }
-      if (/^\s*(import|from)\s+/.test(line)) {
-        return;
-      }
-
-      const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b/g;
-      let identMatch;
-      while ((identMatch = identifierPattern.exec(line)) !== null) {
-        usedNames.add(identMatch[1]);
+          break;
       }
+      return true;
     });
 
-    importedNames.forEach((line, name) => {
-      if (!usedNames.has(name)) {
+    // Cells of a notebook (linted with the upstream symbols) can't see the
+    // cells after them, where the import may well be used
+    const notebookCell = context?.symbols !== undefined;
+    importedNames.forEach((alias, name) => {
+      if (!notebookCell && !usedNames.has(name)) {
         errors.push({
-          line: line + cellOffset,
+          ...toSourceRange(alias.start, alias.end, cellOffset),
           msg: `Imported '${name}' is unused`,
           severity: 'info',
           rule: this.name,
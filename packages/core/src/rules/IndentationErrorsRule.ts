@@ -1,115 +1,128 @@
 /**
  * Indentation Errors Rule
  * Detects Python indentation issues
- * Handles multi-line statements (unclosed brackets, backslash continuation)
+ * Handles multi-line statements (unclosed brackets, backslash continuation,
+ * multi-line strings) using the tokenizer's logical lines
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, LintFix, RuleMeta } from '../types';
+import { getLineSpan, getLogicalLines, toSourceRange } from '../parser';
 
-export class IndentationErrorsRule extends BaseRule {
-  name = 'indentationErrors';
-
-  /**
-   * Checks if a line is a shell command (starts with !)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private isShellCommand(line: string): boolean {
-    return /^\s*!/.test(line);
-  }
-
-  /**
-   * Checks if a line is a Jupyter magic command (starts with % or %%)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private isMagicCommand(line: string): boolean {
-    return /^\s*%%?[a-zA-Z]/.test(line);
+/**
+ * Expands tabs in indentation the way Python's tokenizer does, to the next
+ * multiple of 8 columns
+ * @param whitespace - Leading whitespace of a line
+ * @returns Same indentation in spaces
+ */
+function expandTabs(whitespace: string): string {
+  let expanded = '';
+  for (const char of whitespace) {
+    expanded += char === '\t' ? ' '.repeat(8 - (expanded.length % 8)) : char;
   }
+  return expanded;
+}
 
-  /**
-   * Counts unclosed brackets in a line (ignoring brackets in strings/comments)
-   * @param line - Line of code
-   * @returns Net bracket count (positive = unclosed opening brackets)
-   */
-  private countUnclosedBrackets(line: string): number {
-    // Remove strings and comments first
-    let cleaned = line.replace(/#.*$/, '');
-    cleaned = cleaned.replace(/(["'])(?:(?!\1|\\).|\\.)*\1/g, '');
-    cleaned = cleaned.replace(/"""[\s\S]*?"""/g, '');
-    cleaned = cleaned.replace(/'''[\s\S]*?'''/g, '');
-
-    let count = 0;
-    for (const char of cleaned) {
-      if (char === '(' || char === '[' || char === '{') {
-        count++;
-      } else if (char === ')' || char === ']' || char === '}') {
-        count--;
-      }
-    }
-    return count;
-  }
+export class IndentationErrorsRule extends BaseRule {
+  name = 'indentationErrors';
 
-  /**
-   * Checks if a line ends with a line continuation (backslash)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private endsWithContinuation(line: string): boolean {
-    // Remove comments first
-    const withoutComments = line.replace(/#.*$/, '');
-    return withoutComments.trimEnd().endsWith('\\');
-  }
+  meta: RuleMeta = {
+    title: 'Indentation Errors',
+    description:
+      'Detects missing or unexpected indentation and mixed tabs and spaces',
+    category: 'syntax',
+    defaultSeverity: 'error',
+    fixable: true,
+    examples: {
+      bad: 'for row in rows:\n\t    print(row)',
+      good: 'for row in rows:\n    print(row)',
+    },
+  };
 
   /**
    * Runs the indentation errors rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const lines = code.split('\n');
+    // Shell commands and magics are placeholder statements in the
+    // preprocessed code, indented like the lines around them
+    const parsed = this.getParsed(code, context);
+    const lines = parsed.code.split('\n');
+
+    // Physical lines that continue a logical line, and the last physical
+    // line of every logical line that ends with a colon
+    const continuationLines = new Set<number>();
+    const colonLines = new Set<number>();
+
+    getLogicalLines(parsed).forEach((logical) => {
+      for (let line = logical.startLine + 1; line <= logical.endLine; line++) {
+        continuationLines.add(line);
+      }
+      const last = logical.tokens[logical.tokens.length - 1];
+      if (last.type === 'OP' && last.value === ':') {
+        colonLines.add(logical.endLine);
+      }
+    });
 
     let usesTabs = false;
     let usesSpaces = false;
     let indentStack = [0];
     let prevLineEndsWithColon = false;
 
-    // Track multi-line statement state
-    let unclosedBracketCount = 0;
-    let inContinuation = false;
-
     lines.forEach((line, lineIndex) => {
       const lineNum = lineIndex + 1;
 
-      // Skip empty lines and comments
-      if (line.trim() === '' || line.trim().startsWith('#')) {
+      // Don't check indentation inside multi-line statements
+      if (continuationLines.has(lineNum)) {
+        prevLineEndsWithColon = colonLines.has(lineNum);
         return;
       }
 
-      // Skip shell commands and magic commands
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
+      // Skip empty lines and comments
+      if (line.trim() === '' || line.trim().startsWith('#')) {
         return;
       }
 
       const leadingWhitespace = line.match(/^(\s*)/)?.[1] || '';
 
+      // Findings point at the indentation, or at the statement when there
+      // is none (e.g. a missing indented block)
+      const { start, end } = getLineSpan(parsed.code, lineNum);
+      const range =
+        leadingWhitespace.length > 0
+          ? toSourceRange(
+              { line: lineNum, column: 1 },
+              { line: lineNum, column: leadingWhitespace.length + 1 },
+              cellOffset
+            )
+          : toSourceRange(start, end, cellOffset);
+
       const hasTabs = /\t/.test(leadingWhitespace);
       const hasSpaces = / /.test(leadingWhitespace);
 
+      // Tabs go to the next 8-column tab stop, as for Python, so the fix
+      // keeps the line in the same block
+      const expandedIndent = expandTabs(leadingWhitespace);
+      const tabFix: LintFix = {
+        description: 'Replace tabs in indentation with spaces',
+        edits: [{ ...range, text: expandedIndent }],
+      };
+
       if (hasTabs && hasSpaces) {
         errors.push({
-          line: lineNum + cellOffset,
+          ...range,
           msg: 'Mixed tabs and spaces in indentation',
           severity: 'error',
           rule: this.name,
+          fix: tabFix,
         });
       }
 
@@ -123,14 +136,15 @@ export class IndentationErrorsRule extends BaseRule {
       if (usesTabs && usesSpaces && (hasTabs || hasSpaces)) {
         if (hasTabs && usesSpaces && !hasSpaces) {
           errors.push({
-            line: lineNum + cellOffset,
+            ...range,
             msg: 'Inconsistent indentation: file uses spaces elsewhere but this line uses tabs',
             severity: 'warning',
             rule: this.name,
+            fix: tabFix,
           });
         } else if (hasSpaces && usesTabs && !hasTabs) {
           errors.push({
-            line: lineNum + cellOffset,
+            ...range,
             msg: 'Inconsistent indentation: file uses tabs elsewhere but this line uses spaces',
             severity: 'warning',
             rule: this.name,
@@ -138,25 +152,13 @@ export class IndentationErrorsRule extends BaseRule {
         }
       }
 
-      const indentLevel = leadingWhitespace.replace(/\t/g, '    ').length;
-
-      // If we're inside a multi-line statement (unclosed brackets or continuation),
-      // skip indentation checking for this line
-      if (unclosedBracketCount > 0 || inContinuation) {
-        // Update bracket count for this line
-        unclosedBracketCount += this.countUnclosedBrackets(line);
-        // Update continuation state
-        inContinuation = this.endsWithContinuation(line);
-        // Don't check indentation for continuation lines
-        prevLineEndsWithColon = /:\s*(#.*)?$/.test(line.trim());
-        return;
-      }
+      const indentLevel = expandedIndent.length;
 
       if (prevLineEndsWithColon) {
         const prevIndent = indentStack[indentStack.length - 1];
         if (indentLevel <= prevIndent) {
           errors.push({
-            line: lineNum + cellOffset,
+            ...range,
             msg: 'Expected indented block after colon',
             severity: 'error',
             rule: this.name,
@@ -169,7 +171,7 @@ export class IndentationErrorsRule extends BaseRule {
 
         if (indentLevel > currentIndent) {
           errors.push({
-            line: lineNum + cellOffset,
+            ...range,
             msg: 'Unexpected indent',
             severity: 'error',
             rule: this.name,
@@ -185,7 +187,7 @@ export class IndentationErrorsRule extends BaseRule {
 
           if (indentStack[indentStack.length - 1] !== indentLevel) {
             errors.push({
-              line: lineNum + cellOffset,
+              ...range,
               msg: `Unindent does not match any outer indentation level`,
               severity: 'error',
               rule: this.name,
@@ -195,17 +197,13 @@ export class IndentationErrorsRule extends BaseRule {
       }
 
       // Check for colon at end of line (for next iteration)
-      prevLineEndsWithColon = /:\s*(#.*)?$/.test(line.trim());
-
-      // Update multi-line statement tracking
-      unclosedBracketCount += this.countUnclosedBrackets(line);
-      inContinuation = this.endsWithContinuation(line);
+      prevLineEndsWithColon = colonLines.has(lineNum);
 
       if (hasSpaces) {
         const spaceCount = leadingWhitespace.replace(/\t/g, '').length;
         if (spaceCount > 0 && spaceCount % 4 !== 0 && spaceCount % 2 !== 0) {
           errors.push({
-            line: lineNum + cellOffset,
+            ...range,
             msg: `Inconsistent indentation: ${spaceCount} spaces (expected multiple of 2 or 4)`,
             severity: 'warning',
             rule: this.name,
@@ -4,140 +4,110 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import {
+  Expr,
+  FunctionDef,
+  ParsedSource,
+  Position,
+  getNodeText,
+  toSourceRange,
+  walk,
+} from '../parser';
 
 interface FunctionInfo {
   name: string;
-  startLine: number;
-  endLine: number;
+  nameStart: Position;
   body: string;
-  hasReturn?: boolean;
-  params: string;
-  indent: number;
-  bodyIndent: number | null;
+  hasReturn: boolean;
   decorators: string[];
 }
 
 export class MissingReturnRule extends BaseRule {
   name = 'missingReturn';
 
+  meta: RuleMeta = {
+    title: 'Missing Return',
+    description: 'Detects functions that compute a value but never return it',
+    category: 'correctness',
+    defaultSeverity: 'warning',
+    fixable: false,
+    examples: {
+      bad: 'def area(w, h):\n    result = w * h',
+      good: 'def area(w, h):\n    return w * h',
+    },
+  };
+
   /**
-   * Checks if a line contains a decorator
-   * @param line - Line of code
+   * Gets the dotted name of a decorator (arguments are ignored)
+   * @param decorator - Decorator expression
    * @returns Decorator name or null
    */
-  private extractDecorator(line: string): string | null {
-    const decoratorMatch = /^(\s*)@([a-zA-Z_][a-zA-Z0-9_.]*)\s*/.exec(line);
-    return decoratorMatch ? decoratorMatch[2] : null;
+  private extractDecorator(decorator: Expr): string | null {
+    switch (decorator.type) {
+      case 'Name':
+        return decorator.id;
+      case 'Attribute': {
+        const base = this.extractDecorator(decorator.value);
+        return base ? `${base}.${decorator.attr}` : null;
+      }
+      case 'Call':
+        return this.extractDecorator(decorator.func);
+      default:
+        return null;
+    }
   }
 
   /**
-   * Extracts function definitions with their bodies
-   * @param code - Python source code
+   * Extracts function definitions (including nested ones and methods)
+   * @param parsed - Parsed cell
    * @returns Array of function information
    */
-  private extractFunctions(code: string): FunctionInfo[] {
+  private extractFunctions(parsed: ParsedSource): FunctionInfo[] {
     const functions: FunctionInfo[] = [];
-    const lines = code.split('\n');
-    let currentFunc: FunctionInfo | null = null;
-    let pendingDecorators: string[] = [];
 
-    lines.forEach((line, lineIndex) => {
-      const lineNum = lineIndex + 1;
-
-      // Check for decorators
-      const decorator = this.extractDecorator(line);
-      if (decorator && !currentFunc) {
-        pendingDecorators.push(decorator);
+    walk(parsed.module, (node) => {
+      if (node.type !== 'FunctionDef') {
         return;
       }
-
-      const funcMatch =
-        /^(\s*)def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(([^)]*)\)/.exec(line);
-      if (funcMatch) {
-        if (currentFunc !== null) {
-          currentFunc.endLine = lineNum - 1;
-          currentFunc.hasReturn = this.checkHasReturn(currentFunc.body);
-          functions.push(currentFunc);
-        }
-
-        currentFunc = {
-          name: funcMatch[2],
-          startLine: lineNum,
-          endLine: lineNum,
-          body: '',
-          params: funcMatch[3],
-          indent: funcMatch[1].length,
-          bodyIndent: null,
-          decorators: [...pendingDecorators],
-        };
-        pendingDecorators = [];
-        return;
-      }
-
-      if (currentFunc) {
-        const lineIndentMatch = line.match(/^(\s*)/);
-        const lineIndent = lineIndentMatch ? lineIndentMatch[1].length : 0;
-        const trimmed = line.trim();
-
-        if (trimmed === '') {
-          currentFunc.body += line + '\n';
-          return;
-        }
-
-        if (
-          currentFunc.bodyIndent === null &&
-          lineIndent > currentFunc.indent
-        ) {
-          currentFunc.bodyIndent = lineIndent;
-        }
-
-        if (
-          currentFunc.bodyIndent !== null &&
-          lineIndent >= currentFunc.bodyIndent
-        ) {
-          currentFunc.body += line + '\n';
-          currentFunc.endLine = lineNum;
-        } else if (lineIndent <= currentFunc.indent && trimmed !== '') {
-          currentFunc.hasReturn = this.checkHasReturn(currentFunc.body);
-          functions.push(currentFunc);
-          currentFunc = null;
-          // Don't reset pendingDecorators here - they might be for the next function
-          // Check if this line is a decorator for the next function
-          const nextDecorator = this.extractDecorator(line);
-          if (nextDecorator) {
-            pendingDecorators.push(nextDecorator);
-          }
-        }
-      }
+      functions.push({
+        name: node.name,
+        nameStart: node.nameStart,
+        // Masked so names inside strings and comments don't count
+        body: node.body
+          .map((stmt) => getNodeText(parsed, stmt, true))
+          .join('\n'),
+        hasReturn: this.checkHasReturn(node),
+        decorators: node.decorators
+          .map((decorator) => this.extractDecorator(decorator))
+          .filter((name): name is string => name !== null),
+      });
     });
 
-    if (currentFunc !== null) {
-      const func = currentFunc as FunctionInfo;
-      func.hasReturn = this.checkHasReturn(func.body);
-      functions.push(func);
-    }
-
     return functions;
   }
 
   /**
    * Checks if function body has a return statement
-   * @param body - Function body
+   * (returns of nested functions, classes and lambdas don't count)
+   * @param func - Function definition
    * @returns boolean
    */
-  private checkHasReturn(body: string): boolean {
-    const lines = body.split('\n');
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.startsWith('#')) {
-        continue;
-      }
-      if (/^\s*return\s/.test(line) || /^\s*return$/.test(line)) {
-        return true;
-      }
-    }
-    return false;
+  private checkHasReturn(func: FunctionDef): boolean {
+    let hasReturn = false;
+    func.body.forEach((stmt) =>
+      walk(stmt, (node) => {
+        if (node.type === 'Return') {
+          hasReturn = true;
+        }
+        return (
+          node.type !== 'FunctionDef' &&
+          node.type !== 'ClassDef' &&
+          node.type !== 'Lambda'
+        );
+      })
+    );
+    return hasReturn;
   }
 
   /**
@@ -240,16 +210,16 @@ export class MissingReturnRule extends BaseRule {
    * Runs the missing return rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const functions = this.extractFunctions(code);
+    const functions = this.extractFunctions(this.getParsed(code, context));
 
     functions.forEach((func) => {
       if (this.isSpecialMethod(func.name, func.decorators)) {
@@ -257,8 +227,13 @@ export class MissingReturnRule extends BaseRule {
       }
 
       if (!func.hasReturn && this.looksNonVoid(func)) {
+        const { nameStart } = func;
         errors.push({
-          line: func.startLine + cellOffset,
+          ...toSourceRange(
+            nameStart,
+            { ...nameStart, column: nameStart.column + func.name.length },
+            cellOffset
+          ),
           msg: `Function '${func.name}' appears to compute a value but has no return statement`,
           severity: 'warning',
           rule: this.name,
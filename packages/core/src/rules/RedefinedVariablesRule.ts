@@ -4,7 +4,8 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import { Expr, Name, Position, toSourceRange, walk } from '../parser';
 
 interface DefinitionInfo {
   line: number;
@@ -14,6 +15,19 @@ interface DefinitionInfo {
 export class RedefinedVariablesRule extends BaseRule {
   name = 'redefinedVariables';
 
+  meta: RuleMeta = {
+    title: 'Redefined Built-ins',
+    description:
+      'Detects variables, functions and classes that shadow built-in names or earlier variables',
+    category: 'correctness',
+    defaultSeverity: 'warning',
+    fixable: false,
+    examples: {
+      bad: 'list = [1, 2, 3]',
+      good: 'values = [1, 2, 3]',
+    },
+  };
+
   private readonly BUILTIN_NAMES = new Set([
     'list',
     'dict',
@@ -85,138 +99,115 @@ export class RedefinedVariablesRule extends BaseRule {
     'frozenset',
   ]);
 
+  /**
+   * Gets the names an assignment target binds, unpacking included
+   * @param target - Assignment target
+   * @returns Name nodes in source order
+   */
+  private targetNames(target: Expr): Name[] {
+    const names: Name[] = [];
+    walk(target, (node) => {
+      if (node.type === 'Name' && node.ctx === 'store') {
+        names.push(node);
+      }
+      // Subscripts and attributes assign into an object, not to a name
+      return node.type !== 'Subscript' && node.type !== 'Attribute';
+    });
+    return names;
+  }
+
   /**
    * Runs the redefined variables rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const lines = code.split('\n');
-
     const definitions = new Map<string, DefinitionInfo[]>();
 
-    lines.forEach((line, lineIndex) => {
-      const lineNum = lineIndex + 1;
-
-      if (/^\s*#/.test(line)) {
-        return;
-      }
-
-      let match = /^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=(?!=)/.exec(line);
-      if (match) {
-        const name = match[1];
-
-        if (this.BUILTIN_NAMES.has(name)) {
-          errors.push({
-            line: lineNum + cellOffset,
-            msg: `Redefining built-in name '${name}'`,
-            severity: 'warning',
-            rule: this.name,
-          });
-        }
-
-        if (!definitions.has(name)) {
-          definitions.set(name, []);
-        }
-        definitions.get(name)!.push({
-          line: lineNum,
-          type: 'assignment',
-        });
+    const define = (name: string, info: DefinitionInfo) => {
+      if (!definitions.has(name)) {
+        definitions.set(name, []);
       }
-
-      match = /^\s*def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/.exec(line);
-      if (match) {
-        const name = match[1];
-
-        if (this.BUILTIN_NAMES.has(name)) {
-          errors.push({
-            line: lineNum + cellOffset,
-            msg: `Function name '${name}' shadows built-in`,
-            severity: 'warning',
-            rule: this.name,
-          });
-        }
-
-        if (definitions.has(name)) {
-          const prevDefs = definitions.get(name)!;
-          const varDefs = prevDefs.filter((d) => d.type === 'assignment');
-          if (varDefs.length > 0) {
-            errors.push({
-              line: lineNum + cellOffset,
-              msg: `Function '${name}' redefines variable (previously at line ${
-                varDefs[0].line + cellOffset
-              })`,
-              severity: 'warning',
-              rule: this.name,
+      definitions.get(name)!.push(info);
+    };
+
+    const report = (name: string, start: Position, msg: string) => {
+      errors.push({
+        ...toSourceRange(
+          start,
+          { line: start.line, column: start.column + name.length },
+          cellOffset
+        ),
+        msg,
+        severity: 'warning',
+        rule: this.name,
+      });
+    };
+
+    walk(this.getParsed(code, context).module, (node) => {
+      switch (node.type) {
+        case 'Assign':
+        case 'AnnAssign': {
+          const targets = node.type === 'Assign' ? node.targets : [node.target];
+          targets
+            .flatMap((target) => this.targetNames(target))
+            .forEach((name) => {
+              if (this.BUILTIN_NAMES.has(name.id)) {
+                report(
+                  name.id,
+                  name.start,
+                  `Redefining built-in name '${name.id}'`
+                );
+              }
+              define(name.id, { line: name.start.line, type: 'assignment' });
             });
-          }
-        }
-
-        if (!definitions.has(name)) {
-          definitions.set(name, []);
-        }
-        definitions.get(name)!.push({
-          line: lineNum,
-          type: 'function',
-        });
-      }
-
-      match = /^\s*class\s+([a-zA-Z_][a-zA-Z0-9_]*)/.exec(line);
-      if (match) {
-        const name = match[1];
-
-        if (this.BUILTIN_NAMES.has(name)) {
-          errors.push({
-            line: lineNum + cellOffset,
-            msg: `Class name '${name}' shadows built-in`,
-            severity: 'warning',
-            rule: this.name,
-          });
+          break;
         }
-
-        if (definitions.has(name)) {
-          const prevDefs = definitions.get(name)!;
-          const varDefs = prevDefs.filter((d) => d.type === 'assignment');
+        case 'FunctionDef':
+        case 'ClassDef': {
+          const kind = node.type === 'FunctionDef' ? 'Function' : 'Class';
+          if (this.BUILTIN_NAMES.has(node.name)) {
+            report(
+              node.name,
+              node.nameStart,
+              `${kind} name '${node.name}' shadows built-in`
+            );
+          }
+          const varDefs = (definitions.get(node.name) ?? []).filter(
+            (d) => d.type === 'assignment'
+          );
           if (varDefs.length > 0) {
-            errors.push({
-              line: lineNum + cellOffset,
-              msg: `Class '${name}' redefines variable (previously at line ${
-                varDefs[0].line + cellOffset
-              })`,
-              severity: 'warning',
-              rule: this.name,
-            });
+            report(
+              node.name,
+              node.nameStart,
+              // Line within the cell, as shown in the overlay
+              `${kind} '${node.name}' redefines variable (previously at line ${varDefs[0].line})`
+            );
           }
-        }
-
-        if (!definitions.has(name)) {
-          definitions.set(name, []);
-        }
-        definitions.get(name)!.push({
-          line: lineNum,
-          type: 'class',
-        });
-      }
-
-      match = /^\s*for\s+([a-zA-Z_][a-zA-Z0-9_]*)\s+in\s+/.exec(line);
-      if (match) {
-        const name = match[1];
-
-        if (this.BUILTIN_NAMES.has(name)) {
-          errors.push({
-            line: lineNum + cellOffset,
-            msg: `Loop variable '${name}' shadows built-in`,
-            severity: 'warning',
-            rule: this.name,
+          define(node.name, {
+            line: node.nameStart.line,
+            type: kind.toLowerCase(),
           });
+          break;
         }
+        case 'For':
+          this.targetNames(node.target).forEach((name) => {
+            if (this.BUILTIN_NAMES.has(name.id)) {
+              report(
+                name.id,
+                name.start,
+                `Loop variable '${name.id}' shadows built-in`
+              );
+            }
+          });
+          break;
       }
     });
 
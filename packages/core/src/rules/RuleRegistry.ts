@@ -0,0 +1,110 @@
+/**
+ * Rule Registry
+ * Looks up rules by name and describes them through their metadata
+ */
+
+import { LintRule, RuleMeta } from '../types';
+
+/** Rule metadata together with the rule name */
+export interface RuleInfo extends RuleMeta {
+  name: string;
+}
+
+/**
+ * Describes a rule, filling in metadata for custom rules that declare none
+ * @param rule - Lint rule
+ * @returns Rule metadata with the rule name
+ */
+export function describeRule(rule: LintRule): RuleInfo {
+  if (rule.meta) {
+    return { name: rule.name, ...rule.meta };
+  }
+  return {
+    name: rule.name,
+    // "undefinedVariables" -> "Undefined Variables"
+    title: rule.name
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/^./, (c) => c.toUpperCase()),
+    description: '',
+    category: 'correctness',
+    defaultSeverity: 'warning',
+    fixable: false,
+    examples: { bad: '', good: '' },
+  };
+}
+
+export class RuleRegistry {
+  private rules = new Map<string, LintRule>();
+
+  /**
+   * Constructor
+   * @param rules - Rules to register
+   */
+  constructor(rules: LintRule[] = []) {
+    rules.forEach((rule) => this.register(rule));
+  }
+
+  /**
+   * Registers a rule
+   * @param rule - Lint rule instance
+   * @throws Error if a rule with the same name is already registered
+   */
+  register(rule: LintRule): void {
+    if (this.rules.has(rule.name)) {
+      throw new Error(`Lint rule '${rule.name}' is already registered`);
+    }
+    this.rules.set(rule.name, rule);
+  }
+
+  /**
+   * Gets a rule by name
+   * @param name - Rule name
+   * @returns Rule, or undefined if unknown
+   */
+  get(name: string): LintRule | undefined {
+    return this.rules.get(name);
+  }
+
+  /**
+   * Checks whether a rule is registered
+   * @param name - Rule name
+   * @returns boolean
+   */
+  has(name: string): boolean {
+    return this.rules.has(name);
+  }
+
+  /**
+   * Gets all rules, in registration order
+   * @returns Array of rules
+   */
+  getAll(): LintRule[] {
+    return [...this.rules.values()];
+  }
+
+  /**
+   * Gets the names of all rules, in registration order
+   * @returns Array of rule names
+   */
+  getNames(): string[] {
+    return [...this.rules.keys()];
+  }
+
+  /**
+   * Gets the metadata of a rule
+   * @param name - Rule name
+   * @returns Rule metadata, or undefined if unknown
+   */
+  getMetadata(name: string): RuleInfo | undefined {
+    const rule = this.rules.get(name);
+    return rule && describeRule(rule);
+  }
+
+  /**
+   * Gets the metadata of all rules, in registration order
+   * @returns Array of rule metadata
+   */
+  getAllMetadata(): RuleInfo[] {
+    return this.getAll().map(describeRule);
+  }
+}
@@ -4,18 +4,31 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import { Token, toSourceRange } from '../parser';
 
 interface BracketInfo {
   char: string;
-  line: number;
-  column: number;
+  token: Token;
   expected: string;
 }
 
 export class UnclosedBracketsRule extends BaseRule {
   name = 'unclosedBrackets';
 
+  meta: RuleMeta = {
+    title: 'Unclosed Brackets',
+    description:
+      'Detects unclosed, unmatched and mismatched parentheses, brackets and braces',
+    category: 'syntax',
+    defaultSeverity: 'error',
+    fixable: false,
+    examples: {
+      bad: 'print(max(scores)',
+      good: 'print(max(scores))',
+    },
+  };
+
   private readonly BRACKETS: Record<string, string> = {
     '(': ')',
     '[': ']',
@@ -28,120 +41,39 @@ export class UnclosedBracketsRule extends BaseRule {
     '}': '{',
   };
 
-  /**
-   * Removes strings and comments from code for bracket matching
-   * @param code - Python source code
-   * @returns Code with strings and comments replaced
-   */
-  private removeStringsAndComments(code: string): string {
-    let result = '';
-    let i = 0;
-    let inString: string | null = null;
-    let inTripleString: string | null = null;
-    let inComment = false;
-
-    while (i < code.length) {
-      if (inComment) {
-        if (code[i] === '\n') {
-          inComment = false;
-          result += '\n';
-        } else {
-          result += ' ';
-        }
-        i++;
-        continue;
-      }
-
-      if (inTripleString) {
-        if (code.slice(i, i + 3) === inTripleString) {
-          result += '   ';
-          i += 3;
-          inTripleString = null;
-        } else {
-          result += code[i] === '\n' ? '\n' : ' ';
-          i++;
-        }
-        continue;
-      }
-
-      if (inString) {
-        if (code[i] === '\\' && i + 1 < code.length) {
-          result += '  ';
-          i += 2;
-        } else if (code[i] === inString) {
-          result += ' ';
-          inString = null;
-          i++;
-        } else {
-          result += code[i] === '\n' ? '\n' : ' ';
-          i++;
-        }
-        continue;
-      }
-
-      if (code[i] === '#' && !inString && !inTripleString) {
-        inComment = true;
-        result += ' ';
-        i++;
-        continue;
-      }
-
-      if (code.slice(i, i + 3) === '"""' || code.slice(i, i + 3) === "'''") {
-        inTripleString = code.slice(i, i + 3);
-        result += '   ';
-        i += 3;
-        continue;
-      }
-
-      if ((code[i] === '"' || code[i] === "'") && !inString) {
-        inString = code[i];
-        result += ' ';
-        i++;
-        continue;
-      }
-
-      result += code[i];
-      i++;
-    }
-
-    return result;
-  }
-
   /**
    * Runs the unclosed brackets rule
    * @param code - Python source code
    * @param cellOffset - Line offset for cell
-   * @param context - Lint context (unused in this rule)
+   * @param context - Lint context (provides the parsed cell)
    * @returns Array of lint errors
    */
   run(
     code: string,
     cellOffset: number = 0,
-    _context?: LintContext
+    context?: LintContext
   ): LintError[] {
     const errors: LintError[] = [];
-    const cleanCode = this.removeStringsAndComments(code);
-    const lines = cleanCode.split('\n');
+    const { tokens } = this.getParsed(code, context);
 
     const stack: BracketInfo[] = [];
 
-    lines.forEach((line, lineIndex) => {
-      const lineNum = lineIndex + 1;
-
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+    // Brackets inside strings, comments and f-string fields are not OP tokens
+    tokens
+      .filter((token) => token.type === 'OP')
+      .forEach((token) => {
+        const char = token.value;
 
         if (this.BRACKETS[char]) {
           stack.push({
             char: char,
-            line: lineNum,
-            column: i + 1,
+            token,
             expected: this.BRACKETS[char],
           });
         } else if (this.CLOSE_TO_OPEN[char]) {
           if (stack.length === 0) {
             errors.push({
-              line: lineNum + cellOffset,
+              ...toSourceRange(token.start, token.end, cellOffset),
               msg: `Unmatched closing '${char}'`,
               severity: 'error',
               rule: this.name,
@@ -152,7 +84,7 @@ export class UnclosedBracketsRule extends BaseRule {
               stack.pop();
             } else {
               errors.push({
-                line: lineNum + cellOffset,
+                ...toSourceRange(token.start, token.end, cellOffset),
                 msg: `Mismatched bracket: expected '${top.expected}' but found '${char}'`,
                 severity: 'error',
                 rule: this.name,
@@ -160,13 +92,13 @@ export class UnclosedBracketsRule extends BaseRule {
             }
           }
         }
-      }
-    });
+      });
 
     stack.forEach((unclosed) => {
+      const { start, end } = unclosed.token;
       errors.push({
-        line: unclosed.line + cellOffset,
-        msg: `Unclosed '${unclosed.char}' (opened at column ${unclosed.column})`,
+        ...toSourceRange(start, end, cellOffset),
+        msg: `Unclosed '${unclosed.char}' (opened at column ${start.column})`,
         severity: 'error',
         rule: this.name,
       });
@@ -5,13 +5,31 @@
  */
 
 import { BaseRule } from './BaseRule';
-import { LintError, LintContext } from '../types';
+import { LintError, LintContext, RuleMeta } from '../types';
+import { toSourceRange, walk } from '../parser';
+
+/** A name read by the code, with its position within the cell */
+interface UsedName {
+  name: string;
+  line: number;
+  column: number;
+}
 
 export class UndefinedVariablesRule extends BaseRule {
   name = 'undefinedVariables';
 
-  // Accumulated context from previous cells (for cross-cell variable tracking)
-  private accumulatedContext = new Set<string>();
+  meta: RuleMeta = {
+    title: 'Undefined Variables',
+    description:
+      'Detects names that are used before being defined in this or an earlier cell',
+    category: 'correctness',
+    defaultSeverity: 'error',
+    fixable: false,
+    examples: {
+      bad: 'total = price * quantity',
+      good: 'price, quantity = 10, 3\ntotal = price * quantity',
+    },
+  };
 
   private readonly PYTHON_BUILTINS = new Set([
     'abs',
@@ -190,189 +208,46 @@ export class UndefinedVariablesRule extends BaseRule {
   ]);
 
   /**
-   * Checks if a cell should be skipped entirely (magic commands like %%capture)
-   * @param code - Python source code
-   * @returns boolean
-   */
-  private shouldSkipCell(code: string): boolean {
-    const lines = code.split('\n');
-    // Check if the first non-empty line is a Jupyter magic command
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed === '') continue;
-      // Skip cells starting with %%capture or other cell magic commands
-      if (trimmed.startsWith('%%')) {
-        return true;
-      }
-      break;
-    }
-    return false;
-  }
-
-  /**
-   * Checks if a line is a shell command (starts with !)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private isShellCommand(line: string): boolean {
-    return /^\s*!/.test(line);
-  }
-
-  /**
-   * Checks if a line is a Jupyter magic command (starts with % or %%)
-   * @param line - Line of code
-   * @returns boolean
-   */
-  private isMagicCommand(line: string): boolean {
-    return /^\s*%%?[a-zA-Z]/.test(line);
-  }
-
-  /**
-   * Removes all string literals from code while preserving line structure
-   * This handles multi-line strings (triple quotes) and f-strings properly
-   * @param code - Python source code
-   * @returns Code with strings replaced by placeholders
-   */
-  private removeAllStrings(code: string): string {
-    let result = code;
-
-    // Remove triple-quoted strings (multi-line) first - both """ and '''
-    // Match optional f/r/b prefix (can be combined like fr, rf, br), triple quotes, content, triple quotes
-    result = result.replace(/[fFrRbBuU]{0,2}"""[\s\S]*?"""/g, (match) => {
-      // Replace with empty string but preserve newlines for line numbers
-      const newlines = (match.match(/\n/g) || []).length;
-      return '""' + '\n'.repeat(newlines);
-    });
-
-    result = result.replace(/[fFrRbBuU]{0,2}'''[\s\S]*?'''/g, (match) => {
-      const newlines = (match.match(/\n/g) || []).length;
-      return "''" + '\n'.repeat(newlines);
-    });
-
-    // Remove single-line strings (both single and double quotes)
-    // This handles f-strings, r-strings, and combinations (fr, rf, br, etc.)
-    result = result.replace(
-      /[fFrRbBuU]{0,2}(["'])(?:\\.|(?!\1)[^\\\n])*\1/g,
-      '""'
-    );
-
-    return result;
-  }
-
-  /**
-   * Extracts all defined names from Python code
+   * Collects every name bound in the syntax tree (assignments, loop, with
+   * and match targets, parameters, imports, function and class names)
    * @param code - Python source code
-   * @returns Set of defined names
+   * @param context - Lint context (provides the parsed cell)
+   * @returns Set of bound names
    */
-  private extractDefinedNames(code: string): Set<string> {
+  private extractDefinedNames(
+    code: string,
+    context?: LintContext
+  ): Set<string> {
     const defined = new Set<string>();
 
-    // Remove strings first to avoid false positives
-    const cleanedCode = this.removeAllStrings(code);
-    const lines = cleanedCode.split('\n');
-
-    lines.forEach((line) => {
-      // Skip shell commands and magic commands
-      if (this.isShellCommand(line) || this.isMagicCommand(line)) {
-        return;
-      }
-
-      let match;
-
-      match = /^\s*def\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(([^)]*)\)/.exec(line);
-      if (match) {
-        defined.add(match[1]);
-        const params = match[2].split(',');
-        params.forEach((param) => {
-          const paramName = param.split('=')[0].split(':')[0].trim();
-          if (paramName && /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(paramName)) {
-            if (paramName !== 'self' && paramName !== 'cls') {
-              defined.add(paramName);
-            }
+    walk(this.getParsed(code, context).module, (node, parent) => {
+      switch (node.type) {
+        case 'Name':
+          if (node.ctx === 'store') {
+            defined.add(node.id);
           }
-        });
-      }
-
-      match = /^\s*class\s+([a-zA-Z_][a-zA-Z0-9_]*)/.exec(line);
-      if (match) {
-        defined.add(match[1]);
-      }
-
-      match =
-        /^\s*([a-zA-Z_][a-zA-Z0-9_]*(?:\s*,\s*[a-zA-Z_][a-zA-Z0-9_]*)*)\s*=(?!=)/.exec(
-          line
-        );
-      if (match && !/^\s*(if|while|for|with|except|elif)/.test(line)) {
-        const names = match[1].split(',').map((n) => n.trim());
-        names.forEach((name) => {
-          if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
-            defined.add(name);
-          }
-        });
-      }
-
-      match =
-        /^\s*for\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\s*,\s*[a-zA-Z_][a-zA-Z0-9_]*)*)\s+in\s+/.exec(
-          line
-        );
-      if (match) {
-        const names = match[1].split(',').map((n) => n.trim());
-        names.forEach((name) => {
-          if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
-            defined.add(name);
-          }
-        });
-      }
-
-      match = /^\s*with\s+.+\s+as\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*:/.exec(line);
-      if (match) {
-        defined.add(match[1]);
-      }
-
-      match = /^\s*except\s+\w+\s+as\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*:/.exec(line);
-      if (match) {
-        defined.add(match[1]);
-      }
-
-      match =
-        /^\s*import\s+([a-zA-Z_][a-zA-Z0-9_.]*)(?:\s+as\s+([a-zA-Z_][a-zA-Z0-9_]*))?/.exec(
-          line
-        );
-      if (match) {
-        defined.add(match[2] || match[1].split('.')[0]);
-      }
-
-      match = /^\s*from\s+\S+\s+import\s+(.+)/.exec(line);
-      if (match) {
-        const imports = match[1].split(',');
-        imports.forEach((imp) => {
-          const asMatch = /(\S+)\s+as\s+(\S+)/.exec(imp.trim());
-          if (asMatch) {
-            defined.add(asMatch[2]);
-          } else {
-            const name = imp.trim().split(' ')[0];
-            if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) && name !== '*') {
-              defined.add(name);
-            }
+          break;
+        case 'FunctionDef':
+        case 'ClassDef':
+        case 'Parameter':
+          defined.add(node.name);
+          break;
+        case 'ExceptHandler':
+          if (node.name) {
+            defined.add(node.name);
           }
-        });
-      }
-
-      const lambdaMatch = /lambda\s+([^:]+):/.exec(line);
-      if (lambdaMatch) {
-        const params = lambdaMatch[1].split(',');
-        params.forEach((param) => {
-          const paramName = param.split('=')[0].trim();
-          if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(paramName)) {
-            defined.add(paramName);
+          break;
+        case 'Global':
+        case 'Nonlocal':
+          node.names.forEach((name) => defined.add(name));
+          break;
+        case 'Alias':
+          if (parent?.type === 'Import') {
+            defined.add(node.asname || node.name.split('.')[0]);
+          } else if (node.name !== '*') {
+            defined.add(node.asname || node.name);
           }
-        });
-      }
-
-      const listCompMatch =
-        /\[.+\s+for\s+([a-zA-Z_][a-zA-Z0-9_]*)\s+in\s+/.exec(line);
-      if (listCompMatch) {
-        defined.add(listCompMatch[1]);
+          break;
       }
     });
 
@@ -380,110 +255,27 @@ export class UndefinedVariablesRule extends BaseRule {
   }
 
   /**
-   * Extracts used variable names from Python code
+   * Collects the names the code reads (and deletes), in source order.
+   * Attributes, keyword arguments and imported names aren't `Name` nodes,
+   * so they are never reported
    * @param code - Python source code
-   * @returns Array of used names with line numbers
+   * @param context - Lint context (provides the parsed cell)
+   * @returns Array of used names with their line and column
    */
-  private extractUsedNames(
-    code: string
-  ): Array<{ name: string; line: number }> {
-    const used: Array<{ name: string; line: number }> = [];
-
-    // Remove all strings first (including multi-line strings and f-strings)
-    const cleanedCode = this.removeAllStrings(code);
-    const lines = cleanedCode.split('\n');
-
-    lines.forEach((line, lineIndex) => {
-      // Skip comments
-      if (/^\s*#/.test(line)) {
-        return;
-      }
-
-      // Skip shell commands (!)
-      if (this.isShellCommand(line)) {
-        return;
-      }
-
-      // Skip magic commands (% or %%)
-      if (this.isMagicCommand(line)) {
-        return;
-      }
-
-      // Skip import statements entirely (they don't use variables, they define them)
-      if (/^\s*(import|from)\s+/.test(line)) {
-        return;
-      }
-
-      // Remove comments from the line
-      let processedLine = line.replace(/#.*$/, '');
-
-      const identifierPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\b/g;
-      let match;
-
-      while ((match = identifierPattern.exec(processedLine)) !== null) {
-        const name = match[1];
-        const beforeChar = processedLine[match.index - 1];
-
-        // Skip attributes (preceded by '.')
-        if (beforeChar === '.') {
-          continue;
-        }
-
-        // Skip keyword arguments (name followed by '=' without '==' in function call context)
-        const afterMatch = processedLine.substring(match.index + name.length);
-        if (/^\s*=(?!=)/.test(afterMatch)) {
-          // Check if we're in a function call context (has open paren before)
-          const beforePart = processedLine.substring(0, match.index);
-          const openParens = (beforePart.match(/\(/g) || []).length;
-          const closeParens = (beforePart.match(/\)/g) || []).length;
-          if (openParens > closeParens) {
-            // We're inside parentheses, this is likely a keyword argument
-            continue;
-          }
-        }
-
-        const keywords = new Set([
-          'and',
-          'as',
-          'assert',
-          'async',
-          'await',
-          'break',
-          'class',
-          'continue',
-          'def',
-          'del',
-          'elif',
-          'else',
-          'except',
-          'finally',
-          'for',
-          'from',
-          'global',
-          'if',
-          'import',
-          'in',
-          'is',
-          'lambda',
-          'nonlocal',
-          'not',
-          'or',
-          'pass',
-          'raise',
-          'return',
-          'try',
-          'while',
-          'with',
-          'yield',
-        ]);
-
-        if (!keywords.has(name)) {
-          used.push({ name, line: lineIndex + 1 });
-        }
+  private extractUsedNames(code: string, context?: LintContext): UsedName[] {
+    const used: UsedName[] = [];
+
+    walk(this.getParsed(code, context).module, (node) => {
+      if (node.type === 'Name' && node.ctx !== 'store') {
+        used.push({
+          name: node.id,
+          line: node.start.line,
+          column: node.start.column,
+        });
       }
     });
 
-    return used;
+    return used.sort((a, b) => a.line - b.line || a.column - b.column);
   }
 
   /**
@@ -500,18 +292,10 @@ export class UndefinedVariablesRule extends BaseRule {
   ): LintError[] {
     const errors: LintError[] = [];
 
-    // Skip cells that start with magic commands like %%capture
-    if (this.shouldSkipCell(code)) {
-      // Still extract defined names to pass to next cells
-      // Note: In the new architecture, context should be managed by LintEngine
-      // This is just preserving the logic structure
-      return [];
-    }
+    const defined = this.extractDefinedNames(code, context);
+    const used = this.extractUsedNames(code, context);
 
-    const defined = this.extractDefinedNames(code);
-    const used = this.extractUsedNames(code);
-
-    // Get context from previous cells if available
+    // Names defined by previous cells (LintEngine's symbol table)
     const previousContext = context?.definedNames || new Set<string>();
 
     // Add implicit names that are always available in class methods
@@ -527,11 +311,15 @@ export class UndefinedVariablesRule extends BaseRule {
 
     const reported = new Set<string>();
 
-    used.forEach(({ name, line }) => {
+    used.forEach(({ name, line, column }) => {
       const key = `${name}:${line}`;
       if (!allKnown.has(name) && !reported.has(key)) {
         errors.push({
-          line: line + cellOffset,
+          ...toSourceRange(
+            { line, column },
+            { line, column: column + name.length },
+            cellOffset
+          ),
           msg: `Undefined variable '${name}'`,
           severity: 'error',
           rule: this.name,
@@ -543,45 +331,12 @@ export class UndefinedVariablesRule extends BaseRule {
     return errors;
   }
 
-  /**
-   * Reset accumulated context (call at start of notebook linting)
-   */
-  resetContext(): void {
-    this.accumulatedContext = new Set();
-  }
-
-  /**
-   * Get current accumulated context
-   * @returns Set of defined names
-   */
-  getAccumulatedContext(): Set<string> {
-    return new Set(this.accumulatedContext);
-  }
-
-  /**
-   * Add names to accumulated context
-   * @param names - Names to add
-   */
-  addToContext(names: Set<string>): void {
-    names.forEach((name) => this.accumulatedContext.add(name));
-  }
-
   // Expose helper methods for testing
   public extractDefinedNamesPublic(code: string): Set<string> {
     return this.extractDefinedNames(code);
   }
 
-  public extractUsedNamesPublic(
-    code: string
-  ): Array<{ name: string; line: number }> {
+  public extractUsedNamesPublic(code: string): UsedName[] {
     return this.extractUsedNames(code);
   }
-
-  public shouldSkipCellPublic(code: string): boolean {
-    return this.shouldSkipCell(code);
-  }
-
-  public removeAllStringsPublic(code: string): string {
-    return this.removeAllStrings(code);
-  }
 }
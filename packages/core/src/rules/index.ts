@@ -4,6 +4,7 @@
  */
 
 export * from './BaseRule';
+export * from './RuleRegistry';
 export * from './UndefinedVariablesRule';
 export * from './CapitalizationTyposRule';
 export * from './DuplicateFunctionsRule';
@@ -15,6 +16,7 @@ export * from './RedefinedVariablesRule';
 export * from './UnclosedBracketsRule';
 
 import { BaseRule } from './BaseRule';
+import { RuleInfo, describeRule } from './RuleRegistry';
 import { UndefinedVariablesRule } from './UndefinedVariablesRule';
 import { CapitalizationTyposRule } from './CapitalizationTyposRule';
 import { DuplicateFunctionsRule } from './DuplicateFunctionsRule';
@@ -39,3 +41,11 @@ export const DEFAULT_RULES: BaseRule[] = [
   new RedefinedVariablesRule(),
   new UnclosedBracketsRule(),
 ];
+
+/**
+ * Gets the metadata of the default rules (for settings UIs and docs)
+ * @returns Array of rule metadata, in default rule order
+ */
+export function getDefaultRuleMetadata(): RuleInfo[] {
+  return DEFAULT_RULES.map(describeRule);
+}
@@ -0,0 +1,274 @@
+/**
+ * Inline Suppressions
+ * Parses suppression comments in a cell and filters findings with them:
+ *   x = y  # noqa                       -> every finding on the line
+ *   x = y  # noqa: undefinedVariables   -> findings of the listed rules/codes
+ *   # kaggle-lint: disable=missingReturn   (before any code: whole cell)
+ *   # kaggle-lint: disable=missingReturn   (after code: until enable/cell end)
+ *   # kaggle-lint: enable=missingReturn
+ * Comments are read from the tokenizer, so look-alikes inside strings are
+ * ignored. The same comments apply to LintEngine and Flake8Engine findings
+ */
+
+import { LintError } from '../types';
+import {
+  ParsedSource,
+  Token,
+  getLogicalLines,
+  parsePython,
+  toSourceRange,
+} from '../parser';
+
+/** Rule name of the findings reported for suppressions that match nothing */
+export const UNUSED_SUPPRESSION_RULE = 'unusedSuppression';
+
+export type SuppressionKind = 'line' | 'block' | 'cell';
+
+export interface Suppression {
+  kind: SuppressionKind;
+  /** Cell line of the comment that created the suppression */
+  line: number;
+  /** Columns of the comment (end exclusive) */
+  column: number;
+  endColumn: number;
+  /** First cell line covered (inclusive) */
+  startLine: number;
+  /** Last cell line covered (inclusive) */
+  endLine: number;
+  /** Rule names or error codes; null suppresses everything */
+  ids: string[] | null;
+}
+
+export interface SuppressionResult {
+  /** Findings that were not suppressed */
+  errors: LintError[];
+  /** Findings removed by a suppression */
+  suppressed: LintError[];
+  /** Suppressions (or single ids of them) that matched no finding */
+  unused: Suppression[];
+}
+
+const NOQA_PATTERN =
+  /#\s*noqa(?::\s*([\w./-]+(?:\s*,\s*[\w./-]+)*))?(?![\w:])/i;
+
+// The keyword ends the comment or takes an id list: "disable-next-line" and
+// other typos aren't a bare "disable" silencing the rest of the cell
+const DIRECTIVE_PATTERN =
+  /#\s*kaggle-lint:\s*(disable|enable)(?=\s*(?:=|$))(?:\s*=\s*([\w./-]+(?:\s*,\s*[\w./-]+)*))?/;
+
+/** flake8-style codes (E501, F4) also match by prefix */
+const CODE_PATTERN = /^[A-Z]+\d*$/;
+
+/**
+ * Splits a comma separated id list
+ * @param list - Raw id list from the comment
+ * @returns Ids, or null when the list is empty
+ */
+function parseIds(list: string | undefined): string[] | null {
+  const ids = (list || '').split(/[\s,]+/).filter(Boolean);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Parses the suppression comments of a cell
+ * @param code - Python source code of the cell
+ * @param parsed - Parsed cell (parsed on demand when omitted)
+ * @returns Suppressions with cell-relative line ranges
+ */
+export function parseSuppressions(
+  code: string,
+  parsed: ParsedSource = parsePython(code)
+): Suppression[] {
+  const suppressions: Suppression[] = [];
+  const lastLine = parsed.lineStarts.length;
+
+  const firstCodeToken = parsed.tokens.find(
+    (t) =>
+      t.type !== 'COMMENT' &&
+      t.type !== 'NL' &&
+      t.type !== 'NEWLINE' &&
+      t.type !== 'ENDMARKER'
+  );
+  const firstCodeLine = firstCodeToken ? firstCodeToken.start.line : Infinity;
+
+  // A noqa comment covers every physical line of its logical line
+  const logicalRange = new Map<number, [number, number]>();
+  getLogicalLines(parsed).forEach(({ startLine, endLine }) => {
+    for (let line = startLine; line <= endLine; line++) {
+      logicalRange.set(line, [startLine, endLine]);
+    }
+  });
+
+  // Comments opening a block, by id ('*' for a bare disable)
+  const openBlocks = new Map<string, Token>();
+  const closeBlock = (id: string, endLine: number) => {
+    const comment = openBlocks.get(id)!;
+    const startLine = comment.start.line;
+    openBlocks.delete(id);
+    suppressions.push({
+      kind: 'block',
+      line: startLine,
+      column: comment.start.column,
+      endColumn: comment.end.column,
+      startLine,
+      endLine,
+      ids: id === '*' ? null : [id],
+    });
+  };
+
+  parsed.tokens
+    .filter((t) => t.type === 'COMMENT')
+    .forEach((token) => {
+      const line = token.start.line;
+      const columns = {
+        column: token.start.column,
+        endColumn: token.end.column,
+      };
+
+      const directive = DIRECTIVE_PATTERN.exec(token.value);
+      if (directive) {
+        const ids = parseIds(directive[2]);
+
+        if (directive[1] === 'disable' && line < firstCodeLine) {
+          suppressions.push({
+            kind: 'cell',
+            line,
+            ...columns,
+            startLine: 1,
+            endLine: lastLine,
+            ids,
+          });
+        } else if (directive[1] === 'disable') {
+          (ids || ['*']).forEach((id) => {
+            if (!openBlocks.has(id)) {
+              openBlocks.set(id, token);
+            }
+          });
+        } else {
+          (ids || [...openBlocks.keys()])
+            .filter((id) => openBlocks.has(id))
+            .forEach((id) => closeBlock(id, line));
+        }
+        return;
+      }
+
+      const noqa = NOQA_PATTERN.exec(token.value);
+      if (noqa) {
+        const [startLine, endLine] = logicalRange.get(line) || [line, line];
+        suppressions.push({
+          kind: 'line',
+          line,
+          ...columns,
+          startLine,
+          endLine,
+          ids: parseIds(noqa[1]),
+        });
+      }
+    });
+
+  [...openBlocks.keys()].forEach((id) => closeBlock(id, lastLine));
+
+  return suppressions.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Checks whether a suppression id matches a finding
+ * @param id - Rule name or error code from the comment
+ * @param error - Finding
+ * @returns boolean
+ */
+function idMatches(id: string, error: LintError): boolean {
+  if (id === error.rule || id === error.code) {
+    return true;
+  }
+  return CODE_PATTERN.test(id) && !!error.code && error.code.startsWith(id);
+}
+
+/**
+ * Removes suppressed findings
+ * @param errors - Findings of one cell
+ * @param suppressions - Suppressions of the same cell
+ * @param cellOffset - Line offset of the cell (findings use global lines)
+ * @returns Remaining and suppressed findings, plus unused suppressions
+ */
+export function applySuppressions(
+  errors: LintError[],
+  suppressions: Suppression[],
+  cellOffset: number = 0
+): SuppressionResult {
+  const usedIds = suppressions.map(() => new Set<string>());
+  const kept: LintError[] = [];
+  const suppressed: LintError[] = [];
+
+  errors.forEach((error) => {
+    const line = error.line - cellOffset;
+    let matched = false;
+
+    suppressions.forEach((suppression, index) => {
+      if (line < suppression.startLine || line > suppression.endLine) {
+        return;
+      }
+      if (suppression.ids === null) {
+        usedIds[index].add('*');
+        matched = true;
+        return;
+      }
+      suppression.ids.forEach((id) => {
+        if (idMatches(id, error)) {
+          usedIds[index].add(id);
+          matched = true;
+        }
+      });
+    });
+
+    (matched ? suppressed : kept).push(error);
+  });
+
+  const unused: Suppression[] = [];
+  suppressions.forEach((suppression, index) => {
+    if (suppression.ids === null) {
+      if (usedIds[index].size === 0) {
+        unused.push(suppression);
+      }
+      return;
+    }
+    const unusedIds = suppression.ids.filter((id) => !usedIds[index].has(id));
+    if (unusedIds.length > 0) {
+      unused.push({ ...suppression, ids: unusedIds });
+    }
+  });
+
+  return { errors: kept, suppressed, unused };
+}
+
+/**
+ * Creates findings for suppressions that matched nothing
+ * @param unused - Unused suppressions from applySuppressions
+ * @param cellOffset - Line offset of the cell
+ * @returns Info-level findings
+ */
+export function createUnusedSuppressionErrors(
+  unused: Suppression[],
+  cellOffset: number = 0
+): LintError[] {
+  return unused.map((suppression) => {
+    const target = suppression.ids
+      ? suppression.ids.map((id) => `'${id}'`).join(', ')
+      : 'all rules';
+    const description =
+      suppression.kind === 'line'
+        ? `Unused 'noqa' comment for ${target}`
+        : `Unused 'kaggle-lint: disable' comment for ${target}`;
+
+    return {
+      ...toSourceRange(
+        { line: suppression.line, column: suppression.column },
+        { line: suppression.line, column: suppression.endColumn },
+        cellOffset
+      ),
+      msg: `${description}: no finding was suppressed`,
+      severity: 'info',
+      rule: UNUSED_SUPPRESSION_RULE,
+    };
+  });
+}
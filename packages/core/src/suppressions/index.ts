@@ -0,0 +1,6 @@
+/**
+ * Suppressions Index
+ * Exports inline suppression comment handling
+ */
+
+export * from './InlineSuppressions';
@@ -0,0 +1,222 @@
+/**
+ * Symbol Table
+ * Names a notebook defines at module level, with what kind of symbol each
+ * one is, where it was defined and where imports come from. LintEngine
+ * builds it cell by cell and hands it to every rule
+ */
+
+import type { LintContext } from '../types';
+import { Node, ParsedSource, walk } from '../parser';
+
+export type SymbolKind = 'import' | 'function' | 'class' | 'variable';
+
+export interface NotebookSymbol {
+  name: string;
+  kind: SymbolKind;
+  /** Index of the cell that defined the name */
+  cellIndex: number;
+  /** Position of the name within that cell (1-based) */
+  line: number;
+  column: number;
+  /**
+   * Module an import comes from, with leading dots for relative imports
+   * (e.g. 'numpy' for `import numpy as np`, 'sklearn.metrics' for
+   * `from sklearn.metrics import f1_score`)
+   */
+  source?: string;
+  /** Name imported from the module by `from ... import` (e.g. 'f1_score') */
+  member?: string;
+}
+
+/**
+ * Collects the names a cell binds at module level, in source order.
+ * Function and class bodies are their own scope, apart from names they
+ * declare `global`; comprehension and lambda variables don't leak
+ * @param parsed - Parsed cell
+ * @param cellIndex - Index of the cell
+ * @returns Symbols defined by the cell
+ */
+export function collectSymbols(
+  parsed: ParsedSource,
+  cellIndex: number
+): NotebookSymbol[] {
+  const symbols: NotebookSymbol[] = [];
+
+  const add = (
+    name: string,
+    kind: SymbolKind,
+    node: { line: number; column: number },
+    extra?: Pick<NotebookSymbol, 'source' | 'member'>
+  ) => {
+    symbols.push({
+      name,
+      kind,
+      cellIndex,
+      line: node.line,
+      column: node.column,
+      ...extra,
+    });
+  };
+
+  const visit = (node: Node, parent: Node | null): boolean => {
+    switch (node.type) {
+      case 'FunctionDef':
+      case 'ClassDef':
+        add(
+          node.name,
+          node.type === 'ClassDef' ? 'class' : 'function',
+          node.nameStart
+        );
+        walk(node, (inner) => {
+          if (inner.type === 'Global') {
+            inner.names.forEach((name) => add(name, 'variable', inner.start));
+          }
+        });
+        return false;
+      case 'Lambda':
+      case 'ListComp':
+      case 'SetComp':
+      case 'DictComp':
+      case 'GeneratorExp':
+        return false;
+      case 'Name':
+        if (node.ctx === 'store') {
+          add(node.id, 'variable', node.start);
+        }
+        return true;
+      case 'ExceptHandler':
+        if (node.name) {
+          add(node.name, 'variable', node.start);
+        }
+        return true;
+      case 'Alias':
+        if (parent?.type === 'Import') {
+          // "import os.path" binds "os"; "import matplotlib.pyplot as plt" binds "plt"
+          add(node.asname || node.name.split('.')[0], 'import', node.start, {
+            source: node.name,
+          });
+        } else if (parent?.type === 'ImportFrom' && node.name !== '*') {
+          add(node.asname || node.name, 'import', node.start, {
+            source: '.'.repeat(parent.level) + (parent.module ?? ''),
+            member: node.name,
+          });
+        }
+        return false;
+      default:
+        return true;
+    }
+  };
+
+  walk(parsed.module, visit);
+  return symbols;
+}
+
+/**
+ * Latest definition of every name, across the cells linted so far
+ */
+export class SymbolTable {
+  private symbols = new Map<string, NotebookSymbol>();
+
+  /**
+   * Adds the definitions of a cell; a name defined again is replaced by
+   * its latest definition
+   * @param symbols - Symbols in source order
+   */
+  define(symbols: NotebookSymbol[]): void {
+    symbols.forEach((symbol) => {
+      this.symbols.delete(symbol.name);
+      this.symbols.set(symbol.name, symbol);
+    });
+  }
+
+  /**
+   * Gets the latest definition of a name
+   * @param name - Name to look up
+   * @returns Symbol, or undefined when the name isn't defined
+   */
+  get(name: string): NotebookSymbol | undefined {
+    return this.symbols.get(name);
+  }
+
+  /**
+   * Checks whether a name is defined
+   * @param name - Name to look up
+   * @returns boolean
+   */
+  has(name: string): boolean {
+    return this.symbols.has(name);
+  }
+
+  /**
+   * Gets every defined name
+   * @returns Symbols, least recently defined first
+   */
+  getSymbols(): NotebookSymbol[] {
+    return [...this.symbols.values()];
+  }
+
+  /**
+   * Removes every definition
+   */
+  clear(): void {
+    this.symbols.clear();
+  }
+
+  /**
+   * Builds a string that changes whenever a definition does, for cache keys.
+   * Variables only count by name, so lines added above them in an earlier
+   * cell keep the cells after it cached
+   * @returns Key
+   */
+  getKey(): string {
+    return this.getSymbols()
+      .map((symbol) =>
+        symbol.kind === 'variable'
+          ? symbol.name
+          : [
+              symbol.name,
+              symbol.kind,
+              symbol.cellIndex,
+              symbol.line,
+              symbol.column,
+              symbol.source ?? '',
+              symbol.member ?? '',
+            ].join(':')
+      )
+      .sort()
+      .join(',');
+  }
+
+  /**
+   * Builds the cross-cell part of a rule's context, as a snapshot that
+   * later definitions don't change
+   * @returns Symbols plus the defined names, imported modules, function
+   *   names and class names
+   */
+  toContext(): LintContext {
+    const context = {
+      symbols: new Map(this.symbols) as ReadonlyMap<string, NotebookSymbol>,
+      definedNames: new Set<string>(),
+      importedModules: new Set<string>(),
+      functionNames: new Set<string>(),
+      classNames: new Set<string>(),
+    };
+
+    this.symbols.forEach((symbol) => {
+      context.definedNames.add(symbol.name);
+      switch (symbol.kind) {
+        case 'import':
+          context.importedModules.add(symbol.source!);
+          break;
+        case 'function':
+          context.functionNames.add(symbol.name);
+          break;
+        case 'class':
+          context.classNames.add(symbol.name);
+          break;
+      }
+    });
+
+    return context;
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Symbols Index
+ * Exports the notebook symbol table
+ */
+
+export * from './SymbolTable';
@@ -2,23 +2,87 @@
  * Core TypeScript type definitions for Kaggle Python Linter
  */
 
+import type { ParsedSource } from '../parser';
+import type { InternalDiagnostic } from '../diagnostics';
+import type { NotebookSymbol } from '../symbols';
+import type { PreprocessedCell } from '../preprocessor';
+
 export type Severity = 'error' | 'warning' | 'info';
 
 export interface LintError {
   line: number;
   column?: number;
+  /**
+   * End of the reported span (exclusive). Built-in rules always set
+   * column, endLine and endColumn; LintEngine fills them in for custom rules
+   */
+  endLine?: number;
+  endColumn?: number;
   msg: string;
   severity: Severity;
   rule?: string;
   code?: string; // For flake8 error codes
   cellIndex?: number;
+  /** Machine-applicable fix, applied with applyFixes() */
+  fix?: LintFix;
+  /**
+   * Stable identity of the finding (rule, code snippet and enclosing
+   * def/class, no line numbers), used by baselines. Set by LintEngine
+   */
+  fingerprint?: string;
+  /** Set on `internal` findings: the rule that crashed and why */
+  internal?: InternalDiagnostic;
+}
+
+/**
+ * Span of source text. Positions are 1-based, the end is exclusive and lines
+ * use the same numbering as LintError.line (including the cell offset)
+ */
+export interface SourceRange {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+/**
+ * Replaces a range of text
+ */
+export interface TextEdit extends SourceRange {
+  /** Replacement text ('' deletes the range) */
+  text: string;
+}
+
+export interface LintFix {
+  /** Short description of the change (e.g. "Replace 'true' with 'True'") */
+  description: string;
+  /** Edits applied together; a fix is never applied partially */
+  edits: TextEdit[];
 }
 
 export interface LintContext {
+  /**
+   * Latest definition of every name the previous cells define at module
+   * level, filled by LintEngine.lintNotebook
+   */
+  symbols?: ReadonlyMap<string, NotebookSymbol>;
+  /** Every name in `symbols` */
   definedNames?: Set<string>;
+  /** Modules the previous cells import from (e.g. 'numpy', 'os.path') */
   importedModules?: Set<string>;
+  /** Names whose latest definition is a function */
   functionNames?: Set<string>;
+  /** Names whose latest definition is a class */
   classNames?: Set<string>;
+  /** Index of the cell being linted */
+  cellIndex?: number;
+  /**
+   * The cell as written and where it used IPython syntax; rules get the
+   * preprocessed code
+   */
+  ipython?: PreprocessedCell;
+  /** Tokens and AST of the cell being linted, computed once by LintEngine */
+  parsed?: ParsedSource;
 }
 
 export interface LintResult {
@@ -26,8 +90,34 @@ export interface LintResult {
   newContext?: LintContext;
 }
 
+export type RuleCategory =
+  | 'correctness'
+  | 'syntax'
+  | 'style'
+  | 'imports'
+  | 'notebook';
+
+/**
+ * Documentation of a rule, shared by the popup, the overlay and reporters
+ */
+export interface RuleMeta {
+  /** Display name (e.g. "Undefined Variables") */
+  title: string;
+  /** One-sentence summary of what the rule detects */
+  description: string;
+  category: RuleCategory;
+  /** Severity of the rule's main finding, before severityLevels overrides */
+  defaultSeverity: Severity;
+  /** Whether findings carry a fix that applyFixes() can apply */
+  fixable: boolean;
+  /** Code the rule reports, and the corrected version */
+  examples: { bad: string; good: string };
+}
+
 export interface LintRule {
   name: string;
+  /** Optional for custom rules; every built-in rule declares it */
+  meta?: RuleMeta;
   run(
     code: string,
     cellOffset: number,
@@ -36,8 +126,65 @@ export interface LintRule {
 }
 
 export interface LintEngineConfig {
-  rules?: string[];
+  /**
+   * Rules to run: either an allowlist of rule names, or a map of rule name
+   * to enabled flag (rules missing from the map stay enabled)
+   */
+  rules?: string[] | Record<string, boolean>;
+  /** Severity overrides by rule name (e.g. { missingReturn: 'info' }) */
+  severityLevels?: Record<string, Severity>;
+  /** Report `# noqa` / `# kaggle-lint: disable` comments that match nothing */
+  reportUnusedSuppressions?: boolean;
+  /**
+   * Cache per-cell results in lintNotebook and only re-lint cells whose code,
+   * position or upstream definitions changed
+   */
+  incremental?: boolean;
+  /**
+   * Time a rule may spend on one cell (ms). Rules run synchronously, so a
+   * slow rule still finishes the cell it is on; it is then reported with an
+   * `internal` finding and skipped for the rest of the run
+   */
+  ruleTimeBudget?: number;
+  /**
+   * Record wall time per rule and per cell, and findings per rule, for
+   * LintEngine.getProfile()
+   */
+  profile?: boolean;
+}
+
+/**
+ * Shareable lint policy: stored in `.kagglelintrc.json`, in notebook
+ * metadata under `kaggle-lint`, or in a `# kaggle-lint-config` comment block
+ * at the top of the first cell
+ */
+export interface KaggleLintConfig {
+  /** Map of rule name to enabled flag */
+  rules?: Record<string, boolean>;
+  /** Severity overrides by rule name */
   severityLevels?: Record<string, Severity>;
+  reportUnusedSuppressions?: boolean;
+}
+
+/**
+ * Bundle of third-party rules loaded with LintEngine.loadPlugin(). Rules are
+ * exposed as `<name>/<rule key>` (e.g. `myteam/no-print`)
+ */
+export interface LintPlugin {
+  /** Namespace of the plugin's rules (letters, digits, '-', '_', '.', '@') */
+  name: string;
+  version?: string;
+  description?: string;
+  /** Rules by short name; each rule's own `name` is ignored */
+  rules: Record<string, LintRule>;
+  /**
+   * Defaults for the plugin's rules, by short name. The engine config
+   * (LintEngine.configure) takes precedence
+   */
+  config?: {
+    rules?: Record<string, boolean>;
+    severityLevels?: Record<string, Severity>;
+  };
 }
 
 export interface CodeCell {
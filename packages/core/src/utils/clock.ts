@@ -0,0 +1,13 @@
+/**
+ * Clock
+ * Monotonic time for measuring how long rules take
+ */
+
+/**
+ * Gets the current time in milliseconds, with sub-millisecond precision
+ * where the runtime has a high-resolution clock
+ * @returns Milliseconds since an arbitrary origin
+ */
+export function now(): number {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
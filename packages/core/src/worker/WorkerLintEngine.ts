@@ -0,0 +1,301 @@
+/**
+ * Worker Lint Engine
+ * Page-side counterpart of the lint worker: the Engine interface over a
+ * LintEngine running off the main thread. DOM elements are stripped before
+ * cells are sent and re-attached to the errors coming back. Starting a new
+ * lint cancels the one still running
+ */
+
+import { LintEngineConfig, LintError } from '../types';
+import {
+  Engine,
+  EngineCapabilities,
+  EngineLintOptions,
+  ErrorStats,
+  NotebookCell,
+  NotebookError,
+  createAbortError,
+  createDisposedError,
+  getErrorStats,
+} from '../engines/Engine';
+import { LintProfile } from '../profiling';
+import { LintWorkerLike, LintWorkerResponse } from './protocol';
+
+const CANCELLED_MESSAGE = 'Lint request was cancelled by a newer request';
+
+/** Abort signal and progress callback of a worker lint */
+export type WorkerLintOptions = EngineLintOptions;
+
+interface PendingRequest {
+  resolve: (message: Extract<LintWorkerResponse, { type: 'done' }>) => void;
+  reject: (error: Error) => void;
+  onProgress?: (
+    message: Extract<LintWorkerResponse, { type: 'progress' }>
+  ) => void;
+}
+
+export class WorkerLintEngine implements Engine {
+  readonly name = 'builtin';
+  readonly capabilities: EngineCapabilities = {
+    fixes: true,
+    configurable: true,
+    streaming: true,
+    heavyLoad: false,
+    profiling: true,
+  };
+  private worker: LintWorkerLike;
+  private terminated = false;
+  private nextId = 1;
+  private pending = new Map<number, PendingRequest>();
+  private activeLintId: number | null = null;
+  private profile: LintProfile | null = null;
+
+  /**
+   * Constructor
+   * @param worker - Worker running startLintWorker (or an in-thread stand-in)
+   */
+  constructor(worker: LintWorkerLike) {
+    this.worker = worker;
+    this.worker.addEventListener('message', ({ data }) =>
+      this.handleMessage(data)
+    );
+    this.worker.addEventListener('error', (event) =>
+      this.rejectAll(
+        new Error(`Lint worker failed: ${event.message || 'unknown error'}`)
+      )
+    );
+  }
+
+  /**
+   * Rejects every pending request
+   * @param error - Rejection reason
+   */
+  private rejectAll(error: Error): void {
+    this.activeLintId = null;
+    this.pending.forEach((request) => request.reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Routes a worker message to its pending request
+   * @param message - Worker response
+   */
+  private handleMessage(message: LintWorkerResponse): void {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'progress':
+        request.onProgress?.(message);
+        return;
+      case 'done':
+        if (message.profile !== undefined) {
+          this.profile = message.profile;
+        }
+        request.resolve(message);
+        break;
+      case 'cancelled':
+        request.reject(createAbortError(CANCELLED_MESSAGE));
+        break;
+      case 'error':
+        request.reject(new Error(message.message));
+        break;
+    }
+    this.pending.delete(message.id);
+  }
+
+  /**
+   * Applies a config to the worker's engine
+   * @param config - Engine config
+   * @returns Promise rejecting if the config references unknown rule names
+   *   or the worker was terminated
+   */
+  configure(config: LintEngineConfig): Promise<void> {
+    // A terminated worker never answers
+    if (this.terminated) {
+      return Promise.reject(createDisposedError(this.name));
+    }
+    const id = this.nextId++;
+    return new Promise<void>((resolve, reject) => {
+      this.pending.set(id, { resolve: () => resolve(), reject });
+      this.worker.postMessage({ type: 'configure', id, config });
+    });
+  }
+
+  /**
+   * Nothing to load: the worker starts with its engine ready
+   * @throws Error if the worker was terminated
+   */
+  async load(): Promise<void> {
+    if (this.terminated) {
+      throw createDisposedError(this.name);
+    }
+  }
+
+  /**
+   * Checks if the engine is ready
+   * @returns Whether the worker is still running
+   */
+  isReady(): boolean {
+    return !this.terminated;
+  }
+
+  /**
+   * Lints one piece of code in the worker, after a running lint (which it
+   * does not cancel)
+   * @param code - Python source code
+   * @param cellOffset - Line offset for global line numbers
+   * @param cellIndex - Cell index for cell-specific rules
+   * @returns Promise of the errors; rejects if the worker was terminated
+   */
+  lintCell(
+    code: string,
+    cellOffset: number = 0,
+    cellIndex: number = 0
+  ): Promise<LintError[]> {
+    if (this.terminated) {
+      return Promise.reject(createDisposedError(this.name));
+    }
+    const id = this.nextId++;
+    return new Promise<LintError[]>((resolve, reject) => {
+      this.pending.set(id, {
+        resolve: (message) => resolve(message.errors ?? []),
+        reject,
+      });
+      this.worker.postMessage({
+        type: 'lintCell',
+        id,
+        code,
+        cellOffset,
+        cellIndex,
+      });
+    });
+  }
+
+  /**
+   * Gets error statistics
+   * @param errors - All errors
+   * @returns Statistics object
+   */
+  getStats(errors: LintError[]): ErrorStats {
+    return getErrorStats(errors);
+  }
+
+  /**
+   * Lints a notebook in the worker, cancelling any lint still running
+   * @param cells - Array of cells with code, element, and cellIndex
+   * @param options - Abort signal and progress callback
+   * @returns Promise of all errors; rejects with an AbortError when the
+   *   signal fires or a newer lint (or cancel()) supersedes it, and with an
+   *   Error if the worker was terminated
+   */
+  lintNotebook(
+    cells: NotebookCell[],
+    options: WorkerLintOptions = {}
+  ): Promise<NotebookError[]> {
+    if (this.terminated) {
+      return Promise.reject(createDisposedError(this.name));
+    }
+    this.cancel();
+
+    // Checked before the lint becomes active, so no id is left behind
+    if (options.signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const id = this.nextId++;
+    this.activeLintId = id;
+    const elements = new Map(
+      cells.map((cell) => [cell.cellIndex, cell.element])
+    );
+    const errors: NotebookError[] = [];
+
+    options.signal?.addEventListener(
+      'abort',
+      () => {
+        if (this.activeLintId === id) {
+          this.cancel();
+        }
+      },
+      { once: true }
+    );
+
+    return new Promise<NotebookError[]>((resolve, reject) => {
+      const settle = () => {
+        if (this.activeLintId === id) {
+          this.activeLintId = null;
+        }
+      };
+
+      this.pending.set(id, {
+        resolve: () => {
+          settle();
+          resolve(errors);
+        },
+        reject: (error) => {
+          settle();
+          reject(error);
+        },
+        onProgress: (message) => {
+          message.errors.forEach((error) => {
+            errors.push({ ...error, element: elements.get(error.cellIndex) });
+          });
+          options.onProgress?.([...errors], {
+            lintedCells: message.lintedCells,
+            totalCells: message.totalCells,
+          });
+        },
+      });
+
+      this.worker.postMessage({
+        type: 'lint',
+        id,
+        cells: cells.map(({ code, cellIndex }) => ({ code, cellIndex })),
+      });
+    });
+  }
+
+  /**
+   * Gets the timings of the last completed lint, recorded when the engine
+   * is configured with `profile: true`
+   * @returns Profile, or null when profiling is off
+   */
+  getProfile(): LintProfile | null {
+    return this.profile;
+  }
+
+  /**
+   * Cancels the running lint, if any (its promise rejects with an AbortError)
+   */
+  cancel(): void {
+    if (this.activeLintId === null) {
+      return;
+    }
+    const id = this.activeLintId;
+    this.activeLintId = null;
+    this.worker.postMessage({ type: 'cancel', id });
+
+    // Reject right away; late messages for the request are ignored
+    const request = this.pending.get(id);
+    this.pending.delete(id);
+    request?.reject(createAbortError(CANCELLED_MESSAGE));
+  }
+
+  /**
+   * Stops the worker; pending requests are rejected
+   */
+  terminate(): void {
+    this.terminated = true;
+    this.worker.terminate();
+    this.rejectAll(new Error('Lint worker was terminated'));
+  }
+
+  /**
+   * Stops the worker (Engine lifecycle name for terminate())
+   */
+  dispose(): void {
+    this.terminate();
+  }
+}
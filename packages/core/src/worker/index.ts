@@ -0,0 +1,8 @@
+/**
+ * Worker Index
+ * Exports the off-main-thread lint engine and its worker side
+ */
+
+export * from './protocol';
+export * from './lintWorker';
+export * from './WorkerLintEngine';
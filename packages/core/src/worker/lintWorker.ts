@@ -0,0 +1,180 @@
+/**
+ * Lint Worker
+ * Runs a LintEngine behind the worker protocol. Requests are handled one at
+ * a time; a lint run yields to the event loop between time slices so cancel
+ * messages are seen while a large notebook is being linted
+ */
+
+import { LintEngine } from '../engines/LintEngine';
+import { NotebookError, yieldToEventLoop } from '../engines/Engine';
+import {
+  LintWorkerLike,
+  LintWorkerRequest,
+  LintWorkerResponse,
+  LintWorkerScope,
+  SerializedCell,
+} from './protocol';
+
+/** Time spent linting before yielding and posting progress (ms) */
+const SLICE_MS = 25;
+
+/**
+ * Starts handling lint requests on a worker scope
+ * @param scope - Worker global scope (`self` inside a Worker)
+ * @param engine - Engine to lint with (incremental by default)
+ */
+export function startLintWorker(
+  scope: LintWorkerScope,
+  engine: LintEngine = new LintEngine({ incremental: true })
+): void {
+  const queue: LintWorkerRequest[] = [];
+  /** Queued or running requests that were cancelled */
+  const cancelled = new Set<number>();
+  /** Request being handled */
+  let activeId: number | null = null;
+  let running = false;
+
+  const lint = async (id: number, cells: SerializedCell[]) => {
+    const totalCells = cells.length;
+    let lintedCells = 0;
+    let batch: NotebookError[] = [];
+    let sliceStart = Date.now();
+
+    const flush = () => {
+      scope.postMessage({
+        type: 'progress',
+        id,
+        errors: batch,
+        lintedCells,
+        totalCells,
+      });
+      batch = [];
+    };
+
+    for (const cellErrors of engine.lintNotebookCells(cells)) {
+      batch.push(...cellErrors);
+      lintedCells++;
+
+      if (Date.now() - sliceStart >= SLICE_MS) {
+        flush();
+        await yieldToEventLoop();
+        if (cancelled.has(id)) {
+          // Leaving the loop stops the generator (cached cells are kept)
+          scope.postMessage({ type: 'cancelled', id });
+          return;
+        }
+        sliceStart = Date.now();
+      }
+    }
+
+    flush();
+    scope.postMessage({ type: 'done', id, profile: engine.getProfile() });
+  };
+
+  const handle = async (request: LintWorkerRequest) => {
+    const { id } = request;
+    if (cancelled.delete(id)) {
+      scope.postMessage({ type: 'cancelled', id });
+      return;
+    }
+
+    activeId = id;
+    try {
+      if (request.type === 'configure') {
+        engine.configure(request.config);
+        scope.postMessage({ type: 'done', id });
+      } else if (request.type === 'lint') {
+        await lint(id, request.cells);
+      } else if (request.type === 'lintCell') {
+        const { errors } = engine.lintCell(
+          request.code,
+          request.cellOffset,
+          request.cellIndex
+        );
+        scope.postMessage({ type: 'done', id, errors });
+      }
+    } catch (error) {
+      scope.postMessage({
+        type: 'error',
+        id,
+        message: error instanceof Error ? error.message : String(error),
+      });
+    } finally {
+      activeId = null;
+      cancelled.delete(id);
+    }
+  };
+
+  const drain = async () => {
+    running = true;
+    while (queue.length > 0) {
+      await handle(queue.shift()!);
+    }
+    running = false;
+  };
+
+  scope.addEventListener('message', ({ data }) => {
+    if (data.type === 'cancel') {
+      // A cancel for a request that already finished has nothing to stop
+      if (
+        data.id === activeId ||
+        queue.some((request) => request.id === data.id)
+      ) {
+        cancelled.add(data.id);
+      }
+      return;
+    }
+    queue.push(data);
+    if (!running) {
+      drain();
+    }
+  });
+}
+
+/**
+ * Creates a worker stand-in that runs the lint loop on the current thread.
+ * Used where Workers are unavailable; runs still yield between time slices
+ * @param engine - Engine to lint with (incremental by default)
+ * @returns Object with the Worker interface used by WorkerLintEngine
+ */
+export function createInThreadLintWorker(engine?: LintEngine): LintWorkerLike {
+  const pageListeners: Array<(event: { data: LintWorkerResponse }) => void> =
+    [];
+  const workerListeners: Array<(event: { data: LintWorkerRequest }) => void> =
+    [];
+  let terminated = false;
+
+  // Deliver asynchronously, like postMessage does
+  const deliver = <T>(
+    listeners: Array<(event: { data: T }) => void>,
+    data: T
+  ) => {
+    setTimeout(() => {
+      if (!terminated) {
+        listeners.forEach((listener) => listener({ data }));
+      }
+    }, 0);
+  };
+
+  startLintWorker(
+    {
+      postMessage: (message) => deliver(pageListeners, message),
+      addEventListener: (_type, listener) => workerListeners.push(listener),
+    },
+    engine
+  );
+
+  return {
+    postMessage: (message: LintWorkerRequest) =>
+      deliver(workerListeners, message),
+    // The lint loop runs in this thread, so there are no load errors to report
+    addEventListener: (type: 'message' | 'error', listener: any) => {
+      if (type === 'message') {
+        pageListeners.push(listener);
+      }
+    },
+    terminate: () => {
+      terminated = true;
+    },
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Lint Worker Protocol
+ * Messages exchanged between WorkerLintEngine (page side) and the lint
+ * worker. Everything is structured-clone safe: DOM elements never cross
+ */
+
+import { LintEngineConfig, LintError } from '../types';
+import { NotebookError } from '../engines/Engine';
+import { LintProfile } from '../profiling';
+
+/** Cell as sent to the worker (no DOM element) */
+export interface SerializedCell {
+  code: string;
+  cellIndex: number;
+}
+
+export type LintWorkerRequest =
+  | { type: 'configure'; id: number; config: LintEngineConfig }
+  | { type: 'lint'; id: number; cells: SerializedCell[] }
+  | {
+      type: 'lintCell';
+      id: number;
+      code: string;
+      cellOffset: number;
+      cellIndex: number;
+    }
+  | { type: 'cancel'; id: number };
+
+export type LintWorkerResponse =
+  /** Errors of the cells linted since the previous progress message */
+  | {
+      type: 'progress';
+      id: number;
+      errors: NotebookError[];
+      lintedCells: number;
+      totalCells: number;
+    }
+  /**
+   * Lint requests also carry the run's profile (null when profiling is off),
+   * lintCell requests the errors of the cell
+   */
+  | {
+      type: 'done';
+      id: number;
+      profile?: LintProfile | null;
+      errors?: LintError[];
+    }
+  | { type: 'cancelled'; id: number }
+  | { type: 'error'; id: number; message: string };
+
+/** Side of a worker the page talks to (a Worker, or an in-thread stand-in) */
+export interface LintWorkerLike {
+  postMessage(message: LintWorkerRequest): void;
+  addEventListener(
+    type: 'message',
+    listener: (event: { data: LintWorkerResponse }) => void
+  ): void;
+  /** Fired when the worker script fails to load or throws */
+  addEventListener(
+    type: 'error',
+    listener: (event: { message?: string }) => void
+  ): void;
+  terminate(): void;
+}
+
+/** Side of a worker the lint loop talks to (the worker's global scope) */
+export interface LintWorkerScope {
+  postMessage(message: LintWorkerResponse): void;
+  addEventListener(
+    type: 'message',
+    listener: (event: { data: LintWorkerRequest }) => void
+  ): void;
+}
@@ -9,41 +9,217 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { Overlay } from '@kaggle-lint/ui-components';
-import { LintEngine } from '@kaggle-lint/core';
+import {
+  Engine,
+  FLAKE8_PLUGINS,
+  Flake8Engine,
+  Flake8Plugin,
+  KaggleLintConfig,
+  LintProfile,
+  REPORTERS,
+  WorkerLintEngine,
+  extractCellConfig,
+  getReporter,
+  resolveConfig,
+  toEngineConfig,
+} from '@kaggle-lint/core';
 import { KaggleDomParser } from '../utils/KaggleDomParser';
 import { CodeMirrorManager } from '../utils/CodeMirrorManager';
+import { createLintWorker } from '../utils/LintWorkerFactory';
+import { getInstalledRuleMetadata } from '../plugins';
 
+/**
+ * Settings stored by the popup under `linterSettings`
+ */
 interface Settings {
-  engine: 'custom' | 'flake8';
-  autoLint: boolean;
-  showInfo: boolean;
+  linterEngine: 'handmade' | 'flake8';
+  rules: Record<string, boolean>;
+  profile?: boolean;
+  /** Flake8 plugin toggles, by plugin name */
+  flake8Plugins?: Record<string, boolean>;
+}
+
+// Rule titles and descriptions shown as tooltips in the overlay
+const RULE_DOCS = Object.fromEntries(
+  getInstalledRuleMetadata().map(({ name, title, description }) => [
+    name,
+    { title, description },
+  ])
+);
+
+// Report formats offered by the overlay's export button
+const EXPORT_FORMATS = REPORTERS.map(({ name, label }) => ({ name, label }));
+
+// Time a rule may spend on one cell before it is skipped for the run (ms)
+const RULE_TIME_BUDGET_MS = 500;
+
+/**
+ * Gets a file name for the current notebook from its URL
+ * (/code/<user>/<notebook>/edit -> <notebook>.ipynb)
+ * @returns Notebook file name
+ */
+function getNotebookFileName(): string {
+  const segments = window.location.pathname
+    .split('/')
+    .filter((segment) => segment && segment !== 'edit');
+  return `${segments[segments.length - 1] || 'notebook'}.ipynb`;
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ * @param text - File contents
+ * @param fileName - Suggested file name
+ * @param mimeType - MIME type of the contents
+ */
+function downloadFile(text: string, fileName: string, mimeType: string): void {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Creates the engine picked in the popup
+ * @param kind - Engine setting
+ * @returns Engine
+ */
+function createEngine(kind: Settings['linterEngine']): Engine {
+  // Built-in rules run in a worker so typing in the editor never waits on them
+  return kind === 'flake8'
+    ? new Flake8Engine()
+    : new WorkerLintEngine(createLintWorker());
+}
+
+/**
+ * Reads the config block of the notebook's first cell
+ * @param code - Code of the first cell
+ * @returns Config, or null when there is none or it is invalid
+ */
+function readNotebookConfig(code: string | undefined): KaggleLintConfig | null {
+  try {
+    return code === undefined ? null : extractCellConfig(code);
+  } catch (error) {
+    console.warn('[Linter] Ignoring notebook config:', error);
+    return null;
+  }
 }
 
 export const ContentApp: React.FC = () => {
   const [errors, setErrors] = useState<any[]>([]);
+  const [profile, setProfile] = useState<LintProfile | null>(null);
   const [visible, setVisible] = useState(true);
   const [theme, setTheme] = useState<'light' | 'dark'>('light');
-  const [isLinting, setIsLinting] = useState(false);
+  const [_isLinting, setIsLinting] = useState(false);
   const [_settings, _setSettings] = useState<Settings>({
-    engine: 'custom',
-    autoLint: true,
-    showInfo: true,
+    linterEngine: 'handmade',
+    rules: {},
   });
 
-  const lintEngine = React.useRef(new LintEngine()).current;
+  // Engine picked in the popup; created on first use (not on every render,
+  // since it owns a Worker or a Python runtime) and replaced when the
+  // setting changes
+  const engineRef = React.useRef<{
+    kind: Settings['linterEngine'];
+    engine: Engine;
+  } | null>(null);
+  const engineKindRef = React.useRef<Settings['linterEngine']>('handmade');
+  const lintRunRef = React.useRef(0);
+  const lintAbortRef = React.useRef<AbortController | null>(null);
+  // Cells of the last lint, so exported reports also list clean cells
+  const lintedCellsRef = React.useRef<number[]>([]);
+  // Popup settings, and the effective config last sent to the engine
+  const userConfigRef = React.useRef<KaggleLintConfig>({});
+  const profileRef = React.useRef(false);
+  const flake8PluginsRef = React.useRef<Flake8Plugin[]>([]);
+  const appliedConfigRef = React.useRef<string | null>(null);
   const domParser = React.useRef(new KaggleDomParser()).current;
   const codeMirrorManager = React.useRef(new CodeMirrorManager()).current;
 
+  /**
+   * Apply settings from the popup: rule toggles reach the engine on the next
+   * run, merged under the notebook's own config
+   */
+  const applySettings = useCallback((newSettings: Settings) => {
+    userConfigRef.current = { rules: newSettings.rules || {} };
+    profileRef.current = newSettings.profile === true;
+    flake8PluginsRef.current = FLAKE8_PLUGINS.filter(
+      (plugin) => newSettings.flake8Plugins?.[plugin.name] === true
+    ).map((plugin) => plugin.name);
+    engineKindRef.current = newSettings.linterEngine || 'handmade';
+    _setSettings(newSettings);
+  }, []);
+
+  /**
+   * Get the engine picked in the popup, replacing the previous one if the
+   * setting changed
+   * @returns Engine
+   */
+  const getEngine = useCallback((): Engine => {
+    const kind = engineKindRef.current;
+    if (engineRef.current?.kind !== kind) {
+      engineRef.current?.engine.dispose();
+      engineRef.current = { kind, engine: createEngine(kind) };
+      // The new engine starts without any config
+      appliedConfigRef.current = null;
+    }
+    const { engine } = engineRef.current;
+    if (engine instanceof Flake8Engine) {
+      // Plugins are installed on the next lint, the first time they're on
+      engine.setOptions({
+        ...engine.getOptions(),
+        plugins: flake8PluginsRef.current,
+      });
+    }
+    return engine;
+  }, []);
+
+  /**
+   * Configure the engine with the popup settings plus the notebook config.
+   * The notebook config wins, so everyone linting a shared notebook gets
+   * the same results
+   * @param engine - Engine to configure (skipped if it takes no config)
+   * @param notebookConfig - Config from the first cell, if any
+   */
+  const configureEngine = useCallback(
+    (engine: Engine, notebookConfig: KaggleLintConfig | null) => {
+      if (!engine.configure) {
+        return;
+      }
+      // Incremental: unchanged cells reuse their results between runs
+      const config = {
+        incremental: true,
+        ruleTimeBudget: RULE_TIME_BUDGET_MS,
+        profile: profileRef.current,
+        ...toEngineConfig(
+          resolveConfig({ user: userConfigRef.current, cell: notebookConfig }),
+          Object.keys(RULE_DOCS)
+        ),
+      };
+      const key = JSON.stringify(config);
+      if (key === appliedConfigRef.current) {
+        // Configuring clears the incremental cache, so skip no-op changes
+        return;
+      }
+      appliedConfigRef.current = key;
+      engine.configure(config).catch((error) => {
+        console.error('[Linter] Invalid rule settings:', error);
+      });
+    },
+    []
+  );
+
   /**
    * Run the linter
    * EXACT LOGIC from old-linter/src/content.js runLinter function
+   * A run started while another is in progress cancels the older one
    */
   const runLinter = useCallback(async () => {
-    if (isLinting) {
-      console.log('[Linter] Already linting, skipping...');
-      return;
-    }
-
+    const runId = ++lintRunRef.current;
+    lintAbortRef.current?.abort();
+    const controller = new AbortController();
+    lintAbortRef.current = controller;
     setIsLinting(true);
     console.log('[Linter] Starting lint...');
 
@@ -51,10 +227,18 @@ export const ContentApp: React.FC = () => {
       // Extract cells from DOM
       const cells = await domParser.extractCells();
       console.log(`[Linter] Extracted ${cells.length} cells`);
+      if (runId !== lintRunRef.current) {
+        // A newer run started while extracting; let it do the linting
+        return;
+      }
 
       // Sync with CodeMirror storage
       codeMirrorManager.syncCells(cells);
 
+      // Requests run in order, so this config applies to the lint below
+      const engine = getEngine();
+      configureEngine(engine, readNotebookConfig(cells[0]?.code));
+
       // Prepare cells for linting
       const cellsForLinting = cells.map((cell, index) => ({
         code: cell.code,
@@ -62,18 +246,39 @@ export const ContentApp: React.FC = () => {
         cellIndex: index,
       }));
 
-      // Run linter
-      const lintErrors = lintEngine.lintNotebook(cellsForLinting);
+      // Run linter, showing errors as they stream in
+      const lintErrors = await engine.lintNotebook(cellsForLinting, {
+        signal: controller.signal,
+        onProgress: (partialErrors) => setErrors(partialErrors),
+      });
       console.log(`[Linter] Found ${lintErrors.length} errors`);
 
       // Update errors state
+      lintedCellsRef.current = cellsForLinting.map((cell) => cell.cellIndex);
       setErrors(lintErrors);
+      setProfile(engine.getProfile?.() ?? null);
+      setIsLinting(false);
     } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') {
+        // Superseded: the newer run updates the state
+        console.log('[Linter] Lint cancelled by a newer run');
+        return;
+      }
       console.error('[Linter] Error during linting:', error);
-    } finally {
       setIsLinting(false);
     }
-  }, [isLinting, domParser, codeMirrorManager, lintEngine]);
+  }, [domParser, codeMirrorManager, getEngine, configureEngine]);
+
+  /**
+   * Stop the running lint and the engine on unmount
+   */
+  useEffect(
+    () => () => {
+      lintAbortRef.current?.abort();
+      engineRef.current?.engine.dispose();
+    },
+    []
+  );
 
   /**
    * Initialize linter on mount
@@ -88,7 +293,7 @@ export const ContentApp: React.FC = () => {
     if (typeof chrome !== 'undefined' && chrome.storage) {
       chrome.storage.sync.get(['linterSettings'], (result: any) => {
         if (result.linterSettings) {
-          _setSettings(result.linterSettings);
+          applySettings(result.linterSettings);
         }
       });
     }
@@ -99,7 +304,7 @@ export const ContentApp: React.FC = () => {
     }, 1000);
 
     return () => clearTimeout(timer);
-  }, [domParser, runLinter]);
+  }, [domParser, runLinter, applySettings]);
 
   /**
    * Setup keyboard shortcuts
@@ -143,7 +348,7 @@ export const ContentApp: React.FC = () => {
           setVisible((prev) => !prev);
           sendResponse({ success: true });
         } else if (message.type === 'settingsChanged') {
-          _setSettings(message.settings);
+          applySettings(message.settings);
           runLinter();
           sendResponse({ success: true });
         }
@@ -155,7 +360,7 @@ export const ContentApp: React.FC = () => {
       return () => chrome.runtime.onMessage.removeListener(messageListener);
     }
     return undefined;
-  }, [runLinter]);
+  }, [runLinter, applySettings]);
 
   /**
    * Handle error click
@@ -172,6 +377,23 @@ export const ContentApp: React.FC = () => {
     }
   };
 
+  /**
+   * Export the current results with one of the core reporters
+   */
+  const handleExport = (format: string) => {
+    const reporter = getReporter(format);
+    const fileName = getNotebookFileName();
+    const report = reporter.format(
+      [{ path: fileName, errors, cellIndexes: lintedCellsRef.current }],
+      { rules: getInstalledRuleMetadata() }
+    );
+    downloadFile(
+      report,
+      `${fileName.replace(/\.ipynb$/, '')}.kaggle-lint${reporter.fileExtension}`,
+      reporter.mimeType
+    );
+  };
+
   return (
     <Overlay
       errors={errors}
@@ -179,6 +401,10 @@ export const ContentApp: React.FC = () => {
       theme={theme}
       onErrorClick={handleErrorClick}
       onRefresh={runLinter}
+      ruleDocs={RULE_DOCS}
+      exportFormats={EXPORT_FORMATS}
+      onExport={handleExport}
+      profile={profile}
     />
   );
 };
@@ -0,0 +1,56 @@
+/**
+ * Installed rule plugins
+ * Extra rule packs bundled with the extension. To add one, import its
+ * LintPlugin object and append it to INSTALLED_PLUGINS; its rules show up
+ * in the popup and the overlay as `<plugin>/<rule>`
+ */
+
+import {
+  LintEngine,
+  LintPlugin,
+  RuleInfo,
+  getDefaultRuleMetadata,
+  getPluginDefaults,
+  getPluginRuleMetadata,
+} from '@kaggle-lint/core';
+
+export const INSTALLED_PLUGINS: LintPlugin[] = [];
+
+/**
+ * Creates the lint engine used by the extension, with every installed
+ * plugin loaded
+ * @returns Incremental LintEngine
+ * @throws Error if an installed plugin is invalid or conflicts with a rule
+ */
+export function createLintEngine(): LintEngine {
+  const engine = new LintEngine({ incremental: true });
+  INSTALLED_PLUGINS.forEach((plugin) => engine.loadPlugin(plugin));
+  return engine;
+}
+
+/**
+ * Gets the metadata of the built-in and plugin rules
+ * @returns Array of rule metadata
+ */
+export function getInstalledRuleMetadata(): RuleInfo[] {
+  return [
+    ...getDefaultRuleMetadata(),
+    ...INSTALLED_PLUGINS.flatMap(getPluginRuleMetadata),
+  ];
+}
+
+/**
+ * Gets whether each rule is enabled by default. Built-in rules are on;
+ * plugin rules follow their plugin's default config
+ * @returns Map of rule name to enabled
+ */
+export function getInstalledRuleDefaults(): Record<string, boolean> {
+  const defaults: Record<string, boolean> = {};
+  getInstalledRuleMetadata().forEach(({ name }) => {
+    defaults[name] = true;
+  });
+  INSTALLED_PLUGINS.forEach((plugin) =>
+    Object.assign(defaults, getPluginDefaults(plugin).rules)
+  );
+  return defaults;
+}
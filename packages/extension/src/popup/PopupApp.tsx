@@ -7,76 +7,29 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { FLAKE8_PLUGINS } from '@kaggle-lint/core';
+import {
+  getInstalledRuleDefaults,
+  getInstalledRuleMetadata,
+} from '../plugins';
 
-// Available linting rules with display names and descriptions
-const RULES = [
-  {
-    id: 'undefinedVariables',
-    name: 'Undefined Variables',
-    description: 'Detect usage of undefined variables',
-    enabled: true,
-  },
-  {
-    id: 'capitalizationTypos',
-    name: 'Capitalization Typos',
-    description: 'Detect true/false/none instead of True/False/None',
-    enabled: true,
-  },
-  {
-    id: 'duplicateFunctions',
-    name: 'Duplicate Functions',
-    description: 'Detect duplicate function definitions',
-    enabled: true,
-  },
-  {
-    id: 'importIssues',
-    name: 'Import Issues',
-    description: 'Detect wildcard and duplicate imports',
-    enabled: true,
-  },
-  {
-    id: 'indentationErrors',
-    name: 'Indentation Errors',
-    description: 'Detect missing indentation after colons',
-    enabled: true,
-  },
-  {
-    id: 'emptyCells',
-    name: 'Empty Cells',
-    description: 'Detect empty or comment-only cells',
-    enabled: true,
-  },
-  {
-    id: 'unclosedBrackets',
-    name: 'Unclosed Brackets',
-    description: 'Detect unclosed parentheses, brackets, braces',
-    enabled: true,
-  },
-  {
-    id: 'redefinedVariables',
-    name: 'Redefined Built-ins',
-    description: 'Detect shadowing of built-in names',
-    enabled: true,
-  },
-  {
-    id: 'missingReturn',
-    name: 'Missing Return',
-    description: 'Detect functions that might need a return statement',
-    enabled: true,
-  },
-];
+// Rule names, titles and descriptions of the built-in and plugin rules
+const RULES = getInstalledRuleMetadata();
 
 interface Settings {
   linterEngine: 'handmade' | 'flake8';
   rules: Record<string, boolean>;
+  /** Time each rule and show the overlay's Performance section */
+  profile?: boolean;
+  /** Flake8 plugin toggles, by plugin name; all off by default */
+  flake8Plugins?: Record<string, boolean>;
 }
 
 const DEFAULT_SETTINGS: Settings = {
   linterEngine: 'handmade',
-  rules: RULES.reduce((acc, rule) => {
-    acc[rule.id] = rule.enabled;
-    return acc;
-  }, {} as Record<string, boolean>),
+  rules: getInstalledRuleDefaults(),
+  profile: false,
+  flake8Plugins: {},
 };
 
 export const PopupApp: React.FC = () => {
@@ -88,7 +41,14 @@ export const PopupApp: React.FC = () => {
     if (typeof chrome !== 'undefined' && chrome.storage) {
       chrome.storage.sync.get(['linterSettings'], (result: any) => {
         if (result.linterSettings) {
-          setSettings(result.linterSettings);
+          // Rules added since the settings were saved keep their defaults
+          setSettings({
+            ...result.linterSettings,
+            rules: {
+              ...DEFAULT_SETTINGS.rules,
+              ...result.linterSettings.rules,
+            },
+          });
         }
       });
     }
@@ -156,6 +116,15 @@ export const PopupApp: React.FC = () => {
     saveSettings({ ...settings, rules: newRules });
   };
 
+  const handleFlake8PluginToggle = (plugin: string, enabled: boolean) => {
+    const newPlugins = { ...settings.flake8Plugins, [plugin]: enabled };
+    saveSettings({ ...settings, flake8Plugins: newPlugins });
+  };
+
+  const handleProfileToggle = (enabled: boolean) => {
+    saveSettings({ ...settings, profile: enabled });
+  };
+
   const handleRefresh = () => {
     if (typeof chrome !== 'undefined' && chrome.tabs) {
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -274,11 +243,14 @@ export const PopupApp: React.FC = () => {
             </div>
             <div className="section-content" id="rules-list">
               {RULES.map((rule) => {
-                const isEnabled = settings.rules[rule.id] !== false;
+                const isEnabled = settings.rules[rule.name] !== false;
                 return (
-                  <div key={rule.id} className="rule-item">
+                  <div key={rule.name} className="rule-item">
                     <div className="rule-info">
-                      <span className="rule-name">{rule.name}</span>
+                      <span className="rule-name">
+                        {rule.title}
+                        {rule.fixable && ' (fixable)'}
+                      </span>
                       <span className="rule-description">
                         {rule.description}
                       </span>
@@ -288,7 +260,7 @@ export const PopupApp: React.FC = () => {
                         type="checkbox"
                         checked={isEnabled}
                         onChange={(e) =>
-                          handleRuleToggle(rule.id, e.target.checked)
+                          handleRuleToggle(rule.name, e.target.checked)
                         }
                       />
                       <span className="toggle-slider"></span>
@@ -300,6 +272,67 @@ export const PopupApp: React.FC = () => {
           </div>
         )}
 
+        {/* Flake8 Plugins Section */}
+        {settings.linterEngine === 'flake8' && (
+          <div className="section" id="flake8-plugins-section">
+            <div className="section-header">
+              <h2 className="section-title">Flake8 Plugins</h2>
+            </div>
+            <div className="section-content">
+              {FLAKE8_PLUGINS.map((plugin) => (
+                <div key={plugin.name} className="rule-item">
+                  <div className="rule-info">
+                    <span className="rule-name">
+                      {plugin.title} ({plugin.codes.join(', ')})
+                    </span>
+                    <span className="rule-description">
+                      {plugin.description}
+                    </span>
+                  </div>
+                  <label className="rule-toggle">
+                    <input
+                      type="checkbox"
+                      checked={settings.flake8Plugins?.[plugin.name] === true}
+                      onChange={(e) =>
+                        handleFlake8PluginToggle(plugin.name, e.target.checked)
+                      }
+                    />
+                    <span className="toggle-slider"></span>
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Profiling Section */}
+        {settings.linterEngine === 'handmade' && (
+          <div className="section">
+            <div className="section-header">
+              <h2 className="section-title">Diagnostics</h2>
+            </div>
+            <div className="section-content">
+              <div className="rule-item">
+                <div className="rule-info">
+                  <span className="rule-name">Rule profiling</span>
+                  <span className="rule-description">
+                    Time each rule and show a Performance section in the
+                    overlay
+                  </span>
+                </div>
+                <label className="rule-toggle">
+                  <input
+                    type="checkbox"
+                    checked={settings.profile === true}
+                    onChange={(e) => handleProfileToggle(e.target.checked)}
+                  />
+                  <span className="toggle-slider"></span>
+                </label>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Actions Section */}
         <div className="section">
           <div className="section-header">
@@ -0,0 +1,97 @@
+/**
+ * Lint Worker Factory
+ * Starts the lint worker for the content script. Content scripts run with
+ * the page's origin, so the extension script is loaded through a blob worker
+ * calling importScripts. When the page refuses the worker, linting falls
+ * back to the main thread (still split into time slices)
+ */
+
+import {
+  LintWorkerLike,
+  LintWorkerRequest,
+  LintWorkerResponse,
+  createInThreadLintWorker,
+} from '@kaggle-lint/core';
+import { createLintEngine } from '../plugins';
+
+const WORKER_SCRIPT = 'lintWorker.js';
+
+/**
+ * Starts the worker script
+ * @returns Worker, or null when workers can't be created here
+ */
+function startWorker(): Worker | null {
+  if (
+    typeof Worker === 'undefined' ||
+    typeof chrome === 'undefined' ||
+    !chrome.runtime?.getURL
+  ) {
+    return null;
+  }
+
+  try {
+    const scriptUrl = chrome.runtime.getURL(WORKER_SCRIPT);
+    const blob = new Blob([`importScripts(${JSON.stringify(scriptUrl)});`], {
+      type: 'text/javascript',
+    });
+    return new Worker(URL.createObjectURL(blob));
+  } catch (error) {
+    console.warn('[Linter] Could not start lint worker:', error);
+    return null;
+  }
+}
+
+/**
+ * Creates the lint worker, falling back to the main thread when the worker
+ * can't be created or fails before answering its first request
+ * @returns Worker interface for WorkerLintEngine
+ */
+export function createLintWorker(): LintWorkerLike {
+  const worker = startWorker();
+  if (!worker) {
+    console.log('[Linter] Linting on the main thread');
+    return createInThreadLintWorker(createLintEngine());
+  }
+
+  const messageListeners: Array<(event: { data: LintWorkerResponse }) => void> =
+    [];
+  const errorListeners: Array<(event: { message?: string }) => void> = [];
+  // Requests sent before the worker answered, replayed on fallback
+  let unanswered: LintWorkerRequest[] | null = [];
+  let target: LintWorkerLike = worker as unknown as LintWorkerLike;
+
+  const forward = (event: { data: LintWorkerResponse }) => {
+    unanswered = null;
+    messageListeners.forEach((listener) => listener(event));
+  };
+
+  worker.addEventListener('message', forward);
+  worker.addEventListener('error', (event) => {
+    if (unanswered) {
+      // Blocked by the page (e.g. CSP): switch to the main thread
+      event.preventDefault();
+      console.warn(
+        '[Linter] Lint worker failed to load, linting on the main thread'
+      );
+      const requests = unanswered;
+      unanswered = null;
+      worker.terminate();
+      target = createInThreadLintWorker(createLintEngine());
+      target.addEventListener('message', forward);
+      requests.forEach((request) => target.postMessage(request));
+      return;
+    }
+    errorListeners.forEach((listener) => listener(event));
+  });
+
+  return {
+    postMessage: (message: LintWorkerRequest) => {
+      unanswered?.push(message);
+      target.postMessage(message);
+    },
+    addEventListener: (type: 'message' | 'error', listener: any) => {
+      (type === 'message' ? messageListeners : errorListeners).push(listener);
+    },
+    terminate: () => target.terminate(),
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * Lint Worker entry point
+ * Runs the LintEngine (with the installed plugins) off the Kaggle main
+ * thread; ContentApp talks to it through WorkerLintEngine
+ */
+
+import { LintWorkerScope, startLintWorker } from '@kaggle-lint/core';
+import { createLintEngine } from '../plugins';
+
+startLintWorker(self as unknown as LintWorkerScope, createLintEngine());
@@ -8,6 +8,8 @@ module.exports = {
   entry: {
     content: './src/content/index.tsx',
     popup: './src/popup/index.tsx',
+    // Loaded by the content script through LintWorkerFactory
+    lintWorker: './src/worker/lintWorker.ts',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
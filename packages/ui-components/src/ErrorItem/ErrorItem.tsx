@@ -15,6 +15,9 @@ const SEVERITY_ICONS = {
   info: 'ℹ️',
 };
 
+/** Rule name of core's findings for rules that crashed (INTERNAL_RULE) */
+const INTERNAL_RULE = 'internal';
+
 /**
  * Escapes HTML special characters
  * EXACT COPY from old-linter/src/ui/overlay.js escapeHtml function
@@ -29,26 +32,43 @@ export const ErrorItem: React.FC<ErrorItemProps> = ({
   error,
   index,
   onClick,
+  ruleDocs,
 }) => {
   const severityClass = `kaggle-lint-severity-${error.severity}`;
+  const ruleDoc = error.rule ? ruleDocs?.[error.rule] : undefined;
+  // A linter bug rather than a problem in the notebook
+  const isInternal = error.rule === INTERNAL_RULE;
 
   return (
     <li
-      className={`kaggle-lint-error-item ${severityClass}`}
+      className={`kaggle-lint-error-item ${severityClass}${
+        isInternal ? ' kaggle-lint-internal' : ''
+      }`}
       data-error-index={index}
       onClick={onClick}
+      title={
+        isInternal
+          ? 'The linter failed on this cell; some findings may be missing'
+          : undefined
+      }
     >
       <span className={`kaggle-lint-icon kaggle-lint-${error.severity}`}>
-        {SEVERITY_ICONS[error.severity]}
+        {isInternal ? '🐞' : SEVERITY_ICONS[error.severity]}
       </span>
       <span className="kaggle-lint-location">
         Cell {(error.cellIndex ?? 0) + 1}:{error.cellLine ?? error.line}
+        {error.column !== undefined && `:${error.column}`}
       </span>
       <span
         className="kaggle-lint-message"
         dangerouslySetInnerHTML={{ __html: escapeHtml(error.msg) }}
       />
-      <span className="kaggle-lint-rule">[{error.rule}]</span>
+      <span
+        className="kaggle-lint-rule"
+        title={ruleDoc ? `${ruleDoc.title}: ${ruleDoc.description}` : undefined}
+      >
+        [{error.rule}]
+      </span>
     </li>
   );
 };
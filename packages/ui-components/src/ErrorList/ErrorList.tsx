@@ -13,6 +13,7 @@ import { ErrorItem } from '../ErrorItem';
 export const ErrorList: React.FC<ErrorListProps> = ({
   errors,
   onErrorClick,
+  ruleDocs,
 }) => {
   // EXACT LOGIC from displayErrors function in old-linter/src/ui/overlay.js
   if (errors.length === 0) {
@@ -27,6 +28,7 @@ export const ErrorList: React.FC<ErrorListProps> = ({
           error={error}
           index={idx}
           onClick={() => onErrorClick?.(error)}
+          ruleDocs={ruleDocs}
         />
       ))}
     </ul>
@@ -10,6 +10,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { OverlayProps, ErrorStats } from '../types';
 import { ErrorList } from '../ErrorList';
+import { PerformancePanel } from '../PerformancePanel';
 import './Overlay.css';
 
 const SEVERITY_ICONS = {
@@ -68,9 +69,14 @@ export const Overlay: React.FC<OverlayProps> = ({
   visible = true,
   theme = 'light',
   codeCells: _codeCells = [], // Prefixed with underscore to indicate intentionally unused
+  ruleDocs,
+  exportFormats = [],
+  onExport,
+  profile,
 }) => {
   const [isMinimized, setIsMinimized] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
   const overlayRef = useRef<HTMLDivElement>(null);
   const headerRef = useRef<HTMLDivElement>(null);
 
@@ -187,6 +193,16 @@ export const Overlay: React.FC<OverlayProps> = ({
     }
   };
 
+  /**
+   * Handle a format picked in the export menu
+   */
+  const handleExport = (format: string) => {
+    setIsExportOpen(false);
+    if (onExport) {
+      onExport(format);
+    }
+  };
+
   /**
    * Handle error click
    * EXACT LOGIC from old-linter/src/ui/overlay.js error item click handling
@@ -215,6 +231,12 @@ export const Overlay: React.FC<OverlayProps> = ({
     </svg>
   );
 
+  const exportIcon = (
+    <svg viewBox="0 0 24 24" fill="currentColor">
+      <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z" />
+    </svg>
+  );
+
   return (
     <div
       ref={overlayRef}
@@ -249,6 +271,34 @@ export const Overlay: React.FC<OverlayProps> = ({
             {refreshIcon}
           </button>
 
+          {exportFormats.length > 0 && onExport && (
+            <div className="kaggle-lint-export">
+              <button
+                className="kaggle-lint-btn kaggle-lint-btn-icon"
+                title="Export report"
+                aria-haspopup="menu"
+                aria-expanded={isExportOpen}
+                onClick={() => setIsExportOpen(!isExportOpen)}
+              >
+                {exportIcon}
+              </button>
+              {isExportOpen && (
+                <div className="kaggle-lint-export-menu" role="menu">
+                  {exportFormats.map((format) => (
+                    <button
+                      key={format.name}
+                      className="kaggle-lint-export-item"
+                      role="menuitem"
+                      onClick={() => handleExport(format.name)}
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           <button
             className="kaggle-lint-btn kaggle-lint-btn-icon"
             title={isMinimized ? 'Expand' : 'Minimize'}
@@ -288,7 +338,13 @@ export const Overlay: React.FC<OverlayProps> = ({
           </span>
         </div>
 
-        <ErrorList errors={errors} onErrorClick={handleErrorClick} />
+        <ErrorList
+          errors={errors}
+          onErrorClick={handleErrorClick}
+          ruleDocs={ruleDocs}
+        />
+
+        {profile && <PerformancePanel profile={profile} ruleDocs={ruleDocs} />}
       </div>
     </div>
   );
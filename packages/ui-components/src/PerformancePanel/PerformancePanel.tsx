@@ -0,0 +1,105 @@
+/**
+ * PerformancePanel Component
+ * Collapsible section showing where the last lint run spent its time, to
+ * help decide which rules to disable
+ */
+
+import React, { useState } from 'react';
+import { PerformancePanelProps } from '../types';
+
+/** Slowest cells listed under the rules */
+const SLOWEST_CELL_COUNT = 3;
+
+/**
+ * Formats a duration
+ * @param ms - Duration in milliseconds
+ * @returns e.g. '0.4 ms', '12 ms'
+ */
+function formatMs(ms: number): string {
+  return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)} ms`;
+}
+
+export const PerformancePanel: React.FC<PerformancePanelProps> = ({
+  profile,
+  ruleDocs,
+}) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const rulesMs = profile.rules.reduce(
+    (total, rule) => total + rule.totalMs,
+    0
+  );
+  const slowestCells = [...profile.cells]
+    .sort((a, b) => b.totalMs - a.totalMs)
+    .slice(0, SLOWEST_CELL_COUNT);
+
+  return (
+    <div className="kaggle-lint-performance">
+      <button
+        className="kaggle-lint-performance-toggle"
+        aria-expanded={isExpanded}
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span className="kaggle-lint-performance-arrow">
+          {isExpanded ? '▾' : '▸'}
+        </span>
+        Performance
+        <span className="kaggle-lint-performance-total">
+          {formatMs(profile.totalMs)} · {profile.lintedCells} linted
+          {profile.cachedCells > 0 && `, ${profile.cachedCells} cached`}
+        </span>
+      </button>
+
+      {isExpanded && (
+        <div className="kaggle-lint-performance-body">
+          {profile.rules.length === 0 ? (
+            <div className="kaggle-lint-performance-empty">
+              Every cell came from the cache
+            </div>
+          ) : (
+            <table className="kaggle-lint-performance-table">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Time</th>
+                  <th>Max</th>
+                  <th>Findings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.rules.map((rule) => {
+                  const share = rulesMs > 0 ? rule.totalMs / rulesMs : 0;
+                  return (
+                    <tr key={rule.rule}>
+                      <td title={rule.rule}>
+                        {ruleDocs?.[rule.rule]?.title ?? rule.rule}
+                        <span
+                          className="kaggle-lint-performance-bar"
+                          style={{ width: `${Math.round(share * 100)}%` }}
+                        />
+                      </td>
+                      <td>{formatMs(rule.totalMs)}</td>
+                      <td>{formatMs(rule.maxMs)}</td>
+                      <td>{rule.findings}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          {slowestCells.length > 0 && (
+            <div className="kaggle-lint-performance-cells">
+              Slowest cells:{' '}
+              {slowestCells
+                .map(
+                  (cell) => `${cell.cellIndex + 1} (${formatMs(cell.totalMs)})`
+                )
+                .join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1 @@
+export { PerformancePanel } from './PerformancePanel';
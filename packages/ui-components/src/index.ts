@@ -6,4 +6,5 @@
 export { Overlay } from './Overlay';
 export { ErrorList } from './ErrorList';
 export { ErrorItem } from './ErrorItem';
+export { PerformancePanel } from './PerformancePanel';
 export * from './types';
@@ -9,16 +9,23 @@ export type Severity = 'error' | 'warning' | 'info';
 export interface LintError {
   line: number;
   column?: number;
+  endLine?: number;
+  endColumn?: number;
   msg: string;
   severity: Severity;
   rule?: string;
   cellIndex?: number;
 }
 
+/** Rule documentation by rule name (from the core rule registry) */
+export type RuleDocs = Record<string, { title: string; description: string }>;
+
 export interface OverlayProps {
   errors: Array<{
     line: number;
     column?: number;
+    endLine?: number;
+    endColumn?: number;
     msg: string;
     severity: 'error' | 'warning' | 'info';
     rule?: string;
@@ -31,6 +38,38 @@ export interface OverlayProps {
   visible?: boolean;
   theme?: 'light' | 'dark';
   codeCells?: Array<{ element: Element | null; cellIndex: number }>;
+  /** Shown as a tooltip on each error's rule name */
+  ruleDocs?: RuleDocs;
+  /** Report formats offered by the export button (hidden when empty) */
+  exportFormats?: ExportFormat[];
+  /** Called with the name of the format picked in the export menu */
+  onExport?: (format: string) => void;
+  /** Timings of the last run, shown in a collapsible Performance section */
+  profile?: PerformanceProfile | null;
+}
+
+/** Timings of a lint run (LintProfile in core) */
+export interface PerformanceProfile {
+  totalMs: number;
+  lintedCells: number;
+  cachedCells: number;
+  /** Slowest first */
+  rules: Array<{
+    rule: string;
+    calls: number;
+    totalMs: number;
+    maxMs: number;
+    findings: number;
+  }>;
+  cells: Array<{ cellIndex: number; totalMs: number; parseMs: number }>;
+}
+
+/** Report format offered by the overlay's export menu */
+export interface ExportFormat {
+  /** Reporter name (e.g. 'sarif') */
+  name: string;
+  /** Menu label (e.g. 'SARIF') */
+  label: string;
 }
 
 export interface ErrorStats {
@@ -45,10 +84,17 @@ export interface ErrorStats {
 export interface ErrorListProps {
   errors: OverlayProps['errors'];
   onErrorClick?: (error: any) => void;
+  ruleDocs?: RuleDocs;
 }
 
 export interface ErrorItemProps {
   error: OverlayProps['errors'][0];
   index: number;
   onClick?: () => void;
+  ruleDocs?: RuleDocs;
+}
+
+export interface PerformancePanelProps {
+  profile: PerformanceProfile;
+  ruleDocs?: RuleDocs;
 }